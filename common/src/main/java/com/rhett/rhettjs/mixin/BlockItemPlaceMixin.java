@@ -0,0 +1,66 @@
+package com.rhett.rhettjs.mixin;
+
+import com.rhett.rhettjs.RhettJSCommon;
+import com.rhett.rhettjs.events.BlockEventAdapter;
+import com.rhett.rhettjs.events.BlockEventData;
+import com.rhett.rhettjs.events.ServerEventManager;
+import com.rhett.rhettjs.regions.RegionFlag;
+import com.rhett.rhettjs.regions.RegionManager;
+import net.minecraft.core.BlockPos;
+import net.minecraft.server.level.ServerPlayer;
+import net.minecraft.world.item.BlockItem;
+import net.minecraft.world.item.context.BlockPlaceContext;
+import net.minecraft.world.level.block.state.BlockState;
+import org.spongepowered.asm.mixin.Mixin;
+import org.spongepowered.asm.mixin.injection.At;
+import org.spongepowered.asm.mixin.injection.Inject;
+import org.spongepowered.asm.mixin.injection.callback.CallbackInfoReturnable;
+
+/**
+ * Fires the blockPlace event on Fabric, which has no place event, after the region place check.
+ * Runs before the state is set, so cancelling makes BlockItem.place() fail without side effects.
+ * NeoForge uses BlockEvent.EntityPlaceEvent instead.
+ */
+@Mixin(BlockItem.class)
+public class BlockItemPlaceMixin {
+
+    @Inject(method = "placeBlock", at = @At("HEAD"), cancellable = true)
+    private void rhettjs$onPlaceBlock(BlockPlaceContext context, BlockState state, CallbackInfoReturnable<Boolean> cir) {
+        if (context.getLevel().isClientSide() || !(context.getPlayer() instanceof ServerPlayer player)) {
+            return;
+        }
+        BlockPos pos = context.getClickedPos();
+        if (!RegionManager.INSTANCE.canPlayer(RegionFlag.PLACE, player, context.getLevel(), pos)) {
+            cir.setReturnValue(false);
+            return;
+        }
+        if (!ServerEventManager.INSTANCE.hasHandlers(ServerEventManager.EventTypes.BLOCK_PLACE)) {
+            return;
+        }
+
+        try {
+            // Replacing the clicked block (grass, snow layers) places into it; otherwise the block
+            // goes next to the clicked one
+            BlockPos placedAgainst = context.replacingClickedOnBlock()
+                ? pos
+                : pos.relative(context.getClickedFace().getOpposite());
+            BlockEventData.Placed eventData = BlockEventAdapter.INSTANCE.createPlacedEvent(
+                pos,
+                context.getLevel(),
+                player,
+                state,
+                placedAgainst,
+                context.getClickedFace(),
+                context.getItemInHand()
+            );
+
+            ServerEventManager.INSTANCE.triggerBlockPlace(eventData, player);
+
+            if (eventData.getCancelled()) {
+                cir.setReturnValue(false);
+            }
+        } catch (Exception e) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to handle block place", e);
+        }
+    }
+}
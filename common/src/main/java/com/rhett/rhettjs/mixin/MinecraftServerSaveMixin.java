@@ -0,0 +1,26 @@
+package com.rhett.rhettjs.mixin;
+
+import com.rhett.rhettjs.RhettJSCommon;
+import com.rhett.rhettjs.engine.ScriptSystemInitializer;
+import net.minecraft.server.MinecraftServer;
+import org.spongepowered.asm.mixin.Mixin;
+import org.spongepowered.asm.mixin.injection.At;
+import org.spongepowered.asm.mixin.injection.Inject;
+import org.spongepowered.asm.mixin.injection.callback.CallbackInfoReturnable;
+
+/**
+ * Hooks world saves (autosave, /save-all) on Fabric, which has no save event.
+ * NeoForge uses LevelEvent.Save instead.
+ */
+@Mixin(MinecraftServer.class)
+public class MinecraftServerSaveMixin {
+
+    @Inject(method = "saveEverything", at = @At("RETURN"))
+    private void rhettjs$onSaveEverything(boolean suppressLogs, boolean flush, boolean force, CallbackInfoReturnable<Boolean> cir) {
+        try {
+            ScriptSystemInitializer.INSTANCE.onWorldSaved();
+        } catch (Exception e) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to handle world save", e);
+        }
+    }
+}
@@ -0,0 +1,26 @@
+package com.rhett.rhettjs.mixin;
+
+import com.rhett.rhettjs.regions.RegionManager;
+import net.minecraft.server.level.ServerLevel;
+import net.minecraft.world.entity.Mob;
+import net.minecraft.world.level.NaturalSpawner;
+import org.spongepowered.asm.mixin.Mixin;
+import org.spongepowered.asm.mixin.injection.At;
+import org.spongepowered.asm.mixin.injection.Inject;
+import org.spongepowered.asm.mixin.injection.callback.CallbackInfoReturnable;
+
+/**
+ * Applies the region mobSpawn flag to natural spawning on Fabric, which has no spawn event.
+ * The mob has already been moved to its spawn position when this check runs.
+ * NeoForge uses MobSpawnEvent.PositionCheck instead.
+ */
+@Mixin(NaturalSpawner.class)
+public class NaturalSpawnerMixin {
+
+    @Inject(method = "isValidPositionForMob", at = @At("HEAD"), cancellable = true)
+    private static void rhettjs$checkRegion(ServerLevel level, Mob mob, double distance, CallbackInfoReturnable<Boolean> cir) {
+        if (!RegionManager.INSTANCE.canSpawnMob(level, mob.getX(), mob.getY(), mob.getZ())) {
+            cir.setReturnValue(false);
+        }
+    }
+}
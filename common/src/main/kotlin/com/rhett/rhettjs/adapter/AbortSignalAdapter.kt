@@ -0,0 +1,146 @@
+package com.rhett.rhettjs.adapter
+
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.async.AbortSignal
+import com.rhett.rhettjs.engine.TaskRegistry
+import org.graalvm.polyglot.PolyglotException
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+import java.util.concurrent.CopyOnWriteArrayList
+
+/**
+ * Adapter exposing Kotlin [AbortSignal]s to JavaScript with the standard AbortSignal shape.
+ *
+ * Signal object structure:
+ * ```javascript
+ * {
+ *   aborted: boolean,          // live
+ *   reason: any,               // live, null until aborted
+ *   onabort: function | null,  // settable
+ *   throwIfAborted(): void,
+ *   addEventListener('abort', fn): void,
+ *   removeEventListener('abort', fn): void
+ * }
+ * ```
+ */
+object AbortSignalAdapter {
+
+    /**
+     * JS view of a signal. Kept as a class (not fromMap) so `aborted`/`reason` stay live
+     * and operations can recover the Kotlin signal from options.signal.
+     */
+    private class JSAbortSignal(
+        val signal: AbortSignal,
+        private val throwHelper: Value
+    ) : ProxyObject {
+
+        private val listeners = CopyOnWriteArrayList<Value>()
+
+        @Volatile
+        private var onabort: Value? = null
+
+        init {
+            // Dispatch the abort event to JS listeners before operations react to it
+            signal.onAbort { dispatch() }
+        }
+
+        private fun dispatch() {
+            val event = ProxyObject.fromMap(mapOf("type" to "abort", "target" to this))
+            (listOfNotNull(onabort) + listeners).forEach { listener ->
+                try {
+                    listener.executeVoid(event)
+                } catch (e: PolyglotException) {
+                    RhettJSCommon.LOGGER.error("[RhettJS] Error in abort listener: ${e.message}")
+                }
+            }
+        }
+
+        override fun getMember(key: String): Any? = when (key) {
+            "aborted" -> signal.isAborted
+            "reason" -> signal.reason
+            "onabort" -> onabort
+            "throwIfAborted" -> ProxyExecutable { _ ->
+                // Rethrow the reason itself (not a host exception) so scripts can inspect it
+                if (signal.isAborted) throwHelper.execute(signal.reason)
+                null
+            }
+            "addEventListener" -> ProxyExecutable { args ->
+                if (args.size >= 2 && args[0].asString() == "abort" && args[1].canExecute()) {
+                    if (signal.isAborted) {
+                        args[1].executeVoid(ProxyObject.fromMap(mapOf("type" to "abort", "target" to this)))
+                    } else if (listeners.none { it == args[1] }) {
+                        listeners.add(args[1])
+                    }
+                }
+                null
+            }
+            "removeEventListener" -> ProxyExecutable { args ->
+                if (args.size >= 2 && args[0].asString() == "abort") {
+                    listeners.removeIf { it == args[1] }
+                }
+                null
+            }
+            else -> null
+        }
+
+        override fun getMemberKeys(): Any = MEMBER_KEYS
+
+        override fun hasMember(key: String): Boolean = key in MEMBER_KEYS
+
+        override fun putMember(key: String, value: Value?) {
+            if (key != "onabort") {
+                throw UnsupportedOperationException("AbortSignal.$key is read-only")
+            }
+            onabort = value?.takeIf { it.canExecute() }
+        }
+    }
+
+    private val MEMBER_KEYS = arrayOf("aborted", "reason", "onabort", "throwIfAborted", "addEventListener", "removeEventListener")
+
+    /**
+     * Wrap a Kotlin signal as a JS AbortSignal.
+     *
+     * @param signal The Kotlin signal
+     * @param throwHelper JS function `(reason) => { throw reason; }` used by throwIfAborted()
+     */
+    fun toJS(signal: AbortSignal, throwHelper: Value): ProxyObject = JSAbortSignal(signal, throwHelper)
+
+    /**
+     * Get the Kotlin signal behind a JS AbortSignal.
+     *
+     * @param value The JS value (null/undefined allowed)
+     * @return The signal, or null if no signal was given
+     * @throws IllegalArgumentException if the value is not an AbortSignal
+     */
+    fun fromJS(value: Value?): AbortSignal? {
+        if (value == null || value.isNull) return null
+
+        val proxy = if (value.isProxyObject) value.asProxyObject<ProxyObject>() else null
+        return (proxy as? JSAbortSignal)?.signal
+            ?: throw IllegalArgumentException("signal must be an AbortSignal (from new AbortController().signal)")
+    }
+
+    /**
+     * Get the Kotlin signal from an options object's `signal` member.
+     *
+     * @param options Options object (null allowed)
+     * @return The signal, or null if options has no signal
+     */
+    fun fromOptions(options: Value?): AbortSignal? {
+        if (options == null || options.isNull || !options.hasMembers() || !options.hasMember("signal")) return null
+        return fromJS(options.getMember("signal"))
+    }
+
+    /**
+     * Get the signal a long-running operation should follow: options.signal combined with
+     * the signal of the calling task, so /rjs kill stops the operation too.
+     * Must be called on the script's thread (where the task is known).
+     *
+     * @param options Options object (null allowed)
+     * @return The signal, or null if there is neither an options signal nor a task
+     */
+    fun forOperation(options: Value?): AbortSignal? {
+        return AbortSignal.any(fromOptions(options), TaskRegistry.currentSignal())
+    }
+}
@@ -0,0 +1,36 @@
+package com.rhett.rhettjs.adapter
+
+import net.minecraft.server.level.ServerBossEvent
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyObject
+
+/**
+ * Adapter for converting boss bars to pure JavaScript objects.
+ *
+ * Boss bar object structure:
+ * ```javascript
+ * {
+ *   id: string,
+ *   title: string,
+ *   progress: number,    // 0 to 1
+ *   color: string,       // e.g. "green"
+ *   style: string,       // e.g. "notched_10"
+ *   visible: boolean,
+ *   players: string[]    // names of players seeing the bar
+ * }
+ * ```
+ */
+object BossBarAdapter {
+
+    fun toJS(bar: ServerBossEvent): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "id" to bar.id.toString(),
+            "title" to bar.name.string,
+            "progress" to bar.progress.toDouble(),
+            "color" to bar.color.getName(),
+            "style" to bar.overlay.getName(),
+            "visible" to bar.isVisible,
+            "players" to ProxyArray.fromList(bar.players.map { it.gameProfile.name }.sorted())
+        ))
+    }
+}
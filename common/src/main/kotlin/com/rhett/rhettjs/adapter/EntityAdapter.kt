@@ -0,0 +1,434 @@
+package com.rhett.rhettjs.adapter
+
+import com.rhett.rhettjs.inventory.ItemData
+import net.minecraft.core.Holder
+import net.minecraft.core.registries.BuiltInRegistries
+import net.minecraft.core.registries.Registries
+import net.minecraft.nbt.ByteArrayTag
+import net.minecraft.nbt.ByteTag
+import net.minecraft.nbt.CollectionTag
+import net.minecraft.nbt.CompoundTag
+import net.minecraft.nbt.DoubleTag
+import net.minecraft.nbt.FloatTag
+import net.minecraft.nbt.IntArrayTag
+import net.minecraft.nbt.IntTag
+import net.minecraft.nbt.ListTag
+import net.minecraft.nbt.LongArrayTag
+import net.minecraft.nbt.LongTag
+import net.minecraft.nbt.NumericTag
+import net.minecraft.nbt.ShortTag
+import net.minecraft.nbt.StringTag
+import net.minecraft.nbt.Tag
+import net.minecraft.network.chat.Component
+import net.minecraft.resources.ResourceKey
+import net.minecraft.resources.ResourceLocation
+import net.minecraft.server.MinecraftServer
+import net.minecraft.server.level.ServerLevel
+import net.minecraft.world.effect.MobEffect
+import net.minecraft.world.effect.MobEffectInstance
+import net.minecraft.world.entity.Entity
+import net.minecraft.world.entity.EntityType
+import net.minecraft.world.entity.LivingEntity
+import net.minecraft.world.entity.Mob
+import net.minecraft.world.entity.MobSpawnType
+import net.minecraft.world.entity.player.Player
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+import java.util.UUID
+
+/**
+ * Adapter exposing Minecraft entities to JavaScript.
+ *
+ * Entity objects are live: properties read the entity on each access, so scripts can keep
+ * one across ticks. The object follows the entity by UUID, so it keeps working after the
+ * entity changes dimension or its chunk reloads (both replace the Minecraft object).
+ * Once the entity is gone (`isValid: false`) properties keep their last values and
+ * actions throw.
+ *
+ * Entity object structure:
+ * ```javascript
+ * {
+ *   id: number,                // Session id, changes when the entity reloads
+ *   uuid: string,
+ *   type: string,              // e.g. "minecraft:zombie"
+ *   position: { x, y, z, dimension },
+ *   rotation: { yaw, pitch },
+ *   isValid: boolean,          // false once killed, discarded or unloaded
+ *   isAlive: boolean,
+ *   customName: string | null,
+ *   glowing: boolean,
+ *   tags: string[],
+ *   passengers: Entity[],
+ *   vehicle: Entity | null,
+ *
+ *   getNbt(): object,
+ *   setNbt(nbt: object): void, // merged like /data merge entity
+ *   teleport(position, rotation?): void,
+ *   kill(): void,
+ *   discard(): void,
+ *   addPassenger(entity): void,
+ *   ejectPassengers(): void,
+ *   addTag(tag): boolean,
+ *   removeTag(tag): boolean,
+ *   setCustomName(name | null, visible?): void,
+ *   setGlowing(glowing): void,
+ *   addEffect(effectId, options?): boolean
+ * }
+ * ```
+ */
+object EntityAdapter {
+
+    // Same default as /effect give (30 seconds)
+    private const val DEFAULT_EFFECT_TICKS = 600
+
+    fun toJS(entity: Entity): ProxyObject = EntityProxy(entity)
+
+    /**
+     * Find a loaded entity by UUID in any dimension.
+     */
+    fun find(server: MinecraftServer, uuid: UUID): Entity? {
+        return server.allLevels.firstNotNullOfOrNull { it.getEntity(uuid) }
+    }
+
+    /**
+     * Spawn an entity like /summon. Mobs spawned without NBT get their usual random
+     * equipment and variants.
+     *
+     * For item entities, `nbt.Item` also accepts anything inventories accept
+     * (an id, an item object or an Items.create() builder).
+     *
+     * @throws IllegalArgumentException for unknown or unsummonable entity types
+     */
+    fun spawn(level: ServerLevel, entityId: String, x: Double, y: Double, z: Double, nbt: Value?): Entity {
+        val location = ResourceLocation.tryParse(ItemData.normalizeId(entityId))
+            ?: throw IllegalArgumentException("Invalid entity type: $entityId")
+        val type = BuiltInRegistries.ENTITY_TYPE.getOptional(location).orElse(null)
+            ?: throw IllegalArgumentException("Unknown entity type: $entityId")
+        if (!type.canSummon()) throw IllegalArgumentException("Entity type $entityId can't be spawned")
+
+        val hasNbt = nbt != null && !nbt.isNull && nbt.memberKeys.isNotEmpty()
+        val tag = CompoundTag()
+        if (hasNbt) mergeNbt(tag, nbt!!)
+
+        if (type == EntityType.ITEM) {
+            val item = nbt?.takeIf { hasNbt && it.hasMember("Item") }?.getMember("Item")
+                ?: throw IllegalArgumentException("spawnEntity() for minecraft:item requires nbt.Item")
+            val stack = ItemAdapter.toStack(InventoryAdapter.itemFromJS(item, "spawnEntity"), level.registryAccess())
+            tag.put("Item", stack.save(level.registryAccess()))
+        }
+        tag.putString("id", location.toString())
+
+        val entity = EntityType.loadEntityRecursive(tag, level) { created ->
+            created.moveTo(x, y, z, created.yRot, created.xRot)
+            created
+        } ?: throw IllegalArgumentException("Failed to create entity $entityId")
+
+        if (!hasNbt && entity is Mob) {
+            entity.finalizeSpawn(level, level.getCurrentDifficultyAt(entity.blockPosition()), MobSpawnType.COMMAND, null)
+        }
+        if (!level.tryAddFreshEntityWithPassengers(entity)) {
+            throw IllegalStateException("Failed to spawn $entityId: an entity with its UUID already exists")
+        }
+        return entity
+    }
+
+    private class EntityProxy(private var entity: Entity) : ProxyObject {
+
+        private val uuid = entity.uuid
+
+        /**
+         * The entity, re-resolved by UUID if the one we hold was replaced.
+         */
+        private fun current(): Entity {
+            if (entity.isRemoved) {
+                entity.server?.let { find(it, uuid) }?.let { entity = it }
+            }
+            return entity
+        }
+
+        private fun live(fn: String): Entity {
+            val current = current()
+            check(!current.isRemoved) { "$fn(): entity $uuid no longer exists" }
+            return current
+        }
+
+        override fun getMember(key: String): Any? {
+            val e = current()
+            return when (key) {
+                "id" -> e.id
+                "uuid" -> e.stringUUID
+                "type" -> BuiltInRegistries.ENTITY_TYPE.getKey(e.type).toString()
+                "position" -> ProxyObject.fromMap(mapOf(
+                    "x" to e.x,
+                    "y" to e.y,
+                    "z" to e.z,
+                    "dimension" to e.level().dimension().location().toString()
+                ))
+                "rotation" -> ProxyObject.fromMap(mapOf("yaw" to e.yRot.toDouble(), "pitch" to e.xRot.toDouble()))
+                "isValid" -> !e.isRemoved
+                "isAlive" -> e.isAlive
+                "customName" -> e.customName?.string
+                "glowing" -> e.hasGlowingTag()
+                "tags" -> ProxyArray.fromList(e.tags.sorted())
+                "passengers" -> ProxyArray.fromList(e.passengers.map { EntityProxy(it) })
+                "vehicle" -> e.vehicle?.let { EntityProxy(it) }
+                else -> methods[key]
+            }
+        }
+
+        private val methods: Map<String, ProxyExecutable> = mapOf(
+            "getNbt" to ProxyExecutable { _ ->
+                nbtToJS(live("getNbt").saveWithoutId(CompoundTag()))
+            },
+
+            "setNbt" to ProxyExecutable { args ->
+                val nbt = args.getOrNull(0)
+                if (nbt == null || !nbt.hasMembers() || nbt.hasArrayElements()) {
+                    throw IllegalArgumentException("setNbt() requires an NBT object")
+                }
+                val e = live("setNbt")
+                if (e is Player) throw IllegalArgumentException("setNbt() can't modify players")
+                val merged = e.saveWithoutId(CompoundTag())
+                mergeNbt(merged, nbt)
+                // Like /data merge: the entity keeps its UUID
+                e.load(merged)
+                e.setUUID(uuid)
+                null
+            },
+
+            "teleport" to ProxyExecutable { args ->
+                val position = args.getOrNull(0)
+                if (position == null || !position.hasMember("x") || !position.hasMember("y") || !position.hasMember("z")) {
+                    throw IllegalArgumentException("teleport() requires a position object { x, y, z, dimension }")
+                }
+                val e = live("teleport")
+                val level = if (position.hasMember("dimension") && !position.getMember("dimension").isNull) {
+                    val dimension = position.getMember("dimension").asString()
+                    e.server?.getLevel(ResourceKey.create(Registries.DIMENSION, ResourceLocation.parse(dimension)))
+                        ?: throw IllegalArgumentException("Unknown dimension: $dimension")
+                } else {
+                    e.level() as ServerLevel
+                }
+                val rotation = args.getOrNull(1)?.takeUnless { it.isNull }
+                val yaw = rotation?.getMember("yaw")?.takeUnless { it.isNull }?.asDouble()?.toFloat() ?: e.yRot
+                val pitch = rotation?.getMember("pitch")?.takeUnless { it.isNull }?.asDouble()?.toFloat() ?: e.xRot
+                e.teleportTo(
+                    level,
+                    position.getMember("x").asDouble(),
+                    position.getMember("y").asDouble(),
+                    position.getMember("z").asDouble(),
+                    emptySet(),
+                    yaw,
+                    pitch
+                )
+                null
+            },
+
+            "kill" to ProxyExecutable { _ ->
+                live("kill").kill()
+                null
+            },
+
+            "discard" to ProxyExecutable { _ ->
+                // Already gone is fine: the result is the same
+                current().takeUnless { it.isRemoved }?.discard()
+                null
+            },
+
+            "addPassenger" to ProxyExecutable { args ->
+                val e = live("addPassenger")
+                val passengerUuid = args.getOrNull(0)?.let { uuidOf(it) }
+                    ?: throw IllegalArgumentException("addPassenger() requires an entity or UUID")
+                val passenger = e.server?.let { find(it, passengerUuid) }
+                    ?: throw IllegalArgumentException("addPassenger(): entity $passengerUuid not found")
+                if (!passenger.startRiding(e, true)) {
+                    throw IllegalArgumentException("addPassenger(): ${passenger.stringUUID} can't ride ${e.stringUUID}")
+                }
+                null
+            },
+
+            "ejectPassengers" to ProxyExecutable { _ ->
+                live("ejectPassengers").ejectPassengers()
+                null
+            },
+
+            "addTag" to ProxyExecutable { args ->
+                val tag = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                    ?: throw IllegalArgumentException("addTag() requires a tag")
+                live("addTag").addTag(tag)
+            },
+
+            "removeTag" to ProxyExecutable { args ->
+                val tag = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                    ?: throw IllegalArgumentException("removeTag() requires a tag")
+                live("removeTag").removeTag(tag)
+            },
+
+            "setCustomName" to ProxyExecutable { args ->
+                val e = live("setCustomName")
+                val name = args.getOrNull(0)?.takeUnless { it.isNull }?.asString()
+                e.customName = name?.let { Component.literal(it) }
+                args.getOrNull(1)?.takeUnless { it.isNull }?.let { e.isCustomNameVisible = it.asBoolean() }
+                null
+            },
+
+            "setGlowing" to ProxyExecutable { args ->
+                live("setGlowing").setGlowingTag(args.getOrNull(0)?.asBoolean() ?: true)
+                null
+            },
+
+            "addEffect" to ProxyExecutable { args ->
+                val effectId = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                    ?: throw IllegalArgumentException("addEffect() requires an effect id")
+                val living = live("addEffect") as? LivingEntity
+                    ?: throw IllegalArgumentException("addEffect() requires a living entity")
+                living.addEffect(effectInstance(effectId, args.getOrNull(1)))
+            }
+        )
+
+        override fun getMemberKeys(): Any = ProxyArray.fromList(MEMBER_KEYS + methods.keys)
+
+        override fun hasMember(key: String): Boolean = key in MEMBER_KEYS || key in methods
+
+        override fun putMember(key: String, value: Value?) {
+            throw UnsupportedOperationException("Entity properties are read-only; use the set/add methods instead")
+        }
+    }
+
+    private val MEMBER_KEYS = listOf(
+        "id", "uuid", "type", "position", "rotation", "isValid", "isAlive",
+        "customName", "glowing", "tags", "passengers", "vehicle"
+    )
+
+    private fun uuidOf(value: Value): UUID? {
+        val text = when {
+            value.isString -> value.asString()
+            value.hasMember("uuid") -> value.getMember("uuid").asString()
+            else -> return null
+        }
+        return try {
+            UUID.fromString(text)
+        } catch (e: IllegalArgumentException) {
+            null
+        }
+    }
+
+    /**
+     * Build an effect from `(effectId, { duration, amplifier, ambient, particles })`.
+     * Duration is in ticks; -1 is infinite.
+     */
+    fun effectInstance(effectId: String, options: Value?): MobEffectInstance {
+        val effect = effectHolder(effectId)
+
+        fun option(key: String) = options?.takeIf { it.hasMembers() }?.getMember(key)?.takeUnless { it.isNull }
+        val duration = option("duration")?.asInt() ?: DEFAULT_EFFECT_TICKS
+        val amplifier = option("amplifier")?.asInt() ?: 0
+        if (duration < -1 || duration == 0) throw IllegalArgumentException("Effect duration must be positive ticks or -1 (infinite)")
+        if (amplifier !in 0..255) throw IllegalArgumentException("Effect amplifier must be between 0 and 255")
+
+        return MobEffectInstance(
+            effect,
+            duration,
+            amplifier,
+            option("ambient")?.asBoolean() ?: false,
+            option("particles")?.asBoolean() ?: true
+        )
+    }
+
+    /**
+     * Look up an effect ("speed" or "minecraft:speed").
+     *
+     * @throws IllegalArgumentException for unknown effects
+     */
+    fun effectHolder(effectId: String): Holder<MobEffect> {
+        val location = ResourceLocation.tryParse(ItemData.normalizeId(effectId))
+            ?: throw IllegalArgumentException("Invalid effect id: $effectId")
+        return BuiltInRegistries.MOB_EFFECT.getHolder(ResourceKey.create(Registries.MOB_EFFECT, location)).orElse(null)
+            ?: throw IllegalArgumentException("Unknown effect: $effectId")
+    }
+
+    /**
+     * Active effect as `{ id, duration, amplifier, ambient, particles }`; duration is -1 when infinite.
+     */
+    fun effectToJS(effect: MobEffectInstance): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "id" to effect.effect.unwrapKey().map { it.location().toString() }.orElse(effect.effect.registeredName),
+            "duration" to if (effect.isInfiniteDuration) -1 else effect.duration,
+            "amplifier" to effect.amplifier,
+            "ambient" to effect.isAmbient,
+            "particles" to effect.isVisible
+        ))
+    }
+
+    /**
+     * Convert NBT to plain JS objects and arrays (same shapes as the NBT API).
+     */
+    fun nbtToJS(tag: Tag): Any? = when (tag) {
+        is CompoundTag -> ProxyObject.fromMap(tag.allKeys.associateWith { nbtToJS(tag.get(it)!!) })
+        is CollectionTag<*> -> ProxyArray.fromList(tag.map { nbtToJS(it) })
+        is ByteTag -> tag.asByte.toInt()
+        is ShortTag -> tag.asShort.toInt()
+        is IntTag -> tag.asInt
+        is LongTag -> tag.asLong
+        is FloatTag -> tag.asFloat.toDouble()
+        is DoubleTag -> tag.asDouble
+        else -> tag.asString
+    }
+
+    /**
+     * Merge a JS object into NBT. Numbers and lists take the type of the value they replace
+     * (so `{ Health: 10 }` stays a float), and nested objects merge into existing compounds.
+     */
+    fun mergeNbt(target: CompoundTag, value: Value) {
+        for (key in value.memberKeys) {
+            val member = value.getMember(key)
+            val existing = target.get(key)
+            if (member.hasMembers() && !member.hasArrayElements() && existing is CompoundTag) {
+                mergeNbt(existing, member)
+            } else {
+                target.put(key, toTag(member, existing))
+            }
+        }
+    }
+
+    private fun toTag(value: Value, like: Tag?): Tag = when {
+        value.isBoolean -> ByteTag.valueOf(value.asBoolean())
+        value.isString -> StringTag.valueOf(value.asString())
+        value.isNumber -> numberTag(value, like)
+        value.hasArrayElements() -> listTag(value, like)
+        value.hasMembers() -> CompoundTag().also { mergeNbt(it, value) }
+        else -> StringTag.valueOf(value.toString())
+    }
+
+    private fun numberTag(value: Value, like: Tag?): Tag = when (like) {
+        is ByteTag -> ByteTag.valueOf(value.asInt().toByte())
+        is ShortTag -> ShortTag.valueOf(value.asInt().toShort())
+        is IntTag -> IntTag.valueOf(value.asInt())
+        is LongTag -> LongTag.valueOf(value.asLong())
+        is FloatTag -> FloatTag.valueOf(value.asDouble().toFloat())
+        is DoubleTag -> DoubleTag.valueOf(value.asDouble())
+        is NumericTag -> DoubleTag.valueOf(value.asDouble())
+        else -> when {
+            value.fitsInInt() -> IntTag.valueOf(value.asInt())
+            value.fitsInLong() -> LongTag.valueOf(value.asLong())
+            else -> DoubleTag.valueOf(value.asDouble())
+        }
+    }
+
+    private fun listTag(value: Value, like: Tag?): Tag {
+        val elements = (0 until value.arraySize).map { value.getArrayElement(it) }
+        return when (like) {
+            is IntArrayTag -> IntArrayTag(elements.map { it.asInt() }.toIntArray())
+            is LongArrayTag -> LongArrayTag(elements.map { it.asLong() }.toLongArray())
+            is ByteArrayTag -> ByteArrayTag(elements.map { it.asInt().toByte() }.toByteArray())
+            else -> {
+                // List tags hold one element type: follow the old list, or use doubles for mixed numbers
+                val elementLike = (like as? ListTag)?.firstOrNull()
+                    ?: DoubleTag.valueOf(0.0).takeIf { elements.any { it.isNumber && !it.fitsInLong() } }
+                ListTag().apply { elements.forEach { add(toTag(it, elementLike)) } }
+            }
+        }
+    }
+}
@@ -0,0 +1,237 @@
+package com.rhett.rhettjs.adapter
+
+import com.rhett.rhettjs.inventory.ContainerSlots
+import com.rhett.rhettjs.inventory.ItemData
+import com.rhett.rhettjs.inventory.ItemSlots
+import com.rhett.rhettjs.inventory.SavedPlayerSlots
+import net.minecraft.server.MinecraftServer
+import net.minecraft.server.level.ServerPlayer
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+import java.nio.file.Files
+import java.util.UUID
+
+/**
+ * Adapter exposing [ItemSlots] to JavaScript.
+ *
+ * Every call reads the slots fresh, so the object never goes stale.
+ *
+ * Inventory object structure:
+ * ```javascript
+ * {
+ *   size: number,
+ *   get(slot: number | SlotName): Item | null,
+ *   set(slot: number | SlotName, item: Item | ItemBuilder | string | null): void,
+ *   find(itemId: string): number,                  // first slot, or -1
+ *   count(itemId: string): number,
+ *   remove(itemId: string, count?: number): number, // number removed
+ *   clear(): number,                               // number removed
+ *   list(): Array<Item & { slot: number }>,
+ *
+ *   // Player inventories only
+ *   enderChest: Inventory
+ * }
+ *
+ * Item: { id: string, count: number, components: object }
+ * ```
+ */
+object InventoryAdapter {
+
+    /**
+     * Named slots of a player inventory, matching the vanilla slot indices.
+     */
+    val PLAYER_SLOT_NAMES = mapOf(
+        "feet" to 36,
+        "legs" to 37,
+        "chest" to 38,
+        "head" to 39,
+        "offhand" to 40
+    )
+
+    /**
+     * Inventory object for an online player, including the ender chest.
+     */
+    fun forPlayer(player: ServerPlayer): ProxyObject {
+        val registries = player.registryAccess()
+        return toJS(
+            ContainerSlots(player.inventory, registries),
+            PLAYER_SLOT_NAMES,
+            mapOf("enderChest" to toJS(ContainerSlots(player.enderChestInventory, registries)))
+        )
+    }
+
+    /**
+     * Inventory object for an offline player, backed by their saved player data.
+     *
+     * @return The inventory, or null if the player has never joined this world
+     */
+    fun forOfflinePlayer(server: MinecraftServer, uuid: UUID): ProxyObject? {
+        if (!Files.exists(SavedPlayerSlots.playerDataFile(server, uuid))) return null
+        return toJS(
+            SavedPlayerSlots(server, uuid, SavedPlayerSlots.Section.INVENTORY),
+            PLAYER_SLOT_NAMES,
+            mapOf("enderChest" to toJS(SavedPlayerSlots(server, uuid, SavedPlayerSlots.Section.ENDER_CHEST)))
+        )
+    }
+
+    /**
+     * Create the JavaScript object for a set of slots.
+     *
+     * @param slotNames Names accepted in place of slot numbers
+     * @param extra Additional members (e.g. the ender chest)
+     */
+    fun toJS(slots: ItemSlots, slotNames: Map<String, Int> = emptyMap(), extra: Map<String, Any?> = emptyMap()): ProxyObject {
+        fun slotArgument(args: Array<Value>, fn: String): Int {
+            val value = args.getOrNull(0)
+                ?: throw IllegalArgumentException("$fn() requires a slot")
+            val slot = when {
+                value.isNumber && value.fitsInInt() -> value.asInt()
+                value.isString -> slotNames[value.asString()]
+                    ?: throw IllegalArgumentException(
+                        "$fn() unknown slot '${value.asString()}'" +
+                            if (slotNames.isEmpty()) "" else " (expected a number or one of: ${slotNames.keys.joinToString()})"
+                    )
+                else -> throw IllegalArgumentException("$fn() slot must be a number")
+            }
+            if (slot !in 0 until slots.size) {
+                throw IllegalArgumentException("$fn() slot must be between 0 and ${slots.size - 1}, got $slot")
+            }
+            return slot
+        }
+
+        fun itemIdArgument(args: Array<Value>, fn: String): String {
+            val value = args.getOrNull(0)
+            if (value == null || !value.isString) throw IllegalArgumentException("$fn() requires an item id")
+            return ItemData.normalizeId(value.asString())
+        }
+
+        return ProxyObject.fromMap(mapOf(
+            "size" to slots.size,
+
+            "get" to ProxyExecutable { args ->
+                val slot = slotArgument(args, "get")
+                slots.access(write = false) { it[slot] }?.let { itemToJS(it) }
+            },
+
+            "set" to ProxyExecutable { args ->
+                val slot = slotArgument(args, "set")
+                val value = args.getOrNull(1)
+                val item = if (value == null || value.isNull) null else itemFromJS(value, "set")
+                slots.access(write = true) { it[slot] = item }
+                null
+            },
+
+            "find" to ProxyExecutable { args ->
+                val id = itemIdArgument(args, "find")
+                slots.access(write = false) { items -> items.indexOfFirst { it?.id == id } }
+            },
+
+            "count" to ProxyExecutable { args ->
+                val id = itemIdArgument(args, "count")
+                slots.access(write = false) { items -> items.sumOf { if (it?.id == id) it.count else 0 } }
+            },
+
+            "remove" to ProxyExecutable { args ->
+                val id = itemIdArgument(args, "remove")
+                val limit = args.getOrNull(1)?.takeUnless { it.isNull }?.asInt() ?: Int.MAX_VALUE
+                if (limit < 0) throw IllegalArgumentException("remove() count must not be negative")
+                slots.access(write = true) { items ->
+                    var removed = 0
+                    for (i in items.indices) {
+                        val item = items[i] ?: continue
+                        if (item.id != id || removed == limit) continue
+                        val taken = minOf(item.count, limit - removed)
+                        items[i] = if (taken == item.count) null else item.copy(count = item.count - taken)
+                        removed += taken
+                    }
+                    removed
+                }
+            },
+
+            "clear" to ProxyExecutable { _ ->
+                slots.access(write = true) { items ->
+                    var removed = 0
+                    for (i in items.indices) {
+                        removed += items[i]?.count ?: 0
+                        items[i] = null
+                    }
+                    removed
+                }
+            },
+
+            "list" to ProxyExecutable { _ ->
+                val entries = slots.access(write = false) { items ->
+                    items.withIndex().mapNotNull { (slot, item) -> item?.let { itemToJS(it, slot) } }
+                }
+                ProxyArray.fromList(entries)
+            }
+        ) + extra)
+    }
+
+    /**
+     * Create the JavaScript object for an item.
+     *
+     * @param slot Included as `slot` when listing
+     */
+    fun itemToJS(item: ItemData, slot: Int? = null): ProxyObject {
+        val fields = mutableMapOf<String, Any?>(
+            "id" to item.id,
+            "count" to item.count,
+            "components" to toProxy(item.components)
+        )
+        if (slot != null) fields["slot"] = slot
+        return ProxyObject.fromMap(fields)
+    }
+
+    /**
+     * Read an item from JavaScript: an item object (`{ id, count?, components? }`),
+     * an Items.create() builder or an id string.
+     *
+     * @throws IllegalArgumentException if the value isn't an item
+     */
+    fun itemFromJS(value: Value, fn: String): ItemData {
+        if (value.isString) return ItemData(ItemData.normalizeId(value.asString()), 1)
+
+        val build = value.takeIf { it.hasMembers() }?.getMember("build")
+        if (build != null && build.canExecute()) return itemFromJS(build.execute(), fn)
+
+        val id = value.takeIf { it.hasMembers() }?.getMember("id")
+        if (id == null || !id.isString) {
+            throw IllegalArgumentException("$fn() requires an item id or an item object { id, count, components }")
+        }
+        val count = value.getMember("count")?.takeUnless { it.isNull }?.asInt() ?: 1
+        if (count !in 1..ItemData.MAX_COUNT) {
+            throw IllegalArgumentException("$fn() item count must be between 1 and ${ItemData.MAX_COUNT}, got $count")
+        }
+
+        val components = value.getMember("components")?.takeUnless { it.isNull }
+        if (components != null && (!components.hasMembers() || components.hasArrayElements())) {
+            throw IllegalArgumentException("$fn() item components must be an object")
+        }
+        @Suppress("UNCHECKED_CAST")
+        val componentMap = components?.let { jsToKotlin(it) as Map<String, Any?> } ?: emptyMap()
+        return ItemData(ItemData.normalizeId(id.asString()), count, componentMap)
+    }
+
+    private fun toProxy(value: Any?): Any? = when (value) {
+        is Map<*, *> -> ProxyObject.fromMap(value.entries.associate { (key, v) -> key.toString() to toProxy(v) })
+        is List<*> -> ProxyArray.fromList(value.map { toProxy(it) })
+        else -> value
+    }
+
+    private fun jsToKotlin(value: Value): Any? = when {
+        value.isNull -> null
+        value.isBoolean -> value.asBoolean()
+        value.isString -> value.asString()
+        value.isNumber -> when {
+            value.fitsInInt() -> value.asInt()
+            value.fitsInLong() -> value.asLong()
+            else -> value.asDouble()
+        }
+        value.hasArrayElements() -> (0 until value.arraySize).map { jsToKotlin(value.getArrayElement(it)) }
+        value.hasMembers() -> value.memberKeys.associateWith { jsToKotlin(value.getMember(it)) }
+        else -> value.toString()
+    }
+}
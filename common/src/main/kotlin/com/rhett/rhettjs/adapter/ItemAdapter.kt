@@ -0,0 +1,107 @@
+package com.rhett.rhettjs.adapter
+
+import com.google.gson.Gson
+import com.google.gson.JsonArray
+import com.google.gson.JsonElement
+import com.google.gson.JsonObject
+import com.mojang.serialization.JsonOps
+import com.rhett.rhettjs.inventory.ItemData
+import net.minecraft.core.HolderLookup
+import net.minecraft.core.component.DataComponentPatch
+import net.minecraft.core.registries.BuiltInRegistries
+import net.minecraft.core.registries.Registries
+import net.minecraft.resources.ResourceKey
+import net.minecraft.resources.ResourceLocation
+import net.minecraft.world.item.ItemStack
+
+/**
+ * Adapter for converting Minecraft ItemStacks to [ItemData] and back.
+ *
+ * Components are encoded with the game's own codec (the JSON form used by `/give`
+ * and data packs), so every vanilla and modded component round-trips.
+ *
+ * Item object structure (see InventoryAdapter):
+ * ```javascript
+ * {
+ *   id: "minecraft:diamond_sword",
+ *   count: 1,
+ *   components: { "minecraft:damage": 12, "minecraft:custom_name": "\"Sting\"" }
+ * }
+ * ```
+ */
+object ItemAdapter {
+
+    private val gson = Gson()
+
+    /**
+     * Convert a stack to item data.
+     *
+     * @return The item, or null for an empty stack
+     */
+    fun toData(stack: ItemStack, registries: HolderLookup.Provider): ItemData? {
+        if (stack.isEmpty) return null
+        val patch = stack.componentsPatch
+        val components = if (patch.isEmpty) {
+            emptyMap()
+        } else {
+            val json = DataComponentPatch.CODEC
+                .encodeStart(registries.createSerializationContext(JsonOps.INSTANCE), patch)
+                .getOrThrow { IllegalStateException("Failed to encode components of ${stack.item}: $it") }
+            @Suppress("UNCHECKED_CAST")
+            jsonToKotlin(json) as Map<String, Any?>
+        }
+        return ItemData(BuiltInRegistries.ITEM.getKey(stack.item).toString(), stack.count, components)
+    }
+
+    /**
+     * Convert item data to a new stack.
+     *
+     * @param item The item, or null for an empty stack
+     * @throws IllegalArgumentException for unknown items, invalid components or a count above
+     *   the item's max stack size
+     */
+    fun toStack(item: ItemData?, registries: HolderLookup.Provider): ItemStack {
+        if (item == null) return ItemStack.EMPTY
+        val location = ResourceLocation.tryParse(item.id)
+            ?: throw IllegalArgumentException("Invalid item id: ${item.id}")
+        val holder = BuiltInRegistries.ITEM.getHolder(ResourceKey.create(Registries.ITEM, location)).orElse(null)
+            ?: throw IllegalArgumentException("Unknown item: ${item.id}")
+
+        val patch = if (item.components.isEmpty()) {
+            DataComponentPatch.EMPTY
+        } else {
+            DataComponentPatch.CODEC
+                .parse(registries.createSerializationContext(JsonOps.INSTANCE), gson.toJsonTree(item.components))
+                .getOrThrow { IllegalArgumentException("Invalid components for ${item.id}: $it") }
+        }
+        // The max stack size can come from the components, so check it on a single item
+        val stack = ItemStack(holder, 1, patch)
+        require(item.count <= stack.maxStackSize) {
+            "Item count for ${item.id} must be at most ${stack.maxStackSize}, got ${item.count}"
+        }
+        stack.count = item.count
+        return stack
+    }
+
+    /**
+     * Convert JSON to plain Kotlin maps, lists and primitives.
+     * Whole numbers become Int (or Long) so they reach JS as integers.
+     */
+    private fun jsonToKotlin(json: JsonElement): Any? {
+        return when {
+            json.isJsonNull -> null
+            json is JsonObject -> json.entrySet().associate { (key, value) -> key to jsonToKotlin(value) }
+            json is JsonArray -> json.map { jsonToKotlin(it) }
+            json.asJsonPrimitive.isBoolean -> json.asBoolean
+            json.asJsonPrimitive.isNumber -> {
+                val number = json.asBigDecimal
+                when {
+                    number.scale() <= 0 && number.toBigInteger().bitLength() < 32 -> number.toInt()
+                    number.scale() <= 0 && number.toBigInteger().bitLength() < 64 -> number.toLong()
+                    else -> number.toDouble()
+                }
+            }
+            else -> json.asString
+        }
+    }
+}
@@ -1,14 +1,34 @@
 package com.rhett.rhettjs.adapter
 
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.inventory.ItemData
+import net.minecraft.core.Holder
+import net.minecraft.core.registries.BuiltInRegistries
+import net.minecraft.core.registries.Registries
 import net.minecraft.network.chat.Component
+import net.minecraft.network.protocol.game.ClientboundSetActionBarTextPacket
+import net.minecraft.network.protocol.game.ClientboundSetSubtitleTextPacket
+import net.minecraft.network.protocol.game.ClientboundSetTitleTextPacket
+import net.minecraft.network.protocol.game.ClientboundSetTitlesAnimationPacket
+import net.minecraft.network.protocol.game.ClientboundSoundPacket
+import net.minecraft.resources.ResourceKey
+import net.minecraft.resources.ResourceLocation
+import net.minecraft.server.MinecraftServer
 import net.minecraft.server.level.ServerLevel
 import net.minecraft.server.level.ServerPlayer
+import net.minecraft.sounds.SoundEvent
+import net.minecraft.sounds.SoundSource
+import net.minecraft.world.entity.ai.attributes.Attribute
+import net.minecraft.world.entity.ai.attributes.AttributeInstance
+import net.minecraft.world.entity.ai.attributes.AttributeModifier
 import net.minecraft.world.item.ItemStack
 import net.minecraft.world.level.GameType
 import org.graalvm.polyglot.Context
 import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
 import org.graalvm.polyglot.proxy.ProxyExecutable
 import org.graalvm.polyglot.proxy.ProxyObject
+import java.util.UUID
 
 /**
  * Adapter for converting Minecraft ServerPlayer to pure JavaScript objects.
@@ -27,18 +47,45 @@ import org.graalvm.polyglot.proxy.ProxyObject
  *   saturation: number,
  *   gameMode: "survival" | "creative" | "adventure" | "spectator",
  *   isOp: boolean,
+ *   isOnline: boolean,     // False once the player has left
  *   position: { x, y, z, dimension },
+ *   xpLevel: number,
+ *   xpPoints: number,      // Points into the current level
+ *   totalXp: number,
+ *
+ *   // Script data saved with the world, keyed by UUID (see PersistentStore.playerData)
+ *   data: NamespacedStore,
+ *
+ *   // Slots 0-35 main, 36-39 armor, 40 offhand, plus enderChest (see InventoryAdapter)
+ *   inventory: Inventory,
+ *
+ *   // Status effects: add/remove/clear/has/get/list
+ *   effects: Effects,
+ *
+ *   // Attributes: get/getValue/getBase/setBase/addModifier/removeModifier
+ *   attributes: Attributes,
  *
  *   // Methods
  *   sendMessage(msg: string): void,
+ *   title(title: Text, subtitle?: Text, times?: { fadeIn, stay, fadeOut }): void,
+ *   actionBar(text: Text): void,
+ *   playSound(id: string, options?: { volume, pitch, position }): void,
  *   teleport(position: Position): void,
  *   setHealth(amount: number): void,
- *   giveItem(itemId: string, count: number): void,
- *
- *   // Escape hatch
- *   minecraft: ServerPlayer
+ *   setFoodLevel(level: number): void,
+ *   setSaturation(amount: number): void,
+ *   setGameMode(mode: string): boolean,
+ *   setXpLevel(level: number): void,
+ *   setXpPoints(points: number): void,
+ *   addXp(points: number): void,
+ *   addXpLevels(levels: number): void,
+ *   giveItem(item: string | Item | ItemBuilder, count?: number): void
  * }
  * ```
+ *
+ * The object follows the player by UUID, so it stays usable after respawning
+ * (which replaces the Minecraft player). Built-in properties are read-only; other keys
+ * scripts assign are kept on the object.
  */
 object PlayerAdapter {
 
@@ -49,22 +96,60 @@ object PlayerAdapter {
      * This ensures the JS object always reflects the current player state.
      */
     fun toJS(player: ServerPlayer, context: Context): Value {
-        val playerProxy = ProxyObject.fromMap(mapOf(
-            // Properties (read live from player)
-            "name" to player.name.string,
-            "uuid" to player.stringUUID,
-            "isPlayer" to true, // Always true for player objects
-            "health" to player.health.toDouble(),
-            "maxHealth" to player.maxHealth.toDouble(),
-            "foodLevel" to player.foodData.foodLevel,
-            "saturation" to player.foodData.saturationLevel.toDouble(),
-            "gameMode" to gameTypeToString(player.gameMode.gameModeForPlayer),
-            "isOp" to player.hasPermissions(2), // Op level 2+
-            "position" to createPositionObject(player),
-
-            // Methods
+        return context.asValue(PlayerProxy(player))
+    }
+
+    private class PlayerProxy(private var player: ServerPlayer) : ProxyObject {
+
+        private val uuid = player.uuid
+
+        /**
+         * The player, re-resolved by UUID after respawning or changing dimension.
+         */
+        private fun current(): ServerPlayer {
+            if (player.isRemoved) {
+                player.server.playerList.getPlayer(uuid)?.let { player = it }
+            }
+            return player
+        }
+
+        // Stateless views that always act on the current player
+        private val data = GraalEngine.createPlayerDataProxy(uuid)
+        private val effects = effectsToJS { current() }
+        private val attributes = attributesToJS { current() }
+
+        // Keys assigned by scripts
+        private val extras = mutableMapOf<String, Any?>()
+
+        override fun getMember(key: String): Any? {
+            val player = current()
+            return when (key) {
+                "name" -> player.name.string
+                "uuid" -> player.stringUUID
+                "isPlayer" -> true // Always true for player objects
+                "health" -> player.health.toDouble()
+                "maxHealth" -> player.maxHealth.toDouble()
+                "foodLevel" -> player.foodData.foodLevel
+                "saturation" -> player.foodData.saturationLevel.toDouble()
+                "gameMode" -> gameTypeToString(player.gameMode.gameModeForPlayer)
+                "isOp" -> player.hasPermissions(2) // Op level 2+
+                "isOnline" -> player.server.playerList.getPlayer(uuid) != null
+                "position" -> createPositionObject(player)
+                "xpLevel" -> player.experienceLevel
+                "xpPoints" -> (player.experienceProgress * player.xpNeededForNextLevel).toInt()
+                "totalXp" -> player.totalExperience
+                "data" -> data
+                "inventory" -> InventoryAdapter.forPlayer(player)
+                "effects" -> effects
+                "attributes" -> attributes
+                else -> methods[key] ?: extras[key]
+            }
+        }
+
+        private val methods: Map<String, ProxyExecutable> = mapOf(
             "sendMessage" to ProxyExecutable { args ->
                 if (args.isEmpty()) return@ProxyExecutable null
+                val player = current()
                 val message = args[0].asString()
                 player.sendSystemMessage(Component.literal(message))
                 null
@@ -72,6 +157,7 @@ object PlayerAdapter {
 
             "sendSuccess" to ProxyExecutable { args ->
                 if (args.isEmpty()) return@ProxyExecutable null
+                val player = current()
                 val message = args[0].asString()
                 player.sendSystemMessage(Component.literal("§a$message"))
                 null
@@ -79,6 +165,7 @@ object PlayerAdapter {
 
             "sendError" to ProxyExecutable { args ->
                 if (args.isEmpty()) return@ProxyExecutable null
+                val player = current()
                 val message = args[0].asString()
                 player.sendSystemMessage(Component.literal("§c$message"))
                 null
@@ -86,6 +173,7 @@ object PlayerAdapter {
 
             "sendWarning" to ProxyExecutable { args ->
                 if (args.isEmpty()) return@ProxyExecutable null
+                val player = current()
                 val message = args[0].asString()
                 player.sendSystemMessage(Component.literal("§e$message"))
                 null
@@ -93,6 +181,7 @@ object PlayerAdapter {
 
             "sendInfo" to ProxyExecutable { args ->
                 if (args.isEmpty()) return@ProxyExecutable null
+                val player = current()
                 val message = args[0].asString()
                 player.sendSystemMessage(Component.literal("§7$message"))
                 null
@@ -100,6 +189,7 @@ object PlayerAdapter {
 
             "sendRaw" to ProxyExecutable { args ->
                 if (args.isEmpty()) return@ProxyExecutable null
+                val player = current()
                 val json = args[0].asString()
                 try {
                     val component = Component.Serializer.fromJson(json, player.server.registryAccess())
@@ -112,8 +202,63 @@ object PlayerAdapter {
                 null
             },
 
+            "title" to ProxyExecutable { args ->
+                val title = args.getOrNull(0)?.takeUnless { it.isNull }
+                    ?: throw IllegalArgumentException("title() requires title text ('' to show only a subtitle)")
+                val subtitle = args.getOrNull(1)?.takeUnless { it.isNull }
+                val times = args.getOrNull(2)?.takeIf { it.hasMembers() }
+                // Same defaults as /title (ticks)
+                fun ticks(key: String, default: Int): Int {
+                    val value = times?.getMember(key)?.takeUnless { it.isNull }?.asInt() ?: default
+                    if (value < 0) throw IllegalArgumentException("title() $key must be 0 or more ticks")
+                    return value
+                }
+                val animation = ClientboundSetTitlesAnimationPacket(ticks("fadeIn", 10), ticks("stay", 70), ticks("fadeOut", 20))
+
+                val connection = current().connection
+                connection.send(animation)
+                // The client shows the last subtitle with the next title, so always replace it
+                connection.send(ClientboundSetSubtitleTextPacket(subtitle?.let { GraalEngine.textComponent(it) } ?: Component.empty()))
+                connection.send(ClientboundSetTitleTextPacket(GraalEngine.textComponent(title)))
+                null
+            },
+
+            "actionBar" to ProxyExecutable { args ->
+                val text = args.getOrNull(0)?.takeUnless { it.isNull }
+                    ?: throw IllegalArgumentException("actionBar() requires text or a text component")
+                current().connection.send(ClientboundSetActionBarTextPacket(GraalEngine.textComponent(text)))
+                null
+            },
+
+            "playSound" to ProxyExecutable { args ->
+                val id = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                    ?: throw IllegalArgumentException("playSound() requires a sound id")
+                val location = ResourceLocation.tryParse(id)
+                    ?: throw IllegalArgumentException("Invalid sound id: $id")
+                val options = args.getOrNull(1)?.takeIf { it.hasMembers() }
+                fun option(key: String) = options?.getMember(key)?.takeUnless { it.isNull }
+
+                // Same ranges as /playsound
+                val volume = option("volume")?.asDouble()?.toFloat() ?: 1f
+                if (volume < 0f) throw IllegalArgumentException("playSound() volume must be 0 or more")
+                val pitch = option("pitch")?.asDouble()?.toFloat() ?: 1f
+                if (pitch !in 0f..2f) throw IllegalArgumentException("playSound() pitch must be between 0 and 2")
+
+                val player = current()
+                val position = option("position")
+                val x = position?.getMember("x")?.asDouble() ?: player.x
+                val y = position?.getMember("y")?.asDouble() ?: player.y
+                val z = position?.getMember("z")?.asDouble() ?: player.z
+
+                // Like /playsound, any id works, including sounds added by resource packs
+                val sound = Holder.direct(SoundEvent.createVariableRangeEvent(location))
+                player.connection.send(ClientboundSoundPacket(sound, SoundSource.MASTER, x, y, z, volume, pitch, player.random.nextLong()))
+                null
+            },
+
             "teleport" to ProxyExecutable { args ->
                 if (args.isEmpty()) return@ProxyExecutable null
+                val player = current()
 
                 val posArg = args[0]
                 if (!posArg.hasMembers()) {
@@ -144,6 +289,7 @@ object PlayerAdapter {
 
             "setHealth" to ProxyExecutable { args ->
                 if (args.isEmpty()) return@ProxyExecutable null
+                val player = current()
                 val amount = args[0].asDouble().toFloat()
                 player.health = amount
                 null
@@ -151,6 +297,17 @@ object PlayerAdapter {
 
             "giveItem" to ProxyExecutable { args ->
                 if (args.isEmpty()) return@ProxyExecutable null
+                val player = current()
+
+                if (!args[0].isString) {
+                    // Item object or Items.create() builder; an explicit count overrides the item's
+                    val item = InventoryAdapter.itemFromJS(args[0], "giveItem")
+                    val count = if (args.size > 1) args[1].asInt() else item.count
+                    // The count is an amount to give, not a stack size; inventory.add() splits it
+                    val stack = ItemAdapter.toStack(item.copy(count = 1), player.registryAccess()).copyWithCount(count)
+                    player.inventory.add(stack)
+                    return@ProxyExecutable null
+                }
 
                 val itemId = args[0].asString()
                 val count = if (args.size > 1) args[1].asInt() else 1
@@ -165,13 +322,231 @@ object PlayerAdapter {
                     player.inventory.add(stack)
                 }
                 null
+            },
+
+            "setFoodLevel" to ProxyExecutable { args ->
+                val level = args.getOrNull(0)?.takeIf { it.isNumber }?.asInt()
+                    ?: throw IllegalArgumentException("setFoodLevel() requires a number")
+                current().foodData.foodLevel = level.coerceIn(0, 20)
+                null
+            },
+
+            "setSaturation" to ProxyExecutable { args ->
+                val amount = args.getOrNull(0)?.takeIf { it.isNumber }?.asDouble()?.toFloat()
+                    ?: throw IllegalArgumentException("setSaturation() requires a number")
+                val food = current().foodData
+                // Saturation never exceeds the food level in vanilla
+                food.setSaturation(amount.coerceIn(0f, food.foodLevel.toFloat()))
+                null
+            },
+
+            "setGameMode" to ProxyExecutable { args ->
+                val mode = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                val gameType = mode?.let { GameType.byName(it.lowercase(), null) }
+                    ?: throw IllegalArgumentException("setGameMode() requires survival, creative, adventure or spectator")
+                current().setGameMode(gameType)
+            },
+
+            "setXpLevel" to ProxyExecutable { args ->
+                val level = args.getOrNull(0)?.takeIf { it.isNumber }?.asInt()
+                    ?: throw IllegalArgumentException("setXpLevel() requires a number")
+                if (level < 0) throw IllegalArgumentException("setXpLevel() requires a level of 0 or more")
+                current().setExperienceLevels(level)
+                null
+            },
+
+            "setXpPoints" to ProxyExecutable { args ->
+                val points = args.getOrNull(0)?.takeIf { it.isNumber }?.asInt()
+                    ?: throw IllegalArgumentException("setXpPoints() requires a number")
+                val player = current()
+                // Like /xp set points: points into the current level
+                if (points < 0 || points >= player.xpNeededForNextLevel) {
+                    throw IllegalArgumentException("setXpPoints() requires 0 to ${player.xpNeededForNextLevel - 1} at level ${player.experienceLevel}")
+                }
+                player.setExperiencePoints(points)
+                null
+            },
+
+            "addXp" to ProxyExecutable { args ->
+                val points = args.getOrNull(0)?.takeIf { it.isNumber }?.asInt()
+                    ?: throw IllegalArgumentException("addXp() requires a number")
+                current().giveExperiencePoints(points)
+                null
+            },
+
+            "addXpLevels" to ProxyExecutable { args ->
+                val levels = args.getOrNull(0)?.takeIf { it.isNumber }?.asInt()
+                    ?: throw IllegalArgumentException("addXpLevels() requires a number")
+                current().giveExperienceLevels(levels)
+                null
             }
 
             // NOTE: Removed "minecraft" escape hatch - causes stack overflow due to circular references
             // If needed, expose specific MC methods via additional proxy methods instead
+        )
+
+        override fun getMemberKeys(): Any = ProxyArray.fromList(PLAYER_KEYS + methods.keys + extras.keys)
+
+        override fun hasMember(key: String): Boolean = key in PLAYER_KEYS || key in methods || key in extras
+
+        override fun putMember(key: String, value: Value?) {
+            if (key in PLAYER_KEYS || key in methods) {
+                throw UnsupportedOperationException("Player property '$key' is read-only; use the set methods instead")
+            }
+            extras[key] = value
+        }
+
+        override fun removeMember(key: String): Boolean = extras.remove(key) != null
+    }
+
+    private val PLAYER_KEYS = listOf(
+        "name", "uuid", "isPlayer", "health", "maxHealth", "foodLevel", "saturation", "gameMode", "isOp",
+        "isOnline", "position", "xpLevel", "xpPoints", "totalXp", "data", "inventory", "effects", "attributes"
+    )
+
+    /**
+     * Status effects of a player.
+     */
+    private fun effectsToJS(player: () -> ServerPlayer): ProxyObject {
+        fun effectId(args: Array<Value>, fn: String) = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+            ?: throw IllegalArgumentException("$fn() requires an effect id")
+
+        return ProxyObject.fromMap(mapOf(
+            "add" to ProxyExecutable { args ->
+                player().addEffect(EntityAdapter.effectInstance(effectId(args, "add"), args.getOrNull(1)))
+            },
+            "remove" to ProxyExecutable { args ->
+                player().removeEffect(EntityAdapter.effectHolder(effectId(args, "remove")))
+            },
+            "clear" to ProxyExecutable { _ ->
+                player().removeAllEffects()
+            },
+            "has" to ProxyExecutable { args ->
+                player().hasEffect(EntityAdapter.effectHolder(effectId(args, "has")))
+            },
+            "get" to ProxyExecutable { args ->
+                player().getEffect(EntityAdapter.effectHolder(effectId(args, "get")))?.let { EntityAdapter.effectToJS(it) }
+            },
+            "list" to ProxyExecutable { _ ->
+                ProxyArray.fromList(player().activeEffects.map { EntityAdapter.effectToJS(it) })
+            }
+        ))
+    }
+
+    /**
+     * Attributes of a player. Ids may omit the namespace and, for vanilla attributes, the
+     * "generic." / "player." prefix ("max_health" finds "minecraft:generic.max_health").
+     * Modifiers are permanent (saved with the player) and replace modifiers with the same id.
+     */
+    private fun attributesToJS(player: () -> ServerPlayer): ProxyObject {
+        fun instance(args: Array<Value>, fn: String): AttributeInstance {
+            val id = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                ?: throw IllegalArgumentException("$fn() requires an attribute id")
+            return player().getAttribute(attributeHolder(id))
+                ?: throw IllegalArgumentException("Players don't have attribute $id")
+        }
+
+        fun modifierId(value: Value?, fn: String): ResourceLocation {
+            val id = value?.takeIf { it.isString }?.asString()
+                ?: throw IllegalArgumentException("$fn() requires a modifier id")
+            return ResourceLocation.tryParse(ItemData.normalizeId(id))
+                ?: throw IllegalArgumentException("Invalid modifier id: $id")
+        }
+
+        return ProxyObject.fromMap(mapOf(
+            "get" to ProxyExecutable { args ->
+                val attribute = instance(args, "get")
+                ProxyObject.fromMap(mapOf(
+                    "id" to attribute.attribute.registeredName,
+                    "base" to attribute.baseValue,
+                    "value" to attribute.value,
+                    "modifiers" to ProxyArray.fromList(attribute.modifiers.map { modifier ->
+                        ProxyObject.fromMap(mapOf(
+                            "id" to modifier.id.toString(),
+                            "amount" to modifier.amount,
+                            "operation" to modifier.operation.serializedName
+                        ))
+                    })
+                ))
+            },
+            "getValue" to ProxyExecutable { args ->
+                instance(args, "getValue").value
+            },
+            "getBase" to ProxyExecutable { args ->
+                instance(args, "getBase").baseValue
+            },
+            "setBase" to ProxyExecutable { args ->
+                val attribute = instance(args, "setBase")
+                val value = args.getOrNull(1)?.takeIf { it.isNumber }?.asDouble()
+                    ?: throw IllegalArgumentException("setBase() requires a value")
+                attribute.baseValue = value
+                null
+            },
+            "addModifier" to ProxyExecutable { args ->
+                val attribute = instance(args, "addModifier")
+                val id = modifierId(args.getOrNull(1), "addModifier")
+                val amount = args.getOrNull(2)?.takeIf { it.isNumber }?.asDouble()
+                    ?: throw IllegalArgumentException("addModifier() requires an amount")
+                val operationName = args.getOrNull(3)?.takeUnless { it.isNull }?.asString() ?: "add_value"
+                val operation = AttributeModifier.Operation.entries.firstOrNull { it.serializedName == operationName }
+                    ?: throw IllegalArgumentException(
+                        "Invalid operation '$operationName': use add_value, add_multiplied_base or add_multiplied_total"
+                    )
+                attribute.removeModifier(id)
+                attribute.addPermanentModifier(AttributeModifier(id, amount, operation))
+                null
+            },
+            "removeModifier" to ProxyExecutable { args ->
+                val attribute = instance(args, "removeModifier")
+                attribute.removeModifier(modifierId(args.getOrNull(1), "removeModifier"))
+            }
         ))
+    }
 
-        return context.asValue(playerProxy)
+    private fun attributeHolder(id: String): Holder<Attribute> {
+        val location = ResourceLocation.tryParse(ItemData.normalizeId(id))
+            ?: throw IllegalArgumentException("Invalid attribute id: $id")
+        val candidates = if (location.namespace == "minecraft" && '.' !in location.path) {
+            listOf(location, location.withPrefix("generic."), location.withPrefix("player."))
+        } else {
+            listOf(location)
+        }
+        return candidates.firstNotNullOfOrNull { candidate ->
+            BuiltInRegistries.ATTRIBUTE.getHolder(ResourceKey.create(Registries.ATTRIBUTE, candidate)).orElse(null)
+        } ?: throw IllegalArgumentException("Unknown attribute: $id")
+    }
+
+    /**
+     * Create a JavaScript object for a player who isn't online.
+     * Only identity, `data` and the saved inventory are available; live stats and methods
+     * need the player online.
+     *
+     * @param name Last known name, or null if the server never saw the player
+     * @param server Used to reach the saved inventory; without it `inventory` is null
+     */
+    fun toOfflineJS(uuid: UUID, name: String?, context: Context, server: MinecraftServer? = null): Value {
+        return context.asValue(ProxyObject.fromMap(mapOf(
+            "name" to name,
+            "uuid" to uuid.toString(),
+            "isPlayer" to true,
+            "isOnline" to false,
+            "data" to GraalEngine.createPlayerDataProxy(uuid),
+            // Null if the player never joined this world
+            "inventory" to server?.let { InventoryAdapter.forOfflinePlayer(it, uuid) }
+        )))
+    }
+
+    /**
+     * Name or UUID of a player argument: a player object or a player name/UUID string.
+     */
+    fun nameOrUuid(value: Value?, fn: String): String {
+        return when {
+            value == null || value.isNull -> null
+            value.isString -> value.asString()
+            value.hasMember("uuid") -> value.getMember("uuid").asString()
+            else -> null
+        }?.takeIf { it.isNotEmpty() }
+            ?: throw IllegalArgumentException("$fn() requires a player or player name")
     }
 
     /**
@@ -0,0 +1,41 @@
+package com.rhett.rhettjs.adapter
+
+import com.rhett.rhettjs.regions.Region
+import com.rhett.rhettjs.regions.RegionFlag
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyObject
+
+/**
+ * Adapter for converting regions to pure JavaScript objects.
+ *
+ * Region object structure:
+ * ```javascript
+ * {
+ *   name: string,
+ *   dimension: string,
+ *   min: { x: number, y: number, z: number },
+ *   max: { x: number, y: number, z: number },
+ *   priority: number,
+ *   flags: { break: boolean, place: boolean, interact: boolean, pvp: boolean, mobSpawn: boolean },
+ *   owners: string[],          // UUIDs
+ *   members: string[]          // UUIDs
+ * }
+ * ```
+ * Flags are the effective values (defaults filled in).
+ */
+object RegionAdapter {
+
+    fun toJS(region: Region): ProxyObject {
+        val area = region.area
+        return ProxyObject.fromMap(mapOf(
+            "name" to region.name,
+            "dimension" to area.dimension,
+            "min" to ProxyObject.fromMap(mapOf("x" to area.minX, "y" to area.minY, "z" to area.minZ)),
+            "max" to ProxyObject.fromMap(mapOf("x" to area.maxX, "y" to area.maxY, "z" to area.maxZ)),
+            "priority" to region.priority,
+            "flags" to ProxyObject.fromMap(RegionFlag.entries.associate { it.id to region.allows(it) }),
+            "owners" to ProxyArray.fromList(region.owners.map { it.toString() }.sorted()),
+            "members" to ProxyArray.fromList(region.members.map { it.toString() }.sorted())
+        ))
+    }
+}
@@ -0,0 +1,98 @@
+package com.rhett.rhettjs.adapter
+
+import com.rhett.rhettjs.scoreboard.ScoreboardManager
+import net.minecraft.world.scores.Objective
+import net.minecraft.world.scores.PlayerTeam
+import net.minecraft.world.scores.Team
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyObject
+
+/**
+ * Adapter for converting scoreboard objectives and teams to pure JavaScript objects.
+ *
+ * Objective object structure:
+ * ```javascript
+ * {
+ *   name: string,
+ *   displayName: string,
+ *   criterion: string,          // e.g. "dummy"
+ *   displaySlots: string[]      // e.g. ["sidebar"]
+ * }
+ * ```
+ *
+ * Team object structure:
+ * ```javascript
+ * {
+ *   name: string,
+ *   displayName: string,
+ *   color: string,              // e.g. "red", "reset" for none
+ *   prefix: string,
+ *   suffix: string,
+ *   friendlyFire: boolean,
+ *   seeFriendlyInvisibles: boolean,
+ *   nameTagVisibility: string,  // "always", "never", "hideForOtherTeams", "hideForOwnTeam"
+ *   collision: string,          // "always", "never", "pushOtherTeams", "pushOwnTeam"
+ *   members: string[]
+ * }
+ * ```
+ */
+object ScoreboardAdapter {
+
+    fun objectiveToJS(objective: Objective): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "name" to objective.name,
+            "displayName" to objective.displayName.string,
+            "criterion" to objective.criteria.name,
+            "displaySlots" to ProxyArray.fromList(ScoreboardManager.displaySlots(objective.name))
+        ))
+    }
+
+    fun teamToJS(team: PlayerTeam): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "name" to team.name,
+            "displayName" to team.displayName.string,
+            "color" to team.color.getName(),
+            "prefix" to team.playerPrefix.string,
+            "suffix" to team.playerSuffix.string,
+            "friendlyFire" to team.isAllowFriendlyFire,
+            "seeFriendlyInvisibles" to team.canSeeFriendlyInvisibles(),
+            "nameTagVisibility" to visibilityToString(team.nameTagVisibility),
+            "collision" to collisionToString(team.collisionRule),
+            "members" to ProxyArray.fromList(team.players.sorted())
+        ))
+    }
+
+    /**
+     * Scoreboard name of a score holder or team member: a player object (its name), an entity
+     * object (its UUID, as vanilla does) or a plain string (player name or fake player).
+     */
+    fun holderName(value: Value?, fn: String): String {
+        return when {
+            value == null || value.isNull -> null
+            value.isString -> value.asString()
+            value.hasMember("isPlayer") && value.getMember("isPlayer").asBoolean() -> value.getMember("name").asString()
+            value.hasMember("uuid") -> value.getMember("uuid").asString()
+            else -> null
+        }?.takeIf { it.isNotEmpty() }
+            ?: throw IllegalArgumentException("$fn() requires a player, entity or score holder name")
+    }
+
+    private fun visibilityToString(visibility: Team.Visibility): String {
+        return when (visibility) {
+            Team.Visibility.ALWAYS -> "always"
+            Team.Visibility.NEVER -> "never"
+            Team.Visibility.HIDE_FOR_OTHER_TEAMS -> "hideForOtherTeams"
+            Team.Visibility.HIDE_FOR_OWN_TEAM -> "hideForOwnTeam"
+        }
+    }
+
+    private fun collisionToString(rule: Team.CollisionRule): String {
+        return when (rule) {
+            Team.CollisionRule.ALWAYS -> "always"
+            Team.CollisionRule.NEVER -> "never"
+            Team.CollisionRule.PUSH_OTHER_TEAMS -> "pushOtherTeams"
+            Team.CollisionRule.PUSH_OWN_TEAM -> "pushOwnTeam"
+        }
+    }
+}
@@ -0,0 +1,29 @@
+package com.rhett.rhettjs.adapter
+
+import com.rhett.rhettjs.zones.Zone
+import org.graalvm.polyglot.proxy.ProxyObject
+
+/**
+ * Adapter for converting zones to pure JavaScript objects.
+ *
+ * Zone object structure:
+ * ```javascript
+ * {
+ *   name: string,
+ *   dimension: string,
+ *   min: { x: number, y: number, z: number },
+ *   max: { x: number, y: number, z: number }
+ * }
+ * ```
+ */
+object ZoneAdapter {
+
+    fun toJS(zone: Zone): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "name" to zone.name,
+            "dimension" to zone.dimension,
+            "min" to ProxyObject.fromMap(mapOf("x" to zone.minX, "y" to zone.minY, "z" to zone.minZ)),
+            "max" to ProxyObject.fromMap(mapOf("x" to zone.maxX, "y" to zone.maxY, "z" to zone.maxZ))
+        ))
+    }
+}
@@ -0,0 +1,219 @@
+package com.rhett.rhettjs.api
+
+import com.google.gson.GsonBuilder
+import com.google.gson.JsonObject
+import com.google.gson.JsonParser
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.AtomicMoveNotSupportedException
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.StandardCopyOption
+import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
+import kotlin.io.path.exists
+import kotlin.io.path.extension
+
+/**
+ * Key-value store saved with the world.
+ *
+ * Each namespace is a JSON file in `<world>/rhettjs/store/<namespace>.json`; per-player data
+ * ([playerData]) lives in `<world>/rhettjs/store/players/<uuid>.json`. Values are
+ * kept as JSON text (the JS binding converts with JSON.stringify/JSON.parse), so only
+ * JSON-compatible data is stored and every read returns a fresh copy.
+ *
+ * Lifecycle:
+ * - [load] on server start reads all namespace files
+ * - [flush] on autosave writes namespaces changed since the last flush
+ * - [unload] on shutdown flushes and forgets the world
+ *
+ * Namespaces can be used before [load] (server scripts run at mod init); values from disk
+ * then replace in-memory values with the same key. Files are replaced atomically, so a
+ * crash mid-write leaves the previous version intact.
+ *
+ * JavaScript usage:
+ * ```javascript
+ * const homes = Store.persistent('homes');
+ * homes.set(player.uuid, { x: 100, y: 64, z: 200, dimension: 'minecraft:overworld' });
+ * ```
+ */
+object PersistentStore {
+
+    private const val STORE_DIR = "rhettjs/store"
+    private const val PLAYERS_PREFIX = "players/"
+    private val NAMESPACE_PATTERN = Regex("^[a-z0-9_.-]+$")
+
+    private val gson = GsonBuilder().setPrettyPrinting().disableHtmlEscaping().create()
+
+    private val dirty = ConcurrentHashMap.newKeySet<String>()
+
+    // Same layout as StoreAPI: "namespace:key" -> JSON text
+    private val backend = StoreBackend(persistent = true) { dirty.add(it) }
+
+    @Volatile
+    private var storeDir: Path? = null
+
+    /**
+     * Get a persistent namespace.
+     *
+     * @param namespace Lowercase letters, digits, '_', '-' and '.' (it becomes a file name)
+     * @throws IllegalArgumentException for invalid namespace names
+     */
+    fun namespace(namespace: String): NamespacedStore {
+        if (!NAMESPACE_PATTERN.matches(namespace)) {
+            throw IllegalArgumentException(
+                "Invalid persistent namespace '$namespace': use lowercase letters, digits, '_', '-' and '.'"
+            )
+        }
+        return NamespacedStore(namespace, backend)
+    }
+
+    /**
+     * Get a player's data store (`player.data` in JS).
+     * Keyed by UUID, so it survives name changes.
+     */
+    fun playerData(uuid: UUID): NamespacedStore {
+        return NamespacedStore("$PLAYERS_PREFIX$uuid", backend)
+    }
+
+    /**
+     * Check whether a player has any stored data.
+     */
+    fun hasPlayerData(uuid: UUID): Boolean {
+        return playerData(uuid).size() > 0
+    }
+
+    /**
+     * Get all persistent namespaces with data (excluding player data).
+     */
+    fun namespaces(): List<String> {
+        return backend.namespaces().filterNot { it.startsWith(PLAYERS_PREFIX) }
+    }
+
+    /**
+     * Load all namespaces saved in a world.
+     *
+     * @param worldDir The world save directory
+     */
+    @Synchronized
+    fun load(worldDir: Path) {
+        val dir = worldDir.resolve(STORE_DIR)
+        storeDir = dir
+        if (!dir.exists()) {
+            ConfigManager.debug("[PersistentStore] No saved data at $dir")
+            return
+        }
+
+        var loaded = 0
+        // Namespace files plus players/<uuid>.json
+        Files.walk(dir, 2).use { files ->
+            files.filter { Files.isRegularFile(it) && it.extension == "json" }.forEach { file ->
+                val namespace = dir.relativize(file).joinToString("/").removeSuffix(".json")
+                if (loadNamespace(namespace, file)) loaded++
+            }
+        }
+        RhettJSCommon.LOGGER.info("[RhettJS] Loaded $loaded persistent store namespace(s)")
+    }
+
+    private fun loadNamespace(namespace: String, file: Path): Boolean {
+        return try {
+            val json = JsonParser.parseString(Files.readString(file)).asJsonObject
+            // Loaded values are not changes: no watchers, no dirty flag
+            json.entrySet().forEach { (key, value) ->
+                backend.storage["$namespace:$key"] = gson.toJson(value)
+            }
+            ConfigManager.debug("[PersistentStore] Loaded '$namespace' (${json.size()} keys)")
+            true
+        } catch (e: Exception) {
+            // Keep the broken file for manual recovery instead of overwriting it on next flush
+            val corrupt = file.resolveSibling("${file.fileName}.corrupt")
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to load persistent store '$namespace', moved to ${corrupt.fileName}", e)
+            try {
+                Files.move(file, corrupt, StandardCopyOption.REPLACE_EXISTING)
+            } catch (moveError: Exception) {
+                RhettJSCommon.LOGGER.error("[RhettJS] Failed to move corrupt store file $file", moveError)
+            }
+            false
+        }
+    }
+
+    /**
+     * Write namespaces changed since the last flush.
+     * Does nothing until a world has been loaded.
+     *
+     * @return Number of namespaces written
+     */
+    @Synchronized
+    fun flush(): Int {
+        val dir = storeDir ?: return 0
+        if (dirty.isEmpty()) return 0
+
+        Files.createDirectories(dir)
+        var written = 0
+        dirty.toList().forEach { namespace ->
+            dirty.remove(namespace)
+            try {
+                writeNamespace(dir, namespace)
+                written++
+            } catch (e: Exception) {
+                // Retry on next flush
+                dirty.add(namespace)
+                RhettJSCommon.LOGGER.error("[RhettJS] Failed to save persistent store '$namespace'", e)
+            }
+        }
+        ConfigManager.debug("[PersistentStore] Flushed $written namespace(s)")
+        return written
+    }
+
+    private fun writeNamespace(dir: Path, namespace: String) {
+        val file = dir.resolve("$namespace.json")
+        val entries = NamespacedStore(namespace, backend).entries()
+
+        if (entries.isEmpty()) {
+            Files.deleteIfExists(file)
+            return
+        }
+
+        val json = JsonObject()
+        entries.toSortedMap().forEach { (key, value) ->
+            json.add(key, JsonParser.parseString(value as String))
+        }
+
+        Files.createDirectories(file.parent)
+        val temp = file.resolveSibling("${file.fileName}.tmp")
+        Files.writeString(temp, gson.toJson(json))
+        try {
+            Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE)
+        } catch (e: AtomicMoveNotSupportedException) {
+            Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING)
+        }
+    }
+
+    /**
+     * Flush and forget the current world (server stopping).
+     */
+    @Synchronized
+    fun unload() {
+        flush()
+        storeDir = null
+        backend.storage.clear()
+        dirty.clear()
+        ConfigManager.debug("[PersistentStore] Unloaded")
+    }
+
+    /**
+     * Remove all watchers (their JS functions belong to a closed context after reload).
+     */
+    fun clearWatchers() {
+        backend.clearWatchers()
+    }
+
+    /**
+     * Remove the watchers a script registered (that script is reloading or was a test file).
+     *
+     * @return Number of watchers removed
+     */
+    fun removeWatchersOwnedBy(owner: String): Int {
+        return backend.removeWatchersOwnedBy(owner)
+    }
+}
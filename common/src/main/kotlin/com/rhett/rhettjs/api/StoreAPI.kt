@@ -1,11 +1,15 @@
 package com.rhett.rhettjs.api
 
+import com.rhett.rhettjs.RhettJSCommon
+import org.graalvm.polyglot.Value
 import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.CopyOnWriteArrayList
 
 /**
  * Ephemeral key-value store API for sharing data across script executions.
  * Data persists in memory until server restart or explicit clear.
  * Thread-safe for use from any script context.
+ * For data that must survive restarts, see [PersistentStore].
  *
  * Use cases:
  * - Store player selections (positions, blocks, etc.)
@@ -32,12 +36,19 @@ import java.util.concurrent.ConcurrentHashMap
  *
  * // Clear only this namespace
  * positions.clear();
+ *
+ * // React to changes made by any script
+ * const stop = positions.watch('*', ({ key, value, reason }) => console.log(key, reason));
+ *
+ * // Expire after 100 ticks; atomic read-modify-write
+ * cooldowns.set(player.uuid, true, { ttlTicks: 100 });
+ * counters.increment('kills');
  * ```
  */
 object StoreAPI {
 
     // Thread-safe storage backing - stores namespaced keys as "namespace:key"
-    private val storage = ConcurrentHashMap<String, Any?>()
+    private val backend = StoreBackend(persistent = false)
 
     /**
      * Create a namespaced store for organizing related data.
@@ -47,7 +58,7 @@ object StoreAPI {
      * @return A NamespacedStore instance scoped to this namespace
      */
     fun namespace(namespace: String): NamespacedStore {
-        return NamespacedStore(namespace, storage)
+        return NamespacedStore(namespace, backend)
     }
 
     /**
@@ -56,10 +67,7 @@ object StoreAPI {
      * @return List of namespace names
      */
     fun namespaces(): List<String> {
-        return storage.keys().toList()
-            .mapNotNull { it.substringBefore(':', missingDelimiterValue = "") }
-            .filter { it.isNotEmpty() }
-            .distinct()
+        return backend.namespaces()
     }
 
     /**
@@ -67,7 +75,7 @@ object StoreAPI {
      * Use with caution - this wipes everything.
      */
     fun clearAll() {
-        storage.clear()
+        backend.clearAll()
     }
 
     /**
@@ -76,7 +84,220 @@ object StoreAPI {
      * @return Total count of stored keys
      */
     fun size(): Int {
-        return storage.size
+        return backend.size()
+    }
+
+    /**
+     * Advance the store clock by one tick, expiring keys whose TTL ran out.
+     * Called once per server tick from TickScheduler.
+     */
+    fun tick() {
+        backend.tick()
+    }
+
+    /**
+     * Remove all watchers (their JS functions belong to a closed context after reload).
+     * Stored values are kept.
+     */
+    fun clearWatchers() {
+        backend.clearWatchers()
+    }
+
+    /**
+     * Remove the watchers a script registered (that script is reloading or was a test file).
+     *
+     * @return Number of watchers removed
+     */
+    fun removeWatchersOwnedBy(owner: String): Int {
+        return backend.removeWatchersOwnedBy(owner)
+    }
+}
+
+/**
+ * A change to a store key, delivered to watchers.
+ *
+ * @param value New value (null when removed)
+ * @param oldValue Previous value (null when newly created)
+ * @param reason "set", "delete", "clear" or "expire"
+ */
+data class StoreChange(
+    val namespace: String,
+    val key: String,
+    val value: Any?,
+    val oldValue: Any?,
+    val reason: String
+)
+
+/**
+ * Shared state behind a family of namespaced stores: values, TTL expiries and watchers.
+ * StoreAPI and PersistentStore each own one.
+ *
+ * All writes go through a single lock, so read-modify-write helpers ([NamespacedStore.update],
+ * [NamespacedStore.increment]) can't interleave with other writes. Watchers run on the
+ * writing thread after the write, outside the lock.
+ *
+ * @param persistent Values are JSON text (PersistentStore); TTLs are not supported
+ * @param onChange Called with the namespace after any write
+ */
+class StoreBackend(
+    val persistent: Boolean,
+    private val onChange: ((String) -> Unit)? = null
+) {
+
+    private class Watcher(val namespace: String, val key: String?, val owner: String?, val handler: (StoreChange) -> Unit)
+
+    // "namespace:key" -> value
+    internal val storage = ConcurrentHashMap<String, Any?>()
+
+    // "namespace:key" -> tick at which the key expires
+    private val expiries = ConcurrentHashMap<String, Long>()
+
+    private val watchers = CopyOnWriteArrayList<Watcher>()
+
+    internal val lock = Any()
+
+    @Volatile
+    private var currentTick = 0L
+
+    fun namespaces(): List<String> {
+        return storage.keys().toList()
+            .map { it.substringBefore(':') }
+            .filter { it.isNotEmpty() }
+            .distinct()
+    }
+
+    fun size(): Int = storage.size
+
+    fun clearAll() {
+        namespaces().forEach { clear(it) }
+    }
+
+    internal fun set(namespace: String, key: String, value: Any?, ttlTicks: Int?) {
+        // ConcurrentHashMap can't hold null; storing null removes the key
+        if (value == null) {
+            delete(namespace, key)
+            return
+        }
+        if (ttlTicks != null) {
+            if (persistent) {
+                throw IllegalArgumentException("ttlTicks is not supported for persistent stores")
+            }
+            if (ttlTicks <= 0) {
+                throw IllegalArgumentException("ttlTicks must be positive, got $ttlTicks")
+            }
+        }
+
+        val qualified = "$namespace:$key"
+        val oldValue = synchronized(lock) {
+            val old = storage.put(qualified, value)
+            if (ttlTicks != null) {
+                expiries[qualified] = currentTick + ttlTicks
+            } else {
+                expiries.remove(qualified)
+            }
+            old
+        }
+        changed(StoreChange(namespace, key, value, oldValue, "set"))
+    }
+
+    internal fun delete(namespace: String, key: String, reason: String = "delete"): Boolean {
+        val qualified = "$namespace:$key"
+        val oldValue = synchronized(lock) {
+            expiries.remove(qualified)
+            storage.remove(qualified)
+        } ?: return false
+        changed(StoreChange(namespace, key, null, oldValue, reason))
+        return true
+    }
+
+    internal fun clear(namespace: String) {
+        keys(namespace).forEach { delete(namespace, it, "clear") }
+    }
+
+    internal fun keys(namespace: String): List<String> {
+        val prefix = "$namespace:"
+        return storage.keys().toList()
+            .filter { it.startsWith(prefix) }
+            .map { it.removePrefix(prefix) }
+    }
+
+    /**
+     * Read-modify-write a key under the write lock.
+     * A null result deletes the key. An existing TTL is kept.
+     */
+    internal fun update(namespace: String, key: String, transform: (Any?) -> Any?): Any? {
+        val qualified = "$namespace:$key"
+        val change = synchronized(lock) {
+            val oldValue = storage[qualified]
+            val newValue = transform(oldValue)
+            if (newValue == null) {
+                expiries.remove(qualified)
+                storage.remove(qualified)
+                if (oldValue == null) null else StoreChange(namespace, key, null, oldValue, "delete")
+            } else {
+                storage[qualified] = newValue
+                StoreChange(namespace, key, newValue, oldValue, "set")
+            }
+        }
+        change?.let { changed(it) }
+        return change?.value
+    }
+
+    /**
+     * Ticks left before a key expires, or null if it has no TTL.
+     */
+    internal fun ttl(namespace: String, key: String): Long? {
+        return expiries["$namespace:$key"]?.let { it - currentTick }
+    }
+
+    /**
+     * Watch a key, or every key in the namespace with "*".
+     *
+     * @param owner Script that registered the watcher (null for Kotlin callers)
+     * @return Function that removes the watcher
+     */
+    internal fun watch(namespace: String, key: String, owner: String?, handler: (StoreChange) -> Unit): () -> Unit {
+        val watcher = Watcher(namespace, if (key == "*") null else key, owner, handler)
+        watchers.add(watcher)
+        return { watchers.remove(watcher) }
+    }
+
+    fun clearWatchers() {
+        watchers.clear()
+    }
+
+    /**
+     * Remove every watcher registered by a script.
+     *
+     * @return Number of watchers removed
+     */
+    fun removeWatchersOwnedBy(owner: String): Int {
+        val owned = watchers.filter { it.owner == owner }
+        watchers.removeAll(owned.toSet())
+        return owned.size
+    }
+
+    fun tick() {
+        currentTick++
+        if (expiries.isEmpty()) return
+
+        val expired = expiries.entries.filter { it.value <= currentTick }.map { it.key }
+        expired.forEach { qualified ->
+            delete(qualified.substringBefore(':'), qualified.substringAfter(':'), "expire")
+        }
+    }
+
+    private fun changed(change: StoreChange) {
+        onChange?.invoke(change.namespace)
+        watchers.forEach { watcher ->
+            if (watcher.namespace == change.namespace && (watcher.key == null || watcher.key == change.key)) {
+                try {
+                    watcher.handler(change)
+                } catch (e: Exception) {
+                    RhettJSCommon.LOGGER.error("[RhettJS] Store watcher for ${change.namespace}:${watcher.key ?: "*"} failed", e)
+                }
+            }
+        }
     }
 }
 
@@ -87,24 +308,25 @@ object StoreAPI {
  * Thread-safe for concurrent access from multiple scripts.
  */
 class NamespacedStore(
-    private val namespace: String,
-    private val storage: ConcurrentHashMap<String, Any?>
+    val namespace: String,
+    private val backend: StoreBackend
 ) {
 
     /**
-     * Build a fully qualified key with namespace prefix.
+     * True for stores created by PersistentStore; values are JSON strings.
      */
-    private fun qualifiedKey(key: String): String = "$namespace:$key"
+    val persistent: Boolean get() = backend.persistent
 
     /**
      * Store a value under a key in this namespace.
      * Overwrites existing value if key exists.
      *
      * @param key The key to store under (within this namespace)
-     * @param value The value to store (any JavaScript type)
+     * @param value The value to store (any JavaScript type); null deletes the key
+     * @param ttlTicks Remove the key after this many ticks (null = never)
      */
-    fun set(key: String, value: Any?) {
-        storage[qualifiedKey(key)] = value
+    fun set(key: String, value: Any?, ttlTicks: Int? = null) {
+        backend.set(namespace, key, value, ttlTicks)
     }
 
     /**
@@ -114,7 +336,7 @@ class NamespacedStore(
      * @return The stored value, or null if key doesn't exist
      */
     fun get(key: String): Any? {
-        return storage[qualifiedKey(key)]
+        return backend.storage["$namespace:$key"]
     }
 
     /**
@@ -124,7 +346,7 @@ class NamespacedStore(
      * @return true if key exists, false otherwise
      */
     fun has(key: String): Boolean {
-        return storage.containsKey(qualifiedKey(key))
+        return backend.storage.containsKey("$namespace:$key")
     }
 
     /**
@@ -134,7 +356,7 @@ class NamespacedStore(
      * @return true if key was deleted, false if it didn't exist
      */
     fun delete(key: String): Boolean {
-        return storage.remove(qualifiedKey(key)) != null
+        return backend.delete(namespace, key)
     }
 
     /**
@@ -142,9 +364,7 @@ class NamespacedStore(
      * Does not affect other namespaces.
      */
     fun clear() {
-        val prefix = "$namespace:"
-        val keysToRemove = storage.keys().toList().filter { it.startsWith(prefix) }
-        keysToRemove.forEach { storage.remove(it) }
+        backend.clear(namespace)
     }
 
     /**
@@ -153,10 +373,7 @@ class NamespacedStore(
      * @return List of keys in this namespace
      */
     fun keys(): List<String> {
-        val prefix = "$namespace:"
-        return storage.keys().toList()
-            .filter { it.startsWith(prefix) }
-            .map { it.removePrefix(prefix) }
+        return backend.keys(namespace)
     }
 
     /**
@@ -165,8 +382,7 @@ class NamespacedStore(
      * @return Count of keys in this namespace
      */
     fun size(): Int {
-        val prefix = "$namespace:"
-        return storage.keys().toList().count { it.startsWith(prefix) }
+        return keys().size
     }
 
     /**
@@ -176,8 +392,74 @@ class NamespacedStore(
      */
     fun entries(): Map<String, Any?> {
         val prefix = "$namespace:"
-        return storage.entries
+        return backend.storage.entries
             .filter { it.key.startsWith(prefix) }
             .associate { it.key.removePrefix(prefix) to it.value }
     }
+
+    /**
+     * Atomically replace a value with `transform(current)`.
+     * No other write can happen between the read and the write.
+     *
+     * @param transform Receives the current value (null if missing); returning null deletes the key
+     * @return The new value
+     */
+    fun update(key: String, transform: (Any?) -> Any?): Any? {
+        return backend.update(namespace, key, transform)
+    }
+
+    /**
+     * Atomically add to a numeric value (missing keys count as 0).
+     *
+     * @return The new value
+     * @throws IllegalArgumentException if the current value isn't a number
+     */
+    fun increment(key: String, delta: Double = 1.0): Double {
+        var result = 0.0
+        update(key) { current ->
+            result = toNumber(key, current) + delta
+            if (!result.isFinite()) {
+                throw IllegalArgumentException("increment() result for '$key' is not a finite number")
+            }
+            if (persistent) formatNumber(result) else result
+        }
+        return result
+    }
+
+    /**
+     * Ticks left before a key expires, or null if it has no TTL.
+     */
+    fun ttl(key: String): Long? {
+        return backend.ttl(namespace, key)
+    }
+
+    /**
+     * Watch a key, or every key in this namespace with "*".
+     *
+     * @param owner Script that registered the watcher, so reloading it removes the watcher
+     * @return Function that removes the watcher
+     */
+    fun watch(key: String, owner: String? = null, handler: (StoreChange) -> Unit): () -> Unit {
+        return backend.watch(namespace, key, owner, handler)
+    }
+
+    private fun toNumber(key: String, value: Any?): Double {
+        val number = when (value) {
+            null -> 0.0
+            is Number -> value.toDouble()
+            // Persistent stores hold JSON text
+            is String -> if (persistent) value.toDoubleOrNull() else null
+            is Value -> if (value.isNumber) value.asDouble() else null
+            else -> null
+        }
+        return number ?: throw IllegalArgumentException("increment() requires a numeric value at '$key'")
+    }
+
+    private fun formatNumber(value: Double): String {
+        return if (value % 1.0 == 0.0 && value >= Long.MIN_VALUE && value <= Long.MAX_VALUE) {
+            value.toLong().toString()
+        } else {
+            value.toString()
+        }
+    }
 }
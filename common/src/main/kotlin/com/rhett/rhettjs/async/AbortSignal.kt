@@ -0,0 +1,106 @@
+package com.rhett.rhettjs.async
+
+import java.util.concurrent.CopyOnWriteArrayList
+
+/**
+ * Cancellation token behind the JavaScript AbortController/AbortSignal.
+ *
+ * Long-running operations (wait(), World.fill/replace, structure placement) check
+ * [isAborted] between units of work and register [onAbort] listeners to reject
+ * their futures as soon as the signal fires.
+ */
+class AbortSignal {
+
+    @Volatile
+    var isAborted: Boolean = false
+        private set
+
+    /**
+     * Value passed to abort() (a JS value, usually an AbortError). Null until aborted.
+     */
+    @Volatile
+    var reason: Any? = null
+        private set
+
+    private val listeners = CopyOnWriteArrayList<(Any?) -> Unit>()
+
+    /**
+     * Abort the signal and notify listeners (once). Later calls are ignored.
+     *
+     * @param reason Why the operation was aborted
+     * @return true if this call aborted the signal
+     */
+    fun abort(reason: Any?): Boolean {
+        synchronized(this) {
+            if (isAborted) return false
+            this.reason = reason
+            isAborted = true
+        }
+
+        listeners.forEach { listener -> listener(reason) }
+        listeners.clear()
+        return true
+    }
+
+    /**
+     * Register a listener for abort. Runs immediately if already aborted.
+     *
+     * @param listener Receives the abort reason
+     * @return Function that unregisters the listener (call when the operation finishes)
+     */
+    fun onAbort(listener: (Any?) -> Unit): () -> Unit {
+        synchronized(this) {
+            if (!isAborted) {
+                listeners.add(listener)
+                return { listeners.remove(listener) }
+            }
+        }
+        listener(reason)
+        return {}
+    }
+
+    /**
+     * Throw [AbortException] if the signal has been aborted.
+     */
+    fun throwIfAborted() {
+        if (isAborted) throw AbortException(reason)
+    }
+
+    companion object {
+        /**
+         * A signal that aborts when any of the given signals does, with that signal's reason.
+         *
+         * @param signals Signals to follow (nulls are skipped)
+         * @return Null if no signal was given, the signal itself if only one was
+         */
+        fun any(vararg signals: AbortSignal?): AbortSignal? {
+            val given = signals.filterNotNull()
+            if (given.size <= 1) return given.firstOrNull()
+            val combined = AbortSignal()
+            given.forEach { signal -> signal.onAbort { reason -> combined.abort(reason) } }
+            return combined
+        }
+    }
+}
+
+/**
+ * Failure used to complete futures whose operation was aborted.
+ * Promise bridges reject with [reason] instead of the message.
+ */
+class AbortException(val reason: Any?) : RuntimeException("This operation was aborted") {
+
+    companion object {
+        /**
+         * Find an AbortException in a throwable's cause chain (futures wrap failures
+         * in CompletionException).
+         */
+        fun find(throwable: Throwable?): AbortException? {
+            var current = throwable
+            while (current != null) {
+                if (current is AbortException) return current
+                current = current.cause
+            }
+            return null
+        }
+    }
+}
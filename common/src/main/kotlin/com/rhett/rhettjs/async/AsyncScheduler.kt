@@ -16,15 +16,42 @@ object AsyncScheduler {
 
     /**
      * A timer that counts down ticks and completes a future when it reaches zero.
+     *
+     * @property taskId Script execution waiting on the timer (see TaskRegistry), if any
      */
     private data class TickTimer(
         var ticksRemaining: Int,
-        val future: CompletableFuture<Unit>
+        val future: CompletableFuture<Unit>,
+        val taskId: Int? = null
     )
 
+    /**
+     * A callback timer created by setTimeout/setInterval (and tick variants).
+     *
+     * @property id Handle returned to scripts (for clearTimeout/clearInterval)
+     * @property intervalTicks Ticks between runs, or null for one-shot timers
+     * @property owner Script that created the timer, from top-level code or one of its callbacks (null if not created by a script)
+     * @property taskId Script execution that created the timer (see TaskRegistry), if any
+     */
+    private class ScheduledTimer(
+        val id: Int,
+        var ticksRemaining: Int,
+        val intervalTicks: Int?,
+        val owner: String?,
+        val taskId: Int?,
+        val action: () -> Unit
+    ) {
+        @Volatile
+        var cancelled = false
+    }
+
     // List of active timers (modified only on server thread)
     private val activeTimers = mutableListOf<TickTimer>()
 
+    // Callback timers by handle id (insertion order = creation order)
+    private val scheduledTimers = linkedMapOf<Int, ScheduledTimer>()
+    private var nextTimerId = 1
+
     // Queue of callbacks to execute after timer processing
     private val pendingCallbacks = mutableListOf<() -> Unit>()
 
@@ -32,22 +59,148 @@ object AsyncScheduler {
      * Schedule a delay that will complete after the specified number of ticks.
      *
      * @param ticks Number of game ticks to wait (1 tick = 50ms, 20 ticks = 1 second)
+     * @param signal Optional abort signal; aborting removes the timer and fails the future with AbortException
+     * @param taskId Script execution that is waiting (for /rjs tasks and /rjs kill)
      * @return CompletableFuture that completes after the delay
      */
-    fun scheduleWait(ticks: Int): CompletableFuture<Unit> {
+    fun scheduleWait(ticks: Int, signal: AbortSignal? = null, taskId: Int? = null): CompletableFuture<Unit> {
         require(ticks > 0) { "Ticks must be positive, got: $ticks" }
 
         val future = CompletableFuture<Unit>()
-        val timer = TickTimer(ticks, future)
+        if (signal != null && signal.isAborted) {
+            future.completeExceptionally(AbortException(signal.reason))
+            return future
+        }
+
+        val timer = TickTimer(ticks, future, taskId)
 
         synchronized(activeTimers) {
             activeTimers.add(timer)
         }
 
+        if (signal != null) {
+            val unregister = signal.onAbort { reason ->
+                synchronized(activeTimers) {
+                    activeTimers.remove(timer)
+                }
+                future.completeExceptionally(AbortException(reason))
+            }
+            future.whenComplete { _, _ -> unregister() }
+        }
+
         ConfigManager.debug("Scheduled wait for $ticks ticks (${activeTimers.size} active timers)")
         return future
     }
 
+    /**
+     * Schedule an action to run once after a delay, or repeatedly at an interval.
+     * Actions run on the server thread after timer processing, like wait() resolutions.
+     *
+     * @param ticks Delay before the first run (values below 1 run on the next tick)
+     * @param repeat Whether to run again every [ticks] ticks until cancelled
+     * @param owner Script that created the timer (for cleanup when that script reloads)
+     * @param taskId Script execution that created the timer (for /rjs tasks and /rjs kill)
+     * @param action The action to run
+     * @return Timer handle for cancelTimer()
+     */
+    fun scheduleTimer(ticks: Int, repeat: Boolean, owner: String?, taskId: Int? = null, action: () -> Unit): Int {
+        val delay = ticks.coerceAtLeast(1)
+
+        val id = synchronized(scheduledTimers) {
+            val id = nextTimerId++
+            scheduledTimers[id] = ScheduledTimer(id, delay, if (repeat) delay else null, owner, taskId, action)
+            id
+        }
+
+        ConfigManager.debug("Scheduled ${if (repeat) "interval" else "timeout"} #$id for $delay ticks")
+        return id
+    }
+
+    /**
+     * Cancel a timer created by scheduleTimer(). Unknown or finished handles are ignored.
+     *
+     * @param id Timer handle
+     * @return true if an active timer was cancelled
+     */
+    fun cancelTimer(id: Int): Boolean {
+        val timer = synchronized(scheduledTimers) { scheduledTimers.remove(id) } ?: return false
+        timer.cancelled = true
+        ConfigManager.debug("Cancelled timer #$id")
+        return true
+    }
+
+    /**
+     * Cancel all timers created by a script (used when that script is reloaded).
+     *
+     * @param owner Script name
+     * @return Number of cancelled timers
+     */
+    fun cancelTimersOwnedBy(owner: String): Int {
+        val removed = synchronized(scheduledTimers) {
+            val owned = scheduledTimers.values.filter { it.owner == owner }
+            owned.forEach { scheduledTimers.remove(it.id) }
+            owned
+        }
+        removed.forEach { it.cancelled = true }
+        if (removed.isNotEmpty()) {
+            ConfigManager.debug("Cancelled ${removed.size} timer(s) owned by $owner")
+        }
+        return removed.size
+    }
+
+    /**
+     * Cancel everything a script execution is waiting on (used by /rjs kill).
+     * Pending wait() futures fail with AbortException so the script's promises reject
+     * with [reason]; callback timers are cancelled silently.
+     *
+     * @param taskId Script execution id
+     * @param reason Rejection reason for pending waits
+     * @return Number of cancelled waits and timers
+     */
+    fun cancelTask(taskId: Int, reason: Any?): Int {
+        val waits = synchronized(activeTimers) {
+            val owned = activeTimers.filter { it.taskId == taskId }
+            activeTimers.removeAll(owned)
+            owned
+        }
+        waits.forEach { it.future.completeExceptionally(AbortException(reason)) }
+
+        val timers = synchronized(scheduledTimers) {
+            val owned = scheduledTimers.values.filter { it.taskId == taskId }
+            owned.forEach { scheduledTimers.remove(it.id) }
+            owned
+        }
+        timers.forEach { it.cancelled = true }
+
+        ConfigManager.debug("Cancelled ${waits.size} wait(s) and ${timers.size} timer(s) of task #$taskId")
+        return waits.size + timers.size
+    }
+
+    /**
+     * Cancel all callback timers. Called when the GraalVM context is reset,
+     * since timer callbacks belong to the old context.
+     */
+    fun clearTimers() {
+        val removed = synchronized(scheduledTimers) {
+            val copy = scheduledTimers.values.toList()
+            scheduledTimers.clear()
+            copy
+        }
+        removed.forEach { it.cancelled = true }
+        if (removed.isNotEmpty()) {
+            RhettJSCommon.LOGGER.info("[RhettJS] Clearing ${removed.size} script timer(s)")
+        }
+    }
+
+    /**
+     * Get the number of active callback timers (for debugging/monitoring).
+     */
+    fun getScheduledTimerCount(): Int {
+        synchronized(scheduledTimers) {
+            return scheduledTimers.size
+        }
+    }
+
     /**
      * Schedule a callback to run after timer processing completes.
      * This prevents ConcurrentModificationException when callbacks trigger new wait() calls.
@@ -86,6 +239,30 @@ object AsyncScheduler {
             }
         }
 
+        // Process callback timers (due actions are queued, not run while holding the lock)
+        if (scheduledTimers.isNotEmpty()) {
+            synchronized(scheduledTimers) {
+                val iterator = scheduledTimers.values.iterator()
+
+                while (iterator.hasNext()) {
+                    val timer = iterator.next()
+                    timer.ticksRemaining--
+
+                    if (timer.ticksRemaining <= 0) {
+                        if (timer.intervalTicks != null) {
+                            timer.ticksRemaining = timer.intervalTicks
+                        } else {
+                            iterator.remove()
+                        }
+                        // Skip the run if the timer is cleared before its turn (e.g. by an earlier callback)
+                        scheduleCallback {
+                            if (!timer.cancelled) timer.action()
+                        }
+                    }
+                }
+            }
+        }
+
         // Execute pending callbacks after timer processing
         if (pendingCallbacks.isNotEmpty()) {
             val callbacks = synchronized(pendingCallbacks) {
@@ -109,6 +286,8 @@ object AsyncScheduler {
      * Clear all pending timers and callbacks. Used during server shutdown or script reload.
      */
     fun clear() {
+        clearTimers()
+
         synchronized(activeTimers) {
             val count = activeTimers.size
             if (count > 0) {
@@ -139,6 +318,26 @@ object AsyncScheduler {
         }
     }
 
+    /**
+     * Get the number of callbacks queued for the next tick (e.g. promise resolutions).
+     */
+    fun getPendingCallbackCount(): Int {
+        synchronized(pendingCallbacks) {
+            return pendingCallbacks.size
+        }
+    }
+
+    /**
+     * Get the number of pending waits and callback timers belonging to a script execution.
+     *
+     * @param taskId Script execution id
+     */
+    fun getActiveTimerCount(taskId: Int): Int {
+        val waits = synchronized(activeTimers) { activeTimers.count { it.taskId == taskId } }
+        val timers = synchronized(scheduledTimers) { scheduledTimers.values.count { it.taskId == taskId } }
+        return waits + timers
+    }
+
     /**
      * Immediately execute all pending callbacks without waiting for the next tick.
      * This is useful for synchronous contexts that need to resolve Promises immediately,
@@ -0,0 +1,189 @@
+package com.rhett.rhettjs.bossbar
+
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import net.minecraft.network.chat.Component
+import net.minecraft.server.MinecraftServer
+import net.minecraft.server.level.ServerBossEvent
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.BossEvent
+import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Boss bars created by scripts, for the BossBars API.
+ *
+ * Unlike /bossbar bars, these aren't saved with the world: they belong to the scripts that
+ * created them. All bars are removed on a full reload and at shutdown, a script's bars are
+ * removed when only that script reloads, and players are taken off every bar on logout.
+ *
+ * JavaScript usage:
+ * ```javascript
+ * const bar = BossBars.create({ title: 'Placing castle', color: 'green', style: 'notched_10' });
+ * bar.addPlayer(player);
+ * bar.setProgress(0.5);
+ * bar.removeAfter(40);
+ * ```
+ */
+object BossBarManager {
+
+    private class Bar(val event: ServerBossEvent, val owner: String?) {
+        @Volatile
+        var removalTimer: Int? = null
+    }
+
+    private val bars = ConcurrentHashMap<UUID, Bar>()
+
+    @Volatile
+    private var server: MinecraftServer? = null
+
+    fun setServer(minecraftServer: MinecraftServer) {
+        server = minecraftServer
+    }
+
+    /**
+     * Create a bar with no players.
+     *
+     * @param color "pink", "blue", "red", "green", "yellow", "purple" or "white"
+     * @param style "progress", "notched_6", "notched_10", "notched_12" or "notched_20"
+     * @param owner Script that created the bar (removed when that script reloads)
+     * @return The new bar's id
+     * @throws IllegalArgumentException for unknown colors or styles
+     */
+    fun create(title: Component, color: String, style: String, progress: Float, owner: String?): UUID {
+        val event = ServerBossEvent(title, parseColor(color), parseStyle(style))
+        event.progress = clampProgress(progress)
+        bars[event.id] = Bar(event, owner)
+        ConfigManager.debug("[BossBarManager] Created boss bar ${event.id} '${title.string}'")
+        return event.id
+    }
+
+    fun bar(id: UUID): ServerBossEvent? = bars[id]?.event
+
+    fun bars(): List<ServerBossEvent> = bars.values.map { it.event }
+
+    private fun requireBar(id: UUID): ServerBossEvent =
+        bar(id) ?: throw IllegalStateException("Boss bar $id was removed")
+
+    fun setTitle(id: UUID, title: Component) {
+        requireBar(id).name = title
+    }
+
+    /**
+     * Set the filled fraction. Values outside 0..1 are clamped.
+     */
+    fun setProgress(id: UUID, progress: Float) {
+        requireBar(id).progress = clampProgress(progress)
+    }
+
+    fun setColor(id: UUID, color: String) {
+        requireBar(id).color = parseColor(color)
+    }
+
+    fun setStyle(id: UUID, style: String) {
+        requireBar(id).overlay = parseStyle(style)
+    }
+
+    fun setVisible(id: UUID, visible: Boolean) {
+        requireBar(id).isVisible = visible
+    }
+
+    /**
+     * Show a bar to an online player (by name or UUID).
+     *
+     * @return false if the player isn't online
+     */
+    fun addPlayer(id: UUID, nameOrUuid: String): Boolean {
+        val event = requireBar(id)
+        val player = findPlayer(nameOrUuid) ?: return false
+        event.addPlayer(player)
+        return true
+    }
+
+    /**
+     * @return true if the player was seeing the bar
+     */
+    fun removePlayer(id: UUID, nameOrUuid: String): Boolean {
+        val event = requireBar(id)
+        val player = event.players.firstOrNull {
+            it.gameProfile.name == nameOrUuid || it.stringUUID == nameOrUuid
+        } ?: return false
+        event.removePlayer(player)
+        return true
+    }
+
+    fun removeAllPlayers(id: UUID) {
+        requireBar(id).removeAllPlayers()
+    }
+
+    /**
+     * Remove a bar after a number of ticks, replacing any earlier removeAfter().
+     */
+    fun removeAfter(id: UUID, ticks: Int) {
+        val bar = bars[id] ?: throw IllegalStateException("Boss bar $id was removed")
+        bar.removalTimer?.let { AsyncScheduler.cancelTimer(it) }
+        bar.removalTimer = AsyncScheduler.scheduleTimer(ticks, false, null) { remove(id) }
+    }
+
+    /**
+     * Hide a bar from everyone and forget it.
+     *
+     * @return true if the bar existed
+     */
+    fun remove(id: UUID): Boolean {
+        val bar = bars.remove(id) ?: return false
+        bar.removalTimer?.let { AsyncScheduler.cancelTimer(it) }
+        bar.event.removeAllPlayers()
+        ConfigManager.debug("[BossBarManager] Removed boss bar $id")
+        return true
+    }
+
+    /**
+     * Remove the bars a script created (that script is reloading).
+     *
+     * @return Number of bars removed
+     */
+    fun removeOwnedBy(owner: String): Int {
+        return bars.filterValues { it.owner == owner }.keys.count { remove(it) }
+    }
+
+    /**
+     * Remove every bar (full reload or shutdown).
+     */
+    fun removeAll() {
+        bars.keys.toList().forEach { remove(it) }
+    }
+
+    /**
+     * Take a player off every bar (logout). The player object is replaced on the next login.
+     */
+    fun onPlayerDisconnect(player: ServerPlayer) {
+        bars.values.forEach { it.event.removePlayer(player) }
+    }
+
+    fun unload() {
+        removeAll()
+        server = null
+    }
+
+    private fun findPlayer(nameOrUuid: String): ServerPlayer? {
+        val playerList = server?.playerList ?: return null
+        return playerList.getPlayerByName(nameOrUuid)
+            ?: runCatching { UUID.fromString(nameOrUuid) }.getOrNull()?.let { playerList.getPlayer(it) }
+    }
+
+    private fun clampProgress(progress: Float): Float {
+        if (progress.isNaN()) throw IllegalArgumentException("Boss bar progress must be a number between 0 and 1")
+        return progress.coerceIn(0f, 1f)
+    }
+
+    private fun parseColor(name: String): BossEvent.BossBarColor {
+        return BossEvent.BossBarColor.entries.firstOrNull { it.getName() == name }
+            ?: throw IllegalArgumentException("Invalid boss bar color '$name': use pink, blue, red, green, yellow, purple or white")
+    }
+
+    private fun parseStyle(name: String): BossEvent.BossBarOverlay {
+        return BossEvent.BossBarOverlay.entries.firstOrNull { it.getName() == name }
+            ?: throw IllegalArgumentException("Invalid boss bar style '$name': use progress, notched_6, notched_10, notched_12 or notched_20")
+    }
+}
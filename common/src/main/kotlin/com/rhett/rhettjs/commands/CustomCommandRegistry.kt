@@ -7,11 +7,13 @@ import com.mojang.brigadier.builder.RequiredArgumentBuilder
 import com.rhett.rhettjs.adapter.CallerAdapter
 import com.rhett.rhettjs.adapter.PlayerAdapter
 import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
 import net.minecraft.commands.CommandSourceStack
 import net.minecraft.commands.Commands
 import net.minecraft.commands.arguments.EntityArgument
 import net.minecraft.commands.arguments.item.ItemArgument
 import net.minecraft.commands.arguments.blocks.BlockStateArgument
+import net.minecraft.server.MinecraftServer
 import net.minecraft.server.level.ServerPlayer
 import org.graalvm.polyglot.Context
 import org.graalvm.polyglot.Value
@@ -38,6 +40,7 @@ import org.graalvm.polyglot.proxy.ProxyExecutable
 class CustomCommandRegistry {
 
     private val commands = mutableMapOf<String, MutableMap<String, Any?>>()
+    private val commandOwners = mutableMapOf<String, String>()
     internal var dispatcher: CommandDispatcher<CommandSourceStack>? = null
     internal var context: Context? = null
     internal var commandBuildContext: net.minecraft.commands.CommandBuildContext? = null
@@ -75,6 +78,40 @@ class CustomCommandRegistry {
         }
     }
 
+    /**
+     * Record which script registered a command (used by hot reload).
+     *
+     * @param name Command name
+     * @param owner Script name, or null if unknown
+     */
+    fun setCommandOwner(name: String, owner: String?) {
+        if (owner != null) {
+            commandOwners[name] = owner
+        } else {
+            commandOwners.remove(name)
+        }
+    }
+
+    /**
+     * Remove all commands registered by a script.
+     * Brigadier nodes stay in the dispatcher, but executors are looked up by name
+     * so removed commands fail until the script registers them again.
+     *
+     * @param owner Script name
+     * @return Names of the removed commands
+     */
+    fun removeCommandsOwnedBy(owner: String): Set<String> {
+        val names = commandOwners.filterValues { it == owner }.keys.toSet()
+        names.forEach { name ->
+            commands.remove(name)
+            commandOwners.remove(name)
+        }
+        if (names.isNotEmpty()) {
+            ConfigManager.debug("[Commands] Removed ${names.size} command(s) owned by $owner: ${names.joinToString(", ") { "/$it" }}")
+        }
+        return names
+    }
+
     /**
      * Get a stored command by name.
      */
@@ -165,6 +202,16 @@ class CustomCommandRegistry {
         ConfigManager.debug("[Commands] Registration complete: $successCount successful, $skipCount skipped, $failCount failed")
     }
 
+    /**
+     * Register stored commands and resend the command tree to online players.
+     * Used after scripts are re-executed at runtime, when commands added since the last
+     * registration have no Brigadier node yet and clients don't know about them.
+     */
+    fun refresh(server: MinecraftServer) {
+        registerAll()
+        server.playerList.players.forEach { player -> server.commands.sendCommands(player) }
+    }
+
     /**
      * Validate command data before storing.
      *
@@ -891,9 +938,9 @@ class CustomCommandRegistry {
 
             val event = ProxyObject.fromMap(eventMap)
 
-            // Execute handler
+            // Execute handler (timers and handlers it registers belong to the command's script)
             ConfigManager.debug("[Commands] Calling executor.execute() with event object...")
-            val result = executor.execute(graalContext.asValue(event))
+            val result = GraalEngine.runAsOwner(commandOwners[commandName]) { executor.execute(graalContext.asValue(event)) }
             ConfigManager.debug("[Commands] Executor returned, checking result...")
 
             // Handle async (Promise) results
@@ -1175,6 +1222,7 @@ class CustomCommandRegistry {
         val count = commands.size
         val names = commands.keys.joinToString(", ") { "/$it" }
         commands.clear()
+        commandOwners.clear()
         ConfigManager.debug("[Commands] Cleared $count commands from registry: $names")
     }
 
@@ -1,17 +1,25 @@
 package com.rhett.rhettjs.commands
 
 import com.mojang.brigadier.CommandDispatcher
+import com.mojang.brigadier.arguments.IntegerArgumentType
 import com.mojang.brigadier.arguments.StringArgumentType
 import com.mojang.brigadier.context.CommandContext
 import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.adapter.CallerAdapter
+import com.rhett.rhettjs.adapter.PlayerAdapter
 import com.rhett.rhettjs.api.CallerAPI
 import com.rhett.rhettjs.config.ConfigManager
 import com.rhett.rhettjs.engine.ScriptCategory
 import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ReplManager
 import com.rhett.rhettjs.engine.ScriptRegistry
 import com.rhett.rhettjs.engine.ScriptResult
 import com.rhett.rhettjs.engine.ScriptStatus
 import com.rhett.rhettjs.engine.ScriptSystemInitializer
+import com.rhett.rhettjs.engine.TaskRegistry
+import com.rhett.rhettjs.events.ServerEventManager
+import com.rhett.rhettjs.testing.JUnitXmlReport
+import com.rhett.rhettjs.testing.TestRunner
 // TODO: Re-implement ServerScriptManager for GraalVM
 // import com.rhett.rhettjs.engine.ServerScriptManager
 import net.minecraft.commands.CommandSourceStack
@@ -58,6 +66,48 @@ object RJSCommand {
                                 .executes { runCommand(it, StringArgumentType.getString(it, "script")) }
                         )
                 )
+                .then(
+                    Commands.literal("eval")
+                        .then(
+                            Commands.argument("code", StringArgumentType.greedyString())
+                                .executes { evalCommand(it, StringArgumentType.getString(it, "code")) }
+                        )
+                )
+                .then(
+                    Commands.literal("history")
+                        .executes { historyCommand(it, 10) }
+                        .then(
+                            Commands.argument("count", IntegerArgumentType.integer(1, 50))
+                                .executes { historyCommand(it, IntegerArgumentType.getInteger(it, "count")) }
+                        )
+                )
+                .then(
+                    Commands.literal("test")
+                        .executes { testCommand(it, null) }
+                        .then(
+                            Commands.argument("pattern", StringArgumentType.greedyString())
+                                .executes { testCommand(it, StringArgumentType.getString(it, "pattern")) }
+                        )
+                )
+                .then(
+                    Commands.literal("tasks")
+                        .executes { tasksCommand(it) }
+                )
+                .then(
+                    Commands.literal("ticks")
+                        .executes { ticksCommand(it) }
+                )
+                .then(
+                    Commands.literal("kill")
+                        .then(
+                            Commands.argument("id", IntegerArgumentType.integer(1))
+                                .suggests { _, builder ->
+                                    TaskRegistry.list().forEach { builder.suggest(it.id) }
+                                    builder.buildFuture()
+                                }
+                                .executes { killCommand(it, IntegerArgumentType.getInteger(it, "id")) }
+                        )
+                )
                 .then(
                     Commands.literal("reload")
                         .executes { reloadCommand(it) }
@@ -192,6 +242,231 @@ object RJSCommand {
         return 1
     }
 
+    /**
+     * Handle /rjs eval <code> command.
+     * Evaluates code in the shared context using the caller's own bindings; promises are awaited.
+     */
+    private fun evalCommand(context: CommandContext<CommandSourceStack>, code: String): Int {
+        val source = context.source
+
+        source.sendSuccess({ Component.literal("§7> $code") }, false)
+
+        // Same Caller shape utility scripts get, plus the player when run in-game
+        val graalContext = GraalEngine.getOrCreateContext()
+        val bindings = mutableMapOf<String, Any>("Caller" to CallerAdapter.toJS(source, graalContext))
+        source.player?.let { bindings["player"] = PlayerAdapter.toJS(it, graalContext) }
+
+        ReplManager.evaluate(replKey(source), code, bindings).thenAccept { entry ->
+            source.server.execute {
+                if (entry.isError) {
+                    source.sendFailure(Component.literal("§c${entry.output}"))
+                } else {
+                    source.sendSuccess({ Component.literal("§f${entry.output}") }, false)
+                }
+            }
+        }
+
+        return 1
+    }
+
+    /**
+     * Handle /rjs history [count] command.
+     * Lists the caller's most recent evaluations.
+     */
+    private fun historyCommand(context: CommandContext<CommandSourceStack>, count: Int): Int {
+        val source = context.source
+        val history = ReplManager.getHistory(replKey(source), count)
+
+        source.sendSuccess({ Component.literal("§6=== RhettJS Eval History ===") }, false)
+        if (history.isEmpty()) {
+            source.sendSuccess({ Component.literal("  §7(no evaluations)") }, false)
+            return 1
+        }
+
+        history.forEach { entry ->
+            val color = if (entry.isError) "§c" else "§f"
+            source.sendSuccess({ Component.literal("§7> ${entry.code}") }, false)
+            source.sendSuccess({ Component.literal("  $color${entry.output.lineSequence().first()}") }, false)
+        }
+
+        return 1
+    }
+
+    /**
+     * Key for a caller's eval scope and history (player UUID, or the source name for console/command blocks).
+     */
+    private fun replKey(source: CommandSourceStack): String = source.player?.stringUUID ?: source.textName
+
+    /**
+     * Handle /rjs test [pattern] command.
+     * Runs test files from rjs/tests/ and writes a JUnit XML report to rjs/test-results/.
+     */
+    private fun testCommand(context: CommandContext<CommandSourceStack>, pattern: String?): Int {
+        val source = context.source
+
+        if (TestRunner.isRunning()) {
+            source.sendFailure(Component.literal("§c[RhettJS] A test run is already in progress"))
+            return 0
+        }
+
+        val scriptsDir = ScriptSystemInitializer.getScriptsDirectory(source.server.serverDirectory)
+        val testsDir = scriptsDir.resolve("tests")
+        val files = TestRunner.findTestFiles(testsDir, pattern)
+
+        if (files.isEmpty()) {
+            val matching = pattern?.let { " matching '$it'" } ?: ""
+            source.sendFailure(Component.literal("§c[RhettJS] No test files$matching in rjs/tests/"))
+            return 0
+        }
+
+        source.sendSuccess({ Component.literal("§7[RhettJS] Running ${files.size} test file(s)...") }, true)
+
+        TestRunner.runFiles(testsDir, files).whenComplete { results, error ->
+            source.server.execute {
+                if (error != null) {
+                    RhettJSCommon.LOGGER.error("[RhettJS] Test run failed", error)
+                    source.sendFailure(Component.literal("§c[RhettJS] Test run failed: ${error.message}"))
+                    return@execute
+                }
+                reportTestResults(source, results, scriptsDir.resolve("test-results/rhettjs-tests.xml"))
+            }
+        }
+
+        return 1
+    }
+
+    /**
+     * Send per-file and total results to the caller and write the JUnit XML report.
+     */
+    private fun reportTestResults(source: CommandSourceStack, results: List<TestRunner.FileResult>, reportFile: java.nio.file.Path) {
+        results.forEach { file ->
+            when {
+                file.error != null -> {
+                    source.sendFailure(Component.literal("§c✗ ${file.file} §7failed to load"))
+                    source.sendFailure(Component.literal("  §c${file.error.lineSequence().first()}"))
+                }
+                file.failed > 0 -> {
+                    source.sendSuccess({ Component.literal("§c✗ ${file.file} §7(${file.passed} passed, ${file.failed} failed)") }, false)
+                    file.results.filter { it.status == TestRunner.Status.FAILED }.forEach { test ->
+                        val name = if (test.suite.isEmpty()) test.name else "${test.suite} > ${test.name}"
+                        source.sendSuccess({ Component.literal("  §c✗ $name") }, false)
+                        source.sendSuccess({ Component.literal("    §7${test.message?.lineSequence()?.first() ?: ""}") }, false)
+                    }
+                }
+                else -> {
+                    val skipped = if (file.skipped > 0) ", ${file.skipped} skipped" else ""
+                    source.sendSuccess({ Component.literal("§a✓ ${file.file} §7(${file.passed} passed$skipped)") }, false)
+                }
+            }
+        }
+
+        val passed = results.sumOf { it.passed }
+        val failed = results.sumOf { it.failed }
+        val skipped = results.sumOf { it.skipped }
+        val loadErrors = results.count { it.error != null }
+        val color = if (failed == 0 && loadErrors == 0) "§a" else "§c"
+        val errors = if (loadErrors > 0) ", $loadErrors file(s) failed to load" else ""
+        source.sendSuccess({ Component.literal("$color[RhettJS] Tests: $passed passed, $failed failed, $skipped skipped$errors") }, true)
+
+        try {
+            JUnitXmlReport.write(reportFile, results)
+            source.sendSuccess({ Component.literal("§7Report written to ${reportFile.fileName}") }, false)
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to write test report", e)
+            source.sendFailure(Component.literal("§c[RhettJS] Failed to write test report: ${e.message}"))
+        }
+    }
+
+    /**
+     * Handle /rjs tasks command.
+     * Lists script executions that are still running or have pending waits/timers.
+     */
+    private fun tasksCommand(context: CommandContext<CommandSourceStack>): Int {
+        val source = context.source
+        val tasks = TaskRegistry.list()
+
+        source.sendSuccess({ Component.literal("§6=== RhettJS Tasks ===") }, false)
+        if (tasks.isEmpty()) {
+            source.sendSuccess({ Component.literal("  §7(no running tasks)") }, false)
+            return 1
+        }
+
+        val now = System.currentTimeMillis()
+        tasks.forEach { task ->
+            val state = if (task.isRunning) "§erunning" else "§awaiting"
+            val age = formatDuration(now - task.startTime)
+            source.sendSuccess({
+                Component.literal(
+                    "  §f#${task.id} §b${task.scriptName} §7by ${task.caller}, $age ago - $state§7, " +
+                        "${task.pendingTimers} timer(s), ${task.pendingPromises} pending op(s)"
+                )
+            }, false)
+        }
+
+        return tasks.size
+    }
+
+    /**
+     * Handle /rjs ticks command.
+     * Lists Server.onTick() handlers with their measured cost, most expensive first.
+     */
+    private fun ticksCommand(context: CommandContext<CommandSourceStack>): Int {
+        val source = context.source
+        val reports = ServerEventManager.getTickHandlerReports()
+
+        source.sendSuccess({ Component.literal("§6=== RhettJS Tick Handlers ===") }, false)
+        if (reports.isEmpty()) {
+            source.sendSuccess({ Component.literal("  §7(no tick handlers)") }, false)
+            return 1
+        }
+
+        reports.forEach { report ->
+            val color = if (report.maxMillis > ServerEventManager.SLOW_TICK_HANDLER_MS) "§e" else "§a"
+            val schedule = if (report.phase == 0) "every ${report.every}" else "every ${report.every} (+${report.phase})"
+            val errors = if (report.errors > 0) ", §c${report.errors} error(s)" else ""
+            source.sendSuccess({
+                Component.literal(
+                    "  §f#${report.id} §b${report.owner ?: "?"} §7$schedule, ${report.calls} call(s), " +
+                        "$color${"%.2f".format(report.averageMillis)}ms avg§7, ${"%.2f".format(report.maxMillis)}ms max$errors"
+                )
+            }, false)
+        }
+
+        return reports.size
+    }
+
+    /**
+     * Handle /rjs kill <id> command.
+     * Cancels one task's waits and timers without reloading other scripts.
+     */
+    private fun killCommand(context: CommandContext<CommandSourceStack>, id: Int): Int {
+        val source = context.source
+        val task = TaskRegistry.get(id)
+
+        if (task == null || !GraalEngine.killTask(id)) {
+            source.sendFailure(Component.literal("§c[RhettJS] No running task #$id"))
+            return 0
+        }
+
+        source.sendSuccess({ Component.literal("§a[RhettJS] Killed task #$id (${task.scriptName})") }, true)
+        if (task.isRunning) {
+            source.sendSuccess({ Component.literal("§7Top-level code is still running; it will stop at its next wait() or timer") }, false)
+        }
+        return 1
+    }
+
+    /**
+     * Format an elapsed time as e.g. "42s" or "3m 5s".
+     */
+    private fun formatDuration(millis: Long): String {
+        val seconds = millis / 1000
+        return when {
+            seconds < 60 -> "${seconds}s"
+            seconds < 3600 -> "${seconds / 60}m ${seconds % 60}s"
+            else -> "${seconds / 3600}h ${seconds % 3600 / 60}m"
+        }
+    }
+
     /**
      * Handle /rjs reload command.
      * Clears all event handlers, globals, and reloads all scripts.
@@ -202,12 +477,8 @@ object RJSCommand {
         source.sendSuccess({ Component.literal("§7[RhettJS] Reloading scripts...") }, true)
 
         try {
-            // Clear and rescan scripts, reload globals
-            ScriptSystemInitializer.reload(source.server.serverDirectory)
-
-            // TODO: Re-execute server scripts for GraalVM
-            // val scriptsDir = ScriptSystemInitializer.getScriptsDirectory(source.server.serverDirectory)
-            // ServerScriptManager.createAndLoad(scriptsDir)
+            // Clear and rescan scripts, reload globals, re-execute server scripts
+            ScriptSystemInitializer.reload(source.server.serverDirectory, source.server)
 
             source.sendSuccess({ Component.literal("§a[RhettJS] Reload complete") }, true)
             return 1
@@ -46,11 +46,7 @@ object ConfigManager {
             val json5Object = json5Element.getAsJson5Object()
 
             // Extract values from JSON5 object
-            config = RhettJSConfig(
-                enabled = json5Object.get("enabled").getAsBoolean(),
-                debug_logging = json5Object.get("debug_logging").getAsBoolean(),
-                debug_run_ingame_testing = json5Object.get("debug_run_ingame_testing").getAsBoolean()
-            )
+            config = parseConfig(json5Object)
 
             RhettJSCommon.LOGGER.info("[RhettJS] Loaded config from ${configPath.fileName}")
 
@@ -63,6 +59,20 @@ object ConfigManager {
         }
     }
 
+    /**
+     * Build a config from a parsed JSON5 object.
+     * Options added after the initial release are optional so older config files keep loading.
+     */
+    private fun parseConfig(json5Object: Json5Object): RhettJSConfig {
+        val defaults = RhettJSConfig()
+        return RhettJSConfig(
+            enabled = json5Object.get("enabled").getAsBoolean(),
+            debug_logging = json5Object.get("debug_logging").getAsBoolean(),
+            debug_run_ingame_testing = json5Object.get("debug_run_ingame_testing").getAsBoolean(),
+            hot_reload = if (json5Object.has("hot_reload")) json5Object.get("hot_reload").getAsBoolean() else defaults.hot_reload
+        )
+    }
+
     /**
      * Save current configuration to file.
      */
@@ -98,11 +108,7 @@ object ConfigManager {
                 // Parse with JSON5
                 val json5Element = json5.parse(resourceContent)
                 val json5Object = json5Element.getAsJson5Object()
-                config = RhettJSConfig(
-                    enabled = json5Object.get("enabled").getAsBoolean(),
-                    debug_logging = json5Object.get("debug_logging").getAsBoolean(),
-                    debug_run_ingame_testing = json5Object.get("debug_run_ingame_testing").getAsBoolean()
-                )
+                config = parseConfig(json5Object)
 
                 RhettJSCommon.LOGGER.info("[RhettJS] Created default config at ${configPath.fileName}")
                 RhettJSCommon.LOGGER.info("[RhettJS] Config file: $configPath")
@@ -139,6 +145,11 @@ object ConfigManager {
      */
     fun isIngameTestingEnabled(): Boolean = config.debug_run_ingame_testing
 
+    /**
+     * Check if hot reload (file watching) is enabled.
+     */
+    fun isHotReloadEnabled(): Boolean = config.hot_reload
+
     /**
      * Log a debug message if debug logging is enabled.
      */
@@ -25,7 +25,8 @@ object FilesystemInitializer {
         "server",      // Event handlers and commands
         "data",        // Data files/JSON
         "assets",      // Asset files (textures, models, etc.)
-        "client"       // Client-side scripts
+        "client",      // Client-side scripts
+        "tests"        // Test files (/rjs test)
     )
 
     /**
@@ -87,6 +88,14 @@ object FilesystemInitializer {
             "world.d.ts",            // World API
             "structure.d.ts",        // Structure APIs
             "script.d.ts",           // Script API
+            "dimensions.d.ts",       // Dimensions API
+            "test.d.ts",             // Test API
+            "zones.d.ts",            // Zones API
+            "regions.d.ts",          // Regions API
+            "items.d.ts",            // Items API
+            "scoreboard.d.ts",       // Scoreboard API
+            "teams.d.ts",            // Teams API
+            "bossbars.d.ts",         // BossBars API
             "jsconfig.json.template" // VSCode config template
         )
 
@@ -23,5 +23,12 @@ data class RhettJSConfig(
      * This allows keeping test scripts separate from production scripts.
      * Default: false (load from rjs/)
      */
-    val debug_run_ingame_testing: Boolean = false
+    val debug_run_ingame_testing: Boolean = false,
+
+    /**
+     * Watch server/, scripts/ and modules/ for changes and reload affected scripts automatically.
+     * Ops are notified in chat after each reload.
+     * Default: false (use /rjs reload)
+     */
+    val hot_reload: Boolean = false
 )
@@ -12,7 +12,9 @@ import org.graalvm.polyglot.Source
 import org.graalvm.polyglot.Value
 import org.graalvm.polyglot.io.FileSystem
 import org.graalvm.polyglot.io.IOAccess
+import org.graalvm.polyglot.proxy.ProxyArray
 import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyInstantiable
 import org.graalvm.polyglot.proxy.ProxyObject
 import java.util.concurrent.CompletableFuture
 
@@ -43,6 +45,10 @@ object GraalEngine {
     // Custom command registry for Commands API
     private val commandRegistry = CustomCommandRegistry()
 
+    // Per thread: script whose code is running - top-level code, or one of its callbacks
+    // (owner of the handlers, commands and timers it registers)
+    private val executingScriptName = ThreadLocal<String?>()
+
     // Pre-compiled JavaScript helper functions (cached to avoid classloader issues)
     @Volatile
     private var jsNBTSetHelper: Value? = null
@@ -54,6 +60,10 @@ object GraalEngine {
     private var jsNBTMergeDeepHelper: Value? = null
     @Volatile
     private var jsUndefinedValue: Value? = null
+    @Volatile
+    private var jsAbortErrorHelper: Value? = null
+    @Volatile
+    private var jsThrowHelper: Value? = null
 
     /**
      * Set the scripts base directory (called during initialization).
@@ -83,6 +93,15 @@ object GraalEngine {
         jsNBTMergeShallowHelper = null
         jsNBTMergeDeepHelper = null
         jsUndefinedValue = null
+        jsAbortErrorHelper = null
+        jsThrowHelper = null
+
+        // Timer callbacks, store watchers, the region bypass and script boss bars belong to the closed context
+        AsyncScheduler.clearTimers()
+        StoreAPI.clearWatchers()
+        com.rhett.rhettjs.api.PersistentStore.clearWatchers()
+        com.rhett.rhettjs.regions.RegionManager.clearBypass()
+        com.rhett.rhettjs.bossbar.BossBarManager.removeAll()
 
         // Clear command registry and context reference
         commandRegistry.clear()
@@ -94,10 +113,37 @@ object GraalEngine {
         com.rhett.rhettjs.structure.StructureNbtManager.reset()
         com.rhett.rhettjs.structure.LargeStructureNbtManager.reset()
         com.rhett.rhettjs.structure.WorldgenStructureManager.reset()
+        ReplManager.reset()
+        TaskRegistry.reset()
+        com.rhett.rhettjs.testing.TestRunner.reset()
 
         ConfigManager.debug("GraalVM engine reset (context closed, will be recreated)")
     }
 
+    /**
+     * Get the name of the script whose code is currently running: its top-level code, or a
+     * callback it registered (event and tick handlers, timers, commands, continuations after
+     * `await`). Used to attribute event handlers, commands and timers to their script so they
+     * can be removed when only that script is reloaded. Returns null for code not owned by a
+     * script (e.g. the REPL).
+     */
+    fun getExecutingScriptName(): String? = executingScriptName.get()
+
+    /**
+     * Run [block] as code of the given script, so registrations it makes belong to that script.
+     * Used when invoking callbacks; a null owner leaves the current owner in place.
+     */
+    fun <T> runAsOwner(owner: String?, block: () -> T): T {
+        if (owner == null) return block()
+        val previous = executingScriptName.get()
+        executingScriptName.set(owner)
+        try {
+            return block()
+        } finally {
+            executingScriptName.set(previous)
+        }
+    }
+
     /**
      * Get the custom command registry for platform integration.
      * Used by ScriptSystemInitializer to register commands with Brigadier after startup scripts load.
@@ -192,9 +238,19 @@ object GraalEngine {
                 val waitFn = createWaitFunction(newCtx)
                 bindings.putMember("wait", waitFn)
 
+                // setTimeout/setInterval/clearTimeout/clearInterval (+ tick variants)
+                createTimerFunctions().forEach { (name, fn) -> bindings.putMember(name, fn) }
+
+                // AbortController/AbortSignal for cancelling wait() and long world operations
+                bindings.putMember("AbortController", createAbortControllerClass())
+                bindings.putMember("AbortSignal", createAbortSignalAPI())
+
                 // Inject built-in API modules (World, Structure, Store, NBT, Server, Commands)
                 injectBuiltinModules(bindings)
 
+                // Command executors look up the context dynamically - point them at the new one
+                commandRegistry.context = newCtx
+
                 // Set context reference in managers
                 com.rhett.rhettjs.events.ServerEventManager.setContext(newCtx)
                 com.rhett.rhettjs.world.WorldManager.setContext(newCtx)
@@ -323,7 +379,19 @@ object GraalEngine {
         // JavaScript undefined value
         jsUndefinedValue = context.eval("js", "undefined")
 
-        ConfigManager.debug("Initialized ${4} JavaScript helper functions")
+        // Default AbortController/AbortSignal reasons (DOMException-like errors)
+        jsAbortErrorHelper = context.eval("js", """
+            (function(name, message) {
+                const error = new Error(message);
+                error.name = name;
+                return error;
+            })
+        """.trimIndent())
+
+        // Rethrow a JS value from host code (AbortSignal.throwIfAborted)
+        jsThrowHelper = context.eval("js", "(function(value) { throw value; })")
+
+        ConfigManager.debug("Initialized ${6} JavaScript helper functions")
     }
 
     /**
@@ -340,6 +408,13 @@ object GraalEngine {
         ConfigManager.debug("Executing script: ${script.name} (category: ${script.category})")
 
         val context = getOrCreateContext()
+        val previousScriptName = executingScriptName.get()
+        executingScriptName.set(script.name)
+
+        val caller = (additionalBindings["Caller"] as? com.rhett.rhettjs.api.CallerAPI)?.source?.textName
+            ?: script.category.name.lowercase()
+        val task = TaskRegistry.start(script.name, caller)
+
         return try {
             // Inject bindings based on script category
             injectBindings(context, script.category, additionalBindings)
@@ -366,8 +441,8 @@ object GraalEngine {
 
             ConfigManager.debug("Evaluating script: ${script.name}")
 
-            // Execute script (blocks on top-level await)
-            val result = context.eval(source)
+            // Execute script (blocks on top-level await); timers and waits it creates belong to the task
+            val result = TaskRegistry.runAs(task.id) { context.eval(source) }
 
             ConfigManager.debug("Script executed successfully: ${script.name}")
             ScriptResult.Success(result)
@@ -392,6 +467,9 @@ object GraalEngine {
             val message = e.message ?: "Unknown error"
             RhettJSCommon.LOGGER.error("[RhettJS] Unexpected error in ${script.name}: $message", e)
             ScriptResult.Error(message, e)
+        } finally {
+            executingScriptName.set(previousScriptName)
+            TaskRegistry.finishTopLevel(task)
         }
     }
 
@@ -468,23 +546,32 @@ object GraalEngine {
         ))
     }
 
+    // Nesting depth at which formatValue() stops descending (also guards against cycles)
+    private const val FORMAT_MAX_DEPTH = 6
+
     /**
      * Format a GraalVM Value for console output.
      * Handles primitives, objects, arrays, etc.
+     * Internal: also used by /rjs eval to print results.
      */
-    private fun formatValue(value: Value): String {
+    internal fun formatValue(value: Value, depth: Int = 0): String {
         return when {
             value.isNull -> "null"
             value.isString -> value.asString()
             value.isNumber -> value.toString()
             value.isBoolean -> value.asBoolean().toString()
+            value.canExecute() -> {
+                val name = if (value.hasMembers()) value.getMember("name")?.takeIf { it.isString }?.asString() ?: "" else ""
+                if (name.isEmpty()) "[Function]" else "[Function $name]"
+            }
+            depth >= FORMAT_MAX_DEPTH && (value.hasArrayElements() || value.hasMembers()) -> "…"
             value.hasArrayElements() -> {
-                val elements = (0 until value.arraySize).map { formatValue(value.getArrayElement(it)) }
+                val elements = (0 until value.arraySize).map { formatValue(value.getArrayElement(it), depth + 1) }
                 "[${elements.joinToString(", ")}]"
             }
             value.hasMembers() -> {
                 val members = value.memberKeys.map { key ->
-                    "$key: ${formatValue(value.getMember(key))}"
+                    "$key: ${formatValue(value.getMember(key), depth + 1)}"
                 }
                 "{${members.joinToString(", ")}}"
             }
@@ -534,6 +621,7 @@ object GraalEngine {
     /**
      * Create the wait() function for tick-based delays.
      * Returns a Promise that resolves after the specified number of ticks.
+     * An optional `{ signal }` second argument rejects the Promise when aborted.
      *
      * @param context The GraalVM context
      * @return ProxyExecutable that creates a Promise-based delay
@@ -553,8 +641,12 @@ object GraalEngine {
                 throw IllegalArgumentException("wait() ticks must be positive, got: $ticks")
             }
 
+            val signal = com.rhett.rhettjs.adapter.AbortSignalAdapter.fromOptions(args.getOrNull(1))
+            val taskId = checkTaskNotKilled()
+            val owner = getExecutingScriptName()
+
             // Schedule the delay and get a CompletableFuture
-            val future = AsyncScheduler.scheduleWait(ticks)
+            val future = AsyncScheduler.scheduleWait(ticks, signal, taskId)
 
             // Create a JavaScript Promise that resolves when the CompletableFuture completes
             // We need to evaluate JavaScript code to create a proper Promise object
@@ -581,10 +673,15 @@ object GraalEngine {
                 // Schedule the callback to run on the next server tick
                 // This ensures we're not executing JS during timer iteration
                 AsyncScheduler.scheduleCallback {
-                    if (throwable != null) {
-                        reject.execute(throwable.message)
-                    } else {
-                        resolve.execute()
+                    // The continuation after `await wait()` still belongs to the same task and script
+                    TaskRegistry.runAs(taskId) {
+                        runAsOwner(owner) {
+                            if (throwable != null) {
+                                reject.execute(rejectionReason(throwable))
+                            } else {
+                                resolve.execute()
+                            }
+                        }
                     }
                 }
             }
@@ -593,6 +690,64 @@ object GraalEngine {
         }
     }
 
+    /**
+     * Create the timer globals backed by AsyncScheduler.
+     * setTimeout/setInterval take milliseconds (rounded up to whole ticks, 50ms each);
+     * setTickTimeout/setTickInterval take game ticks. Extra arguments are passed to the callback.
+     * clearTimeout and clearInterval accept any timer handle.
+     *
+     * @return Map of global name -> function
+     */
+    private fun createTimerFunctions(): Map<String, ProxyExecutable> {
+        fun schedule(name: String, repeat: Boolean, unitsToTicks: (Double) -> Int) = ProxyExecutable { args ->
+            if (args.isEmpty() || !args[0].canExecute()) {
+                throw IllegalArgumentException("$name() requires a callback function")
+            }
+            val callback = args[0]
+
+            val delay = when {
+                args.size < 2 || args[1].isNull -> 0.0
+                args[1].isNumber -> args[1].asDouble()
+                else -> throw IllegalArgumentException("$name() delay must be a number")
+            }
+            val extraArgs = args.drop(2).toTypedArray<Any>()
+            val taskId = checkTaskNotKilled()
+            val owner = getExecutingScriptName()
+
+            AsyncScheduler.scheduleTimer(unitsToTicks(delay), repeat, owner, taskId) {
+                TaskRegistry.runAs(taskId) {
+                    runAsOwner(owner) {
+                        try {
+                            callback.executeVoid(*extraArgs)
+                        } catch (e: PolyglotException) {
+                            RhettJSCommon.LOGGER.error("[RhettJS] Error in $name() callback: ${cleanErrorMessage(e)}")
+                        }
+                    }
+                }
+            }
+        }
+
+        val clear = ProxyExecutable { args ->
+            // Like browsers, invalid or already-cleared handles are ignored
+            if (args.isNotEmpty() && args[0].isNumber && args[0].fitsInInt()) {
+                AsyncScheduler.cancelTimer(args[0].asInt())
+            }
+            null
+        }
+
+        val msToTicks: (Double) -> Int = { ms -> kotlin.math.ceil(ms / 50.0).toInt() }
+        val ticks: (Double) -> Int = { t -> t.toInt() }
+
+        return mapOf(
+            "setTimeout" to schedule("setTimeout", false, msToTicks),
+            "setInterval" to schedule("setInterval", true, msToTicks),
+            "setTickTimeout" to schedule("setTickTimeout", false, ticks),
+            "setTickInterval" to schedule("setTickInterval", true, ticks),
+            "clearTimeout" to clear,
+            "clearInterval" to clear
+        )
+    }
+
     /**
      * Create a GraalVM proxy for StoreAPI.
      */
@@ -606,6 +761,14 @@ object GraalEngine {
                 val store = StoreAPI.namespace(namespace)
                 createNamespacedStoreProxy(store)
             },
+            "persistent" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("persistent() requires a namespace name")
+                }
+                val namespace = args[0].asString()
+                val store = com.rhett.rhettjs.api.PersistentStore.namespace(namespace)
+                createNamespacedStoreProxy(store)
+            },
             "namespaces" to ProxyExecutable { _ ->
                 StoreAPI.namespaces()
             },
@@ -619,26 +782,106 @@ object GraalEngine {
         ))
     }
 
+    /**
+     * Create the `player.data` store proxy for a player (online or offline).
+     * Used by PlayerAdapter.
+     */
+    internal fun createPlayerDataProxy(uuid: java.util.UUID): ProxyObject {
+        return createNamespacedStoreProxy(com.rhett.rhettjs.api.PersistentStore.playerData(uuid))
+    }
+
     /**
      * Create a GraalVM proxy for a NamespacedStore instance.
+     * Persistent stores hold JSON text: values are converted with JSON.stringify on set
+     * and JSON.parse on read, so scripts always get plain JS objects back.
      */
     private fun createNamespacedStoreProxy(store: NamespacedStore): ProxyObject {
+        val json = getOrCreateContext().getBindings("js").getMember("JSON")
+
+        fun toStored(key: String, value: Value): Any? {
+            // null and undefined delete the key in both kinds of store
+            if (value.isNull) return null
+            if (!store.persistent) return value
+            val text = json.invokeMember("stringify", value)
+            if (text.isNull) {
+                throw IllegalArgumentException("set() value for '$key' is not JSON-serializable")
+            }
+            return text.asString()
+        }
+
+        fun fromStored(value: Any?): Any? {
+            if (!store.persistent || value == null) return value
+            return json.invokeMember("parse", value as String)
+        }
+
+        fun changeToJS(change: com.rhett.rhettjs.api.StoreChange): ProxyObject {
+            return ProxyObject.fromMap(mapOf(
+                "namespace" to change.namespace,
+                "key" to change.key,
+                "value" to fromStored(change.value),
+                "oldValue" to fromStored(change.oldValue),
+                "reason" to change.reason
+            ))
+        }
+
         return ProxyObject.fromMap(mapOf(
             "set" to ProxyExecutable { args ->
                 if (args.size < 2) {
                     throw IllegalArgumentException("set() requires key and value arguments")
                 }
                 val key = args[0].asString()
-                val value = if (args[1].isNull) null else args[1]
-                store.set(key, value)
+                val options = if (args.size > 2 && !args[2].isNull) args[2] else null
+                val ttlTicks = options?.takeIf { it.hasMember("ttlTicks") }?.getMember("ttlTicks")
+                    ?.takeUnless { it.isNull }?.asInt()
+                store.set(key, toStored(key, args[1]), ttlTicks)
                 null
             },
+            "update" to ProxyExecutable { args ->
+                if (args.size < 2 || !args[1].canExecute()) {
+                    throw IllegalArgumentException("update() requires a key and an updater function")
+                }
+                val key = args[0].asString()
+                val updater = args[1]
+                val updated = store.update(key) { current ->
+                    val result = updater.execute(fromStored(current))
+                    if (result.isNull) null else toStored(key, result)
+                }
+                fromStored(updated)
+            },
+            "increment" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("increment() requires a key argument")
+                }
+                val key = args[0].asString()
+                val delta = if (args.size > 1 && !args[1].isNull) args[1].asDouble() else 1.0
+                store.increment(key, delta)
+            },
+            "ttl" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("ttl() requires a key argument")
+                }
+                store.ttl(args[0].asString())
+            },
+            "watch" to ProxyExecutable { args ->
+                if (args.size < 2 || !args[1].canExecute()) {
+                    throw IllegalArgumentException("watch() requires a key (or '*') and a handler function")
+                }
+                val handler = args[1]
+                val owner = getExecutingScriptName()
+                val unwatch = store.watch(args[0].asString(), owner) { change ->
+                    runAsOwner(owner) { handler.executeVoid(changeToJS(change)) }
+                }
+                ProxyExecutable { _ ->
+                    unwatch()
+                    null
+                }
+            },
             "get" to ProxyExecutable { args ->
                 if (args.isEmpty()) {
                     throw IllegalArgumentException("get() requires a key argument")
                 }
                 val key = args[0].asString()
-                store.get(key)
+                fromStored(store.get(key))
             },
             "has" to ProxyExecutable { args ->
                 if (args.isEmpty()) {
@@ -665,7 +908,11 @@ object GraalEngine {
                 store.size()
             },
             "entries" to ProxyExecutable { _ ->
-                store.entries()
+                if (store.persistent) {
+                    ProxyObject.fromMap(store.entries().mapValues { fromStored(it.value) })
+                } else {
+                    store.entries()
+                }
             }
         ))
     }
@@ -1315,6 +1562,719 @@ object GraalEngine {
         ))
     }
 
+    /**
+     * Create Dimensions API proxy for JavaScript.
+     * Registration is synchronous and only allowed while startup scripts run;
+     * invalid configs throw so the script sees the validation error.
+     * Delegates to DimensionRegistry (datapack is generated after startup scripts finish).
+     */
+    private fun createDimensionsAPIProxy(): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "register" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].hasMembers()) {
+                    throw IllegalArgumentException("register() requires a dimension config object")
+                }
+                @Suppress("UNCHECKED_CAST")
+                val config = (convertGraalValueToKotlin(args[0]) as Map<String, Any?>)
+                    .filterValues { it != null } as Map<String, Any>
+                com.rhett.rhettjs.worldgen.DimensionRegistry.registerDimension(config)
+            },
+            "list" to ProxyExecutable { _ ->
+                ProxyArray.fromList(com.rhett.rhettjs.worldgen.DimensionRegistry.getRegisteredDimensions().values
+                    .map { "${it.namespace}:${it.name}" })
+            },
+            "get" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("get() requires a dimension id")
+                }
+                com.rhett.rhettjs.worldgen.DimensionRegistry.getDimension(args[0].asString())
+                    ?.let { dimensionConfigToJS(it) }
+            },
+            "has" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("has() requires a dimension id")
+                }
+                com.rhett.rhettjs.worldgen.DimensionRegistry.getDimension(args[0].asString()) != null
+            }
+        ))
+    }
+
+    /**
+     * Create Zones API proxy for JavaScript.
+     * Named boxes per dimension; ZoneManager fires zoneEnter/zoneLeave as players move.
+     */
+    private fun createZonesAPIProxy(): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "define" to ProxyExecutable { args ->
+                if (args.size < 2 || !args[0].isString || !args[1].hasMember("min") || !args[1].hasMember("max")) {
+                    throw IllegalArgumentException("define() requires a zone name and { min, max, dimension? }")
+                }
+                val box = args[1]
+                val min = box.getMember("min")
+                val max = box.getMember("max")
+                val dimension = if (box.hasMember("dimension") && !box.getMember("dimension").isNull) {
+                    box.getMember("dimension").asString()
+                } else {
+                    "minecraft:overworld"
+                }
+                val zone = com.rhett.rhettjs.zones.Zone.fromCorners(
+                    args[0].asString(),
+                    dimension,
+                    min.getMember("x").asInt(), min.getMember("y").asInt(), min.getMember("z").asInt(),
+                    max.getMember("x").asInt(), max.getMember("y").asInt(), max.getMember("z").asInt()
+                )
+                com.rhett.rhettjs.adapter.ZoneAdapter.toJS(com.rhett.rhettjs.zones.ZoneManager.define(zone))
+            },
+            "remove" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("remove() requires a zone name")
+                }
+                com.rhett.rhettjs.zones.ZoneManager.remove(args[0].asString())
+            },
+            "get" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("get() requires a zone name")
+                }
+                com.rhett.rhettjs.zones.ZoneManager.get(args[0].asString())
+                    ?.let { com.rhett.rhettjs.adapter.ZoneAdapter.toJS(it) }
+            },
+            "list" to ProxyExecutable { args ->
+                val dimension = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                ProxyArray.fromList(
+                    com.rhett.rhettjs.zones.ZoneManager.list(dimension).map { com.rhett.rhettjs.adapter.ZoneAdapter.toJS(it) }
+                )
+            },
+            "at" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].hasMember("x")) {
+                    throw IllegalArgumentException("at() requires a position { x, y, z, dimension? }")
+                }
+                val (dimension, x, y, z) = positionArgument(args[0])
+                val zones = com.rhett.rhettjs.zones.ZoneManager.at(dimension, x, y, z)
+                ProxyArray.fromList(zones.map { com.rhett.rhettjs.adapter.ZoneAdapter.toJS(it) })
+            }
+        ))
+    }
+
+    /**
+     * Create Regions API proxy for JavaScript.
+     * Protection is enforced by RegionManager in the platform event handlers; only the
+     * bypass check calls back into JavaScript, and only for actions that would be denied.
+     */
+    private fun createRegionsAPIProxy(): ProxyObject {
+        val manager = com.rhett.rhettjs.regions.RegionManager
+        val toJS = { region: com.rhett.rhettjs.regions.Region -> com.rhett.rhettjs.adapter.RegionAdapter.toJS(region) }
+
+        return ProxyObject.fromMap(mapOf(
+            "define" to ProxyExecutable { args ->
+                if (args.size < 2 || !args[0].isString || !args[1].hasMember("min") || !args[1].hasMember("max")) {
+                    throw IllegalArgumentException("define() requires a region name and { min, max, dimension?, priority?, flags?, owners?, members? }")
+                }
+                val config = args[1]
+                val min = config.getMember("min")
+                val max = config.getMember("max")
+                val member = { key: String -> config.getMember(key)?.takeIf { config.hasMember(key) && !it.isNull } }
+                val area = com.rhett.rhettjs.zones.Zone.fromCorners(
+                    args[0].asString(),
+                    member("dimension")?.asString() ?: "minecraft:overworld",
+                    min.getMember("x").asInt(), min.getMember("y").asInt(), min.getMember("z").asInt(),
+                    max.getMember("x").asInt(), max.getMember("y").asInt(), max.getMember("z").asInt()
+                )
+                val flags = member("flags")?.let { flagsValue ->
+                    flagsValue.memberKeys.associate { key -> regionFlag(key) to flagsValue.getMember(key).asBoolean() }
+                } ?: emptyMap()
+                val region = com.rhett.rhettjs.regions.Region(
+                    area = area,
+                    priority = member("priority")?.asInt() ?: 0,
+                    flags = flags,
+                    owners = member("owners")?.let { list -> (0 until list.arraySize).map { playerUuid(list.getArrayElement(it), "define") }.toSet() } ?: emptySet(),
+                    members = member("members")?.let { list -> (0 until list.arraySize).map { playerUuid(list.getArrayElement(it), "define") }.toSet() } ?: emptySet()
+                )
+                toJS(manager.define(region))
+            },
+            "remove" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("remove() requires a region name")
+                }
+                manager.remove(args[0].asString())
+            },
+            "get" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("get() requires a region name")
+                }
+                manager.get(args[0].asString())?.let(toJS)
+            },
+            "list" to ProxyExecutable { args ->
+                val dimension = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                ProxyArray.fromList(manager.list(dimension).map(toJS))
+            },
+            "at" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].hasMember("x")) {
+                    throw IllegalArgumentException("at() requires a position { x, y, z, dimension? }")
+                }
+                val (dimension, x, y, z) = positionArgument(args[0])
+                ProxyArray.fromList(manager.at(dimension, x, y, z).map(toJS))
+            },
+            "setFlag" to ProxyExecutable { args ->
+                if (args.size < 3) {
+                    throw IllegalArgumentException("setFlag() requires a region name, flag and value (null for the default)")
+                }
+                val flag = regionFlag(args[1].asString())
+                val value = if (args[2].isNull) null else args[2].asBoolean()
+                manager.update(args[0].asString()) { region ->
+                    region.copy(flags = if (value == null) region.flags - flag else region.flags + (flag to value))
+                }?.let(toJS)
+            },
+            "addMember" to ProxyExecutable { args ->
+                updateRegionPlayers(args, "addMember") { region, uuid -> region.copy(members = region.members + uuid) }
+            },
+            "removeMember" to ProxyExecutable { args ->
+                updateRegionPlayers(args, "removeMember") { region, uuid -> region.copy(members = region.members - uuid) }
+            },
+            "addOwner" to ProxyExecutable { args ->
+                updateRegionPlayers(args, "addOwner") { region, uuid -> region.copy(owners = region.owners + uuid) }
+            },
+            "removeOwner" to ProxyExecutable { args ->
+                updateRegionPlayers(args, "removeOwner") { region, uuid -> region.copy(owners = region.owners - uuid) }
+            },
+            "isAllowed" to ProxyExecutable { args ->
+                if (args.size < 2 || !args[1].hasMember("x")) {
+                    throw IllegalArgumentException("isAllowed() requires a flag and a position, plus an optional player")
+                }
+                val flag = regionFlag(args[0].asString())
+                val (dimension, x, y, z) = positionArgument(args[1])
+                val player = args.getOrNull(2)?.takeIf { !it.isNull }?.let { playerUuid(it, "isAllowed") }
+                manager.deniedBy(flag, dimension ?: "minecraft:overworld", x, y, z, player) == null
+            },
+            "setBypass" to ProxyExecutable { args ->
+                val check = args.getOrNull(0)?.takeIf { !it.isNull }
+                if (check != null && !check.canExecute()) {
+                    throw IllegalArgumentException("setBypass() requires a function (player, flag, region) => boolean, or null")
+                }
+                val owner = getExecutingScriptName()
+                manager.setBypass(check?.let { fn ->
+                    { player: net.minecraft.server.level.ServerPlayer,
+                      flag: com.rhett.rhettjs.regions.RegionFlag,
+                      region: com.rhett.rhettjs.regions.Region ->
+                        val result = runAsOwner(owner) {
+                            fn.execute(
+                                com.rhett.rhettjs.adapter.PlayerAdapter.toJS(player, getOrCreateContext()),
+                                flag.id,
+                                toJS(region)
+                            )
+                        }
+                        result.isBoolean && result.asBoolean()
+                    }
+                }, owner)
+                null
+            }
+        ))
+    }
+
+    private fun regionFlag(id: String): com.rhett.rhettjs.regions.RegionFlag {
+        return com.rhett.rhettjs.regions.RegionFlag.fromId(id)
+            ?: throw IllegalArgumentException(
+                "Unknown region flag '$id': use one of ${com.rhett.rhettjs.regions.RegionFlag.entries.joinToString(", ") { it.id }}"
+            )
+    }
+
+    /**
+     * Accept a player object (with uuid) or a UUID string.
+     */
+    private fun playerUuid(value: Value, function: String): java.util.UUID {
+        val text = when {
+            value.isString -> value.asString()
+            value.hasMember("uuid") -> value.getMember("uuid").asString()
+            else -> throw IllegalArgumentException("$function() requires a player or UUID string")
+        }
+        return try {
+            java.util.UUID.fromString(text)
+        } catch (e: IllegalArgumentException) {
+            throw IllegalArgumentException("$function() got an invalid UUID '$text'")
+        }
+    }
+
+    private fun updateRegionPlayers(
+        args: Array<Value>,
+        function: String,
+        change: (com.rhett.rhettjs.regions.Region, java.util.UUID) -> com.rhett.rhettjs.regions.Region
+    ): ProxyObject? {
+        if (args.size < 2) {
+            throw IllegalArgumentException("$function() requires a region name and a player or UUID")
+        }
+        val uuid = playerUuid(args[1], function)
+        return com.rhett.rhettjs.regions.RegionManager.update(args[0].asString()) { change(it, uuid) }
+            ?.let { com.rhett.rhettjs.adapter.RegionAdapter.toJS(it) }
+    }
+
+    private data class PositionArgument(val dimension: String?, val x: Double, val y: Double, val z: Double)
+
+    private fun positionArgument(position: Value): PositionArgument {
+        val dimension = if (position.hasMember("dimension") && !position.getMember("dimension").isNull) {
+            position.getMember("dimension").asString()
+        } else {
+            null
+        }
+        return PositionArgument(
+            dimension,
+            position.getMember("x").asDouble(),
+            position.getMember("y").asDouble(),
+            position.getMember("z").asDouble()
+        )
+    }
+
+    /**
+     * Create Items API proxy for JavaScript.
+     * Builders are immutable: every method returns a new builder, so a builder can be
+     * kept as a template. Anything that accepts items also accepts a builder.
+     */
+    private fun createItemsAPIProxy(): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "create" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].isString) {
+                    throw IllegalArgumentException("create() requires an item id")
+                }
+                val count = args.getOrNull(1)?.takeUnless { it.isNull }?.asInt() ?: 1
+                if (count < 1) throw IllegalArgumentException("create() count must be at least 1, got $count")
+                createItemBuilderProxy(
+                    com.rhett.rhettjs.inventory.ItemData(com.rhett.rhettjs.inventory.ItemData.normalizeId(args[0].asString()), count)
+                )
+            }
+        ))
+    }
+
+    private fun createItemBuilderProxy(item: com.rhett.rhettjs.inventory.ItemData): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "count" to ProxyExecutable { args ->
+                val count = args.getOrNull(0)?.takeIf { it.isNumber }?.asInt()
+                if (count == null || count < 1) throw IllegalArgumentException("count() requires a number of at least 1")
+                createItemBuilderProxy(item.copy(count = count))
+            },
+
+            "name" to ProxyExecutable { args ->
+                val name = args.getOrNull(0)?.takeUnless { it.isNull }
+                    ?: throw IllegalArgumentException("name() requires text or a text component")
+                createItemBuilderProxy(item.withComponent("custom_name", textComponentJson(name)))
+            },
+
+            "lore" to ProxyExecutable { args ->
+                val lines = args.getOrNull(0)
+                if (lines == null || !lines.hasArrayElements()) {
+                    throw IllegalArgumentException("lore() requires an array of lines")
+                }
+                val lore = (0 until lines.arraySize).map { textComponentJson(lines.getArrayElement(it)) }
+                createItemBuilderProxy(item.withComponent("lore", lore.ifEmpty { null }))
+            },
+
+            "enchant" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].isString) {
+                    throw IllegalArgumentException("enchant() requires an enchantment id")
+                }
+                val level = args.getOrNull(1)?.takeUnless { it.isNull }?.asInt() ?: 1
+                if (level !in 1..255) throw IllegalArgumentException("enchant() level must be between 1 and 255, got $level")
+                createItemBuilderProxy(item.withEnchantment(args[0].asString(), level))
+            },
+
+            "component" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].isString) {
+                    throw IllegalArgumentException("component() requires a component id")
+                }
+                val value = args.getOrNull(1)?.let { convertGraalValueToKotlin(it) }
+                createItemBuilderProxy(item.withComponent(args[0].asString(), value))
+            },
+
+            "removeComponent" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].isString) {
+                    throw IllegalArgumentException("removeComponent() requires a component id")
+                }
+                createItemBuilderProxy(item.withoutComponent(args[0].asString()))
+            },
+
+            "build" to ProxyExecutable { _ ->
+                com.rhett.rhettjs.adapter.InventoryAdapter.itemToJS(item)
+            }
+        ))
+    }
+
+    /**
+     * Create Scoreboard API proxy for JavaScript.
+     * Objective handles are just names: they can be created before the objective exists
+     * and every call reads the server's scoreboard.
+     */
+    private fun createScoreboardAPIProxy(): ProxyObject {
+        val manager = com.rhett.rhettjs.scoreboard.ScoreboardManager
+
+        return ProxyObject.fromMap(mapOf(
+            "objective" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].isString) {
+                    throw IllegalArgumentException("objective() requires an objective name")
+                }
+                createObjectiveProxy(args[0].asString())
+            },
+            "objectives" to ProxyExecutable { _ ->
+                ProxyArray.fromList(manager.objectives().map { com.rhett.rhettjs.adapter.ScoreboardAdapter.objectiveToJS(it) })
+            }
+        ))
+    }
+
+    private fun createObjectiveProxy(name: String): ProxyObject {
+        val manager = com.rhett.rhettjs.scoreboard.ScoreboardManager
+        val holder = { value: Value?, fn: String -> com.rhett.rhettjs.adapter.ScoreboardAdapter.holderName(value, fn) }
+        val number = { value: Value?, fn: String ->
+            value?.takeIf { it.isNumber && it.fitsInInt() }?.asInt()
+                ?: throw IllegalArgumentException("$fn() requires a whole number")
+        }
+
+        return ProxyObject.fromMap(mapOf(
+            "name" to name,
+            "create" to ProxyExecutable { args ->
+                val options = args.getOrNull(0)?.takeIf { it.hasMembers() }
+                val option = { key: String -> options?.getMember(key)?.takeUnless { it.isNull } }
+                manager.createObjective(
+                    name,
+                    option("criterion")?.asString() ?: "dummy",
+                    option("displayName")?.let { textComponent(it) }
+                )
+            },
+            "exists" to ProxyExecutable { _ ->
+                manager.objective(name) != null
+            },
+            "remove" to ProxyExecutable { _ ->
+                manager.removeObjective(name)
+            },
+            "get" to ProxyExecutable { _ ->
+                manager.objective(name)?.let { com.rhett.rhettjs.adapter.ScoreboardAdapter.objectiveToJS(it) }
+            },
+            "setDisplayName" to ProxyExecutable { args ->
+                val displayName = args.getOrNull(0)?.takeUnless { it.isNull }
+                    ?: throw IllegalArgumentException("setDisplayName() requires text or a text component")
+                manager.setDisplayName(name, textComponent(displayName))
+                null
+            },
+            "setDisplaySlot" to ProxyExecutable { args ->
+                manager.setDisplaySlot(name, args.getOrNull(0)?.takeUnless { it.isNull }?.asString())
+                null
+            },
+            "getScore" to ProxyExecutable { args ->
+                manager.getScore(name, holder(args.getOrNull(0), "getScore"))
+            },
+            "setScore" to ProxyExecutable { args ->
+                manager.setScore(name, holder(args.getOrNull(0), "setScore"), number(args.getOrNull(1), "setScore"))
+                null
+            },
+            "addScore" to ProxyExecutable { args ->
+                val amount = args.getOrNull(1)?.takeUnless { it.isNull }?.let { number(it, "addScore") } ?: 1
+                manager.addScore(name, holder(args.getOrNull(0), "addScore"), amount)
+            },
+            "resetScore" to ProxyExecutable { args ->
+                manager.resetScore(name, holder(args.getOrNull(0), "resetScore"))
+            },
+            "scores" to ProxyExecutable { _ ->
+                ProxyArray.fromList(manager.scores(name).map { (scoreHolder, value) ->
+                    ProxyObject.fromMap(mapOf("holder" to scoreHolder, "value" to value))
+                })
+            }
+        ))
+    }
+
+    /**
+     * Create Teams API proxy for JavaScript.
+     */
+    private fun createTeamsAPIProxy(): ProxyObject {
+        val manager = com.rhett.rhettjs.scoreboard.ScoreboardManager
+        val toJS = { team: net.minecraft.world.scores.PlayerTeam -> com.rhett.rhettjs.adapter.ScoreboardAdapter.teamToJS(team) }
+        val teamName = { args: Array<Value>, fn: String ->
+            args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                ?: throw IllegalArgumentException("$fn() requires a team name")
+        }
+
+        return ProxyObject.fromMap(mapOf(
+            "create" to ProxyExecutable { args ->
+                toJS(manager.createTeam(teamName(args, "create"), teamOptions(args.getOrNull(1))))
+            },
+            "update" to ProxyExecutable { args ->
+                manager.updateTeam(teamName(args, "update"), teamOptions(args.getOrNull(1)))?.let(toJS)
+            },
+            "remove" to ProxyExecutable { args ->
+                manager.removeTeam(teamName(args, "remove"))
+            },
+            "get" to ProxyExecutable { args ->
+                manager.team(teamName(args, "get"))?.let(toJS)
+            },
+            "list" to ProxyExecutable { _ ->
+                ProxyArray.fromList(manager.teams().map(toJS))
+            },
+            "join" to ProxyExecutable { args ->
+                val name = teamName(args, "join")
+                if (args.size < 2) throw IllegalArgumentException("join() requires at least one member")
+                // Members may be passed individually or as one array
+                val members = args.drop(1).flatMap { value ->
+                    if (value.hasArrayElements()) (0 until value.arraySize).map { value.getArrayElement(it) } else listOf(value)
+                }
+                manager.joinTeam(name, members.map { com.rhett.rhettjs.adapter.ScoreboardAdapter.holderName(it, "join") })
+            },
+            "leave" to ProxyExecutable { args ->
+                manager.leaveTeam(com.rhett.rhettjs.adapter.ScoreboardAdapter.holderName(args.getOrNull(0), "leave"))
+            },
+            "of" to ProxyExecutable { args ->
+                manager.teamOf(com.rhett.rhettjs.adapter.ScoreboardAdapter.holderName(args.getOrNull(0), "of"))?.name
+            }
+        ))
+    }
+
+    private fun teamOptions(options: Value?): com.rhett.rhettjs.scoreboard.ScoreboardManager.TeamOptions {
+        if (options == null || options.isNull) return com.rhett.rhettjs.scoreboard.ScoreboardManager.TeamOptions()
+        if (!options.hasMembers()) throw IllegalArgumentException("Team options must be an object")
+        val option = { key: String -> options.getMember(key)?.takeUnless { it.isNull } }
+
+        return com.rhett.rhettjs.scoreboard.ScoreboardManager.TeamOptions(
+            displayName = option("displayName")?.let { textComponent(it) },
+            color = option("color")?.asString(),
+            prefix = option("prefix")?.let { textComponent(it) },
+            suffix = option("suffix")?.let { textComponent(it) },
+            friendlyFire = option("friendlyFire")?.asBoolean(),
+            seeFriendlyInvisibles = option("seeFriendlyInvisibles")?.asBoolean(),
+            nameTagVisibility = option("nameTagVisibility")?.asString(),
+            collision = option("collision")?.asString()
+        )
+    }
+
+    /**
+     * Create BossBars API proxy for JavaScript.
+     * Bars belong to the script that created them and are removed when it reloads.
+     */
+    private fun createBossBarsAPIProxy(): ProxyObject {
+        val manager = com.rhett.rhettjs.bossbar.BossBarManager
+
+        return ProxyObject.fromMap(mapOf(
+            "create" to ProxyExecutable { args ->
+                val options = args.getOrNull(0)?.takeUnless { it.isNull }
+                if (options != null && !options.hasMembers()) {
+                    throw IllegalArgumentException("create() options must be an object")
+                }
+                val option = { key: String -> options?.getMember(key)?.takeUnless { it.isNull } }
+
+                // Read every option before creating, so bad options don't leave a bar behind
+                val title = option("title")?.let { textComponent(it) } ?: net.minecraft.network.chat.Component.empty()
+                val players = option("players")?.let { players ->
+                    val list = if (players.hasArrayElements()) {
+                        (0 until players.arraySize).map { players.getArrayElement(it) }
+                    } else {
+                        listOf(players)
+                    }
+                    list.map { com.rhett.rhettjs.adapter.PlayerAdapter.nameOrUuid(it, "create") }
+                } ?: emptyList()
+                val visible = option("visible")?.asBoolean()
+                val removeAfter = option("removeAfter")?.asInt()
+
+                val id = manager.create(
+                    title,
+                    option("color")?.asString() ?: "white",
+                    option("style")?.asString() ?: "progress",
+                    option("progress")?.asDouble()?.toFloat() ?: 1f,
+                    getExecutingScriptName()
+                )
+                players.forEach { manager.addPlayer(id, it) }
+                visible?.let { manager.setVisible(id, it) }
+                removeAfter?.let { manager.removeAfter(id, it) }
+                createBossBarProxy(id)
+            },
+            "get" to ProxyExecutable { args ->
+                val id = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                    ?: throw IllegalArgumentException("get() requires a boss bar id")
+                val uuid = try {
+                    java.util.UUID.fromString(id)
+                } catch (e: IllegalArgumentException) {
+                    return@ProxyExecutable null
+                }
+                manager.bar(uuid)?.let { createBossBarProxy(uuid) }
+            },
+            "list" to ProxyExecutable { _ ->
+                ProxyArray.fromList(manager.bars().map { com.rhett.rhettjs.adapter.BossBarAdapter.toJS(it) })
+            }
+        ))
+    }
+
+    /**
+     * Handle for one boss bar. Calls after the bar is removed throw, except remove() and get().
+     */
+    private fun createBossBarProxy(id: java.util.UUID): ProxyObject {
+        val manager = com.rhett.rhettjs.bossbar.BossBarManager
+        val player = { value: Value?, fn: String -> com.rhett.rhettjs.adapter.PlayerAdapter.nameOrUuid(value, fn) }
+        val required = { value: Value?, fn: String, what: String ->
+            value?.takeUnless { it.isNull } ?: throw IllegalArgumentException("$fn() requires $what")
+        }
+
+        return ProxyObject.fromMap(mapOf(
+            "id" to id.toString(),
+            "get" to ProxyExecutable { _ ->
+                manager.bar(id)?.let { com.rhett.rhettjs.adapter.BossBarAdapter.toJS(it) }
+            },
+            "setTitle" to ProxyExecutable { args ->
+                manager.setTitle(id, textComponent(required(args.getOrNull(0), "setTitle", "text or a text component")))
+                null
+            },
+            "setProgress" to ProxyExecutable { args ->
+                val progress = required(args.getOrNull(0), "setProgress", "a number between 0 and 1")
+                if (!progress.isNumber) throw IllegalArgumentException("setProgress() requires a number between 0 and 1")
+                manager.setProgress(id, progress.asDouble().toFloat())
+                null
+            },
+            "setColor" to ProxyExecutable { args ->
+                manager.setColor(id, required(args.getOrNull(0), "setColor", "a color").asString())
+                null
+            },
+            "setStyle" to ProxyExecutable { args ->
+                manager.setStyle(id, required(args.getOrNull(0), "setStyle", "a style").asString())
+                null
+            },
+            "setVisible" to ProxyExecutable { args ->
+                manager.setVisible(id, required(args.getOrNull(0), "setVisible", "a boolean").asBoolean())
+                null
+            },
+            "addPlayer" to ProxyExecutable { args ->
+                manager.addPlayer(id, player(args.getOrNull(0), "addPlayer"))
+            },
+            "removePlayer" to ProxyExecutable { args ->
+                manager.removePlayer(id, player(args.getOrNull(0), "removePlayer"))
+            },
+            "removeAllPlayers" to ProxyExecutable { _ ->
+                manager.removeAllPlayers(id)
+                null
+            },
+            "removeAfter" to ProxyExecutable { args ->
+                val ticks = required(args.getOrNull(0), "removeAfter", "a number of ticks")
+                if (!ticks.isNumber) throw IllegalArgumentException("removeAfter() requires a number of ticks")
+                manager.removeAfter(id, ticks.asInt())
+                null
+            },
+            "remove" to ProxyExecutable { _ ->
+                manager.remove(id)
+            }
+        ))
+    }
+
+    /**
+     * Text for names and lore: plain text, or a text component object
+     * (e.g. { text: 'Sting', color: 'aqua', italic: false }), as the JSON the game stores.
+     */
+    private fun textComponentJson(value: Value): String {
+        val json = if (value.isString) {
+            com.google.gson.JsonObject().apply { addProperty("text", value.asString()) }
+        } else if (value.hasMembers()) {
+            com.google.gson.Gson().toJsonTree(convertGraalValueToKotlin(value))
+        } else {
+            throw IllegalArgumentException("Expected text or a text component object, got $value")
+        }
+        return json.toString()
+    }
+
+    /**
+     * [textComponentJson] as a chat component, for text shown directly (scoreboards, titles).
+     */
+    internal fun textComponent(value: Value): net.minecraft.network.chat.Component {
+        if (value.isString) return net.minecraft.network.chat.Component.literal(value.asString())
+        return net.minecraft.network.chat.Component.Serializer.fromJson(
+            textComponentJson(value),
+            net.minecraft.core.RegistryAccess.EMPTY
+        ) ?: throw IllegalArgumentException("Invalid text component: $value")
+    }
+
+    /**
+     * Convert a registered dimension config back into a plain JS object.
+     */
+    private fun dimensionConfigToJS(config: com.rhett.rhettjs.worldgen.DimensionRegistry.DimensionConfig): ProxyObject {
+        val map = mutableMapOf<String, Any?>(
+            "id" to "${config.namespace}:${config.name}",
+            "name" to config.name,
+            "namespace" to config.namespace,
+            "type" to config.type.name.lowercase(),
+            "biome" to config.biome,
+            "generator" to config.generator.name.lowercase(),
+            "sky" to config.sky,
+            "ambientLight" to config.ambientLight.toDouble(),
+            "fixedTime" to config.fixedTime,
+            "weather" to config.weather,
+            "respawnAnchor" to config.respawnAnchor,
+            "bed" to config.bed,
+            "scale" to config.coordinateScale,
+            "spawning" to config.spawning,
+            "minY" to config.minY,
+            "maxY" to config.maxY
+        )
+        config.generatorSettings?.let { settings ->
+            map["generatorSettings"] = ProxyObject.fromMap(mapOf(
+                "layers" to ProxyArray.fromList(
+                    (settings.layers ?: emptyList()).map { layer ->
+                        ProxyObject.fromMap(mapOf("block" to layer.block, "height" to layer.height))
+                    }
+                ),
+                "features" to settings.features,
+                "lakes" to settings.lakes
+            ))
+        }
+        return ProxyObject.fromMap(map)
+    }
+
+    /**
+     * Create Test API proxy (rhettjs/test) for files run by /rjs test.
+     * Collection and running live in TestRunner; describe/it/test also have .skip().
+     */
+    private fun createTestAPIProxy(): ProxyObject {
+        // Callable with a .skip() variant, like Jest's it/it.skip
+        class SkippableFunction(private val define: (Array<out Value>, Boolean) -> Unit) : ProxyExecutable, ProxyObject {
+            override fun execute(vararg arguments: Value): Any? {
+                define(arguments, false)
+                return null
+            }
+            override fun getMember(key: String?): Any? =
+                if (key == "skip") ProxyExecutable { args -> define(args, true); null } else null
+            override fun getMemberKeys(): Any = arrayOf("skip")
+            override fun hasMember(key: String?): Boolean = key == "skip"
+            override fun putMember(key: String?, value: Value?) {
+                throw UnsupportedOperationException("Test functions are read-only")
+            }
+        }
+
+        val describe = SkippableFunction { args, skip ->
+            if (args.size < 2 || !args[0].isString || !args[1].canExecute()) {
+                throw IllegalArgumentException("describe() requires a name and a function")
+            }
+            com.rhett.rhettjs.testing.TestRunner.describe(args[0].asString(), args[1], skip)
+        }
+
+        val testFn = SkippableFunction { args, skip ->
+            if (args.size < 2 || !args[0].isString || !args[1].canExecute()) {
+                throw IllegalArgumentException("it() requires a name and a function")
+            }
+            // Optional third argument: timeout in milliseconds (rounded up to ticks)
+            val timeoutTicks = args.getOrNull(2)?.takeIf { it.isNumber }
+                ?.let { kotlin.math.ceil(it.asDouble() / 50.0).toInt() }
+                ?: com.rhett.rhettjs.testing.TestRunner.DEFAULT_TIMEOUT_TICKS
+            com.rhett.rhettjs.testing.TestRunner.addTest(args[0].asString(), args[1], skip, timeoutTicks)
+        }
+
+        fun hook(name: String, kind: com.rhett.rhettjs.testing.TestRunner.HookKind) = ProxyExecutable { args ->
+            if (args.isEmpty() || !args[0].canExecute()) {
+                throw IllegalArgumentException("$name() requires a function")
+            }
+            com.rhett.rhettjs.testing.TestRunner.addHook(kind, args[0])
+            null
+        }
+
+        return ProxyObject.fromMap(mapOf(
+            "describe" to describe,
+            "it" to testFn,
+            "test" to testFn,
+            "expect" to ProxyExecutable { args ->
+                com.rhett.rhettjs.testing.Expectation(args.getOrNull(0) ?: jsUndefinedValue!!)
+            },
+            "beforeAll" to hook("beforeAll", com.rhett.rhettjs.testing.TestRunner.HookKind.BEFORE_ALL),
+            "afterAll" to hook("afterAll", com.rhett.rhettjs.testing.TestRunner.HookKind.AFTER_ALL),
+            "beforeEach" to hook("beforeEach", com.rhett.rhettjs.testing.TestRunner.HookKind.BEFORE_EACH),
+            "afterEach" to hook("afterEach", com.rhett.rhettjs.testing.TestRunner.HookKind.AFTER_EACH)
+        ))
+    }
+
     /**
      * Create World API proxy for JavaScript.
      * All methods return Promises except for the dimensions property.
@@ -1338,6 +2298,12 @@ object GraalEngine {
                 }
                 convertFutureToPromise<Value?>(context, com.rhett.rhettjs.world.WorldManager.getBlockEntity(args[0]))
             },
+            "getContainer" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    return@ProxyExecutable createRejectedPromise(context, "getContainer() requires a position")
+                }
+                convertFutureToPromise<Value?>(context, com.rhett.rhettjs.world.WorldManager.getContainer(args[0]))
+            },
             "setBlock" to ProxyExecutable { args ->
                 if (args.size < 2) {
                     return@ProxyExecutable createRejectedPromise(context, "setBlock() requires position and blockId")
@@ -1361,8 +2327,12 @@ object GraalEngine {
                 if (args.size < 4) {
                     return@ProxyExecutable createRejectedPromise(context, "replace() requires pos1, pos2, filter, and replacement")
                 }
-                // TODO: Implement replace operation in WorldManager
-                createRejectedPromise(context, "World.replace() not yet implemented")
+                val pos1 = args[0]
+                val pos2 = args[1]
+                val filter = args[2]
+                val replacement = args[3].asString()
+                val options = if (args.size > 4) args[4] else null
+                convertFutureToPromise<Int>(context, com.rhett.rhettjs.world.WorldManager.replace(pos1, pos2, filter, replacement, options))
             },
 
             // Entity operations (async) - delegate to WorldManager
@@ -1374,15 +2344,29 @@ object GraalEngine {
                 val radius = args[1].asDouble()
                 convertFutureToPromise<List<Value>>(context, com.rhett.rhettjs.world.WorldManager.getEntities(position, radius))
             },
+            "getEntity" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    return@ProxyExecutable createRejectedPromise(context, "getEntity() requires a UUID")
+                }
+                val uuid = args[0].asString()
+                convertFutureToPromise<Value?>(context, com.rhett.rhettjs.world.WorldManager.getEntity(uuid))
+            },
             "spawnEntity" to ProxyExecutable { args ->
                 if (args.size < 2) {
                     return@ProxyExecutable createRejectedPromise(context, "spawnEntity() requires position and entityId")
                 }
                 val position = args[0]
                 val entityId = args[1].asString()
-                val nbt = if (args.size > 2) args[2] else null
+                val nbt = if (args.size > 2 && !args[2].isNull) args[2] else null
                 convertFutureToPromise<Value>(context, com.rhett.rhettjs.world.WorldManager.spawnEntity(position, entityId, nbt))
             },
+            "particles" to ProxyExecutable { args ->
+                if (args.size < 2 || !args[0].isString || !args[1].hasMembers()) {
+                    return@ProxyExecutable createRejectedPromise(context, "particles() requires a particle type and position")
+                }
+                val options = if (args.size > 2 && !args[2].isNull) args[2] else null
+                convertFutureToPromise<Int>(context, com.rhett.rhettjs.world.WorldManager.spawnParticles(args[0].asString(), args[1], options))
+            },
 
             // Player operations (async) - delegate to WorldManager
             "getPlayers" to ProxyExecutable { args ->
@@ -1494,6 +2478,11 @@ object GraalEngine {
         val resolve = context.getBindings("js").getMember("${promiseId}_resolve")
         val reject = context.getBindings("js").getMember("${promiseId}_reject")
 
+        // Keep the calling task listed until the operation settles
+        val taskId = TaskRegistry.currentTaskId()
+        val owner = getExecutingScriptName()
+        TaskRegistry.operationStarted(taskId)
+
         // When future completes, schedule the promise resolution on the next tick
         // This ensures we're not trying to access the GraalVM context from the wrong thread
         future.whenComplete { result, throwable ->
@@ -1502,16 +2491,20 @@ object GraalEngine {
                 // Enter context for multi-threaded access
                 context.enter()
                 try {
-                    if (throwable != null) {
-                        val errorMsg = throwable.cause?.message ?: throwable.message ?: "Unknown error"
-                        ConfigManager.debug("[Promise] Rejecting with error: $errorMsg")
-                        reject.execute(errorMsg)
-                    } else {
-                        ConfigManager.debug("[Promise] Resolving with result: $result")
-                        // Convert result to GraalVM Value to ensure proper type conversion
-                        // (e.g., Kotlin List -> JS Array, Kotlin Map -> JS Object)
-                        val jsResult = context.asValue(result)
-                        resolve.execute(jsResult)
+                    TaskRegistry.runAs(taskId) {
+                        runAsOwner(owner) {
+                            if (throwable != null) {
+                                val reason = rejectionReason(throwable)
+                                ConfigManager.debug("[Promise] Rejecting with error: $reason")
+                                reject.execute(reason)
+                            } else {
+                                ConfigManager.debug("[Promise] Resolving with result: $result")
+                                // Convert result to GraalVM Value to ensure proper type conversion
+                                // (e.g., Kotlin List -> JS Array, Kotlin Map -> JS Object)
+                                val jsResult = context.asValue(result)
+                                resolve.execute(jsResult)
+                            }
+                        }
                     }
                 } catch (e: Exception) {
                     ConfigManager.debug("[Promise] Error during promise resolution: ${e.message}")
@@ -1521,6 +2514,8 @@ object GraalEngine {
                         RhettJSCommon.LOGGER.error("[Promise] Failed to reject promise", e2)
                     }
                 } finally {
+                    TaskRegistry.operationFinished(taskId)
+
                     // Clean up globals after promise settles
                     try {
                         context.getBindings("js").removeMember("${promiseId}_resolve")
@@ -1537,6 +2532,89 @@ object GraalEngine {
         return promise
     }
 
+    /**
+     * Get the current task id, refusing new waits/timers from a killed task
+     * (so a script catching the kill's AbortError can't keep itself alive).
+     */
+    private fun checkTaskNotKilled(): Int? {
+        val taskId = TaskRegistry.currentTaskId()
+        if (TaskRegistry.isKilled(taskId)) {
+            throw IllegalStateException("Task #$taskId was killed")
+        }
+        return taskId
+    }
+
+    /**
+     * Kill a running script execution (/rjs kill): its pending waits and world edits reject
+     * with an AbortError and its timers are cancelled. Must be called on the server thread.
+     *
+     * @param taskId Task id from /rjs tasks
+     * @return false if no such task is active
+     */
+    fun killTask(taskId: Int): Boolean {
+        val task = TaskRegistry.get(taskId) ?: return false
+        val reason = jsAbortErrorHelper?.execute("AbortError", "Task #$taskId (${task.scriptName}) was killed")
+        return TaskRegistry.kill(taskId, reason)
+    }
+
+    /**
+     * Get the value to reject a Promise with for a failed future.
+     * Aborted operations reject with the abort reason; everything else with the error message.
+     */
+    private fun rejectionReason(throwable: Throwable): Any? {
+        com.rhett.rhettjs.async.AbortException.find(throwable)?.let { return it.reason }
+        return throwable.cause?.message ?: throwable.message ?: "Unknown error"
+    }
+
+    /**
+     * Create the AbortController constructor (`new AbortController()`).
+     * Controllers expose `signal` and `abort(reason?)`; the default reason is an AbortError.
+     */
+    private fun createAbortControllerClass(): ProxyInstantiable {
+        return ProxyInstantiable { _ ->
+            val signal = com.rhett.rhettjs.async.AbortSignal()
+            val jsSignal = com.rhett.rhettjs.adapter.AbortSignalAdapter.toJS(signal, jsThrowHelper!!)
+
+            ProxyObject.fromMap(mapOf(
+                "signal" to jsSignal,
+                "abort" to ProxyExecutable { args ->
+                    val reason = args.getOrNull(0)?.takeUnless { it.isNull }
+                        ?: jsAbortErrorHelper!!.execute("AbortError", "This operation was aborted")
+                    signal.abort(reason)
+                    null
+                }
+            ))
+        }
+    }
+
+    /**
+     * Create the AbortSignal static helpers (AbortSignal.abort(), AbortSignal.timeout()).
+     */
+    private fun createAbortSignalAPI(): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "abort" to ProxyExecutable { args ->
+                val signal = com.rhett.rhettjs.async.AbortSignal()
+                signal.abort(
+                    args.getOrNull(0)?.takeUnless { it.isNull }
+                        ?: jsAbortErrorHelper!!.execute("AbortError", "This operation was aborted")
+                )
+                com.rhett.rhettjs.adapter.AbortSignalAdapter.toJS(signal, jsThrowHelper!!)
+            },
+            "timeout" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].isNumber) {
+                    throw IllegalArgumentException("timeout() requires a delay in milliseconds")
+                }
+                val ticks = kotlin.math.ceil(args[0].asDouble() / 50.0).toInt()
+                val signal = com.rhett.rhettjs.async.AbortSignal()
+                // Timer is cleared with the context, like setTimeout()
+                AsyncScheduler.scheduleTimer(ticks, false, getExecutingScriptName()) {
+                    signal.abort(jsAbortErrorHelper?.execute("TimeoutError", "The operation timed out"))
+                }
+                com.rhett.rhettjs.adapter.AbortSignalAdapter.toJS(signal, jsThrowHelper!!)
+            }
+        ))
+    }
+
     /**
      * Create a rejected Promise with error message.
      */
@@ -1561,8 +2639,15 @@ object GraalEngine {
                 }
                 val event = args[0].asString()
                 val handler = args[1]
+                val options = args.getOrNull(2)
+                val priority = com.rhett.rhettjs.events.ServerEventManager.parsePriority(
+                    if (options != null && options.hasMember("priority")) options.getMember("priority") else null
+                )
+                val ignoreCancelled = com.rhett.rhettjs.events.ServerEventManager.parseIgnoreCancelled(
+                    if (options != null && options.hasMember("ignoreCancelled")) options.getMember("ignoreCancelled") else null
+                )
 
-                com.rhett.rhettjs.events.ServerEventManager.on(event, handler)
+                com.rhett.rhettjs.events.ServerEventManager.on(event, handler, priority, ignoreCancelled)
                 null
             },
 
@@ -1583,11 +2668,50 @@ object GraalEngine {
                 }
                 val event = args[0].asString()
                 val handler = args[1]
+                val options = args.getOrNull(2)
+                val priority = com.rhett.rhettjs.events.ServerEventManager.parsePriority(
+                    if (options != null && options.hasMember("priority")) options.getMember("priority") else null
+                )
+                val ignoreCancelled = com.rhett.rhettjs.events.ServerEventManager.parseIgnoreCancelled(
+                    if (options != null && options.hasMember("ignoreCancelled")) options.getMember("ignoreCancelled") else null
+                )
 
-                com.rhett.rhettjs.events.ServerEventManager.once(event, handler)
+                com.rhett.rhettjs.events.ServerEventManager.once(event, handler, priority, ignoreCancelled)
                 null
             },
 
+            // Custom script events: emit('myplugin:event', payload)
+            "emit" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].isString) {
+                    throw IllegalArgumentException("emit() requires a namespaced event name")
+                }
+                val results = com.rhett.rhettjs.events.ServerEventManager.emit(args[0].asString(), args.getOrNull(1))
+                ProxyArray.fromList(results)
+            },
+
+            "emitAsync" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].isString) {
+                    throw IllegalArgumentException("emitAsync() requires a namespaced event name")
+                }
+                com.rhett.rhettjs.events.ServerEventManager.emitAsync(args[0].asString(), args.getOrNull(1))
+            },
+
+            // Tick handlers: onTick(handler) or onTick(every, handler, { phase })
+            "onTick" to ProxyExecutable { args ->
+                val (every, handler, options) = when {
+                    args.isNotEmpty() && args[0].canExecute() -> Triple(1, args[0], args.getOrNull(1))
+                    args.size >= 2 && args[0].isNumber -> Triple(args[0].asInt(), args[1], args.getOrNull(2))
+                    else -> throw IllegalArgumentException("onTick() requires an interval in ticks and a handler function")
+                }
+                val phase = if (options != null && options.hasMember("phase")) options.getMember("phase").asInt() else 0
+
+                val id = com.rhett.rhettjs.events.ServerEventManager.onTick(every, handler, phase)
+                ProxyExecutable { _ ->
+                    com.rhett.rhettjs.events.ServerEventManager.offTick(id)
+                    null
+                }
+            },
+
             // Server properties - delegate to ServerEventManager for real values
             "tps" to com.rhett.rhettjs.events.ServerEventManager.getServerTPS(),
             "players" to com.rhett.rhettjs.events.ServerEventManager.getOnlinePlayers(),
@@ -1937,6 +3061,7 @@ object GraalEngine {
                     throw IllegalArgumentException("register() requires a command name")
                 }
                 val name = args[0].asString()
+                commandRegistry.setCommandOwner(name, getExecutingScriptName())
                 createCommandBuilder(name)
             },
 
@@ -1969,6 +3094,14 @@ object GraalEngine {
         val storeAPI = createStoreAPIProxy()
         val serverAPI = createServerAPIProxy()
         val commandsAPI = createCommandsAPIProxy()
+        val dimensionsAPI = createDimensionsAPIProxy()
+        val zonesAPI = createZonesAPIProxy()
+        val regionsAPI = createRegionsAPIProxy()
+        val itemsAPI = createItemsAPIProxy()
+        val scoreboardAPI = createScoreboardAPIProxy()
+        val teamsAPI = createTeamsAPIProxy()
+        val bossBarsAPI = createBossBarsAPIProxy()
+        val testAPI = createTestAPIProxy()
 
         // Put each API directly on globalThis for virtual module access
         bindings.putMember("__builtin_World", worldAPI)
@@ -1979,6 +3112,14 @@ object GraalEngine {
         bindings.putMember("__builtin_NBT", nbtAPI)
         bindings.putMember("__builtin_Server", serverAPI)
         bindings.putMember("__builtin_Commands", commandsAPI)
+        bindings.putMember("__builtin_Dimensions", dimensionsAPI)
+        bindings.putMember("__builtin_Zones", zonesAPI)
+        bindings.putMember("__builtin_Regions", regionsAPI)
+        bindings.putMember("__builtin_Items", itemsAPI)
+        bindings.putMember("__builtin_Scoreboard", scoreboardAPI)
+        bindings.putMember("__builtin_Teams", teamsAPI)
+        bindings.putMember("__builtin_BossBars", bossBarsAPI)
+        bindings.putMember("__builtin_Test", testAPI)
 
         ConfigManager.debug("Injected built-in modules (all APIs ready with placeholder implementations)")
     }
@@ -2153,7 +3294,7 @@ object GraalEngine {
     /**
      * Clean up GraalVM error messages for better user experience.
      */
-    private fun cleanErrorMessage(e: PolyglotException): String {
+    internal fun cleanErrorMessage(e: PolyglotException): String {
         val message = e.message ?: "Script error"
 
         // Include source location if available
@@ -0,0 +1,358 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.api.PersistentStore
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.bossbar.BossBarManager
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.ServerEventManager
+import com.rhett.rhettjs.regions.RegionManager
+import net.minecraft.network.chat.Component
+import net.minecraft.server.MinecraftServer
+import java.nio.file.ClosedWatchServiceException
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.StandardWatchEventKinds
+import java.nio.file.WatchKey
+import java.nio.file.WatchService
+import java.util.concurrent.ConcurrentHashMap
+import kotlin.io.path.exists
+import kotlin.io.path.isDirectory
+
+/**
+ * Opt-in file watcher that reloads scripts when they change on disk (config: hot_reload).
+ *
+ * Watches server/, scripts/ and modules/. Changes are debounced and processed on the
+ * server thread from TickScheduler.tick():
+ * - scripts/ only: the changed utility scripts are re-validated (they are read fresh on every /rjs run)
+ * - server/ only: handlers, commands, timers, boss bars, store watchers and the region bypass
+ *   owned by the affected scripts are removed and just those scripts are executed again
+ * - modules/ (or any imported file): ES modules are cached per GraalVM context, so the
+ *   context is rebuilt and all server scripts are executed again, with beforeReload/afterReload
+ *   fired as for /rjs reload
+ *
+ * Startup scripts are never hot reloaded (dimensions require a restart).
+ */
+object HotReloadManager {
+
+    // Ticks without new file events before a reload runs (editors often write files in several steps)
+    private const val DEBOUNCE_TICKS = 10
+
+    private val WATCHED_CATEGORIES = listOf(ScriptCategory.SERVER, ScriptCategory.UTILITY, ScriptCategory.MODULES)
+
+    @Volatile
+    private var server: MinecraftServer? = null
+
+    @Volatile
+    private var scriptsDir: Path? = null
+
+    @Volatile
+    private var watchService: WatchService? = null
+
+    @Volatile
+    private var watchThread: Thread? = null
+
+    private val watchKeys = ConcurrentHashMap<WatchKey, Path>()
+    private val pendingChanges = ConcurrentHashMap.newKeySet<Path>()
+
+    @Volatile
+    private var quietTicks = 0
+
+    /**
+     * Result of processing a batch of file changes.
+     *
+     * @property reloaded Scripts that were executed again
+     * @property revalidated Utility scripts that were re-validated
+     * @property removed Scripts that were deleted
+     * @property errors Script name -> error message
+     * @property fullReload Whether the context had to be rebuilt (an imported file changed)
+     */
+    data class ReloadResult(
+        val reloaded: List<String>,
+        val revalidated: List<String>,
+        val removed: List<String>,
+        val errors: Map<String, String>,
+        val fullReload: Boolean
+    )
+
+    /**
+     * Start watching the script directories.
+     * Does nothing if hot reload is disabled in config or the watcher is already running.
+     *
+     * @param server The Minecraft server (used for chat notifications and command refresh)
+     * @param baseDir The rjs/ base directory
+     */
+    fun start(server: MinecraftServer, baseDir: Path) {
+        if (!ConfigManager.isHotReloadEnabled() || watchThread != null) {
+            return
+        }
+
+        this.server = server
+        this.scriptsDir = baseDir
+
+        try {
+            val service = baseDir.fileSystem.newWatchService()
+            watchService = service
+
+            WATCHED_CATEGORIES.forEach { category ->
+                val dir = baseDir.resolve(category.dirName)
+                if (dir.exists()) {
+                    registerRecursive(service, dir)
+                }
+            }
+
+            watchThread = Thread({ watchLoop(service) }, "RhettJS-HotReload").apply {
+                isDaemon = true
+                start()
+            }
+
+            RhettJSCommon.LOGGER.info("[RhettJS] Hot reload enabled - watching server/, scripts/ and modules/")
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to start hot reload watcher", e)
+            stop()
+        }
+    }
+
+    /**
+     * Stop watching. Called on server shutdown.
+     */
+    fun stop() {
+        try {
+            watchService?.close()
+        } catch (e: Exception) {
+            ConfigManager.debug("[HotReload] Error closing watch service: ${e.message}")
+        }
+        watchService = null
+        watchThread = null
+        watchKeys.clear()
+        pendingChanges.clear()
+        server = null
+        ConfigManager.debug("[HotReload] Watcher stopped")
+    }
+
+    /**
+     * Check whether the watcher is running.
+     */
+    fun isRunning(): Boolean = watchThread != null
+
+    /**
+     * Process pending changes once the debounce window has passed.
+     * Must be called on the server thread (from TickScheduler.tick()).
+     */
+    fun tick() {
+        if (pendingChanges.isEmpty()) {
+            return
+        }
+
+        quietTicks++
+        if (quietTicks < DEBOUNCE_TICKS) {
+            return
+        }
+
+        val baseDir = scriptsDir ?: return
+        val changed = pendingChanges.toSet()
+        pendingChanges.removeAll(changed)
+        quietTicks = 0
+
+        val result = try {
+            reloadChanged(baseDir, changed)
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Hot reload failed", e)
+            notifyOps("§c[RhettJS] Hot reload failed: ${e.message}")
+            return
+        }
+
+        announce(result)
+    }
+
+    /**
+     * Reload the scripts affected by a set of changed files.
+     * Must be called on the server thread.
+     *
+     * @param baseDir The rjs/ base directory
+     * @param changed Files that changed on disk
+     * @return What was reloaded
+     */
+    fun reloadChanged(baseDir: Path, changed: Set<Path>): ReloadResult {
+        val graph = ScriptDependencyGraph.build(baseDir)
+        val affected = graph.withDependents(changed)
+            .filter { ScriptRegistry.categoryOf(baseDir, it) in WATCHED_CATEGORIES }
+
+        ConfigManager.debug("[HotReload] ${changed.size} changed file(s) affect ${affected.size} script(s)")
+
+        val reloaded = mutableListOf<String>()
+        val revalidated = mutableListOf<String>()
+        val removed = mutableListOf<String>()
+        val errors = linkedMapOf<String, String>()
+
+        // Remember names of affected server scripts before the registry changes (deleted files)
+        val previousServerNames = affected
+            .filter { ScriptRegistry.categoryOf(baseDir, it) == ScriptCategory.SERVER }
+            .associateWith { file -> ScriptRegistry.getScripts(ScriptCategory.SERVER).firstOrNull { it.path.toAbsolutePath().normalize() == file }?.name }
+
+        // Update registry entries for every affected file
+        val refreshed = affected.associateWith { ScriptRegistry.refresh(baseDir, it) }
+        refreshed.forEach { (file, info) ->
+            when {
+                info == null -> removed.add(file.fileName.toString())
+                info.category == ScriptCategory.UTILITY -> {
+                    revalidated.add(info.name)
+                    if (info.status == ScriptStatus.ERROR) errors[info.name] = "syntax error"
+                }
+                else -> {}
+            }
+        }
+
+        val moduleChanged = affected.any {
+            ScriptRegistry.categoryOf(baseDir, it) == ScriptCategory.MODULES || graph.hasImporters(it)
+        }
+        val registry = GraalEngine.getCommandRegistry()
+        val commandsBefore = registry.getCommandNames().toSet()
+
+        if (moduleChanged) {
+            // Cached ES modules can only be dropped by recreating the context. Every server
+            // script re-runs, so this is a full reload: same lifecycle events as /rjs reload.
+            // reset() also drops handlers and timers registered outside any script's top-level code.
+            ServerEventManager.triggerLifecycleAndAwait(ServerEventManager.EventTypes.BEFORE_RELOAD)
+            GraalEngine.reset()
+            ScriptRegistry.getScripts(ScriptCategory.SERVER).sortedBy { it.name }.forEach { script ->
+                executeServerScript(script, reloaded, errors)
+            }
+            ServerEventManager.triggerLifecycleAndAwait(ServerEventManager.EventTypes.AFTER_RELOAD)
+        } else {
+            previousServerNames.forEach { (file, previousName) ->
+                val name = refreshed[file]?.name ?: previousName ?: return@forEach
+                ServerEventManager.removeHandlersOwnedBy(name)
+                registry.removeCommandsOwnedBy(name)
+                AsyncScheduler.cancelTimersOwnedBy(name)
+                BossBarManager.removeOwnedBy(name)
+                StoreAPI.removeWatchersOwnedBy(name)
+                PersistentStore.removeWatchersOwnedBy(name)
+                RegionManager.clearBypassOwnedBy(name)
+            }
+            refreshed.values
+                .filterNotNull()
+                .filter { it.category == ScriptCategory.SERVER }
+                .sortedBy { it.name }
+                .forEach { script -> executeServerScript(script, reloaded, errors) }
+        }
+
+        // New commands need Brigadier nodes; everyone needs a refreshed command tree
+        if (registry.getCommandNames().toSet() != commandsBefore || reloaded.isNotEmpty()) {
+            refreshCommands()
+        }
+
+        return ReloadResult(reloaded, revalidated, removed, errors, moduleChanged)
+    }
+
+    private fun executeServerScript(script: ScriptInfo, reloaded: MutableList<String>, errors: MutableMap<String, String>) {
+        if (script.status == ScriptStatus.ERROR) {
+            errors[script.name] = "syntax error"
+            return
+        }
+        when (val result = GraalEngine.executeScript(script)) {
+            is ScriptResult.Success -> reloaded.add(script.name)
+            is ScriptResult.Error -> errors[script.name] = result.message
+        }
+    }
+
+    /**
+     * Register new commands and resend the command tree to online players.
+     */
+    private fun refreshCommands() {
+        val srv = server ?: return
+        try {
+            GraalEngine.getCommandRegistry().refresh(srv)
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to refresh commands after hot reload", e)
+        }
+    }
+
+    /**
+     * Log the result and tell online ops what happened.
+     */
+    private fun announce(result: ReloadResult) {
+        val parts = mutableListOf<String>()
+        if (result.reloaded.isNotEmpty()) parts.add("reloaded ${result.reloaded.joinToString(", ")}")
+        if (result.revalidated.isNotEmpty()) parts.add("updated ${result.revalidated.joinToString(", ")}")
+        if (result.removed.isNotEmpty()) parts.add("removed ${result.removed.joinToString(", ")}")
+        if (parts.isEmpty()) return
+
+        val summary = parts.joinToString("; ")
+        val prefix = if (result.fullReload) "Module changed, context rebuilt: " else ""
+        RhettJSCommon.LOGGER.info("[RhettJS] Hot reload: $prefix$summary")
+        notifyOps("§a[RhettJS] Hot reload: §7$prefix$summary")
+
+        result.errors.forEach { (name, message) ->
+            RhettJSCommon.LOGGER.warn("[RhettJS] Hot reload error in $name: $message")
+            notifyOps("§c[RhettJS] $name: $message")
+        }
+    }
+
+    /**
+     * Send a chat message to every online operator.
+     */
+    private fun notifyOps(message: String) {
+        val srv = server ?: return
+        val component = Component.literal(message)
+        srv.playerList.players
+            .filter { it.hasPermissions(2) }
+            .forEach { it.sendSystemMessage(component) }
+    }
+
+    /**
+     * Watch thread: collect changed .js files until the service is closed.
+     */
+    private fun watchLoop(service: WatchService) {
+        try {
+            while (true) {
+                val key = service.take()
+                val dir = watchKeys[key]
+
+                key.pollEvents().forEach { event ->
+                    if (dir == null || event.kind() == StandardWatchEventKinds.OVERFLOW) return@forEach
+                    val path = dir.resolve(event.context() as Path)
+
+                    if (event.kind() == StandardWatchEventKinds.ENTRY_CREATE && path.isDirectory()) {
+                        // New folders need their own watch key; scripts inside are picked up too
+                        registerRecursive(service, path)
+                        Files.walk(path).use { files -> files.filter { it.toString().endsWith(".js") }.forEach { queueChange(it) } }
+                    } else if (path.toString().endsWith(".js")) {
+                        queueChange(path)
+                    }
+                }
+
+                if (!key.reset()) {
+                    watchKeys.remove(key)
+                }
+            }
+        } catch (e: ClosedWatchServiceException) {
+            ConfigManager.debug("[HotReload] Watch service closed")
+        } catch (e: InterruptedException) {
+            ConfigManager.debug("[HotReload] Watch thread interrupted")
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Hot reload watcher stopped unexpectedly", e)
+        }
+    }
+
+    private fun queueChange(path: Path) {
+        pendingChanges.add(path.toAbsolutePath().normalize())
+        quietTicks = 0
+        ConfigManager.debug("[HotReload] Change detected: $path")
+    }
+
+    private fun registerRecursive(service: WatchService, root: Path) {
+        Files.walk(root).use { paths ->
+            paths.filter { it.isDirectory() }.forEach { dir ->
+                val key = dir.register(
+                    service,
+                    StandardWatchEventKinds.ENTRY_CREATE,
+                    StandardWatchEventKinds.ENTRY_MODIFY,
+                    StandardWatchEventKinds.ENTRY_DELETE
+                )
+                watchKeys[key] = dir
+            }
+        }
+    }
+}
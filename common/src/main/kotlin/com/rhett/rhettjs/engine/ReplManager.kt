@@ -0,0 +1,358 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.PolyglotException
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import java.util.concurrent.CompletableFuture
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Backend for /rjs eval: evaluates code in the shared GraalVM context.
+ *
+ * Each caller (player UUID or source name) gets its own scope object, so variables defined
+ * in one evaluation are visible in the next without leaking into globalThis or other callers.
+ * Top-level `let`/`const`/`var`, function and class declarations are rewritten into
+ * assignments on that scope (see [rewriteDeclarations]). Built-in APIs (World, Store, Server,
+ * ...) are available without imports and the last result is available as `_`.
+ *
+ * Returned promises are awaited before the result is reported, for up to 30 seconds.
+ * Scopes belong to the GraalVM context and are dropped on [reset]; history survives reloads.
+ */
+object ReplManager {
+
+    // History entries kept per caller
+    private const val MAX_HISTORY = 50
+
+    // Longest result sent back to chat
+    private const val MAX_OUTPUT_LENGTH = 2000
+
+    // Ticks to wait for a returned promise before reporting a timeout (30 seconds)
+    private const val PROMISE_TIMEOUT_TICKS = 600
+
+    /**
+     * One evaluation and its printed result.
+     *
+     * @property code The code as typed
+     * @property output Formatted result or error message
+     * @property isError True if evaluation threw or the returned promise rejected
+     * @property timestamp When the evaluation finished (epoch millis)
+     */
+    data class HistoryEntry(
+        val code: String,
+        val output: String,
+        val isError: Boolean,
+        val timestamp: Long
+    )
+
+    private val scopes = ConcurrentHashMap<String, Value>()
+    private val histories = ConcurrentHashMap<String, ArrayDeque<HistoryEntry>>()
+
+    // Compiled lazily per context (cleared in reset())
+    @Volatile
+    private var jsScopeFactory: Value? = null
+    @Volatile
+    private var jsEvalHelper: Value? = null
+
+    // Declaration patterns matched at the start of a top-level statement
+    private val VARIABLE_DECLARATION = Regex("""(?:let|const|var)\s+(?=[A-Za-z_$\[])""").toPattern()
+    private val FUNCTION_DECLARATION = Regex("""(?:async\s+)?function(?:\s*\*\s*|\s+)([A-Za-z_$][\w$]*)""").toPattern()
+    private val CLASS_DECLARATION = Regex("""class\s+([A-Za-z_$][\w$]*)""").toPattern()
+
+    /**
+     * Evaluate code for a caller. Must be called on the server thread.
+     *
+     * @param callerKey Identifies whose scope and history to use
+     * @param code JavaScript expression or statements
+     * @param bindings Extra names to (re)define in the caller's scope before evaluating (e.g. Caller)
+     * @return Future completing with the history entry once the result (or awaited promise) settles
+     */
+    fun evaluate(callerKey: String, code: String, bindings: Map<String, Any> = emptyMap()): CompletableFuture<HistoryEntry> {
+        val future = CompletableFuture<HistoryEntry>()
+        val context = GraalEngine.getOrCreateContext()
+
+        fun finish(output: String, isError: Boolean, value: Value?) {
+            // A promise settling after its timeout was already reported
+            if (future.isDone) return
+            val entry = HistoryEntry(code, truncate(output), isError, System.currentTimeMillis())
+            if (!isError && value != null) {
+                scopes[callerKey]?.putMember("_", value)
+            }
+            record(callerKey, entry)
+            future.complete(entry)
+        }
+
+        try {
+            val scope = scopes.getOrPut(callerKey) { getScopeFactory(context).execute() }
+            bindings.forEach { (name, value) -> scope.putMember(name, value) }
+
+            val declared = linkedSetOf<String>()
+            val rewritten = rewriteDeclarations(code, declared)
+            val result = getEvalHelper(context).execute(scope, rewritten, ProxyArray.fromList(declared.toList<Any>()))
+
+            if (result.hasMember("then")) {
+                val timeout = AsyncScheduler.scheduleTimer(PROMISE_TIMEOUT_TICKS, false, null) {
+                    finish("Timed out after ${PROMISE_TIMEOUT_TICKS / 20}s waiting for the promise to settle", true, null)
+                }
+                result.invokeMember("then",
+                    ProxyExecutable { args ->
+                        AsyncScheduler.cancelTimer(timeout)
+                        val value = args.firstOrNull()
+                        finish(value?.let { GraalEngine.formatValue(it) } ?: "undefined", false, value)
+                        null
+                    },
+                    ProxyExecutable { args ->
+                        AsyncScheduler.cancelTimer(timeout)
+                        finish(formatRejection(args.firstOrNull()), true, null)
+                        null
+                    }
+                )
+            } else {
+                finish(formatResult(result), false, result)
+            }
+        } catch (e: PolyglotException) {
+            finish(GraalEngine.cleanErrorMessage(e), true, null)
+        } catch (e: Exception) {
+            finish(e.message ?: "Unknown error", true, null)
+        }
+
+        return future
+    }
+
+    /**
+     * Get a caller's recent evaluations, oldest first.
+     *
+     * @param callerKey Whose history to return
+     * @param limit Maximum number of entries
+     */
+    fun getHistory(callerKey: String, limit: Int = MAX_HISTORY): List<HistoryEntry> {
+        val history = histories[callerKey] ?: return emptyList()
+        return synchronized(history) { history.toList().takeLast(limit) }
+    }
+
+    /**
+     * Forget a caller's scope (bindings). History is kept.
+     */
+    fun clearScope(callerKey: String) {
+        scopes.remove(callerKey)
+    }
+
+    /**
+     * Drop all scopes and compiled helpers (they belong to the closed context).
+     * Called from GraalEngine.reset().
+     */
+    fun reset() {
+        scopes.clear()
+        jsScopeFactory = null
+        jsEvalHelper = null
+        ConfigManager.debug("[Repl] Reset complete")
+    }
+
+    /**
+     * Turn top-level declarations into assignments so they land on the caller's scope
+     * instead of disappearing with the eval() they run in:
+     * - `let x = 1` / `const [a, b] = v` / `var x` → `x = 1` / `[a, b] = v` / `x`
+     * - `function f() {}` / `async function f() {}` → `f = function f() {}` / `f = async function f() {}`
+     * - `class A {}` → `A = class A {}`
+     *
+     * Only statements at brace depth 0 are rewritten; strings, template literals and comments
+     * are skipped. Object destructuring (`const { a } = v`) is left as is and stays local.
+     *
+     * @param declared Receives the rewritten names, which must exist on the scope before the
+     *   assignments run (the scope only claims names it holds)
+     */
+    internal fun rewriteDeclarations(code: String, declared: MutableSet<String>? = null): String {
+        val out = StringBuilder(code.length)
+        var depth = 0
+        var atStatementStart = true
+        var i = 0
+
+        // Name collection for rewritten let/const/var statements: the next identifier (or array
+        // pattern) is a binding; inside an array pattern, identifiers after `[`, `,` or `...` are
+        var declaring = false
+        var expectBinding = false
+        var inPattern = false
+        var previous = ' '
+
+        while (i < code.length) {
+            val c = code[i]
+
+            // Whitespace and comments don't end a statement start
+            if (c.isWhitespace()) {
+                if (c == '\n' && depth == 0) atStatementStart = true
+                out.append(c)
+                i++
+                continue
+            }
+            if (code.startsWith("//", i) || code.startsWith("/*", i)) {
+                val end = if (code.startsWith("//", i)) {
+                    code.indexOf('\n', i).let { if (it < 0) code.length else it }
+                } else {
+                    code.indexOf("*/", i + 2).let { if (it < 0) code.length else it + 2 }
+                }
+                out.append(code, i, end)
+                i = end
+                continue
+            }
+
+            if (atStatementStart && depth == 0) {
+                atStatementStart = false
+                declaring = false
+                val variable = VARIABLE_DECLARATION.matcher(code).region(i, code.length)
+                val function = FUNCTION_DECLARATION.matcher(code).region(i, code.length)
+                val clazz = CLASS_DECLARATION.matcher(code).region(i, code.length)
+                when {
+                    variable.lookingAt() -> {
+                        declaring = true
+                        expectBinding = true
+                        i = variable.end()
+                        continue
+                    }
+                    function.lookingAt() -> {
+                        declared?.add(function.group(1))
+                        out.append(function.group(1)).append(" = ").append(function.group())
+                        i = function.end()
+                        continue
+                    }
+                    clazz.lookingAt() -> {
+                        declared?.add(clazz.group(1))
+                        out.append(clazz.group(1)).append(" = ").append(clazz.group())
+                        i = clazz.end()
+                        continue
+                    }
+                }
+            }
+
+            if (declaring && (expectBinding || inPattern) && (c.isLetter() || c == '_' || c == '$')) {
+                var end = i + 1
+                while (end < code.length && (code[end].isLetterOrDigit() || code[end] == '_' || code[end] == '$')) end++
+                if (expectBinding || previous == '[' || previous == ',' || previous == '.') {
+                    declared?.add(code.substring(i, end))
+                }
+                expectBinding = false
+                out.append(code, i, end)
+                previous = code[end - 1]
+                i = end
+                continue
+            }
+
+            when (c) {
+                '"', '\'', '`' -> {
+                    val end = skipString(code, i)
+                    out.append(code, i, end)
+                    previous = c
+                    i = end
+                    continue
+                }
+                '{', '(', '[' -> {
+                    if (declaring && expectBinding && c == '[' && depth == 0) inPattern = true
+                    expectBinding = false
+                    depth++
+                }
+                '}', ')', ']' -> {
+                    depth = maxOf(0, depth - 1)
+                    if (depth == 0) inPattern = false
+                    if (c == '}' && depth == 0) atStatementStart = true
+                }
+                ',' -> if (declaring && depth == 0) expectBinding = true
+                ';' -> if (depth == 0) atStatementStart = true
+            }
+            out.append(c)
+            previous = c
+            i++
+        }
+
+        return out.toString()
+    }
+
+    /**
+     * Index just past the string or template literal starting at [start].
+     */
+    private fun skipString(code: String, start: Int): Int {
+        val quote = code[start]
+        var i = start + 1
+        while (i < code.length) {
+            when (code[i]) {
+                '\\' -> i += 2
+                quote -> return i + 1
+                else -> i++
+            }
+        }
+        return code.length
+    }
+
+    private fun formatResult(value: Value): String {
+        // Undefined is reported by Graal as null; show what the user would expect from a REPL
+        return if (value.isNull && value.toString() == "undefined") "undefined" else GraalEngine.formatValue(value)
+    }
+
+    private fun formatRejection(reason: Value?): String {
+        if (reason == null) return "Promise rejected"
+        if (reason.hasMember("message") && reason.hasMember("name")) {
+            return "${reason.getMember("name")}: ${reason.getMember("message")}"
+        }
+        return "Uncaught ${GraalEngine.formatValue(reason)}"
+    }
+
+    private fun truncate(output: String): String {
+        if (output.length <= MAX_OUTPUT_LENGTH) return output
+        return output.take(MAX_OUTPUT_LENGTH) + "… (${output.length - MAX_OUTPUT_LENGTH} more chars)"
+    }
+
+    private fun record(callerKey: String, entry: HistoryEntry) {
+        val history = histories.computeIfAbsent(callerKey) { ArrayDeque() }
+        synchronized(history) {
+            history.addLast(entry)
+            while (history.size > MAX_HISTORY) history.removeFirst()
+        }
+    }
+
+    /**
+     * Scope object for one caller: a Proxy that claims the names on the caller's store and
+     * the built-in modules, so other names resolve as globals (and unknown ones throw
+     * ReferenceError). Built-in modules (World, Store, Server...) resolve without an import,
+     * as if every script had imported them. Names starting with __repl are the helper's own.
+     */
+    private fun getScopeFactory(context: Context): Value {
+        return jsScopeFactory ?: context.eval("js", """
+            (function() {
+                const store = Object.create(null);
+                return new Proxy(store, {
+                    has(target, key) {
+                        if (typeof key !== 'string' || key.startsWith('__repl')) return false;
+                        return key in target || ('__builtin_' + key) in globalThis;
+                    },
+                    get(target, key) {
+                        if (key in target) return target[key];
+                        if (key in globalThis) return globalThis[key];
+                        return typeof key === 'string' ? globalThis['__builtin_' + key] : undefined;
+                    },
+                    set(target, key, value) {
+                        target[key] = value;
+                        return true;
+                    }
+                });
+            })
+        """.trimIndent()).also { jsScopeFactory = it }
+    }
+
+    /**
+     * Sloppy-mode helper running code through a direct eval inside `with (scope)`.
+     * Declared names are added to the scope first so their assignments land on it.
+     */
+    private fun getEvalHelper(context: Context): Value {
+        return jsEvalHelper ?: context.eval("js", """
+            (function(__replScope, __replCode, __replNames) {
+                for (const __replName of __replNames) {
+                    if (!(__replName in __replScope)) __replScope[__replName] = undefined;
+                }
+                with (__replScope) {
+                    return eval(__replCode);
+                }
+            })
+        """.trimIndent()).also { jsEvalHelper = it }
+    }
+}
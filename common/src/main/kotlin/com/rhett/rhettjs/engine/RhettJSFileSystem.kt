@@ -37,7 +37,7 @@ class RhettJSFileSystem(
 ) : FileSystem {
 
     companion object {
-        private val BUILT_IN_MODULES = setOf("World", "Structure", "StructureNbt", "LargeStructureNbt", "WorldgenStructure", "Store", "NBT", "Server", "Commands", "Runtime", "Script")
+        private val BUILT_IN_MODULES = setOf("World", "Structure", "StructureNbt", "LargeStructureNbt", "WorldgenStructure", "Store", "NBT", "Server", "Commands", "Runtime", "Script", "Dimensions", "Test", "Zones", "Regions", "Items", "Scoreboard", "Teams", "BossBars")
         private const val VIRTUAL_PREFIX = "/__builtins__/"
 
         // Map submodule paths to their API names
@@ -51,6 +51,14 @@ class RhettJSFileSystem(
             "rhettjs/runtime" to "Runtime",
             "rhettjs/script" to "Script",
             "rhettjs/worldgen-structure" to "WorldgenStructure",
+            "rhettjs/dimensions" to "Dimensions",
+            "rhettjs/test" to "Test",
+            "rhettjs/zones" to "Zones",
+            "rhettjs/regions" to "Regions",
+            "rhettjs/items" to "Items",
+            "rhettjs/scoreboard" to "Scoreboard",
+            "rhettjs/teams" to "Teams",
+            "rhettjs/bossbars" to "BossBars",
             "rhettjs" to "rhettjs" // Barrel import
         )
 
@@ -218,6 +226,14 @@ class RhettJSFileSystem(
                 export { default as LargeStructureNbt } from '/__builtins__/LargeStructureNbt';
                 export { default as WorldgenStructure } from '/__builtins__/WorldgenStructure';
                 export { default as Script } from '/__builtins__/Script';
+                export { default as Test } from '/__builtins__/Test';
+                export { default as Dimensions } from '/__builtins__/Dimensions';
+                export { default as Zones } from '/__builtins__/Zones';
+                export { default as Regions } from '/__builtins__/Regions';
+                export { default as Items } from '/__builtins__/Items';
+                export { default as Scoreboard } from '/__builtins__/Scoreboard';
+                export { default as Teams } from '/__builtins__/Teams';
+                export { default as BossBars } from '/__builtins__/BossBars';
             """.trimIndent()
             ConfigManager.debug("Generated barrel module for 'rhettjs':\n$moduleCode")
             return moduleCode
@@ -256,6 +272,22 @@ class RhettJSFileSystem(
             return moduleCode
         }
 
+        // Test module also has named exports: import { describe, it, expect } from 'rhettjs/test'
+        if (name == "Test") {
+            val moduleCode = """
+                // Built-in module: Test
+                // Generated by RhettJSFileSystem
+                const api = globalThis.__builtin_Test;
+                if (!api) {
+                    throw new Error('Built-in module "Test" not found on globalThis');
+                }
+                export const { describe, it, test, expect, beforeAll, afterAll, beforeEach, afterEach } = api;
+                export default api;
+            """.trimIndent()
+            ConfigManager.debug("Generated virtual module for '$name':\n$moduleCode")
+            return moduleCode
+        }
+
         // Standard module export (legacy and submodules)
         val moduleCode = """
             // Built-in module: $name
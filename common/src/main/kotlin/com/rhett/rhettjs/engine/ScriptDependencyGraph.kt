@@ -0,0 +1,111 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.exists
+import kotlin.io.path.extension
+import kotlin.io.path.readText
+
+/**
+ * Import graph between script files, used by hot reload to find what a change affects.
+ *
+ * Only relative specifiers ('./x.js', '../modules/x.js') are tracked - built-in modules
+ * (World, rhettjs/*) never change at runtime. Imports are found with a lightweight
+ * regex scan rather than a full parse, so commented-out imports are still counted
+ * (which at worst reloads a little more than necessary).
+ *
+ * @property imports Map of file -> files it imports (absolute, normalized paths)
+ */
+class ScriptDependencyGraph(private val imports: Map<Path, Set<Path>>) {
+
+    // Reverse edges: file -> files that import it
+    private val importers: Map<Path, Set<Path>> = buildMap<Path, MutableSet<Path>> {
+        imports.forEach { (file, deps) ->
+            deps.forEach { dep -> getOrPut(dep) { mutableSetOf() }.add(file) }
+        }
+    }
+
+    /**
+     * Get the files imported directly by a file.
+     */
+    fun importsOf(file: Path): Set<Path> = imports[normalize(file)] ?: emptySet()
+
+    /**
+     * Check whether any other file imports this file.
+     */
+    fun hasImporters(file: Path): Boolean = !importers[normalize(file)].isNullOrEmpty()
+
+    /**
+     * Get the changed files plus everything that transitively imports them.
+     *
+     * @param changed Files that changed on disk
+     * @return Changed files and all of their (transitive) importers
+     */
+    fun withDependents(changed: Collection<Path>): Set<Path> {
+        val result = linkedSetOf<Path>()
+        val queue = ArrayDeque(changed.map { normalize(it) })
+
+        while (queue.isNotEmpty()) {
+            val file = queue.removeFirst()
+            if (!result.add(file)) continue
+            importers[file]?.forEach { queue.addLast(it) }
+        }
+
+        return result
+    }
+
+    companion object {
+        // import x from '...', import {a} from "...", export * from '...', import '...', import('...')
+        private val IMPORT_PATTERN = Regex(
+            """(?:\bimport\s*(?:[\w*${'$'}{}\s,]+?\s*from\s*)?|\bexport\s*[\w*${'$'}{}\s,]+?\s*from\s*|\bimport\s*\(\s*)(['"])([^'"\n]+)\1"""
+        )
+
+        /**
+         * Build the graph for every script under the base directory.
+         *
+         * @param baseDir The rjs/ base directory
+         * @return Graph covering all .js files in the script category directories
+         */
+        fun build(baseDir: Path): ScriptDependencyGraph {
+            val imports = mutableMapOf<Path, Set<Path>>()
+
+            ScriptCategory.values().forEach { category ->
+                val dir = baseDir.resolve(category.dirName)
+                if (!dir.exists()) return@forEach
+
+                Files.walk(dir).use { stream ->
+                    stream.filter { it.extension == "js" }.forEach { file ->
+                        imports[normalize(file)] = try {
+                            parseImports(file, file.readText())
+                        } catch (e: Exception) {
+                            ConfigManager.debug("[HotReload] Could not read imports of $file: ${e.message}")
+                            emptySet()
+                        }
+                    }
+                }
+            }
+
+            return ScriptDependencyGraph(imports)
+        }
+
+        /**
+         * Extract relative import targets from script source.
+         *
+         * @param file The file the source belongs to (imports resolve against its directory)
+         * @param source The script source code
+         * @return Absolute paths of imported files
+         */
+        fun parseImports(file: Path, source: String): Set<Path> {
+            val dir = normalize(file).parent ?: return emptySet()
+
+            return IMPORT_PATTERN.findAll(source)
+                .map { it.groupValues[2] }
+                .filter { it.startsWith("./") || it.startsWith("../") }
+                .map { spec -> normalize(dir.resolve(if (spec.endsWith(".js")) spec else "$spec.js")) }
+                .toSet()
+        }
+
+        private fun normalize(path: Path): Path = path.toAbsolutePath().normalize()
+    }
+}
@@ -63,42 +63,95 @@ object ScriptRegistry {
 
         Files.walk(dir)
             .filter { it.extension == "js" }
-            .forEach { file ->
-                val relativePath = baseDir.relativize(file)
-                val fullName = relativePath.toString().removeSuffix(".js")
-
-                // For utility scripts (scripts/), strip the category prefix
-                // Since /rjs run ONLY runs utility scripts, showing "scripts/abc" is redundant
-                val name = if (category == ScriptCategory.UTILITY) {
-                    fullName.removePrefix("${category.dirName}/")
-                } else {
-                    fullName
-                }
+            .forEach { file -> registerFile(file, category, baseDir) }
+    }
 
-                ConfigManager.debug("Found script file: $name at $file")
-
-                val status = validateScript(file, category)
-
-                scripts[name] = ScriptInfo(
-                    name = name,
-                    path = file,
-                    category = category,
-                    lastModified = Files.getLastModifiedTime(file).toMillis(),
-                    status = status
-                )
-
-                when (status) {
-                    ScriptStatus.LOADED -> {
-                        RhettJSCommon.LOGGER.info("[RhettJS]   ✓ $name")
-                        ConfigManager.debug("Script validated successfully: $name")
-                    }
-                    ScriptStatus.ERROR -> {
-                        RhettJSCommon.LOGGER.warn("[RhettJS]   ✗ $name (syntax error)")
-                        ConfigManager.debug("Script validation failed: $name")
-                    }
-                    else -> {}
-                }
+    /**
+     * Validate a single script file and add it to the registry.
+     *
+     * @return The registered script info
+     */
+    private fun registerFile(file: Path, category: ScriptCategory, baseDir: Path): ScriptInfo {
+        val name = scriptName(file, category, baseDir)
+
+        ConfigManager.debug("Found script file: $name at $file")
+
+        val status = validateScript(file, category)
+
+        val info = ScriptInfo(
+            name = name,
+            path = file,
+            category = category,
+            lastModified = Files.getLastModifiedTime(file).toMillis(),
+            status = status
+        )
+        scripts[name] = info
+
+        when (status) {
+            ScriptStatus.LOADED -> {
+                RhettJSCommon.LOGGER.info("[RhettJS]   ✓ $name")
+                ConfigManager.debug("Script validated successfully: $name")
+            }
+            ScriptStatus.ERROR -> {
+                RhettJSCommon.LOGGER.warn("[RhettJS]   ✗ $name (syntax error)")
+                ConfigManager.debug("Script validation failed: $name")
             }
+            else -> {}
+        }
+
+        return info
+    }
+
+    /**
+     * Derive the registry name for a script file.
+     */
+    private fun scriptName(file: Path, category: ScriptCategory, baseDir: Path): String {
+        val relativePath = baseDir.toAbsolutePath().normalize().relativize(file.toAbsolutePath().normalize())
+        val fullName = relativePath.toString().removeSuffix(".js")
+
+        // For utility scripts (scripts/), strip the category prefix
+        // Since /rjs run ONLY runs utility scripts, showing "scripts/abc" is redundant
+        return if (category == ScriptCategory.UTILITY) {
+            fullName.removePrefix("${category.dirName}/")
+        } else {
+            fullName
+        }
+    }
+
+    /**
+     * Re-validate a single file after it changed on disk (used by hot reload).
+     * Deleted files are removed from the registry.
+     *
+     * @param baseDir The base directory (e.g., <minecraft>/rjs/)
+     * @param file The changed file
+     * @return The updated script info, or null if the file was deleted or is not a script
+     */
+    fun refresh(baseDir: Path, file: Path): ScriptInfo? {
+        val category = categoryOf(baseDir, file) ?: return null
+
+        if (!file.exists()) {
+            val name = scriptName(file, category, baseDir)
+            scripts.remove(name)
+            ConfigManager.debug("Removed deleted script from registry: $name")
+            return null
+        }
+
+        return registerFile(file, category, baseDir)
+    }
+
+    /**
+     * Determine which script category a file belongs to.
+     *
+     * @return The category, or null if the file is outside the category directories
+     */
+    fun categoryOf(baseDir: Path, file: Path): ScriptCategory? {
+        if (file.extension != "js") return null
+        val base = baseDir.toAbsolutePath().normalize()
+        val path = file.toAbsolutePath().normalize()
+        if (!path.startsWith(base)) return null
+
+        val firstSegment = base.relativize(path).getName(0).toString()
+        return ScriptCategory.values().firstOrNull { it.dirName == firstSegment }
     }
 
     /**
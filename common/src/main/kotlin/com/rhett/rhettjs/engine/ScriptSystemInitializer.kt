@@ -4,6 +4,7 @@ import com.rhett.rhettjs.RhettJSCommon
 import com.rhett.rhettjs.api.StructureAPI
 import com.rhett.rhettjs.api.WorldAPI
 import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.ServerEventManager
 // TODO: Re-implement event system for GraalVM
 // import com.rhett.rhettjs.events.ServerEventsAPI
 // import com.rhett.rhettjs.events.StartupEventsAPI
@@ -27,7 +28,7 @@ object ScriptSystemInitializer {
      * Initialize startup and server scripts during mod initialization.
      * This runs early, BEFORE command registration and datapack load.
      *
-     * STARTUP scripts: Early initialization (dimensions via rjs/data/ datapack JSON)
+     * STARTUP scripts: Early initialization (dimensions via Dimensions.register -> rjs/data/ datapack JSON)
      * SERVER scripts: Event handlers, command registration (also re-executed on /reload)
      */
     fun initializeStartupScripts() {
@@ -56,9 +57,12 @@ object ScriptSystemInitializer {
         // GlobalsLoader.reload(scriptsDir)
         ConfigManager.debug("Loaded global libraries")
 
-        // Execute startup scripts (dimensions via datapack JSON)
+        // Execute startup scripts (dimensions via Dimensions.register)
         executeStartupScripts()
 
+        // Write registered dimensions to the rjs/ datapack before worlds load
+        generateDimensionDatapack(scriptsDir)
+
         // Execute server scripts (initial load - before command registration)
         // These will be re-executed during datapack reload for /reload support
         executeServerScripts(fromModInit = true)
@@ -79,30 +83,79 @@ object ScriptSystemInitializer {
         // Set server reference for managers
         com.rhett.rhettjs.events.ServerEventManager.setServer(server)
         com.rhett.rhettjs.world.WorldManager.setServer(server)
+        com.rhett.rhettjs.zones.ZoneManager.setServer(server)
+        com.rhett.rhettjs.scoreboard.ScoreboardManager.setServer(server)
+        com.rhett.rhettjs.bossbar.BossBarManager.setServer(server)
         com.rhett.rhettjs.structure.StructureNbtManager.setServer(server)
         com.rhett.rhettjs.structure.LargeStructureNbtManager.setServer(server)
         com.rhett.rhettjs.structure.WorldgenStructureManager.setServer(server)
         ConfigManager.debug("ServerEventManager, WorldManager, StructureNbtManager, LargeStructureNbtManager, and WorldgenStructureManager initialized with server reference")
 
+        // Load persistent store data saved with this world
+        com.rhett.rhettjs.api.PersistentStore.load(server.getWorldPath(net.minecraft.world.level.storage.LevelResource.ROOT))
+        com.rhett.rhettjs.zones.ZoneManager.load(server.getWorldPath(net.minecraft.world.level.storage.LevelResource.ROOT))
+        com.rhett.rhettjs.regions.RegionManager.load(server.getWorldPath(net.minecraft.world.level.storage.LevelResource.ROOT))
+
         // Initialize Structure API (needs server directory)
         initializeStructureAPI(serverDirectory)
 
         // Initialize World API (needs server instance)
         initializeWorldAPI(server)
 
+        // Watch script directories for changes (opt-in via hot_reload config)
+        HotReloadManager.start(server, getScriptsDirectory(serverDirectory))
+
         RhettJSCommon.LOGGER.info("[RhettJS] Ready! Use /rjs list to see available scripts")
         ConfigManager.debug("Server resources initialization complete")
     }
 
+    /**
+     * Called once worlds are loaded and the server is ticking.
+     * Fires the serverStarted event.
+     */
+    fun onServerStarted() {
+        ServerEventManager.triggerLifecycle(ServerEventManager.EventTypes.SERVER_STARTED)
+    }
+
+    /**
+     * Release server resources on server stop.
+     * Awaits serverStopping handlers (so they can save state), then stops the hot reload
+     * watcher and saves the persistent store and forgets zones and regions.
+     */
+    fun shutdown() {
+        ServerEventManager.triggerLifecycleAndAwait(ServerEventManager.EventTypes.SERVER_STOPPING)
+        HotReloadManager.stop()
+        com.rhett.rhettjs.api.PersistentStore.unload()
+        com.rhett.rhettjs.zones.ZoneManager.unload()
+        com.rhett.rhettjs.regions.RegionManager.unload()
+        com.rhett.rhettjs.scoreboard.ScoreboardManager.unload()
+        com.rhett.rhettjs.bossbar.BossBarManager.unload()
+        ConfigManager.debug("Server resources released")
+    }
+
+    /**
+     * Called after the server saves the world (autosave, /save-all).
+     * Called from platform-specific save hooks.
+     * Handlers run before the flush so their Store.persistent() writes are saved too.
+     */
+    fun onWorldSaved() {
+        ServerEventManager.triggerLifecycle(ServerEventManager.EventTypes.WORLD_SAVED)
+        com.rhett.rhettjs.api.PersistentStore.flush()
+    }
+
     /**
      * Reload scripts (used by /rjs reload command).
-     * Reloads: globals, server scripts (via data pack reload), utility scripts (reindex).
+     * Reloads: globals, server scripts, utility scripts (reindex).
      * Does NOT reload: startup scripts (require full restart).
      * Note: Does not reinitialize APIs (Structure, World) as they persist across reloads.
      *
+     * beforeReload handlers are awaited before the context is closed, afterReload handlers
+     * (registered by the new scripts) once server scripts have run again.
+     *
      * @param serverDirectory The server's root directory
+     * @param server The running server, used to refresh the command tree (null in tests)
      */
-    fun reload(serverDirectory: Path) {
+    fun reload(serverDirectory: Path, server: MinecraftServer? = null) {
         val scriptsDir = getScriptsDirectory(serverDirectory)
 
         // Update scripts directory for module resolution
@@ -110,12 +163,12 @@ object ScriptSystemInitializer {
 
         RhettJSCommon.LOGGER.info("[RhettJS] Reloading scripts...")
 
-        // Reset GraalVM engine (closes context, clears cached state)
+        // Let scripts tear down while their context is still open
+        ServerEventManager.triggerLifecycleAndAwait(ServerEventManager.EventTypes.BEFORE_RELOAD)
+
+        // Reset GraalVM engine (closes context, clears handlers, timers and commands)
         GraalEngine.reset()
 
-        // Clear server event handlers and globals (NOT startup - those don't reload)
-        // TODO: Clear server events for GraalVM
-        // ServerEventsAPI.clear()
         // TODO: Clear globals for GraalVM
         // GlobalsLoader.clear()
 
@@ -128,9 +181,20 @@ object ScriptSystemInitializer {
         // TODO: Implement globals loading for GraalVM
         // GlobalsLoader.reload(scriptsDir)
 
-        // Note: Server scripts execution is handled by caller (RJSCommand or data pack reload)
+        // Re-execute server scripts, then register commands they added and resend the
+        // command tree (existing nodes look their handlers up by name)
+        runServerScripts(ScriptRegistry.getScripts(ScriptCategory.SERVER))
+        if (server != null) {
+            try {
+                GraalEngine.getCommandRegistry().refresh(server)
+            } catch (e: Exception) {
+                RhettJSCommon.LOGGER.error("[RhettJS] Failed to refresh commands after reload", e)
+            }
+        }
+        ServerEventManager.triggerLifecycleAndAwait(ServerEventManager.EventTypes.AFTER_RELOAD)
+
         // Startup scripts are NOT reloaded (require full server restart)
-        RhettJSCommon.LOGGER.info("[RhettJS] Globals reloaded - ready for server script execution")
+        RhettJSCommon.LOGGER.info("[RhettJS] Server scripts reloaded")
         RhettJSCommon.LOGGER.warn("[RhettJS] Startup scripts NOT reloaded - full restart required for dimension changes")
     }
 
@@ -250,6 +314,28 @@ object ScriptSystemInitializer {
         ConfigManager.debug("Startup scripts complete")
     }
 
+    /**
+     * Generate datapack files for dimensions registered by startup scripts.
+     * Registrations are closed afterwards - later calls to Dimensions.register() fail.
+     */
+    private fun generateDimensionDatapack(scriptsDir: Path) {
+        val dimensions = DimensionRegistry.getRegisteredDimensions()
+        DimensionRegistry.closeRegistrations()
+
+        if (dimensions.isEmpty()) {
+            ConfigManager.debug("No dimensions registered by startup scripts")
+            return
+        }
+
+        try {
+            DatapackGenerator.generatePackMeta(scriptsDir)
+            DatapackGenerator.generateDimensions(scriptsDir, dimensions)
+            RhettJSCommon.LOGGER.info("[RhettJS] Registered dimensions: ${dimensions.values.joinToString { "${it.namespace}:${it.name}" }}")
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to generate dimension datapack", e)
+        }
+    }
+
     /**
      * Execute server scripts.
      * Called multiple times:
@@ -285,6 +371,9 @@ object ScriptSystemInitializer {
         } else {
             // Subsequent reloads (/reload command) - reset context and re-execute
             RhettJSCommon.LOGGER.info("[RhettJS] Reloading ${serverScripts.size} server scripts...")
+
+            // Let scripts tear down while their context is still open
+            ServerEventManager.triggerLifecycleAndAwait(ServerEventManager.EventTypes.BEFORE_RELOAD)
             GraalEngine.getCommandRegistry().clear()
 
             // Reset GraalVM context to force module re-initialization
@@ -297,6 +386,14 @@ object ScriptSystemInitializer {
             // This will be done when scripts execute and commands are registered
         }
 
+        runServerScripts(serverScripts)
+
+        if (!fromModInit) {
+            ServerEventManager.triggerLifecycleAndAwait(ServerEventManager.EventTypes.AFTER_RELOAD)
+        }
+    }
+
+    private fun runServerScripts(serverScripts: List<ScriptInfo>) {
         serverScripts.forEach { script ->
             try {
                 GraalEngine.executeScript(script)
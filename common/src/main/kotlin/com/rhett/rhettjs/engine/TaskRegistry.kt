@@ -0,0 +1,183 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.async.AbortSignal
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.atomic.AtomicInteger
+
+/**
+ * Tracks running script executions for /rjs tasks and /rjs kill.
+ *
+ * A task starts when GraalEngine executes a script and stays registered while its top-level
+ * code runs or it still has pending work: wait() calls, setTimeout/setInterval timers and
+ * Kotlin operations bridged to promises (World.fill, structure placement...). Continuations
+ * of that work run "as" the task again (see [runAs]), so timers created after an `await`
+ * are attributed to the same task.
+ *
+ * Killing a task rejects its pending waits with an AbortError, cancels its timers, aborts the
+ * task's [Task.signal] (stopping chunked world edits and structure placement at the next chunk)
+ * and makes further wait()/timer calls from it throw. Synchronous loops in top-level code
+ * can't be interrupted this way.
+ */
+object TaskRegistry {
+
+    /**
+     * One script execution.
+     *
+     * @property id Handle for /rjs kill
+     * @property scriptName Script that was executed
+     * @property caller Who started it (player/console name, or the script category)
+     * @property startTime When execution started (epoch millis)
+     */
+    class Task(
+        val id: Int,
+        val scriptName: String,
+        val caller: String,
+        val startTime: Long
+    ) {
+        /** True while the top-level script code is still executing. */
+        @Volatile
+        var isRunning = true
+            internal set
+
+        internal val pendingOperations = AtomicInteger(0)
+
+        /** Aborted when the task is killed; long-running operations started by the task follow it. */
+        val signal = AbortSignal()
+
+        /** Pending waits and timers in AsyncScheduler. */
+        val pendingTimers: Int
+            get() = AsyncScheduler.getActiveTimerCount(id)
+
+        /** Pending promise-bridged operations (world edits, structure placement...). */
+        val pendingPromises: Int
+            get() = pendingOperations.get()
+
+        internal val isIdle: Boolean
+            get() = !isRunning && pendingPromises == 0 && pendingTimers == 0
+    }
+
+    private val tasks = ConcurrentHashMap<Int, Task>()
+
+    // Killed tasks are unlisted right away, but late continuations must still see the kill
+    private val killedTasks = ConcurrentHashMap<Int, Task>()
+    private val nextId = AtomicInteger(1)
+
+    // Per thread: utility scripts run their top-level code off the server thread while
+    // continuations of other tasks run on it
+    private val currentTask = ThreadLocal<Int?>()
+
+    /**
+     * Register a new execution. Called by GraalEngine before evaluating a script.
+     */
+    fun start(scriptName: String, caller: String): Task {
+        pruneIdle()
+        val task = Task(nextId.getAndIncrement(), scriptName, caller, System.currentTimeMillis())
+        tasks[task.id] = task
+        ConfigManager.debug("[Tasks] Started task #${task.id}: $scriptName ($caller)")
+        return task
+    }
+
+    /**
+     * Mark a task's top-level code as finished. The task stays listed while work is pending.
+     */
+    fun finishTopLevel(task: Task) {
+        task.isRunning = false
+    }
+
+    /**
+     * Id of the task whose code is running on this thread, or null.
+     */
+    fun currentTaskId(): Int? = currentTask.get()
+
+    /**
+     * Run [block] as the given task (used when resuming continuations and timer callbacks).
+     */
+    fun <T> runAs(taskId: Int?, block: () -> T): T {
+        val previous = currentTask.get()
+        currentTask.set(taskId)
+        try {
+            return block()
+        } finally {
+            currentTask.set(previous)
+        }
+    }
+
+    /**
+     * Check whether a task was killed (null = no task, never killed).
+     */
+    fun isKilled(taskId: Int?): Boolean = taskId != null && taskId in killedTasks
+
+    /**
+     * Abort signal of the task whose code is running on this thread, or null.
+     * Already aborted for a killed task, so operations it starts after the kill stop right away.
+     */
+    fun currentSignal(): AbortSignal? {
+        val taskId = currentTask.get() ?: return null
+        return (tasks[taskId] ?: killedTasks[taskId])?.signal
+    }
+
+    /**
+     * Count a promise-bridged operation as pending work of a task.
+     */
+    fun operationStarted(taskId: Int?) {
+        taskId?.let { tasks[it]?.pendingOperations?.incrementAndGet() }
+    }
+
+    /**
+     * Mark a promise-bridged operation as settled.
+     */
+    fun operationFinished(taskId: Int?) {
+        taskId?.let { tasks[it]?.pendingOperations?.decrementAndGet() }
+    }
+
+    /**
+     * Get a task by id (only tasks that are still active).
+     */
+    fun get(id: Int): Task? {
+        pruneIdle()
+        return tasks[id]
+    }
+
+    /**
+     * Get all active tasks, oldest first.
+     */
+    fun list(): List<Task> {
+        pruneIdle()
+        return tasks.values.sortedBy { it.id }
+    }
+
+    /**
+     * Kill a task: reject its pending waits with [reason], cancel its timers and abort its
+     * operations.
+     *
+     * @param id Task id
+     * @param reason Rejection reason for pending waits and operations (usually a JS AbortError)
+     * @return false if no such task is active
+     */
+    fun kill(id: Int, reason: Any?): Boolean {
+        val task = tasks.remove(id) ?: return false
+        killedTasks[id] = task
+        val cancelled = AsyncScheduler.cancelTask(id, reason)
+        task.signal.abort(reason)
+        ConfigManager.debug("[Tasks] Killed task #$id: ${task.scriptName} ($cancelled pending cancelled)")
+        return true
+    }
+
+    /**
+     * Forget all tasks (their work belongs to the closed context).
+     * Called from GraalEngine.reset().
+     */
+    fun reset() {
+        tasks.clear()
+        killedTasks.clear()
+        ConfigManager.debug("[Tasks] Reset complete")
+    }
+
+    // Only pruned from start()/list()/get(): a due timer leaves AsyncScheduler a moment before
+    // its callback runs, so pruning from inside tick callbacks could drop a task that's still going
+    private fun pruneIdle() {
+        tasks.values.removeIf { it.isIdle }
+    }
+}
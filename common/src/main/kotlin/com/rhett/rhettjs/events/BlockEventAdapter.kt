@@ -3,9 +3,11 @@ package com.rhett.rhettjs.events
 import net.minecraft.core.BlockPos
 import net.minecraft.core.Direction
 import net.minecraft.core.registries.BuiltInRegistries
+import net.minecraft.server.level.ServerLevel
 import net.minecraft.world.entity.player.Player
 import net.minecraft.world.item.ItemStack
 import net.minecraft.world.level.Level
+import net.minecraft.world.level.block.Block
 import net.minecraft.world.level.block.state.BlockState
 
 /**
@@ -148,44 +150,60 @@ object BlockEventAdapter {
 
     /**
      * Create a Placed event from Minecraft event data.
+     *
+     * @param state The block state being placed (may not be in the level yet)
+     * @param placedAgainst The clicked block, or null if the platform doesn't report it
      */
     fun createPlacedEvent(
         pos: BlockPos,
         level: Level,
         player: Player,
-        placedAgainst: BlockPos,
+        state: BlockState,
+        placedAgainst: BlockPos?,
         face: Direction?,
         item: ItemStack?
     ): BlockEventData.Placed {
-        val state = level.getBlockState(pos)
-
         return BlockEventData.Placed(
             position = toBlockPosition(pos, level),
             block = toBlockData(state),
             player = toPlayerData(player),
-            placedAgainst = toBlockPosition(placedAgainst, level),
+            placedAgainst = placedAgainst?.let { toBlockPosition(it, level) },
             face = toBlockFace(face),
             item = item?.let { toItemData(it) }
         )
     }
 
     /**
-     * Create a Broken event from Minecraft event data.
+     * Create a Broken event before the block is removed.
+     * Drops are resolved from the loot table for the player's main hand tool
+     * (none in creative or without the correct tool, matching vanilla).
+     *
+     * @param experience The experience the block drops, as reported by the platform
      */
     fun createBrokenEvent(
         pos: BlockPos,
         level: Level,
         player: Player,
         state: BlockState,
-        drops: List<ItemStack>,
         experience: Int
     ): BlockEventData.Broken {
+        val yieldsDrops = level is ServerLevel && !player.abilities.instabuild && player.hasCorrectToolForDrops(state)
+        val drops = if (yieldsDrops) {
+            try {
+                Block.getDrops(state, level, pos, level.getBlockEntity(pos), player, player.mainHandItem)
+            } catch (e: Exception) {
+                emptyList()
+            }
+        } else {
+            emptyList()
+        }
+
         return BlockEventData.Broken(
             position = toBlockPosition(pos, level),
             block = toBlockData(state),
             player = toPlayerData(player),
             drops = drops.mapNotNull { toItemData(it) },
-            experience = experience
+            experience = if (yieldsDrops) experience else 0
         )
     }
 }
@@ -66,28 +66,30 @@ sealed class BlockEventData {
         val item: ItemData?,
         val face: BlockFace?,
         val isRightClick: Boolean
-    ) : BlockEventData() {
-        /**
-         * Whether this event has been cancelled by a handler.
-         * If true, the default action will be prevented.
-         */
-        var cancelled: Boolean = false
+    ) : BlockEventData(), CancellableEvent {
+        override var cancelled: Boolean = false
     }
 
     /**
      * Event data for block placement events.
+     * [block] is the state being placed. [placedAgainst] and [face] are null when the
+     * platform doesn't report them (NeoForge).
      */
     data class Placed(
         override val position: BlockPosition,
         override val block: BlockData,
         override val player: PlayerData,
-        val placedAgainst: BlockPosition,
+        val placedAgainst: BlockPosition?,
         val face: BlockFace?,
         val item: ItemData?
-    ) : BlockEventData()
+    ) : BlockEventData(), CancellableEvent {
+        override var cancelled: Boolean = false
+    }
 
     /**
      * Event data for block breaking events.
+     * Fired before the block is removed; [drops] and [experience] are what the player's tool
+     * is expected to yield.
      */
     data class Broken(
         override val position: BlockPosition,
@@ -95,5 +97,7 @@ sealed class BlockEventData {
         override val player: PlayerData,
         val drops: List<ItemData>,
         val experience: Int
-    ) : BlockEventData()
+    ) : BlockEventData(), CancellableEvent {
+        override var cancelled: Boolean = false
+    }
 }
\ No newline at end of file
@@ -0,0 +1,13 @@
+package com.rhett.rhettjs.events
+
+/**
+ * Event data that handlers can cancel with `event.cancel()`.
+ * Platform handlers check [cancelled] after triggering and prevent the default action.
+ */
+interface CancellableEvent {
+    /**
+     * Whether this event has been cancelled by a handler.
+     * If true, the default action will be prevented.
+     */
+    var cancelled: Boolean
+}
@@ -0,0 +1,146 @@
+package com.rhett.rhettjs.events
+
+import net.minecraft.core.registries.BuiltInRegistries
+import net.minecraft.resources.ResourceKey
+import net.minecraft.world.InteractionHand
+import net.minecraft.world.damagesource.DamageSource
+import net.minecraft.world.entity.Entity
+import net.minecraft.world.entity.player.Player
+import net.minecraft.world.level.Level
+
+/**
+ * Adapter layer that converts Minecraft entity and player events to our internal event models.
+ * Companion to [BlockEventAdapter]; player and item conversion is shared with it.
+ */
+object EntityEventAdapter {
+
+    /**
+     * Convert a Minecraft Entity to our EntityData model.
+     */
+    fun toEntityData(entity: Entity): EntityData {
+        return EntityData(
+            uuid = entity.stringUUID,
+            type = BuiltInRegistries.ENTITY_TYPE.getKey(entity.type).toString(),
+            name = entity.name.string,
+            position = EntityPosition(
+                x = entity.x,
+                y = entity.y,
+                z = entity.z,
+                dimension = entity.level().dimension().location().toString()
+            )
+        )
+    }
+
+    /**
+     * Convert a Minecraft DamageSource to our DamageSourceData model.
+     */
+    fun toDamageSourceData(source: DamageSource): DamageSourceData {
+        val type = source.typeHolder().unwrapKey()
+            .map { it.location().toString() }
+            .orElse(source.msgId)
+
+        return DamageSourceData(
+            type = type,
+            attacker = source.entity?.let { toEntityData(it) }
+        )
+    }
+
+    /**
+     * Convert a Minecraft InteractionHand to its JavaScript name.
+     */
+    fun toHandName(hand: InteractionHand): String {
+        return when (hand) {
+            InteractionHand.MAIN_HAND -> "main_hand"
+            InteractionHand.OFF_HAND -> "off_hand"
+        }
+    }
+
+    /**
+     * Create a Chat event from a player's message.
+     */
+    fun createChatEvent(player: Player, message: String): PlayerEventData.Chat {
+        return PlayerEventData.Chat(
+            player = BlockEventAdapter.toPlayerData(player),
+            message = message
+        )
+    }
+
+    /**
+     * Create a player Death event.
+     */
+    fun createPlayerDeathEvent(player: Player, source: DamageSource): PlayerEventData.Death {
+        return PlayerEventData.Death(
+            player = BlockEventAdapter.toPlayerData(player),
+            source = toDamageSourceData(source)
+        )
+    }
+
+    /**
+     * Create a Respawn event.
+     */
+    fun createRespawnEvent(player: Player, fromEnd: Boolean): PlayerEventData.Respawn {
+        return PlayerEventData.Respawn(
+            player = BlockEventAdapter.toPlayerData(player),
+            fromEnd = fromEnd
+        )
+    }
+
+    /**
+     * Create a ChangeDimension event.
+     */
+    fun createChangeDimensionEvent(
+        player: Player,
+        from: ResourceKey<Level>,
+        to: ResourceKey<Level>
+    ): PlayerEventData.ChangeDimension {
+        return PlayerEventData.ChangeDimension(
+            player = BlockEventAdapter.toPlayerData(player),
+            from = from.location().toString(),
+            to = to.location().toString()
+        )
+    }
+
+    /**
+     * Create an ItemUse event for the item in the given hand.
+     */
+    fun createItemUseEvent(player: Player, hand: InteractionHand): PlayerEventData.ItemUse {
+        return PlayerEventData.ItemUse(
+            player = BlockEventAdapter.toPlayerData(player),
+            item = BlockEventAdapter.toItemData(player.getItemInHand(hand)),
+            hand = toHandName(hand)
+        )
+    }
+
+    /**
+     * Create an entity Death event.
+     */
+    fun createEntityDeathEvent(entity: Entity, source: DamageSource): EntityEventData.Death {
+        return EntityEventData.Death(
+            entity = toEntityData(entity),
+            source = toDamageSourceData(source)
+        )
+    }
+
+    /**
+     * Create an entity Damage event.
+     */
+    fun createEntityDamageEvent(entity: Entity, source: DamageSource, amount: Float): EntityEventData.Damage {
+        return EntityEventData.Damage(
+            entity = toEntityData(entity),
+            source = toDamageSourceData(source),
+            amount = amount
+        )
+    }
+
+    /**
+     * Create an entity Interact event.
+     */
+    fun createEntityInteractEvent(player: Player, entity: Entity, hand: InteractionHand): EntityEventData.Interact {
+        return EntityEventData.Interact(
+            entity = toEntityData(entity),
+            player = BlockEventAdapter.toPlayerData(player),
+            item = BlockEventAdapter.toItemData(player.getItemInHand(hand)),
+            hand = toHandName(hand)
+        )
+    }
+}
@@ -0,0 +1,135 @@
+package com.rhett.rhettjs.events
+
+/**
+ * Entity position data for events.
+ * Unlike [BlockPosition], coordinates are not block-aligned.
+ */
+data class EntityPosition(
+    val x: Double,
+    val y: Double,
+    val z: Double,
+    val dimension: String
+)
+
+/**
+ * Entity data for events.
+ * Minimal interface to avoid coupling to Minecraft's Entity type.
+ */
+data class EntityData(
+    val uuid: String,
+    val type: String,
+    val name: String,
+    val position: EntityPosition
+)
+
+/**
+ * Damage source data.
+ *
+ * @property type Damage type ID (e.g., "minecraft:player_attack")
+ * @property attacker The entity responsible for the damage, if any
+ */
+data class DamageSourceData(
+    val type: String,
+    val attacker: EntityData?
+)
+
+/**
+ * Event data for player events (chat, death, respawn, dimension change, item use).
+ */
+sealed class PlayerEventData {
+    abstract val player: PlayerData
+
+    /**
+     * A chat message about to be broadcast.
+     */
+    data class Chat(
+        override val player: PlayerData,
+        val message: String
+    ) : PlayerEventData(), CancellableEvent {
+        override var cancelled: Boolean = false
+    }
+
+    /**
+     * A player about to die. Cancelling keeps the player alive.
+     */
+    data class Death(
+        override val player: PlayerData,
+        val source: DamageSourceData
+    ) : PlayerEventData(), CancellableEvent {
+        override var cancelled: Boolean = false
+    }
+
+    /**
+     * A player has respawned.
+     *
+     * @property fromEnd True when returning from the End after defeating the dragon
+     */
+    data class Respawn(
+        override val player: PlayerData,
+        val fromEnd: Boolean
+    ) : PlayerEventData()
+
+    /**
+     * A player has moved to another dimension.
+     */
+    data class ChangeDimension(
+        override val player: PlayerData,
+        val from: String,
+        val to: String
+    ) : PlayerEventData()
+
+    /**
+     * A player right-clicking with an item (not on a block or entity).
+     *
+     * @property hand "main_hand" or "off_hand"
+     */
+    data class ItemUse(
+        override val player: PlayerData,
+        val item: ItemData?,
+        val hand: String
+    ) : PlayerEventData(), CancellableEvent {
+        override var cancelled: Boolean = false
+    }
+}
+
+/**
+ * Event data for entity events (death, damage, interaction).
+ */
+sealed class EntityEventData {
+    abstract val entity: EntityData
+
+    /**
+     * A non-player living entity about to die. Cancelling keeps it alive.
+     */
+    data class Death(
+        override val entity: EntityData,
+        val source: DamageSourceData
+    ) : EntityEventData(), CancellableEvent {
+        override var cancelled: Boolean = false
+    }
+
+    /**
+     * A living entity (players included) about to take damage.
+     */
+    data class Damage(
+        override val entity: EntityData,
+        val source: DamageSourceData,
+        val amount: Float
+    ) : EntityEventData(), CancellableEvent {
+        override var cancelled: Boolean = false
+    }
+
+    /**
+     * A player right-clicking an entity.
+     *
+     * @property hand "main_hand" or "off_hand"
+     */
+    data class Interact(
+        override val entity: EntityData,
+        val player: PlayerData,
+        val item: ItemData?,
+        val hand: String
+    ) : EntityEventData(), CancellableEvent {
+        override var cancelled: Boolean = false
+    }
+}
@@ -0,0 +1,53 @@
+package com.rhett.rhettjs.events
+
+import com.rhett.rhettjs.events.ServerEventManager.EventTypes
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.InteractionHand
+import net.minecraft.world.entity.Entity
+import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Fires entityInteract once per right-click on an entity, for both platforms.
+ *
+ * The client sends an "interact at" packet (with the hit position) first and, unless that one
+ * is consumed (armor stands), a plain interact for the same click. The event fires for the
+ * "interact at" packet; the plain interact that follows it gets the same result without
+ * calling handlers again. A plain interact on its own fires the event as usual.
+ */
+object EntityInteractEvents {
+
+    /**
+     * The last "interact at" click of a player and whether handlers cancelled it.
+     */
+    private data class Click(val entityId: Int, val hand: InteractionHand, val tick: Int, val cancelled: Boolean)
+
+    // One entry per player; a stale entry only matches the same entity and hand a tick later
+    private val interactAtClicks = ConcurrentHashMap<UUID, Click>()
+
+    /**
+     * Handle one of the interact packets of a right-click.
+     *
+     * @param interactAt True for the "interact at" packet
+     * @return True if a handler cancelled the interaction
+     */
+    fun onInteract(player: ServerPlayer, entity: Entity, hand: InteractionHand, interactAt: Boolean): Boolean {
+        val tick = player.server.tickCount
+        if (!interactAt) {
+            // Both packets of a click are normally handled in the same tick
+            val previous = interactAtClicks.remove(player.uuid)
+            if (previous != null && previous.entityId == entity.id && previous.hand == hand && tick - previous.tick <= 1) {
+                return previous.cancelled
+            }
+        }
+        if (!ServerEventManager.hasHandlers(EventTypes.ENTITY_INTERACT)) return false
+
+        val eventData = EntityEventAdapter.createEntityInteractEvent(player, entity, hand)
+        ServerEventManager.triggerEntityInteract(eventData, player, entity as? ServerPlayer)
+
+        if (interactAt) {
+            interactAtClicks[player.uuid] = Click(entity.id, hand, tick, eventData.cancelled)
+        }
+        return eventData.cancelled
+    }
+}
@@ -0,0 +1,77 @@
+package com.rhett.rhettjs.events
+
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+
+/**
+ * Event object passed to Server.on() handlers.
+ *
+ * Wraps the event's fields and adds propagation control shared by every handler of one dispatch:
+ * - `cancel()` (cancellable events only) sets [CancellableEvent.cancelled]
+ * - `isCancelled` is read live, so later handlers see earlier cancellations
+ * - `stopPropagation()` skips the remaining handlers
+ *
+ * Handlers may add their own fields for later handlers; the built-in members are read-only.
+ */
+class ScriptEvent(
+    fields: Map<String, Any?>,
+    private val cancellable: CancellableEvent? = null
+) : ProxyObject {
+
+    private val fields = fields.toMutableMap()
+
+    /**
+     * Whether a handler called stopPropagation().
+     */
+    var propagationStopped: Boolean = false
+        private set
+
+    /**
+     * Whether the event has been cancelled (always false for events that can't be cancelled).
+     */
+    val isCancelled: Boolean get() = cancellable?.cancelled ?: false
+
+    private val builtins: Map<String, Any> = buildMap {
+        if (cancellable != null) {
+            put("cancel", ProxyExecutable {
+                cancellable.cancelled = true
+                null
+            })
+        }
+        put("stopPropagation", ProxyExecutable {
+            propagationStopped = true
+            null
+        })
+    }
+
+    override fun getMember(key: String): Any? {
+        if (key == IS_CANCELLED) return isCancelled
+        return builtins[key] ?: fields[key]
+    }
+
+    override fun getMemberKeys(): Any {
+        return ProxyArray.fromList((fields.keys + builtins.keys + IS_CANCELLED).distinct())
+    }
+
+    override fun hasMember(key: String): Boolean {
+        return key == IS_CANCELLED || key in builtins || key in fields
+    }
+
+    override fun putMember(key: String, value: Value?) {
+        if (key == IS_CANCELLED || key in builtins) {
+            throw UnsupportedOperationException("Event member '$key' is read-only")
+        }
+        fields[key] = value
+    }
+
+    override fun removeMember(key: String): Boolean {
+        if (key == IS_CANCELLED || key in builtins) return false
+        return fields.remove(key) != null
+    }
+
+    private companion object {
+        const val IS_CANCELLED = "isCancelled"
+    }
+}
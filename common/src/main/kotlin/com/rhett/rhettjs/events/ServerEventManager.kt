@@ -2,6 +2,8 @@ package com.rhett.rhettjs.events
 
 import com.rhett.rhettjs.RhettJSCommon
 import com.rhett.rhettjs.adapter.PlayerAdapter
+import com.rhett.rhettjs.adapter.ZoneAdapter
+import com.rhett.rhettjs.async.AsyncScheduler
 import com.rhett.rhettjs.config.ConfigManager
 import com.rhett.rhettjs.engine.GraalEngine
 import net.minecraft.network.chat.Component
@@ -10,6 +12,9 @@ import net.minecraft.server.level.ServerPlayer
 import org.graalvm.polyglot.Context
 import org.graalvm.polyglot.Value
 import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.CopyOnWriteArrayList
+import java.util.concurrent.atomic.AtomicInteger
+import java.util.concurrent.atomic.AtomicLong
 
 /**
  * Manager for Server API event system.
@@ -35,8 +40,41 @@ object ServerEventManager {
         const val PLAYER_LEAVE = "playerLeave"
         const val BLOCK_LEFT_CLICK = "blockLeftClick"
         const val BLOCK_RIGHT_CLICK = "blockRightClick"
+        const val BLOCK_BREAK = "blockBreak"
+        const val BLOCK_PLACE = "blockPlace"
+        const val PLAYER_CHAT = "playerChat"
+        const val PLAYER_DEATH = "playerDeath"
+        const val PLAYER_RESPAWN = "playerRespawn"
+        const val PLAYER_CHANGE_DIMENSION = "playerChangeDimension"
+        const val ENTITY_DEATH = "entityDeath"
+        const val ENTITY_DAMAGE = "entityDamage"
+        const val ITEM_USE = "itemUse"
+        const val ENTITY_INTERACT = "entityInteract"
+        const val SERVER_STARTED = "serverStarted"
+        const val SERVER_STOPPING = "serverStopping"
+        const val WORLD_SAVED = "worldSaved"
+        const val BEFORE_RELOAD = "beforeReload"
+        const val AFTER_RELOAD = "afterReload"
+        const val ZONE_ENTER = "zoneEnter"
+        const val ZONE_LEAVE = "zoneLeave"
     }
 
+    /**
+     * How long lifecycle handlers may take before shutdown or reload continues without them.
+     */
+    const val LIFECYCLE_TIMEOUT_MS = 5000L
+
+    // Server tick length; timers advance at this rate while lifecycle handlers are awaited
+    private const val TICK_MS = 50L
+
+    /**
+     * A tick handler call slower than this is logged as a warning.
+     */
+    const val SLOW_TICK_HANDLER_MS = 5.0
+
+    // Minimum ticks between slow-handler warnings for the same handler (1 minute)
+    private const val SLOW_WARNING_INTERVAL_TICKS = 1200L
+
     /**
      * Get all event type names as a map for JavaScript consumption.
      */
@@ -44,12 +82,112 @@ object ServerEventManager {
         "PLAYER_JOIN" to EventTypes.PLAYER_JOIN,
         "PLAYER_LEAVE" to EventTypes.PLAYER_LEAVE,
         "BLOCK_LEFT_CLICK" to EventTypes.BLOCK_LEFT_CLICK,
-        "BLOCK_RIGHT_CLICK" to EventTypes.BLOCK_RIGHT_CLICK
+        "BLOCK_RIGHT_CLICK" to EventTypes.BLOCK_RIGHT_CLICK,
+        "BLOCK_BREAK" to EventTypes.BLOCK_BREAK,
+        "BLOCK_PLACE" to EventTypes.BLOCK_PLACE,
+        "PLAYER_CHAT" to EventTypes.PLAYER_CHAT,
+        "PLAYER_DEATH" to EventTypes.PLAYER_DEATH,
+        "PLAYER_RESPAWN" to EventTypes.PLAYER_RESPAWN,
+        "PLAYER_CHANGE_DIMENSION" to EventTypes.PLAYER_CHANGE_DIMENSION,
+        "ENTITY_DEATH" to EventTypes.ENTITY_DEATH,
+        "ENTITY_DAMAGE" to EventTypes.ENTITY_DAMAGE,
+        "ITEM_USE" to EventTypes.ITEM_USE,
+        "ENTITY_INTERACT" to EventTypes.ENTITY_INTERACT,
+        "SERVER_STARTED" to EventTypes.SERVER_STARTED,
+        "SERVER_STOPPING" to EventTypes.SERVER_STOPPING,
+        "WORLD_SAVED" to EventTypes.WORLD_SAVED,
+        "BEFORE_RELOAD" to EventTypes.BEFORE_RELOAD,
+        "AFTER_RELOAD" to EventTypes.AFTER_RELOAD,
+        "ZONE_ENTER" to EventTypes.ZONE_ENTER,
+        "ZONE_LEAVE" to EventTypes.ZONE_LEAVE
+    )
+
+    /**
+     * Named handler priorities accepted by Server.on(event, handler, { priority }).
+     * Numbers are accepted too; higher priorities run first.
+     */
+    val PRIORITIES: Map<String, Int> = linkedMapOf(
+        "highest" to 100,
+        "high" to 50,
+        "normal" to 0,
+        "low" to -50,
+        "lowest" to -100
+    )
+
+    /**
+     * A registered handler and the script that registered it (null if unknown).
+     *
+     * @property priority Higher runs first
+     * @property ignoreCancelled Skip this handler if an earlier handler cancelled the event
+     * @property sequence Registration order, the final tie-breaker
+     */
+    private data class HandlerRegistration(
+        val handler: Value,
+        val owner: String?,
+        val priority: Int = 0,
+        val ignoreCancelled: Boolean = false,
+        val sequence: Long = 0
     )
 
+    /**
+     * Dispatch order: priority (high first), then script name, then registration order.
+     * Ordering by script name keeps cross-script order stable when one script is hot reloaded
+     * (its handlers would otherwise move to the end). Handlers with no owning script (e.g.
+     * registered from the REPL) run after named scripts of the same priority.
+     */
+    private val HANDLER_ORDER = compareByDescending<HandlerRegistration> { it.priority }
+        .thenBy(nullsLast<String>()) { it.owner }
+        .thenBy { it.sequence }
+
+    private val nextSequence = AtomicLong()
+
+    /**
+     * A Server.onTick() handler with its schedule and accumulated timing.
+     */
+    private class TickRegistration(
+        val id: Int,
+        val handler: Value,
+        val owner: String?,
+        val every: Int,
+        val phase: Int
+    ) {
+        var calls = 0L
+        var totalNanos = 0L
+        var maxNanos = 0L
+        var errors = 0L
+        var lastWarningTick = Long.MIN_VALUE
+    }
+
+    /**
+     * Timing report for one tick handler (see /rjs ticks).
+     */
+    data class TickHandlerReport(
+        val id: Int,
+        val owner: String?,
+        val every: Int,
+        val phase: Int,
+        val calls: Long,
+        val averageMillis: Double,
+        val maxMillis: Double,
+        val errors: Long
+    ) {
+        /**
+         * Average cost per server tick, accounting for the handler only running every N ticks.
+         */
+        val millisPerTick: Double get() = averageMillis / every
+    }
+
     // Event handler storage
-    private val eventHandlers = ConcurrentHashMap<String, MutableList<Value>>()
-    private val oneTimeHandlers = ConcurrentHashMap<String, MutableList<Value>>()
+    private val eventHandlers = ConcurrentHashMap<String, MutableList<HandlerRegistration>>()
+    private val oneTimeHandlers = ConcurrentHashMap<String, MutableList<HandlerRegistration>>()
+
+    // Tick handler storage (iterated every tick, modified rarely)
+    private val tickHandlers = CopyOnWriteArrayList<TickRegistration>()
+    private val nextTickHandlerId = AtomicInteger(1)
+
+    // Ticks since the server started (keeps counting across reloads so phases stay stable)
+    @Volatile
+    private var currentTick = 0L
 
     // Reference to MinecraftServer for accessing properties
     @Volatile
@@ -82,30 +220,74 @@ object ServerEventManager {
      *
      * @param event The event name (e.g., "playerJoin")
      * @param handler The JavaScript function to call
+     * @param priority Higher runs first (see [PRIORITIES])
+     * @param ignoreCancelled Skip the handler when an earlier handler cancelled the event
      */
-    fun on(event: String, handler: Value) {
+    fun on(event: String, handler: Value, priority: Int = 0, ignoreCancelled: Boolean = false) {
         if (!handler.canExecute()) {
             throw IllegalArgumentException("Handler must be a function")
         }
 
-        eventHandlers.getOrPut(event) { mutableListOf() }.add(handler)
-        ConfigManager.debug("[ServerEventManager] Registered handler for event: $event")
+        eventHandlers.getOrPut(event) { mutableListOf() }.add(register(handler, priority, ignoreCancelled))
+        ConfigManager.debug("[ServerEventManager] Registered handler for event: $event (priority $priority)")
     }
 
     /**
      * Register a one-time event handler from JavaScript.
-     * The handler will be removed after first execution.
+     * The handler will be removed after its first execution (not when skipped).
      *
      * @param event The event name
      * @param handler The JavaScript function to call
+     * @param priority Higher runs first (see [PRIORITIES])
+     * @param ignoreCancelled Skip the handler when an earlier handler cancelled the event
      */
-    fun once(event: String, handler: Value) {
+    fun once(event: String, handler: Value, priority: Int = 0, ignoreCancelled: Boolean = false) {
         if (!handler.canExecute()) {
             throw IllegalArgumentException("Handler must be a function")
         }
 
-        oneTimeHandlers.getOrPut(event) { mutableListOf() }.add(handler)
-        ConfigManager.debug("[ServerEventManager] Registered one-time handler for event: $event")
+        oneTimeHandlers.getOrPut(event) { mutableListOf() }.add(register(handler, priority, ignoreCancelled))
+        ConfigManager.debug("[ServerEventManager] Registered one-time handler for event: $event (priority $priority)")
+    }
+
+    private fun register(handler: Value, priority: Int, ignoreCancelled: Boolean): HandlerRegistration {
+        return HandlerRegistration(
+            handler = handler,
+            owner = GraalEngine.getExecutingScriptName(),
+            priority = priority,
+            ignoreCancelled = ignoreCancelled,
+            sequence = nextSequence.incrementAndGet()
+        )
+    }
+
+    /**
+     * Resolve a priority given as a name (see [PRIORITIES]) or a number.
+     *
+     * @throws IllegalArgumentException for unknown names
+     */
+    fun parsePriority(value: Value?): Int {
+        return when {
+            value == null || value.isNull -> 0
+            value.isNumber -> value.asInt()
+            value.isString -> PRIORITIES[value.asString().lowercase()]
+                ?: throw IllegalArgumentException(
+                    "Unknown priority '${value.asString()}': use a number or one of ${PRIORITIES.keys.joinToString(", ")}"
+                )
+            else -> throw IllegalArgumentException("Priority must be a number or a name")
+        }
+    }
+
+    /**
+     * Resolve the ignoreCancelled option (null or undefined means false).
+     *
+     * @throws IllegalArgumentException for non-boolean values
+     */
+    fun parseIgnoreCancelled(value: Value?): Boolean {
+        return when {
+            value == null || value.isNull -> false
+            value.isBoolean -> value.asBoolean()
+            else -> throw IllegalArgumentException("ignoreCancelled must be a boolean")
+        }
     }
 
     /**
@@ -115,11 +297,202 @@ object ServerEventManager {
      * @param handler The JavaScript function to remove
      */
     fun off(event: String, handler: Value) {
-        eventHandlers[event]?.remove(handler)
-        oneTimeHandlers[event]?.remove(handler)
+        eventHandlers[event]?.removeIf { it.handler == handler }
+        oneTimeHandlers[event]?.removeIf { it.handler == handler }
         ConfigManager.debug("[ServerEventManager] Unregistered handler for event: $event")
     }
 
+    /**
+     * Register a handler that runs every [every] ticks, [phase] ticks after the multiple.
+     * Handlers sharing an interval can use different phases to spread work across ticks.
+     *
+     * @param every Interval in ticks (1 = every tick)
+     * @param handler The JavaScript function to call with `{ tick }`
+     * @param phase Offset in ticks, 0 until every - 1
+     * @return Handler id for [offTick]
+     */
+    fun onTick(every: Int, handler: Value, phase: Int = 0): Int {
+        if (!handler.canExecute()) {
+            throw IllegalArgumentException("Handler must be a function")
+        }
+        if (every < 1) {
+            throw IllegalArgumentException("onTick() interval must be at least 1 tick, got $every")
+        }
+        if (phase < 0 || phase >= every) {
+            throw IllegalArgumentException("onTick() phase must be between 0 and ${every - 1}, got $phase")
+        }
+
+        val id = nextTickHandlerId.getAndIncrement()
+        tickHandlers.add(TickRegistration(id, handler, GraalEngine.getExecutingScriptName(), every, phase))
+        ConfigManager.debug("[ServerEventManager] Registered tick handler #$id (every $every, phase $phase)")
+        return id
+    }
+
+    /**
+     * Unregister a tick handler.
+     *
+     * @param id The id returned by [onTick]
+     * @return True if a handler was removed
+     */
+    fun offTick(id: Int): Boolean {
+        val removed = tickHandlers.removeIf { it.id == id }
+        if (removed) {
+            ConfigManager.debug("[ServerEventManager] Unregistered tick handler #$id")
+        }
+        return removed
+    }
+
+    /**
+     * Run due tick handlers. Called once per server tick from TickScheduler.
+     * Each call is timed; slow calls are logged (at most once a minute per handler).
+     */
+    fun tick() {
+        val tick = ++currentTick
+        if (tickHandlers.isEmpty() || graalContext == null) return
+
+        var event: org.graalvm.polyglot.proxy.ProxyObject? = null
+        tickHandlers.forEach { registration ->
+            if ((tick - registration.phase) % registration.every != 0L) return@forEach
+
+            val jsEvent = event ?: org.graalvm.polyglot.proxy.ProxyObject.fromMap(mapOf<String, Any>("tick" to tick)).also { event = it }
+            val start = System.nanoTime()
+            try {
+                GraalEngine.runAsOwner(registration.owner) { registration.handler.execute(jsEvent) }
+            } catch (e: Exception) {
+                registration.errors++
+                RhettJSCommon.LOGGER.error("[ServerEventManager] Error in tick handler #${registration.id} (${registration.owner ?: "unknown script"})", e)
+            }
+            val elapsed = System.nanoTime() - start
+
+            registration.calls++
+            registration.totalNanos += elapsed
+            if (elapsed > registration.maxNanos) registration.maxNanos = elapsed
+
+            val millis = elapsed / 1_000_000.0
+            if (millis > SLOW_TICK_HANDLER_MS && tick - registration.lastWarningTick >= SLOW_WARNING_INTERVAL_TICKS) {
+                registration.lastWarningTick = tick
+                RhettJSCommon.LOGGER.warn(
+                    "[RhettJS] Slow tick handler #${registration.id} in ${registration.owner ?: "unknown script"}: " +
+                        "${"%.2f".format(millis)}ms (every ${registration.every} tick(s)). See /rjs ticks"
+                )
+            }
+        }
+    }
+
+    /**
+     * Get timing reports for all tick handlers, most expensive per tick first.
+     */
+    fun getTickHandlerReports(): List<TickHandlerReport> {
+        return tickHandlers.map { registration ->
+            TickHandlerReport(
+                id = registration.id,
+                owner = registration.owner,
+                every = registration.every,
+                phase = registration.phase,
+                calls = registration.calls,
+                averageMillis = if (registration.calls == 0L) 0.0 else registration.totalNanos / registration.calls / 1_000_000.0,
+                maxMillis = registration.maxNanos / 1_000_000.0,
+                errors = registration.errors
+            )
+        }.sortedByDescending { it.millisPerTick }
+    }
+
+    /**
+     * Remove every handler registered by a script.
+     * Used by hot reload before re-executing a single script.
+     *
+     * @param owner The script name
+     * @return Number of handlers removed
+     */
+    fun removeHandlersOwnedBy(owner: String): Int {
+        var removed = 0
+        listOf(eventHandlers, oneTimeHandlers).forEach { handlers ->
+            handlers.values.forEach { list ->
+                val before = list.size
+                list.removeIf { it.owner == owner }
+                removed += before - list.size
+            }
+        }
+        val ticksBefore = tickHandlers.size
+        tickHandlers.removeIf { it.owner == owner }
+        removed += ticksBefore - tickHandlers.size
+        ConfigManager.debug("[ServerEventManager] Removed $removed handler(s) owned by $owner")
+        return removed
+    }
+
+    /**
+     * Check whether any handler is registered for an event.
+     * Platform code uses this to skip building event data for frequent events (e.g. entityDamage).
+     */
+    fun hasHandlers(event: String): Boolean {
+        return graalContext != null &&
+            (!eventHandlers[event].isNullOrEmpty() || !oneTimeHandlers[event].isNullOrEmpty())
+    }
+
+    /**
+     * Emit a custom script event to handlers registered with Server.on(name, ...).
+     * Handlers are called as `handler(payload, event)`, where event has `name` and
+     * stopPropagation(); priorities apply as for built-in events.
+     *
+     * Custom events must be namespaced (`myplugin:event`) so they can't collide with
+     * built-in events.
+     *
+     * @param event Namespaced event name
+     * @param payload Value passed to handlers (may be null)
+     * @return Values returned by handlers that didn't throw (promises for async handlers)
+     * @throws IllegalArgumentException if the name is not namespaced
+     */
+    fun emit(event: String, payload: Value?): List<Value> {
+        validateCustomEventName(event)
+        if (graalContext == null) return emptyList()
+
+        return triggerEvent(event, payload, ScriptEvent(mapOf("name" to event)))
+    }
+
+    /**
+     * Emit a custom script event and collect the handlers' results once async handlers settle.
+     * Handlers that throw or reject are logged and left out of the results.
+     *
+     * @return A Promise resolving to the array of results
+     */
+    fun emitAsync(event: String, payload: Value?): Value {
+        validateCustomEventName(event)
+        val context = graalContext
+            ?: throw IllegalStateException("emitAsync() requires the script engine to be initialized")
+
+        val results = triggerEvent(event, payload, ScriptEvent(mapOf("name" to event)))
+        val onError = org.graalvm.polyglot.proxy.ProxyExecutable { args ->
+            RhettJSCommon.LOGGER.error("[ServerEventManager] Async handler for $event failed: ${args.firstOrNull()}")
+            null
+        }
+        return context.eval("js", COLLECT_RESULTS_JS)
+            .execute(org.graalvm.polyglot.proxy.ProxyArray.fromList(results), onError)
+    }
+
+    private fun validateCustomEventName(event: String) {
+        val separator = event.indexOf(':')
+        if (separator <= 0 || separator == event.length - 1) {
+            throw IllegalArgumentException("Custom event '$event' must be namespaced, e.g. 'myplugin:$event'")
+        }
+    }
+
+    /**
+     * Settles handler results (plain values or promises), reporting rejections to onError.
+     */
+    private const val COLLECT_RESULTS_JS = """
+        (results, onError) => Promise.allSettled(Array.from(results)).then((settled) => {
+            const values = [];
+            for (const result of settled) {
+                if (result.status === 'fulfilled') {
+                    values.push(result.value);
+                } else {
+                    onError(String(result.reason && result.reason.stack || result.reason));
+                }
+            }
+            return values;
+        })
+    """
+
     /**
      * Trigger a player join event.
      * Called from platform code when a player joins the server.
@@ -179,6 +552,264 @@ object ServerEventManager {
         triggerEvent(eventType, jsEventData)
     }
 
+    /**
+     * Trigger a block break event before the block is removed.
+     * Handlers can cancel to keep the block.
+     */
+    fun triggerBlockBreak(eventData: BlockEventData.Broken, player: ServerPlayer) {
+        val context = contextFor(EventTypes.BLOCK_BREAK) ?: return
+
+        dispatch(EventTypes.BLOCK_BREAK, eventData, mutableMapOf(
+            "player" to PlayerAdapter.toJS(player, context),
+            "position" to blockPositionToJS(eventData.position),
+            "block" to blockToJS(eventData.block),
+            "drops" to org.graalvm.polyglot.proxy.ProxyArray.fromList(eventData.drops.map { itemToJS(it) }),
+            "experience" to eventData.experience
+        ))
+    }
+
+    /**
+     * Trigger a block place event.
+     * Handlers can cancel to prevent the placement.
+     */
+    fun triggerBlockPlace(eventData: BlockEventData.Placed, player: ServerPlayer) {
+        val context = contextFor(EventTypes.BLOCK_PLACE) ?: return
+
+        dispatch(EventTypes.BLOCK_PLACE, eventData, mutableMapOf(
+            "player" to PlayerAdapter.toJS(player, context),
+            "position" to blockPositionToJS(eventData.position),
+            "block" to blockToJS(eventData.block),
+            "placedAgainst" to eventData.placedAgainst?.let { blockPositionToJS(it) },
+            "face" to eventData.face?.name?.lowercase(),
+            "item" to eventData.item?.let { itemToJS(it) }
+        ))
+    }
+
+    /**
+     * Trigger a chat event before the message is broadcast.
+     * Handlers can cancel to suppress the message.
+     */
+    fun triggerPlayerChat(eventData: PlayerEventData.Chat, player: ServerPlayer) {
+        val context = contextFor(EventTypes.PLAYER_CHAT) ?: return
+
+        dispatch(EventTypes.PLAYER_CHAT, eventData, mutableMapOf(
+            "player" to PlayerAdapter.toJS(player, context),
+            "message" to eventData.message
+        ))
+    }
+
+    /**
+     * Trigger a player death event.
+     * Handlers can cancel to keep the player alive.
+     *
+     * @param attacker The attacking player, if any (for full wrapping)
+     */
+    fun triggerPlayerDeath(eventData: PlayerEventData.Death, player: ServerPlayer, attacker: ServerPlayer? = null) {
+        val context = contextFor(EventTypes.PLAYER_DEATH) ?: return
+
+        dispatch(EventTypes.PLAYER_DEATH, eventData, mutableMapOf(
+            "player" to PlayerAdapter.toJS(player, context),
+            "source" to damageSourceToJS(eventData.source, attacker, context)
+        ))
+    }
+
+    /**
+     * Trigger a player respawn event (not cancellable).
+     */
+    fun triggerPlayerRespawn(eventData: PlayerEventData.Respawn, player: ServerPlayer) {
+        val context = contextFor(EventTypes.PLAYER_RESPAWN) ?: return
+
+        dispatch(EventTypes.PLAYER_RESPAWN, eventData, mutableMapOf(
+            "player" to PlayerAdapter.toJS(player, context),
+            "fromEnd" to eventData.fromEnd
+        ))
+    }
+
+    /**
+     * Trigger a dimension change event after the player has moved (not cancellable).
+     */
+    fun triggerPlayerChangeDimension(eventData: PlayerEventData.ChangeDimension, player: ServerPlayer) {
+        val context = contextFor(EventTypes.PLAYER_CHANGE_DIMENSION) ?: return
+
+        dispatch(EventTypes.PLAYER_CHANGE_DIMENSION, eventData, mutableMapOf(
+            "player" to PlayerAdapter.toJS(player, context),
+            "from" to eventData.from,
+            "to" to eventData.to
+        ))
+    }
+
+    /**
+     * Trigger an item use event.
+     * Handlers can cancel to prevent the item being used.
+     */
+    fun triggerItemUse(eventData: PlayerEventData.ItemUse, player: ServerPlayer) {
+        val context = contextFor(EventTypes.ITEM_USE) ?: return
+
+        dispatch(EventTypes.ITEM_USE, eventData, mutableMapOf(
+            "player" to PlayerAdapter.toJS(player, context),
+            "item" to eventData.item?.let { itemToJS(it) },
+            "hand" to eventData.hand
+        ))
+    }
+
+    /**
+     * Trigger an entity death event for a non-player entity.
+     * Handlers can cancel to keep the entity alive.
+     *
+     * @param attacker The attacking player, if any (for full wrapping)
+     */
+    fun triggerEntityDeath(eventData: EntityEventData.Death, attacker: ServerPlayer? = null) {
+        val context = contextFor(EventTypes.ENTITY_DEATH) ?: return
+
+        dispatch(EventTypes.ENTITY_DEATH, eventData, mutableMapOf(
+            "entity" to entityToJS(eventData.entity),
+            "source" to damageSourceToJS(eventData.source, attacker, context)
+        ))
+    }
+
+    /**
+     * Trigger an entity damage event.
+     * Handlers can cancel to prevent the damage.
+     *
+     * @param victim The damaged player, if the entity is a player (for full wrapping)
+     * @param attacker The attacking player, if any (for full wrapping)
+     */
+    fun triggerEntityDamage(eventData: EntityEventData.Damage, victim: ServerPlayer? = null, attacker: ServerPlayer? = null) {
+        val context = contextFor(EventTypes.ENTITY_DAMAGE) ?: return
+
+        dispatch(EventTypes.ENTITY_DAMAGE, eventData, mutableMapOf(
+            "entity" to (victim?.let { PlayerAdapter.toJS(it, context) } ?: entityToJS(eventData.entity)),
+            "source" to damageSourceToJS(eventData.source, attacker, context),
+            "amount" to eventData.amount.toDouble()
+        ))
+    }
+
+    /**
+     * Trigger an entity interact event (player right-clicks an entity).
+     * Handlers can cancel to prevent the interaction.
+     *
+     * @param target The clicked player, if the entity is a player (for full wrapping)
+     */
+    fun triggerEntityInteract(eventData: EntityEventData.Interact, player: ServerPlayer, target: ServerPlayer? = null) {
+        val context = contextFor(EventTypes.ENTITY_INTERACT) ?: return
+
+        dispatch(EventTypes.ENTITY_INTERACT, eventData, mutableMapOf(
+            "player" to PlayerAdapter.toJS(player, context),
+            "entity" to (target?.let { PlayerAdapter.toJS(it, context) } ?: entityToJS(eventData.entity)),
+            "item" to eventData.item?.let { itemToJS(it) },
+            "hand" to eventData.hand
+        ))
+    }
+
+    /**
+     * Trigger a zone enter event (from ZoneManager's per-tick check).
+     */
+    fun triggerZoneEnter(eventData: ZoneEventData, player: ServerPlayer) {
+        triggerZoneEvent(EventTypes.ZONE_ENTER, eventData, player)
+    }
+
+    /**
+     * Trigger a zone leave event (from ZoneManager's per-tick check).
+     */
+    fun triggerZoneLeave(eventData: ZoneEventData, player: ServerPlayer) {
+        triggerZoneEvent(EventTypes.ZONE_LEAVE, eventData, player)
+    }
+
+    private fun triggerZoneEvent(event: String, eventData: ZoneEventData, player: ServerPlayer) {
+        // Zone changes are tracked whether or not scripts listen
+        if (!hasHandlers(event)) return
+        val context = contextFor(event) ?: return
+
+        dispatch(event, eventData, mutableMapOf(
+            "player" to PlayerAdapter.toJS(player, context),
+            "zone" to ZoneAdapter.toJS(eventData.zone),
+            "previous" to eventData.previous?.let { ZoneAdapter.toJS(it) },
+            "next" to eventData.next?.let { ZoneAdapter.toJS(it) }
+        ))
+    }
+
+    /**
+     * Trigger a lifecycle event without waiting for async handlers (serverStarted, worldSaved).
+     *
+     * @param event One of the lifecycle [EventTypes]
+     */
+    fun triggerLifecycle(event: String) {
+        if (graalContext == null) return
+        triggerEvent(event, ScriptEvent(emptyMap()))
+    }
+
+    /**
+     * Trigger a lifecycle event and wait for handlers that return promises (serverStopping, beforeReload, afterReload).
+     *
+     * Must be called on the server thread. Ticks don't run while waiting, so this pumps
+     * [AsyncScheduler] at the normal tick rate; timers and async World calls keep working.
+     * Waiting stops after [timeoutMs] so a stuck handler can't block shutdown or reload.
+     *
+     * @param event One of the lifecycle [EventTypes]
+     * @param timeoutMs Maximum time to wait for returned promises
+     * @return True if every handler finished in time
+     */
+    fun triggerLifecycleAndAwait(event: String, timeoutMs: Long = LIFECYCLE_TIMEOUT_MS): Boolean {
+        if (graalContext == null) return true
+
+        val results = triggerEvent(event, ScriptEvent(emptyMap()))
+        val promises = results.filter { it.hasMember("then") }
+        if (promises.isEmpty()) return true
+
+        val remaining = AtomicInteger(promises.size)
+        promises.forEach { promise ->
+            try {
+                promise.invokeMember("then",
+                    org.graalvm.polyglot.proxy.ProxyExecutable { _ ->
+                        remaining.decrementAndGet()
+                        null
+                    },
+                    org.graalvm.polyglot.proxy.ProxyExecutable { args ->
+                        RhettJSCommon.LOGGER.error("[ServerEventManager] Async handler for $event rejected: ${args.firstOrNull()}")
+                        remaining.decrementAndGet()
+                        null
+                    }
+                )
+            } catch (e: Exception) {
+                RhettJSCommon.LOGGER.error("[ServerEventManager] Failed to await handler for $event", e)
+                remaining.decrementAndGet()
+            }
+        }
+
+        val deadline = System.currentTimeMillis() + timeoutMs
+        while (remaining.get() > 0 && System.currentTimeMillis() < deadline) {
+            AsyncScheduler.tick()
+            if (remaining.get() > 0) {
+                Thread.sleep(TICK_MS)
+            }
+        }
+
+        if (remaining.get() > 0) {
+            RhettJSCommon.LOGGER.warn("[RhettJS] ${remaining.get()} $event handler(s) did not finish within ${timeoutMs}ms, continuing")
+            return false
+        }
+        ConfigManager.debug("[ServerEventManager] All ${promises.size} async $event handler(s) finished")
+        return true
+    }
+
+    /**
+     * Get the context for triggering an event, logging if it's unavailable.
+     */
+    private fun contextFor(event: String): Context? {
+        return graalContext ?: run {
+            RhettJSCommon.LOGGER.warn("[ServerEventManager] Cannot trigger $event: GraalVM context not available")
+            null
+        }
+    }
+
+    /**
+     * Build the event object and trigger handlers.
+     * Cancellable events get a cancel() method that sets [CancellableEvent.cancelled].
+     */
+    private fun dispatch(event: String, eventData: Any, fields: Map<String, Any?>) {
+        triggerEvent(event, ScriptEvent(fields, eventData as? CancellableEvent))
+    }
+
     /**
      * Convert BlockEventData.Click to JavaScript format.
      * Follows anti-corruption pattern - no Java objects exposed.
@@ -189,77 +820,119 @@ object ServerEventManager {
         event: BlockEventData.Click,
         player: ServerPlayer,
         context: Context
-    ): org.graalvm.polyglot.proxy.ProxyObject {
-        // Wrap player using PlayerAdapter to get full API including sendMessage()
-        val wrappedPlayer = PlayerAdapter.toJS(player, context)
+    ): ScriptEvent {
+        // Click is cancellable, so the event gets a cancel() method
+        return ScriptEvent(mapOf(
+            "player" to PlayerAdapter.toJS(player, context),  // Fully wrapped player with sendMessage() etc.
+            "position" to blockPositionToJS(event.position),
+            "block" to blockToJS(event.block),
+            "item" to event.item?.let { itemToJS(it) },
+            "face" to event.face?.name?.lowercase()
+        ), event)
+    }
 
-        // Convert position
-        val positionMap = mapOf(
-            "x" to event.position.x,
-            "y" to event.position.y,
-            "z" to event.position.z,
-            "dimension" to event.position.dimension
-        )
+    private fun blockPositionToJS(position: BlockPosition): org.graalvm.polyglot.proxy.ProxyObject {
+        return org.graalvm.polyglot.proxy.ProxyObject.fromMap(mapOf(
+            "x" to position.x,
+            "y" to position.y,
+            "z" to position.z,
+            "dimension" to position.dimension
+        ))
+    }
 
-        // Convert block data
-        val blockMap = mapOf(
-            "id" to event.block.id,
-            "properties" to event.block.properties
-        )
+    private fun blockToJS(block: BlockData): org.graalvm.polyglot.proxy.ProxyObject {
+        return org.graalvm.polyglot.proxy.ProxyObject.fromMap(mapOf(
+            "id" to block.id,
+            "properties" to block.properties
+        ))
+    }
 
-        // Convert item data (nullable)
-        val itemMap = event.item?.let {
-            mapOf(
-                "id" to it.id,
-                "count" to it.count,
-                "displayName" to it.displayName,
-                "nbt" to it.nbt
-            )
-        }
+    private fun itemToJS(item: ItemData): org.graalvm.polyglot.proxy.ProxyObject {
+        return org.graalvm.polyglot.proxy.ProxyObject.fromMap(mapOf(
+            "id" to item.id,
+            "count" to item.count,
+            "displayName" to item.displayName,
+            "nbt" to item.nbt
+        ))
+    }
 
-        // Convert face (nullable)
-        val faceString = event.face?.name?.lowercase()
-
-        // Create the event object with cancel() method
-        val eventMap = mutableMapOf<String, Any?>(
-            "player" to wrappedPlayer,  // Fully wrapped player with sendMessage() etc.
-            "position" to org.graalvm.polyglot.proxy.ProxyObject.fromMap(positionMap),
-            "block" to org.graalvm.polyglot.proxy.ProxyObject.fromMap(blockMap),
-            "item" to (itemMap?.let { org.graalvm.polyglot.proxy.ProxyObject.fromMap(it) }),
-            "face" to faceString,
-            "cancel" to org.graalvm.polyglot.proxy.ProxyExecutable {
-                event.cancelled = true
-                null
-            }
-        )
+    /**
+     * Convert a non-player entity. Players are wrapped with PlayerAdapter instead.
+     */
+    private fun entityToJS(entity: EntityData): org.graalvm.polyglot.proxy.ProxyObject {
+        return org.graalvm.polyglot.proxy.ProxyObject.fromMap(mapOf(
+            "uuid" to entity.uuid,
+            "type" to entity.type,
+            "name" to entity.name,
+            "isPlayer" to false,
+            "position" to org.graalvm.polyglot.proxy.ProxyObject.fromMap(mapOf(
+                "x" to entity.position.x,
+                "y" to entity.position.y,
+                "z" to entity.position.z,
+                "dimension" to entity.position.dimension
+            ))
+        ))
+    }
+
+    private fun damageSourceToJS(
+        source: DamageSourceData,
+        attacker: ServerPlayer?,
+        context: Context
+    ): org.graalvm.polyglot.proxy.ProxyObject {
+        val attackerJS = attacker?.let { PlayerAdapter.toJS(it, context) }
+            ?: source.attacker?.let { entityToJS(it) }
 
-        return org.graalvm.polyglot.proxy.ProxyObject.fromMap(eventMap)
+        return org.graalvm.polyglot.proxy.ProxyObject.fromMap(mapOf(
+            "type" to source.type,
+            "attacker" to attackerJS
+        ))
     }
 
     /**
      * Generic event triggering mechanism.
-     * Calls all registered handlers with the provided arguments.
+     * Calls registered handlers in [HANDLER_ORDER] with the provided arguments.
+     *
+     * When one of the arguments is a [ScriptEvent], handlers with ignoreCancelled are skipped
+     * once it is cancelled, and stopPropagation() skips all remaining handlers.
      *
      * @param event The event name
      * @param args The arguments to pass to handlers
+     * @return Values returned by handlers that ran without throwing (promises for async handlers)
      */
-    private fun triggerEvent(event: String, vararg args: Any?) {
-        val regularHandlers = eventHandlers[event] ?: mutableListOf()
-        val onceHandlers = oneTimeHandlers[event] ?: mutableListOf()
+    private fun triggerEvent(event: String, vararg args: Any?): List<Value> {
+        val regularHandlers = eventHandlers[event]?.toList() ?: emptyList()
+        val onceHandlers = oneTimeHandlers[event]?.toList() ?: emptyList()
 
-        val allHandlers = regularHandlers + onceHandlers
+        val allHandlers = (regularHandlers + onceHandlers).sortedWith(HANDLER_ORDER)
 
         if (allHandlers.isEmpty()) {
             ConfigManager.debug("[ServerEventManager] No handlers for event: $event")
-            return
+            return emptyList()
         }
 
         ConfigManager.debug("[ServerEventManager] Triggering ${allHandlers.size} handlers for event: $event")
 
-        allHandlers.forEach { handler ->
+        val scriptEvent = args.firstNotNullOfOrNull { it as? ScriptEvent }
+        val results = mutableListOf<Value>()
+        val ranOnce = mutableListOf<HandlerRegistration>()
+        for (registration in allHandlers) {
+            if (scriptEvent != null) {
+                if (scriptEvent.propagationStopped) {
+                    ConfigManager.debug("[ServerEventManager] Propagation stopped for event: $event")
+                    break
+                }
+                if (registration.ignoreCancelled && scriptEvent.isCancelled) {
+                    continue
+                }
+            }
+
+            if (registration in onceHandlers) {
+                ranOnce.add(registration)
+            }
+
             try {
-                // Execute handler with arguments
-                handler.execute(*args)
+                // Execute handler with arguments (timers and handlers it registers belong to its script)
+                results.add(GraalEngine.runAsOwner(registration.owner) { registration.handler.execute(*args) })
 
                 ConfigManager.debug("[ServerEventManager] Handler executed successfully for event: $event")
 
@@ -269,11 +942,13 @@ object ServerEventManager {
             }
         }
 
-        // Remove one-time handlers after execution
-        if (onceHandlers.isNotEmpty()) {
-            oneTimeHandlers[event]?.removeAll(onceHandlers.toSet())
-            ConfigManager.debug("[ServerEventManager] Removed ${onceHandlers.size} one-time handlers for event: $event")
+        // Remove one-time handlers that ran
+        if (ranOnce.isNotEmpty()) {
+            oneTimeHandlers[event]?.removeAll(ranOnce.toSet())
+            ConfigManager.debug("[ServerEventManager] Removed ${ranOnce.size} one-time handlers for event: $event")
         }
+
+        return results
     }
 
     /**
@@ -359,6 +1034,7 @@ object ServerEventManager {
     fun clear() {
         eventHandlers.clear()
         oneTimeHandlers.clear()
+        tickHandlers.clear()
         ConfigManager.debug("[ServerEventManager] Cleared all event handlers")
     }
 
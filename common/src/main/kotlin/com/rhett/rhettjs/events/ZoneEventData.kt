@@ -0,0 +1,16 @@
+package com.rhett.rhettjs.events
+
+import com.rhett.rhettjs.zones.Zone
+
+/**
+ * Event data for zoneEnter and zoneLeave.
+ *
+ * @property zone The zone entered or left
+ * @property previous The player's innermost zone before the move (null if none)
+ * @property next The player's innermost zone after the move (null if none)
+ */
+data class ZoneEventData(
+    val zone: Zone,
+    val previous: Zone?,
+    val next: Zone?
+)
@@ -0,0 +1,46 @@
+package com.rhett.rhettjs.inventory
+
+import net.minecraft.core.BlockPos
+import net.minecraft.server.level.ServerLevel
+import net.minecraft.world.Container
+import net.minecraft.world.level.block.ChestBlock
+
+/**
+ * Slots of the container block at a position (chest, barrel, hopper, shulker box, ...).
+ *
+ * The container is looked up on every access, so the slots follow the block: a chest that
+ * becomes a double chest shows all 54 slots, and a removed block fails loudly instead of
+ * writing to a block entity that no longer exists.
+ * Must be used on the server thread.
+ */
+class BlockContainerSlots(
+    private val level: ServerLevel,
+    private val pos: BlockPos
+) : ItemSlots {
+
+    override val size: Int
+        get() = container().containerSize
+
+    override fun <T> access(write: Boolean, action: (MutableList<ItemData?>) -> T): T {
+        return ContainerSlots(container(), level.registryAccess()).access(write, action)
+    }
+
+    private fun container(): Container {
+        return containerAt(level, pos)
+            ?: throw IllegalStateException("No container at ${pos.x}, ${pos.y}, ${pos.z} anymore")
+    }
+
+    companion object {
+        /**
+         * The container at a position, with both halves of a double chest.
+         */
+        fun containerAt(level: ServerLevel, pos: BlockPos): Container? {
+            val state = level.getBlockState(pos)
+            val block = state.block
+            if (block is ChestBlock) {
+                ChestBlock.getContainer(block, state, level, pos, true)?.let { return it }
+            }
+            return level.getBlockEntity(pos) as? Container
+        }
+    }
+}
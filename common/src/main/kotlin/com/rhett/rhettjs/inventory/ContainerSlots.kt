@@ -0,0 +1,33 @@
+package com.rhett.rhettjs.inventory
+
+import com.rhett.rhettjs.adapter.ItemAdapter
+import net.minecraft.core.HolderLookup
+import net.minecraft.world.Container
+
+/**
+ * Slots of a live container (a player's inventory or ender chest).
+ * Must be used on the server thread.
+ */
+class ContainerSlots(
+    private val container: Container,
+    private val registries: HolderLookup.Provider
+) : ItemSlots {
+
+    override val size: Int
+        get() = container.containerSize
+
+    override fun <T> access(write: Boolean, action: (MutableList<ItemData?>) -> T): T {
+        val before = (0 until size).map { ItemAdapter.toData(container.getItem(it), registries) }
+        val slots = before.toMutableList()
+        val result = action(slots)
+        if (!write) return result
+
+        // Convert every changed slot before touching the container, so a bad item changes nothing
+        val changed = slots.indices
+            .filter { slots[it] != before[it] }
+            .associateWith { ItemAdapter.toStack(slots[it], registries) }
+        changed.forEach { (slot, stack) -> container.setItem(slot, stack) }
+        if (changed.isNotEmpty()) container.setChanged()
+        return result
+    }
+}
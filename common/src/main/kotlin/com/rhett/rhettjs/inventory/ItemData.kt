@@ -0,0 +1,64 @@
+package com.rhett.rhettjs.inventory
+
+/**
+ * An item stack as scripts see it.
+ * Pure data class - no Minecraft types.
+ *
+ * @property id Item id, always namespaced (e.g. "minecraft:diamond_sword")
+ * @property components Data components that differ from the item's defaults, keyed by component id.
+ *   Values are JSON-like (maps, lists, strings, numbers, booleans). A key starting with `!`
+ *   removes a default component, as in the `/give` syntax.
+ */
+data class ItemData(
+    val id: String,
+    val count: Int,
+    val components: Map<String, Any?> = emptyMap()
+) {
+    init {
+        require(count in 1..MAX_COUNT) { "Item count must be between 1 and $MAX_COUNT, got $count" }
+    }
+
+    /**
+     * Copy with a component set, or reset to the item's default when [value] is null.
+     * Also clears a pending removal of the same component.
+     */
+    fun withComponent(componentId: String, value: Any?): ItemData {
+        val key = normalizeId(componentId)
+        val updated = components - key - "!$key"
+        return copy(components = if (value == null) updated else updated + (key to value))
+    }
+
+    /**
+     * Copy with one of the item's default components removed (e.g. food from bread).
+     */
+    fun withoutComponent(componentId: String): ItemData {
+        val key = normalizeId(componentId)
+        return copy(components = components - key + ("!$key" to emptyMap<String, Any?>()))
+    }
+
+    /**
+     * Copy with an enchantment added, replacing the level if already present.
+     * Enchanted books store enchantments instead of applying them, like the game does.
+     */
+    fun withEnchantment(enchantmentId: String, level: Int): ItemData {
+        require(level in 1..255) { "Enchantment level must be between 1 and 255, got $level" }
+        val key = if (id == "minecraft:enchanted_book") STORED_ENCHANTMENTS else ENCHANTMENTS
+        val current = components[key] as? Map<*, *>
+        val levels = (current?.get("levels") as? Map<*, *>).orEmpty()
+            .mapKeys { it.key.toString() } + (normalizeId(enchantmentId) to level)
+        return copy(components = components + (key to (current.orEmpty().mapKeys { it.key.toString() } + ("levels" to levels))))
+    }
+
+    companion object {
+        /** Largest stack size the game allows, even with a max_stack_size component */
+        const val MAX_COUNT = 99
+
+        const val ENCHANTMENTS = "minecraft:enchantments"
+        const val STORED_ENCHANTMENTS = "minecraft:stored_enchantments"
+
+        /**
+         * Add the `minecraft:` namespace to bare ids.
+         */
+        fun normalizeId(id: String): String = if (':' in id) id else "minecraft:$id"
+    }
+}
@@ -0,0 +1,18 @@
+package com.rhett.rhettjs.inventory
+
+/**
+ * A fixed number of item slots, backed by a live container or by saved player data.
+ * Slots hold [ItemData], null when empty.
+ */
+interface ItemSlots {
+
+    val size: Int
+
+    /**
+     * Run an action on a copy of the slots.
+     *
+     * @param write When true, slots the action changed are written back afterwards
+     * @return The action's result
+     */
+    fun <T> access(write: Boolean, action: (MutableList<ItemData?>) -> T): T
+}
@@ -0,0 +1,143 @@
+package com.rhett.rhettjs.inventory
+
+import com.rhett.rhettjs.adapter.ItemAdapter
+import com.rhett.rhettjs.config.ConfigManager
+import net.minecraft.nbt.CompoundTag
+import net.minecraft.nbt.ListTag
+import net.minecraft.nbt.NbtAccounter
+import net.minecraft.nbt.NbtIo
+import net.minecraft.nbt.NbtUtils
+import net.minecraft.nbt.Tag
+import net.minecraft.server.MinecraftServer
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.util.datafix.DataFixTypes
+import net.minecraft.world.Container
+import net.minecraft.world.item.ItemStack
+import net.minecraft.world.level.storage.LevelResource
+import java.nio.file.AtomicMoveNotSupportedException
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.StandardCopyOption
+import java.util.UUID
+
+/**
+ * Slots of an offline player, read from and written to `<world>/playerdata/<uuid>.dat`.
+ *
+ * The file is read on every access, so changes made by the game in between are never lost.
+ * If the player is online when the slots are used, the live container is used instead
+ * (the game would overwrite the file when they log out).
+ *
+ * Only slots a script changed are re-encoded; other saved entries are written back as they
+ * were, so items from missing mods survive.
+ */
+class SavedPlayerSlots(
+    private val server: MinecraftServer,
+    private val uuid: UUID,
+    private val section: Section
+) : ItemSlots {
+
+    /**
+     * Part of the saved player data holding the slots.
+     */
+    enum class Section(val key: String, val size: Int) {
+        // Saved slot numbers: 0-35 main, 100-103 armor (feet to head), 150 offhand
+        INVENTORY("Inventory", 41) {
+            override fun toIndex(savedSlot: Int): Int? = when (savedSlot) {
+                in 0..35 -> savedSlot
+                in 100..103 -> savedSlot - 64
+                150 -> 40
+                else -> null
+            }
+
+            override fun toSavedSlot(index: Int): Int = when (index) {
+                in 36..39 -> index + 64
+                40 -> 150
+                else -> index
+            }
+
+            override fun containerOf(player: ServerPlayer): Container = player.inventory
+        },
+        ENDER_CHEST("EnderItems", 27) {
+            override fun toIndex(savedSlot: Int): Int? = savedSlot.takeIf { it < size }
+            override fun toSavedSlot(index: Int): Int = index
+            override fun containerOf(player: ServerPlayer): Container = player.enderChestInventory
+        };
+
+        abstract fun toIndex(savedSlot: Int): Int?
+        abstract fun toSavedSlot(index: Int): Int
+        abstract fun containerOf(player: ServerPlayer): Container
+    }
+
+    override val size: Int
+        get() = section.size
+
+    private val file: Path
+        get() = playerDataFile(server, uuid)
+
+    override fun <T> access(write: Boolean, action: (MutableList<ItemData?>) -> T): T {
+        server.playerList.getPlayer(uuid)?.let { player ->
+            return ContainerSlots(section.containerOf(player), player.registryAccess()).access(write, action)
+        }
+
+        val registries = server.registryAccess()
+        val data = readPlayerData()
+        val saved = data.getList(section.key, Tag.TAG_COMPOUND.toInt())
+
+        // Keep the saved entries by slot, so unchanged slots are written back untouched
+        val entries = mutableMapOf<Int, CompoundTag>()
+        val unknown = mutableListOf<CompoundTag>()
+        for (i in 0 until saved.size) {
+            val entry = saved.getCompound(i)
+            val index = section.toIndex(entry.getByte("Slot").toInt() and 0xFF)
+            if (index == null) unknown.add(entry) else entries[index] = entry
+        }
+
+        val before = (0 until size).map { index ->
+            entries[index]?.let { ItemAdapter.toData(ItemStack.parseOptional(registries, it), registries) }
+        }
+        val slots = before.toMutableList()
+        val result = action(slots)
+        if (!write || slots == before) return result
+
+        val list = ListTag()
+        list.addAll(unknown)
+        slots.forEachIndexed { index, item ->
+            if (item == before[index]) {
+                entries[index]?.let { list.add(it) }
+                return@forEachIndexed
+            }
+            val stack = ItemAdapter.toStack(item, registries)
+            if (!stack.isEmpty) {
+                val slotTag = CompoundTag().apply { putByte("Slot", section.toSavedSlot(index).toByte()) }
+                list.add(stack.save(registries, slotTag))
+            }
+        }
+        data.put(section.key, list)
+        writePlayerData(data)
+        ConfigManager.debug("[SavedPlayerSlots] Updated ${section.key} of offline player $uuid")
+        return result
+    }
+
+    private fun readPlayerData(): CompoundTag {
+        val data = NbtIo.readCompressed(file, NbtAccounter.unlimitedHeap())
+        // Same upgrade the game applies when the player logs in
+        return DataFixTypes.PLAYER.updateToCurrentVersion(server.fixerUpper, data, NbtUtils.getDataVersion(data, -1))
+    }
+
+    private fun writePlayerData(data: CompoundTag) {
+        NbtUtils.addCurrentDataVersion(data)
+        val target = file
+        val temp = target.resolveSibling("${target.fileName}.tmp")
+        NbtIo.writeCompressed(data, temp)
+        try {
+            Files.move(temp, target, StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE)
+        } catch (e: AtomicMoveNotSupportedException) {
+            Files.move(temp, target, StandardCopyOption.REPLACE_EXISTING)
+        }
+    }
+
+    companion object {
+        fun playerDataFile(server: MinecraftServer, uuid: UUID): Path =
+            server.getWorldPath(LevelResource.PLAYER_DATA_DIR).resolve("$uuid.dat")
+    }
+}
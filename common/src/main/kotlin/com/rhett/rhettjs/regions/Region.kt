@@ -0,0 +1,45 @@
+package com.rhett.rhettjs.regions
+
+import com.rhett.rhettjs.zones.Zone
+import java.util.UUID
+
+/**
+ * Actions a region can allow or deny.
+ *
+ * @property id Name used in JavaScript and the regions file
+ * @property default Value when the region doesn't set the flag
+ * @property membersBypass Whether members and owners are exempt when the flag is denied
+ */
+enum class RegionFlag(val id: String, val default: Boolean, val membersBypass: Boolean) {
+    BREAK("break", false, true),
+    PLACE("place", false, true),
+    INTERACT("interact", false, true),
+    PVP("pvp", true, false),
+    MOB_SPAWN("mobSpawn", true, false);
+
+    companion object {
+        fun fromId(id: String): RegionFlag? = entries.firstOrNull { it.id == id }
+    }
+}
+
+/**
+ * A protected area: a box (reusing [Zone] geometry) with flags and member lists.
+ * By default a region protects against building and interaction by non-members,
+ * and leaves PvP and mob spawning allowed.
+ * Pure data class - no Minecraft types.
+ *
+ * @property priority Where regions overlap, the highest priority (then smallest) region decides
+ */
+data class Region(
+    val area: Zone,
+    val priority: Int = 0,
+    val flags: Map<RegionFlag, Boolean> = emptyMap(),
+    val owners: Set<UUID> = emptySet(),
+    val members: Set<UUID> = emptySet()
+) {
+    val name: String get() = area.name
+
+    fun allows(flag: RegionFlag): Boolean = flags[flag] ?: flag.default
+
+    fun isMember(uuid: UUID): Boolean = uuid in owners || uuid in members
+}
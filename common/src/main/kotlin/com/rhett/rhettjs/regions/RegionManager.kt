@@ -0,0 +1,351 @@
+package com.rhett.rhettjs.regions
+
+import com.google.gson.GsonBuilder
+import com.google.gson.JsonArray
+import com.google.gson.JsonObject
+import com.google.gson.JsonParser
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.zones.Zone
+import net.minecraft.ChatFormatting
+import net.minecraft.core.BlockPos
+import net.minecraft.network.chat.Component
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.entity.Entity
+import net.minecraft.world.level.Level
+import java.nio.file.AtomicMoveNotSupportedException
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.StandardCopyOption
+import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
+import kotlin.io.path.exists
+
+/**
+ * Protected regions, enforced directly by the platform event handlers.
+ *
+ * Checks run in Kotlin before script events fire, so protection costs no script call per
+ * event. The only JavaScript involved is the optional bypass check ([setBypass]), which is
+ * consulted only when an action would be denied.
+ *
+ * Regions are saved with the world in `<world>/rhettjs/regions.json`, written on every
+ * change. Like zones, regions defined before the world loads replace saved ones with the
+ * same name.
+ *
+ * JavaScript usage:
+ * ```javascript
+ * Regions.define('spawn', { min: { x: -50, y: -64, z: -50 }, max: { x: 50, y: 320, z: 50 }, flags: { pvp: false } });
+ * Regions.setBypass((player) => player.isOp);
+ * ```
+ */
+object RegionManager {
+
+    private const val REGIONS_FILE = "rhettjs/regions.json"
+    private const val DEFAULT_DIMENSION = "minecraft:overworld"
+    private val NAME_PATTERN = Regex("^[A-Za-z0-9_.:-]+$")
+
+    private val gson = GsonBuilder().setPrettyPrinting().disableHtmlEscaping().create()
+
+    private val regions = ConcurrentHashMap<String, Region>()
+
+    @Volatile
+    private var regionsFile: Path? = null
+
+    /**
+     * The bypass check and the script that set it (null when set from Kotlin).
+     */
+    private class Bypass(val check: (ServerPlayer, RegionFlag, Region) -> Boolean, val owner: String?)
+
+    // Set from JS via Regions.setBypass(); belongs to the current script context
+    @Volatile
+    private var bypass: Bypass? = null
+
+    /**
+     * Define or replace a region.
+     *
+     * @throws IllegalArgumentException for invalid names
+     */
+    fun define(region: Region): Region {
+        if (!NAME_PATTERN.matches(region.name)) {
+            throw IllegalArgumentException(
+                "Invalid region name '${region.name}': use letters, digits, '_', '-', '.' and ':'"
+            )
+        }
+        regions[region.name] = region
+        save()
+        ConfigManager.debug("[RegionManager] Defined region '${region.name}' in ${region.area.dimension}")
+        return region
+    }
+
+    /**
+     * Change a region (flags, members).
+     *
+     * @return The updated region, or null if it doesn't exist
+     */
+    fun update(name: String, transform: (Region) -> Region): Region? {
+        val updated = regions.computeIfPresent(name) { _, region -> transform(region) } ?: return null
+        save()
+        return updated
+    }
+
+    /**
+     * @return true if the region existed
+     */
+    fun remove(name: String): Boolean {
+        val removed = regions.remove(name) != null
+        if (removed) {
+            save()
+            ConfigManager.debug("[RegionManager] Removed region '$name'")
+        }
+        return removed
+    }
+
+    fun get(name: String): Region? = regions[name]
+
+    /**
+     * All regions, optionally only those in one dimension, sorted by name.
+     */
+    fun list(dimension: String? = null): List<Region> {
+        return regions.values
+            .filter { dimension == null || it.area.dimension == dimension }
+            .sortedBy { it.name }
+    }
+
+    /**
+     * Regions containing a position, the deciding region (highest priority, then smallest) first.
+     */
+    fun at(dimension: String?, x: Double, y: Double, z: Double): List<Region> {
+        if (regions.isEmpty()) return emptyList()
+        val dim = dimension ?: DEFAULT_DIMENSION
+        return regions.values
+            .filter { it.area.contains(dim, x, y, z) }
+            .sortedWith(compareByDescending<Region> { it.priority }.thenBy { it.area.volume }.thenBy { it.name })
+    }
+
+    /**
+     * Find the region that denies an action, ignoring the JS bypass.
+     * Members and owners are exempt from flags that allow it (break, place, interact).
+     *
+     * @param playerUuid The acting player, or null for actions without one (mob spawning)
+     * @return The deciding region if it denies the action, otherwise null
+     */
+    fun deniedBy(flag: RegionFlag, dimension: String, x: Double, y: Double, z: Double, playerUuid: UUID?): Region? {
+        val region = at(dimension, x, y, z).firstOrNull() ?: return null
+        if (region.allows(flag)) return null
+        if (playerUuid != null && flag.membersBypass && region.isMember(playerUuid)) return null
+        return region
+    }
+
+    /**
+     * Check whether a player may act on a block. Tells the player (action bar) when denied.
+     * Called from platform event handlers.
+     */
+    fun canPlayer(flag: RegionFlag, player: ServerPlayer, level: Level, pos: BlockPos): Boolean {
+        if (regions.isEmpty()) return true
+        val region = deniedBy(flag, dimensionOf(level), pos.x + 0.5, pos.y + 0.5, pos.z + 0.5, player.uuid) ?: return true
+        return bypassOrDeny(player, flag, region)
+    }
+
+    /**
+     * Check whether a player may interact with an entity (uses the entity's position).
+     */
+    fun canInteractWith(player: ServerPlayer, entity: Entity): Boolean {
+        if (regions.isEmpty()) return true
+        val region = deniedBy(RegionFlag.INTERACT, dimensionOf(entity.level()), entity.x, entity.y, entity.z, player.uuid)
+            ?: return true
+        return bypassOrDeny(player, RegionFlag.INTERACT, region)
+    }
+
+    /**
+     * Check whether one player may damage another. Denied if either stands in a no-PvP region.
+     */
+    fun canPvp(attacker: ServerPlayer, victim: ServerPlayer): Boolean {
+        if (regions.isEmpty()) return true
+        val region = deniedBy(RegionFlag.PVP, dimensionOf(victim.level()), victim.x, victim.y, victim.z, null)
+            ?: deniedBy(RegionFlag.PVP, dimensionOf(attacker.level()), attacker.x, attacker.y, attacker.z, null)
+            ?: return true
+        return bypassOrDeny(attacker, RegionFlag.PVP, region)
+    }
+
+    /**
+     * Check whether a mob may spawn naturally at a position.
+     */
+    fun canSpawnMob(level: Level, x: Double, y: Double, z: Double): Boolean {
+        if (regions.isEmpty()) return true
+        return deniedBy(RegionFlag.MOB_SPAWN, dimensionOf(level), x, y, z, null) == null
+    }
+
+    private fun bypassOrDeny(player: ServerPlayer, flag: RegionFlag, region: Region): Boolean {
+        val check = bypass?.check
+        if (check != null) {
+            try {
+                if (check(player, flag, region)) return true
+            } catch (e: Exception) {
+                RhettJSCommon.LOGGER.error("[RhettJS] Region bypass check failed", e)
+            }
+        }
+        player.displayClientMessage(Component.literal("This area is protected").withStyle(ChatFormatting.RED), true)
+        return false
+    }
+
+    private fun dimensionOf(level: Level): String = level.dimension().location().toString()
+
+    /**
+     * Set the check that lets a player ignore a denying region (null to remove).
+     * There is one check for the whole server; replacing another script's check logs a warning.
+     *
+     * @param owner Script setting the check, so reloading that script removes it
+     */
+    @Synchronized
+    fun setBypass(check: ((ServerPlayer, RegionFlag, Region) -> Boolean)?, owner: String? = null) {
+        val previous = bypass
+        if (check != null && previous != null && previous.owner != owner) {
+            RhettJSCommon.LOGGER.warn(
+                "[RhettJS] Region bypass set by ${previous.owner ?: "unknown"} was replaced by ${owner ?: "unknown"}"
+            )
+        }
+        bypass = check?.let { Bypass(it, owner) }
+    }
+
+    /**
+     * Check whether a bypass check is set.
+     */
+    fun hasBypass(): Boolean = bypass != null
+
+    /**
+     * Remove the bypass check if a script set it (that script is reloading or was a test file).
+     *
+     * @return true if the check was removed
+     */
+    @Synchronized
+    fun clearBypassOwnedBy(owner: String): Boolean {
+        if (bypass?.owner != owner) return false
+        bypass = null
+        return true
+    }
+
+    /**
+     * Remove the bypass check (its JS function belongs to a closed context after reload).
+     */
+    fun clearBypass() {
+        bypass = null
+    }
+
+    /**
+     * Load regions saved in a world. Regions already defined are kept.
+     *
+     * @param worldDir The world save directory
+     */
+    @Synchronized
+    fun load(worldDir: Path) {
+        val file = worldDir.resolve(REGIONS_FILE)
+        regionsFile = file
+        if (!file.exists()) {
+            ConfigManager.debug("[RegionManager] No saved regions at $file")
+            if (regions.isNotEmpty()) save()
+            return
+        }
+
+        var loaded = 0
+        try {
+            val json = JsonParser.parseString(Files.readString(file)).asJsonObject
+            json.entrySet().forEach { (name, value) ->
+                if (name in regions) return@forEach
+                regions[name] = regionFromJson(name, value.asJsonObject)
+                loaded++
+            }
+        } catch (e: Exception) {
+            // Keep the broken file for manual recovery instead of overwriting it
+            val corrupt = file.resolveSibling("${file.fileName}.corrupt")
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to load regions, moved to ${corrupt.fileName}", e)
+            try {
+                Files.move(file, corrupt, StandardCopyOption.REPLACE_EXISTING)
+            } catch (moveError: Exception) {
+                RhettJSCommon.LOGGER.error("[RhettJS] Failed to move corrupt regions file $file", moveError)
+            }
+        }
+        // Write back regions defined before load
+        if (regions.size > loaded) save()
+        RhettJSCommon.LOGGER.info("[RhettJS] Loaded $loaded region(s)")
+    }
+
+    private fun regionFromJson(name: String, json: JsonObject): Region {
+        val min = json.getAsJsonObject("min")
+        val max = json.getAsJsonObject("max")
+        val area = Zone.fromCorners(
+            name,
+            json.get("dimension")?.asString ?: DEFAULT_DIMENSION,
+            min.get("x").asInt, min.get("y").asInt, min.get("z").asInt,
+            max.get("x").asInt, max.get("y").asInt, max.get("z").asInt
+        )
+        val flags = json.getAsJsonObject("flags")?.entrySet()
+            ?.mapNotNull { (id, value) -> RegionFlag.fromId(id)?.let { it to value.asBoolean } }
+            ?.toMap()
+            ?: emptyMap()
+        return Region(
+            area = area,
+            priority = json.get("priority")?.asInt ?: 0,
+            flags = flags,
+            owners = json.getAsJsonArray("owners")?.map { UUID.fromString(it.asString) }?.toSet() ?: emptySet(),
+            members = json.getAsJsonArray("members")?.map { UUID.fromString(it.asString) }?.toSet() ?: emptySet()
+        )
+    }
+
+    /**
+     * Write all regions. Does nothing until a world has been loaded.
+     */
+    @Synchronized
+    fun save() {
+        val file = regionsFile ?: return
+
+        try {
+            val json = JsonObject()
+            regions.values.sortedBy { it.name }.forEach { region ->
+                val area = region.area
+                json.add(region.name, JsonObject().apply {
+                    addProperty("dimension", area.dimension)
+                    add("min", corner(area.minX, area.minY, area.minZ))
+                    add("max", corner(area.maxX, area.maxY, area.maxZ))
+                    addProperty("priority", region.priority)
+                    add("flags", JsonObject().apply {
+                        region.flags.toSortedMap().forEach { (flag, value) -> addProperty(flag.id, value) }
+                    })
+                    add("owners", uuidArray(region.owners))
+                    add("members", uuidArray(region.members))
+                })
+            }
+
+            Files.createDirectories(file.parent)
+            val temp = file.resolveSibling("${file.fileName}.tmp")
+            Files.writeString(temp, gson.toJson(json))
+            try {
+                Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE)
+            } catch (e: AtomicMoveNotSupportedException) {
+                Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING)
+            }
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to save regions", e)
+        }
+    }
+
+    private fun corner(x: Int, y: Int, z: Int) = JsonObject().apply {
+        addProperty("x", x)
+        addProperty("y", y)
+        addProperty("z", z)
+    }
+
+    private fun uuidArray(uuids: Set<UUID>) = JsonArray().apply {
+        uuids.map { it.toString() }.sorted().forEach { add(it) }
+    }
+
+    /**
+     * Forget the current world (server stopping). Regions are saved as they change.
+     */
+    @Synchronized
+    fun unload() {
+        regionsFile = null
+        regions.clear()
+        bypass = null
+        ConfigManager.debug("[RegionManager] Unloaded")
+    }
+}
@@ -0,0 +1,282 @@
+package com.rhett.rhettjs.scoreboard
+
+import com.rhett.rhettjs.config.ConfigManager
+import net.minecraft.ChatFormatting
+import net.minecraft.network.chat.Component
+import net.minecraft.server.MinecraftServer
+import net.minecraft.world.scores.DisplaySlot
+import net.minecraft.world.scores.Objective
+import net.minecraft.world.scores.PlayerTeam
+import net.minecraft.world.scores.ScoreHolder
+import net.minecraft.world.scores.Scoreboard
+import net.minecraft.world.scores.Team
+import net.minecraft.world.scores.criteria.ObjectiveCriteria
+
+/**
+ * Scoreboard objectives, scores and teams for the Scoreboard and Teams APIs.
+ *
+ * Works on the server's own scoreboard, so everything scripts change is what /scoreboard
+ * and /team see, is sent to players, and is saved with the world by the game.
+ *
+ * Score holders are scoreboard names: player names, entity UUIDs or fake players
+ * (any other string, e.g. "#round").
+ *
+ * JavaScript usage:
+ * ```javascript
+ * const kills = Scoreboard.objective('kills');
+ * kills.create({ displayName: 'Kills' });
+ * kills.setDisplaySlot('sidebar');
+ * kills.addScore(player, 1);
+ * Teams.create('red', { color: 'red', prefix: '[Red] ', friendlyFire: false });
+ * Teams.join('red', player);
+ * ```
+ */
+object ScoreboardManager {
+
+    @Volatile
+    private var scoreboard: Scoreboard? = null
+
+    /**
+     * Team settings; null fields are left unchanged.
+     */
+    data class TeamOptions(
+        val displayName: Component? = null,
+        val color: String? = null,
+        val prefix: Component? = null,
+        val suffix: Component? = null,
+        val friendlyFire: Boolean? = null,
+        val seeFriendlyInvisibles: Boolean? = null,
+        val nameTagVisibility: String? = null,
+        val collision: String? = null
+    )
+
+    fun setServer(minecraftServer: MinecraftServer) {
+        scoreboard = minecraftServer.scoreboard
+    }
+
+    /**
+     * Use a standalone scoreboard (tests).
+     */
+    internal fun setScoreboard(board: Scoreboard?) {
+        scoreboard = board
+    }
+
+    private fun board(): Scoreboard = scoreboard ?: throw IllegalStateException("Scoreboard not available (server not started)")
+
+    // ===== Objectives =====
+
+    fun objectives(): List<Objective> = board().objectives.sortedBy { it.name }
+
+    fun objective(name: String): Objective? = board().getObjective(name)
+
+    private fun requireObjective(name: String): Objective =
+        objective(name) ?: throw IllegalStateException("Objective '$name' doesn't exist; create it first")
+
+    /**
+     * Create an objective unless one with that name exists.
+     *
+     * @param criterion Criterion name like /scoreboard uses ("dummy", "deathCount", "minecraft.mined:minecraft.stone")
+     * @return true if it was created
+     * @throws IllegalArgumentException for invalid names or unknown criteria
+     */
+    fun createObjective(name: String, criterion: String, displayName: Component?): Boolean {
+        val board = board()
+        if (board.getObjective(name) != null) return false
+        if (name.isEmpty() || name.any { it.isWhitespace() }) {
+            throw IllegalArgumentException("Invalid objective name '$name': use at least one character without spaces")
+        }
+        val criteria = ObjectiveCriteria.byName(criterion).orElse(null)
+            ?: throw IllegalArgumentException("Unknown criterion: $criterion")
+
+        board.addObjective(name, criteria, displayName ?: Component.literal(name), criteria.defaultRenderType, false, null)
+        ConfigManager.debug("[ScoreboardManager] Created objective '$name' ($criterion)")
+        return true
+    }
+
+    /**
+     * @return true if the objective existed
+     */
+    fun removeObjective(name: String): Boolean {
+        val objective = objective(name) ?: return false
+        board().removeObjective(objective)
+        ConfigManager.debug("[ScoreboardManager] Removed objective '$name'")
+        return true
+    }
+
+    fun setDisplayName(name: String, displayName: Component) {
+        requireObjective(name).displayName = displayName
+    }
+
+    /**
+     * Show an objective in a display slot ("list", "sidebar", "below_name" or
+     * "sidebar.team.<color>"), or with a null slot, remove it from every slot.
+     */
+    fun setDisplaySlot(name: String, slot: String?) {
+        val board = board()
+        val objective = requireObjective(name)
+        if (slot == null) {
+            DisplaySlot.entries.filter { board.getDisplayObjective(it) == objective }
+                .forEach { board.setDisplayObjective(it, null) }
+            return
+        }
+        val displaySlot = DisplaySlot.entries.firstOrNull { it.serializedName == slot }
+            ?: throw IllegalArgumentException("Invalid display slot '$slot': use list, sidebar, below_name or sidebar.team.<color>")
+        board.setDisplayObjective(displaySlot, objective)
+    }
+
+    /**
+     * Slots currently showing an objective.
+     */
+    fun displaySlots(name: String): List<String> {
+        val board = board()
+        val objective = objective(name) ?: return emptyList()
+        return DisplaySlot.entries.filter { board.getDisplayObjective(it) == objective }.map { it.serializedName }
+    }
+
+    // ===== Scores =====
+
+    /**
+     * @return The score, or null if the holder has none
+     */
+    fun getScore(name: String, holder: String): Int? {
+        return board().getPlayerScoreInfo(ScoreHolder.forNameOnly(holder), requireObjective(name))?.value()
+    }
+
+    fun setScore(name: String, holder: String, value: Int) {
+        board().getOrCreatePlayerScore(ScoreHolder.forNameOnly(holder), requireObjective(name)).set(value)
+    }
+
+    /**
+     * Add to a score (a missing score counts as 0).
+     *
+     * @return The new score
+     */
+    fun addScore(name: String, holder: String, amount: Int): Int {
+        val score = board().getOrCreatePlayerScore(ScoreHolder.forNameOnly(holder), requireObjective(name))
+        score.add(amount)
+        return score.get()
+    }
+
+    /**
+     * @return true if the holder had a score
+     */
+    fun resetScore(name: String, holder: String): Boolean {
+        val board = board()
+        val objective = requireObjective(name)
+        val scoreHolder = ScoreHolder.forNameOnly(holder)
+        if (board.getPlayerScoreInfo(scoreHolder, objective) == null) return false
+        board.resetSinglePlayerScore(scoreHolder, objective)
+        return true
+    }
+
+    /**
+     * All scores of an objective, highest first (ties by holder name).
+     */
+    fun scores(name: String): List<Pair<String, Int>> {
+        return board().listPlayerScores(requireObjective(name))
+            .map { it.owner() to it.value() }
+            .sortedWith(compareByDescending<Pair<String, Int>> { it.second }.thenBy { it.first })
+    }
+
+    // ===== Teams =====
+
+    fun teams(): List<PlayerTeam> = board().playerTeams.sortedBy { it.name }
+
+    fun team(name: String): PlayerTeam? = board().getPlayerTeam(name)
+
+    /**
+     * Create a team, or update it if it exists.
+     *
+     * @throws IllegalArgumentException for invalid names or options
+     */
+    fun createTeam(name: String, options: TeamOptions): PlayerTeam {
+        val board = board()
+        val existing = board.getPlayerTeam(name)
+        if (existing != null) {
+            applyTeamOptions(existing, options)
+            return existing
+        }
+        if (name.isEmpty() || name.any { it.isWhitespace() }) {
+            throw IllegalArgumentException("Invalid team name '$name': use at least one character without spaces")
+        }
+
+        val team = board.addPlayerTeam(name)
+        try {
+            applyTeamOptions(team, options)
+        } catch (e: IllegalArgumentException) {
+            board.removePlayerTeam(team)
+            throw e
+        }
+        ConfigManager.debug("[ScoreboardManager] Created team '$name'")
+        return team
+    }
+
+    /**
+     * @return The updated team, or null if it doesn't exist
+     */
+    fun updateTeam(name: String, options: TeamOptions): PlayerTeam? {
+        val team = team(name) ?: return null
+        applyTeamOptions(team, options)
+        return team
+    }
+
+    private fun applyTeamOptions(team: PlayerTeam, options: TeamOptions) {
+        // Validate everything before changing anything
+        val color = options.color?.let { name ->
+            ChatFormatting.getByName(name)?.takeIf { it.isColor || it == ChatFormatting.RESET }
+                ?: throw IllegalArgumentException("Invalid team color '$name': use a chat color like red or dark_aqua, or reset")
+        }
+        val visibility = options.nameTagVisibility?.let { name ->
+            Team.Visibility.byName(name)
+                ?: throw IllegalArgumentException("Invalid nameTagVisibility '$name': use always, never, hideForOtherTeams or hideForOwnTeam")
+        }
+        val collision = options.collision?.let { name ->
+            Team.CollisionRule.byName(name)
+                ?: throw IllegalArgumentException("Invalid collision '$name': use always, never, pushOtherTeams or pushOwnTeam")
+        }
+
+        options.displayName?.let { team.displayName = it }
+        color?.let { team.color = it }
+        options.prefix?.let { team.playerPrefix = it }
+        options.suffix?.let { team.playerSuffix = it }
+        options.friendlyFire?.let { team.isAllowFriendlyFire = it }
+        options.seeFriendlyInvisibles?.let { team.setSeeFriendlyInvisibles(it) }
+        visibility?.let { team.nameTagVisibility = it }
+        collision?.let { team.collisionRule = it }
+    }
+
+    /**
+     * @return true if the team existed
+     */
+    fun removeTeam(name: String): Boolean {
+        val team = team(name) ?: return false
+        board().removePlayerTeam(team)
+        ConfigManager.debug("[ScoreboardManager] Removed team '$name'")
+        return true
+    }
+
+    /**
+     * Add members to a team, moving them out of their current team.
+     *
+     * @return Number of members added
+     */
+    fun joinTeam(name: String, members: List<String>): Int {
+        val board = board()
+        val team = team(name) ?: throw IllegalStateException("Team '$name' doesn't exist; create it first")
+        return members.count { board.addPlayerToTeam(it, team) }
+    }
+
+    /**
+     * @return true if the member was in a team
+     */
+    fun leaveTeam(member: String): Boolean = board().removePlayerFromTeam(member)
+
+    fun teamOf(member: String): PlayerTeam? = board().getPlayersTeam(member)
+
+    /**
+     * Forget the server's scoreboard (server stopping). The game saves it with the world.
+     */
+    fun unload() {
+        scoreboard = null
+    }
+}
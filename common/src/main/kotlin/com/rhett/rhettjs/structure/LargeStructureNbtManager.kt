@@ -1,6 +1,10 @@
 package com.rhett.rhettjs.structure
 
 import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.adapter.AbortSignalAdapter
+import com.rhett.rhettjs.async.AbortException
+import com.rhett.rhettjs.async.AbortSignal
+import com.rhett.rhettjs.async.AsyncScheduler
 import com.rhett.rhettjs.config.ConfigManager
 import com.rhett.rhettjs.structure.models.StructureData
 import com.rhett.rhettjs.structure.models.StructureSize
@@ -12,10 +16,12 @@ import net.minecraft.nbt.NbtIo
 import net.minecraft.resources.ResourceLocation
 import net.minecraft.server.MinecraftServer
 import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.PolyglotException
 import org.graalvm.polyglot.Value
 import java.nio.file.Files
 import java.nio.file.Path
 import java.util.concurrent.CompletableFuture
+import java.util.concurrent.atomic.AtomicInteger
 import java.util.stream.Collectors
 import kotlin.io.path.*
 
@@ -434,7 +440,8 @@ object LargeStructureNbtManager {
      *
      * @param position Position to place structure {x, y, z, dimension?}
      * @param nameWithNamespace Structure name in format "[namespace:]name"
-     * @param options Optional options {rotation?: 0|90|180|270, centered?: boolean}
+     * @param options Optional options {rotation?: 0|90|180|270, centered?: boolean, mode?: string, signal?: AbortSignal,
+     *                onProgress?: (placed, total) => void}
      */
     fun place(position: Value, nameWithNamespace: String, options: Value?): CompletableFuture<Void> {
         val future = CompletableFuture<Void>()
@@ -444,6 +451,12 @@ object LargeStructureNbtManager {
         }
 
         try {
+            // Aborting rejects right away; pieces that haven't been written yet are skipped
+            val signal = AbortSignalAdapter.forOperation(options)
+            signal?.onAbort { reason -> future.completeExceptionally(AbortException(reason)) }
+                ?.let { unregister -> future.whenComplete { _, _ -> unregister() } }
+            if (future.isDone) return future
+
             // Extract position from JS
             val x = position.getMember("x").asInt()
             val y = position.getMember("y").asInt()
@@ -478,11 +491,17 @@ object LargeStructureNbtManager {
                 "replace"
             }
 
+            val onProgress = options?.takeIf { it.hasMember("onProgress") }?.getMember("onProgress")?.takeUnless { it.isNull }
+            if (onProgress != null && !onProgress.canExecute()) {
+                throw IllegalArgumentException("onProgress must be a function (placed, total) => void")
+            }
+
             // Parse structure name
             val (namespace, baseName) = parseStructureName(nameWithNamespace)
 
             // Find all pieces using StructureTemplateManager (searches all resource sources)
             srv.execute {
+                if (future.isDone) return@execute
                 try {
                     val allTemplates = srv.structureManager.listTemplates()
                         .collect(Collectors.toList())
@@ -526,7 +545,7 @@ object LargeStructureNbtManager {
                         return@execute
                     }
 
-                    continueWithPlacement(namespace, baseName, pieceFiles, x, y, z, dimension, rotation, centered, mode, future)
+                    continueWithPlacement(namespace, baseName, pieceFiles, x, y, z, dimension, rotation, centered, mode, signal, onProgress, future)
                 } catch (e: Exception) {
                     ConfigManager.debug("[LargeStructureNbtManager] Exception during piece discovery: ${e.message}")
                     e.printStackTrace()
@@ -555,6 +574,8 @@ object LargeStructureNbtManager {
         rotation: Int,
         centered: Boolean,
         mode: String,
+        signal: AbortSignal?,
+        onProgress: Value?,
         future: CompletableFuture<Void>
     ) {
         try {
@@ -615,10 +636,12 @@ object LargeStructureNbtManager {
 
                     // Place each piece
                     val placeFutures = mutableListOf<CompletableFuture<Void>>()
+                    val total = pieceFiles.count { it.split("_").size == 3 }
+                    val placed = AtomicInteger()
 
                     pieceFiles.forEach { pieceName ->
                         val parts = pieceName.split("_")
-                        if (parts.size == 3) {
+                        if (parts.size == 3 && !future.isDone) {
                             val gridX = parts[0].toInt()
                             val gridY = parts[1].toInt()
                             val gridZ = parts[2].toInt()
@@ -645,8 +668,12 @@ object LargeStructureNbtManager {
                                     }
 
                                     // Place this piece (delegate to StructureNbtManager)
-                                    val pieceFuture = StructureNbtManager.place(piecePos, "$namespace:$RJS_LARGE_SUBDIR/$baseName/$pieceName", pieceOptions)
-                                    placeFutures.add(pieceFuture)
+                                    val pieceFuture = StructureNbtManager.place(piecePos, "$namespace:$RJS_LARGE_SUBDIR/$baseName/$pieceName", pieceOptions, signal)
+                                    // Report before the piece counts as done, so progress comes before the promise settles
+                                    placeFutures.add(
+                                        if (onProgress == null) pieceFuture
+                                        else pieceFuture.thenRun { reportProgress(onProgress, placed.incrementAndGet(), total, future) }
+                                    )
 
                                 } finally {
                                     context.leave()
@@ -674,6 +701,25 @@ object LargeStructureNbtManager {
         }
     }
 
+    /**
+     * Call a placement's onProgress(placed, total) on the next tick, like promise resolutions.
+     * Errors in the callback are logged and don't stop placement.
+     */
+    private fun reportProgress(onProgress: Value, placed: Int, total: Int, future: CompletableFuture<Void>) {
+        val context = graalContext ?: return
+        AsyncScheduler.scheduleCallback {
+            if (future.isCompletedExceptionally) return@scheduleCallback
+            context.enter()
+            try {
+                onProgress.executeVoid(placed, total)
+            } catch (e: PolyglotException) {
+                RhettJSCommon.LOGGER.error("[RhettJS] Error in LargeStructureNbt.place onProgress: ${e.message}")
+            } finally {
+                context.leave()
+            }
+        }
+    }
+
     /**
      * Get the size of a large structure (async).
      * For regular structures, use StructureNbt.getSize().
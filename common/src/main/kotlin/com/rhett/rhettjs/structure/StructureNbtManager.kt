@@ -1,9 +1,13 @@
 package com.rhett.rhettjs.structure
 
 import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.adapter.AbortSignalAdapter
+import com.rhett.rhettjs.async.AbortException
+import com.rhett.rhettjs.async.AbortSignal
 import com.rhett.rhettjs.config.ConfigManager
 import com.rhett.rhettjs.structure.models.StructureData
 import com.rhett.rhettjs.structure.models.StructureSize
+import com.rhett.rhettjs.world.ChunkedWorldTask
 import com.rhett.rhettjs.world.models.BlockData
 import com.rhett.rhettjs.world.models.PositionedBlock
 import net.minecraft.nbt.CompoundTag
@@ -874,9 +878,11 @@ object StructureNbtManager {
      *
      * @param position Position to place structure {x, y, z, dimension?}
      * @param nameWithNamespace Structure name in format "[namespace:]name"
-     * @param options Optional options {rotation?: 0|90|180|270, centered?: boolean}
+     * @param options Optional options {rotation?: 0|90|180|270, centered?: boolean, mode?: string, signal?: AbortSignal}
+     * @param signal Abort signal (defaults to options.signal combined with the calling task's;
+     *   passed directly for large structure pieces)
      */
-    fun place(position: Value, nameWithNamespace: String, options: Value?): CompletableFuture<Void> {
+    fun place(position: Value, nameWithNamespace: String, options: Value?, signal: AbortSignal? = null): CompletableFuture<Void> {
         val future = CompletableFuture<Void>()
         val srv = server ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
@@ -884,6 +890,12 @@ object StructureNbtManager {
         }
 
         try {
+            // Aborting rejects right away, even while the structure is still loading
+            val abortSignal = signal ?: AbortSignalAdapter.forOperation(options)
+            abortSignal?.onAbort { reason -> future.completeExceptionally(AbortException(reason)) }
+                ?.let { unregister -> future.whenComplete { _, _ -> unregister() } }
+            if (future.isDone) return future
+
             // Extract position from JS
             val x = position.getMember("x").asInt()
             val y = position.getMember("y").asInt()
@@ -928,6 +940,7 @@ object StructureNbtManager {
 
                 // Execute placement on main thread
                 srv.execute {
+                    if (future.isDone) return@execute
                     try {
                         val worldAdapter = com.rhett.rhettjs.world.WorldManager
                         val level = worldAdapter.getLevel(dimension)
@@ -984,12 +997,23 @@ object StructureNbtManager {
                             }
                         }
 
-                        // Place blocks using world adapter
+                        // Place blocks using world adapter, one chunk at a time (abortable between chunks)
                         val adapter = com.rhett.rhettjs.world.adapter.WorldAdapter(srv)
-                        adapter.setBlocksInRegion(level, rotatedBlocks, updateNeighbors = true, mode = mode)
+                        val batches = ChunkedWorldTask.groupByChunk(rotatedBlocks).map { chunkBlocks ->
+                            ChunkedWorldTask.Batch(chunkBlocks.size) {
+                                adapter.setBlocksInRegion(level, chunkBlocks, updateNeighbors = true, mode = mode)
+                                chunkBlocks.size
+                            }
+                        }
 
-                        ConfigManager.debug("[StructureManager] Placed structure: $nameWithNamespace (${rotatedBlocks.size} blocks, rotation=$rotation, mode=$mode)")
-                        future.complete(null)
+                        ChunkedWorldTask.run(batches, abortSignal, "place $nameWithNamespace").whenComplete { _, placeThrowable ->
+                            if (placeThrowable != null) {
+                                future.completeExceptionally(placeThrowable)
+                            } else {
+                                ConfigManager.debug("[StructureManager] Placed structure: $nameWithNamespace (${rotatedBlocks.size} blocks, rotation=$rotation, mode=$mode)")
+                                future.complete(null)
+                            }
+                        }
 
                     } catch (e: Exception) {
                         future.completeExceptionally(e)
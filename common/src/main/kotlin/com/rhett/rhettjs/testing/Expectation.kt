@@ -0,0 +1,188 @@
+package com.rhett.rhettjs.testing
+
+import com.rhett.rhettjs.engine.GraalEngine
+import org.graalvm.polyglot.PolyglotException
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+
+/**
+ * Thrown by a failing expect() matcher. The message is reported as the test failure.
+ */
+class ExpectationFailedException(message: String) : RuntimeException(message)
+
+/**
+ * JS object returned by `expect(actual)` in the rhettjs/test module.
+ *
+ * Matchers follow Jest naming (toBe, toEqual, toContain, toThrow...); `.not` negates the next
+ * matcher. toBe compares primitives by value and objects by identity; toEqual compares
+ * arrays and objects recursively.
+ */
+class Expectation(private val actual: Value, private val negated: Boolean = false) : ProxyObject {
+
+    private val matchers: Map<String, (List<Value>) -> Unit> = mapOf(
+        "toBe" to { args ->
+            val expected = arg(args, "toBe")
+            check(sameValue(actual, expected), "to be ${format(expected)}")
+        },
+        "toEqual" to { args ->
+            val expected = arg(args, "toEqual")
+            check(deepEquals(actual, expected), "to equal ${format(expected)}")
+        },
+        "toBeTruthy" to { _ -> check(isTruthy(actual), "to be truthy") },
+        "toBeFalsy" to { _ -> check(!isTruthy(actual), "to be falsy") },
+        "toBeNull" to { _ -> check(actual.isNull && !isUndefined(actual), "to be null") },
+        "toBeUndefined" to { _ -> check(isUndefined(actual), "to be undefined") },
+        "toBeDefined" to { _ -> check(!isUndefined(actual), "to be defined") },
+        "toBeGreaterThan" to { args -> compare(args, "toBeGreaterThan", "to be greater than") { a, b -> a > b } },
+        "toBeGreaterThanOrEqual" to { args -> compare(args, "toBeGreaterThanOrEqual", "to be greater than or equal to") { a, b -> a >= b } },
+        "toBeLessThan" to { args -> compare(args, "toBeLessThan", "to be less than") { a, b -> a < b } },
+        "toBeLessThanOrEqual" to { args -> compare(args, "toBeLessThanOrEqual", "to be less than or equal to") { a, b -> a <= b } },
+        "toBeCloseTo" to { args ->
+            val expected = arg(args, "toBeCloseTo")
+            val digits = args.getOrNull(1)?.takeIf { it.isNumber }?.asInt() ?: 2
+            requireNumber(actual, "toBeCloseTo")
+            val tolerance = Math.pow(10.0, -digits.toDouble()) / 2
+            check(Math.abs(actual.asDouble() - expected.asDouble()) < tolerance, "to be close to ${format(expected)} ($digits digits)")
+        },
+        "toContain" to { args ->
+            val expected = arg(args, "toContain")
+            val contains = when {
+                actual.isString -> expected.isString && actual.asString().contains(expected.asString())
+                actual.hasArrayElements() -> (0 until actual.arraySize).any { sameValue(actual.getArrayElement(it), expected) }
+                else -> throw ExpectationFailedException("toContain() needs a string or array, got ${format(actual)}")
+            }
+            check(contains, "to contain ${format(expected)}")
+        },
+        "toHaveLength" to { args ->
+            val expected = arg(args, "toHaveLength")
+            val length = when {
+                actual.isString -> actual.asString().length.toLong()
+                actual.hasArrayElements() -> actual.arraySize
+                actual.hasMember("length") && actual.getMember("length").isNumber -> actual.getMember("length").asLong()
+                else -> throw ExpectationFailedException("toHaveLength() needs a string or array, got ${format(actual)}")
+            }
+            check(expected.isNumber && length == expected.asLong(), "to have length ${format(expected)} (has $length)")
+        },
+        "toHaveProperty" to { args ->
+            val path = arg(args, "toHaveProperty").asString()
+            var current: Value? = actual
+            for (part in path.split('.')) {
+                current = current?.takeIf { it.hasMembers() && it.hasMember(part) }?.getMember(part)
+            }
+            val found = current != null
+            if (args.size >= 2 && found) {
+                check(deepEquals(current!!, args[1]), "to have property $path equal to ${format(args[1])}")
+            } else {
+                check(found, "to have property $path")
+            }
+        },
+        "toMatch" to { args ->
+            val expected = arg(args, "toMatch")
+            if (!actual.isString) throw ExpectationFailedException("toMatch() needs a string, got ${format(actual)}")
+            check(matches(actual.asString(), expected), "to match ${format(expected)}")
+        },
+        "toThrow" to { args ->
+            if (!actual.canExecute()) throw ExpectationFailedException("toThrow() needs a function, got ${format(actual)}")
+            val thrown = try {
+                actual.executeVoid()
+                null
+            } catch (e: PolyglotException) {
+                if (e.isHostException) e.asHostException().message ?: "" else e.message ?: ""
+            }
+            val expected = args.firstOrNull()
+            when {
+                expected == null -> check(thrown != null, "to throw")
+                thrown == null -> check(false, "to throw ${format(expected)}")
+                else -> check(matches(thrown, expected), "to throw ${format(expected)} (threw \"$thrown\")")
+            }
+        }
+    )
+
+    override fun getMember(key: String): Any? {
+        if (key == "not") return Expectation(actual, !negated)
+        val matcher = matchers[key] ?: return null
+        return ProxyExecutable { args ->
+            matcher(args.toList())
+            null
+        }
+    }
+
+    override fun getMemberKeys(): Any = (matchers.keys + "not").toTypedArray()
+
+    override fun hasMember(key: String): Boolean = key == "not" || key in matchers
+
+    override fun putMember(key: String, value: Value?) {
+        throw UnsupportedOperationException("expect() results are read-only")
+    }
+
+    private fun check(pass: Boolean, description: String) {
+        if (pass == negated) {
+            throw ExpectationFailedException("expected ${format(actual)} ${if (negated) "not " else ""}$description")
+        }
+    }
+
+    private fun compare(args: List<Value>, name: String, description: String, test: (Double, Double) -> Boolean) {
+        val expected = arg(args, name)
+        requireNumber(actual, name)
+        requireNumber(expected, name)
+        check(test(actual.asDouble(), expected.asDouble()), "$description ${format(expected)}")
+    }
+
+    private fun arg(args: List<Value>, name: String): Value =
+        args.firstOrNull() ?: throw IllegalArgumentException("$name() requires an expected value")
+
+    private fun requireNumber(value: Value, name: String) {
+        if (!value.isNumber) throw ExpectationFailedException("$name() needs numbers, got ${format(value)}")
+    }
+
+    private fun matches(text: String, expected: Value): Boolean = when {
+        expected.isString -> text.contains(expected.asString())
+        expected.canInvokeMember("test") -> expected.invokeMember("test", text).asBoolean()
+        else -> false
+    }
+
+    companion object {
+        internal fun format(value: Value): String = when {
+            isUndefined(value) -> "undefined"
+            value.isString -> "\"${value.asString()}\""
+            else -> GraalEngine.formatValue(value)
+        }
+
+        internal fun isUndefined(value: Value): Boolean = value.isNull && value.toString() == "undefined"
+
+        internal fun isTruthy(value: Value): Boolean = when {
+            value.isNull -> false
+            value.isBoolean -> value.asBoolean()
+            value.isNumber -> value.asDouble().let { it != 0.0 && !it.isNaN() }
+            value.isString -> value.asString().isNotEmpty()
+            else -> true
+        }
+
+        /**
+         * Object.is-like comparison: primitives by value, everything else by identity.
+         */
+        internal fun sameValue(a: Value, b: Value): Boolean = when {
+            a.isNull || b.isNull -> a.isNull && b.isNull && isUndefined(a) == isUndefined(b)
+            a.isNumber && b.isNumber -> a.asDouble() == b.asDouble() || (a.asDouble().isNaN() && b.asDouble().isNaN())
+            a.isString && b.isString -> a.asString() == b.asString()
+            a.isBoolean && b.isBoolean -> a.asBoolean() == b.asBoolean()
+            else -> a == b
+        }
+
+        /**
+         * Recursive structural comparison of arrays and plain objects.
+         */
+        internal fun deepEquals(a: Value, b: Value): Boolean = when {
+            sameValue(a, b) -> true
+            a.isNull || b.isNull || a.isNumber || b.isNumber || a.isString || b.isString || a.isBoolean || b.isBoolean -> false
+            a.canExecute() || b.canExecute() -> false
+            a.hasArrayElements() != b.hasArrayElements() -> false
+            a.hasArrayElements() -> a.arraySize == b.arraySize &&
+                (0 until a.arraySize).all { deepEquals(a.getArrayElement(it), b.getArrayElement(it)) }
+            a.hasMembers() && b.hasMembers() -> a.memberKeys == b.memberKeys &&
+                a.memberKeys.all { deepEquals(a.getMember(it), b.getMember(it)) }
+            else -> false
+        }
+    }
+}
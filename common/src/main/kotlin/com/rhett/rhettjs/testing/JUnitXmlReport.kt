@@ -0,0 +1,97 @@
+package com.rhett.rhettjs.testing
+
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.StandardCopyOption
+import java.util.Locale
+
+/**
+ * Writes test results in the JUnit XML format understood by CI tools.
+ *
+ * One `<testsuite>` per test file; test cases use the describe() path as classname.
+ * Output is deterministic apart from timings, so reports can be diffed between builds.
+ */
+object JUnitXmlReport {
+
+    /**
+     * Render results as a JUnit XML document.
+     *
+     * @param results One result per test file
+     * @param name Name of the root `<testsuites>` element
+     */
+    fun render(results: List<TestRunner.FileResult>, name: String = "rhettjs"): String {
+        val xml = StringBuilder()
+        xml.append("""<?xml version="1.0" encoding="UTF-8"?>""").append('\n')
+
+        val tests = results.sumOf { it.results.size }
+        val failures = results.sumOf { it.failed }
+        val errors = results.count { it.error != null }
+        val skipped = results.sumOf { it.skipped }
+        xml.append("""<testsuites name="${escape(name)}" tests="$tests" failures="$failures" errors="$errors" skipped="$skipped" time="${seconds(results.sumOf { it.durationMs })}">""")
+            .append('\n')
+
+        results.forEach { file ->
+            xml.append("""  <testsuite name="${escape(file.file)}" tests="${file.results.size}" failures="${file.failed}" errors="${if (file.error != null) 1 else 0}" skipped="${file.skipped}" time="${seconds(file.durationMs)}">""")
+                .append('\n')
+
+            // A file that fails to load is reported as an errored pseudo-test
+            file.error?.let { error ->
+                xml.append("""    <testcase classname="${escape(file.file)}" name="(load)" time="0.000">""").append('\n')
+                xml.append("""      <error message="${escape(error.lineSequence().first())}">${escape(error)}</error>""").append('\n')
+                xml.append("    </testcase>\n")
+            }
+
+            file.results.forEach { test ->
+                val classname = if (test.suite.isEmpty()) file.file else "${file.file} > ${test.suite}"
+                xml.append("""    <testcase classname="${escape(classname)}" name="${escape(test.name)}" time="${seconds(test.durationMs)}"""")
+                when (test.status) {
+                    TestRunner.Status.PASSED -> xml.append("/>\n")
+                    TestRunner.Status.SKIPPED -> xml.append(">\n      <skipped/>\n    </testcase>\n")
+                    TestRunner.Status.FAILED -> {
+                        val message = test.message ?: "Test failed"
+                        xml.append(">\n")
+                        xml.append("""      <failure message="${escape(message.lineSequence().first())}">${escape(message)}</failure>""").append('\n')
+                        xml.append("    </testcase>\n")
+                    }
+                }
+            }
+
+            xml.append("  </testsuite>\n")
+        }
+
+        xml.append("</testsuites>\n")
+        return xml.toString()
+    }
+
+    /**
+     * Write the report, replacing the file atomically (a crash never leaves a half-written report).
+     *
+     * @param file Target file (parent directories are created)
+     * @param results One result per test file
+     */
+    fun write(file: Path, results: List<TestRunner.FileResult>) {
+        Files.createDirectories(file.toAbsolutePath().parent)
+        val temp = file.resolveSibling("${file.fileName}.tmp")
+        Files.writeString(temp, render(results))
+        Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE)
+    }
+
+    private fun seconds(millis: Long): String = String.format(Locale.ROOT, "%.3f", millis / 1000.0)
+
+    private fun escape(text: String): String {
+        val out = StringBuilder(text.length)
+        text.forEach { c ->
+            when {
+                c == '&' -> out.append("&amp;")
+                c == '<' -> out.append("&lt;")
+                c == '>' -> out.append("&gt;")
+                c == '"' -> out.append("&quot;")
+                c == '\'' -> out.append("&apos;")
+                // Strip control characters XML 1.0 can't represent
+                c < ' ' && c != '\n' && c != '\t' && c != '\r' -> {}
+                else -> out.append(c)
+            }
+        }
+        return out.toString()
+    }
+}
@@ -0,0 +1,451 @@
+package com.rhett.rhettjs.testing
+
+import com.rhett.rhettjs.api.PersistentStore
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.async.AbortSignal
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.bossbar.BossBarManager
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import com.rhett.rhettjs.events.ServerEventManager
+import com.rhett.rhettjs.regions.RegionManager
+import org.graalvm.polyglot.PolyglotException
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import java.nio.file.FileSystems
+import java.nio.file.Files
+import java.nio.file.Path
+import java.util.concurrent.CompletableFuture
+import kotlin.io.path.exists
+import kotlin.io.path.extension
+import kotlin.io.path.isRegularFile
+
+/**
+ * Runs test files written with the rhettjs/test module (describe/it/expect).
+ *
+ * A test file is executed like a server script; describe()/it()/hooks only collect the
+ * test tree. Once the file's top-level code has run, tests run one after another:
+ * beforeAll → (beforeEach → test → afterEach)* → afterAll per suite. Tests and hooks may
+ * return promises; they are awaited, with a timeout counted in server ticks.
+ *
+ * Event handlers, commands, timers and boss bars a test file registers (at top level or from
+ * its tests and hooks) are removed once the file has finished. World edits are not undone.
+ *
+ * Must be used from the server thread (tests run JS in the shared context).
+ */
+object TestRunner {
+
+    // Default per-test timeout (5 seconds)
+    const val DEFAULT_TIMEOUT_TICKS = 100
+
+    enum class HookKind { BEFORE_ALL, AFTER_ALL, BEFORE_EACH, AFTER_EACH }
+
+    enum class Status { PASSED, FAILED, SKIPPED }
+
+    /**
+     * Result of one test (or of a failing afterAll hook).
+     *
+     * @property suite Enclosing describe() names joined with " > " (empty at file level)
+     * @property name Test name
+     * @property durationMs Time from first beforeEach to last afterEach
+     * @property message Failure message, or null
+     */
+    data class TestResult(
+        val suite: String,
+        val name: String,
+        val status: Status,
+        val durationMs: Long,
+        val message: String? = null
+    )
+
+    /**
+     * Results of one test file.
+     *
+     * @property file Path relative to the tests directory
+     * @property error Set if the file itself failed to load (syntax error, top-level throw)
+     */
+    data class FileResult(
+        val file: String,
+        val results: List<TestResult>,
+        val durationMs: Long,
+        val error: String? = null
+    ) {
+        val passed: Int get() = results.count { it.status == Status.PASSED }
+        val failed: Int get() = results.count { it.status == Status.FAILED }
+        val skipped: Int get() = results.count { it.status == Status.SKIPPED }
+        val isSuccess: Boolean get() = error == null && failed == 0
+    }
+
+    private class Suite(val name: String, val parent: Suite?, val skip: Boolean) {
+        val children = mutableListOf<Any>() // Suite or TestCase, in declaration order
+        val hooks = HookKind.entries.associateWith { mutableListOf<Value>() }
+
+        val fullName: String
+            get() = listOfNotNull(parent?.fullName?.takeIf { it.isNotEmpty() }, name.takeIf { it.isNotEmpty() })
+                .joinToString(" > ")
+
+        val isSkipped: Boolean
+            get() = skip || parent?.isSkipped == true
+    }
+
+    private class TestCase(val name: String, val fn: Value, val skip: Boolean, val timeoutTicks: Int)
+
+    // Suite that describe()/it() currently add to (only set while a test file loads)
+    @Volatile
+    private var currentSuite: Suite? = null
+
+    @Volatile
+    private var running = false
+
+    // Script name of the file whose tests are running (owner of what they register)
+    @Volatile
+    private var runningFile: String? = null
+
+    /**
+     * Whether a test run is in progress.
+     */
+    fun isRunning(): Boolean = running
+
+    // ===== Called from the rhettjs/test module =====
+
+    /**
+     * Define a suite. The body runs immediately to collect nested suites, tests and hooks.
+     */
+    fun describe(name: String, body: Value, skip: Boolean = false) {
+        val parent = requireCollecting("describe")
+        val suite = Suite(name, parent, skip)
+        parent.children.add(suite)
+
+        currentSuite = suite
+        try {
+            body.executeVoid()
+        } finally {
+            currentSuite = parent
+        }
+    }
+
+    /**
+     * Define a test in the current suite.
+     */
+    fun addTest(name: String, fn: Value, skip: Boolean = false, timeoutTicks: Int = DEFAULT_TIMEOUT_TICKS) {
+        requireCollecting("it").children.add(TestCase(name, fn, skip, timeoutTicks.coerceAtLeast(1)))
+    }
+
+    /**
+     * Register a hook on the current suite.
+     */
+    fun addHook(kind: HookKind, fn: Value) {
+        requireCollecting(hookName(kind)).hooks.getValue(kind).add(fn)
+    }
+
+    private fun requireCollecting(function: String): Suite {
+        return currentSuite
+            ?: throw IllegalStateException("$function() can only be used in test files run by /rjs test")
+    }
+
+    // ===== Running =====
+
+    /**
+     * Find test files (any .js file) under the tests directory.
+     *
+     * @param testsDir Directory to search
+     * @param pattern Glob (e.g. "world/*.js") or substring matched against the relative path; null = all
+     * @return Matching files, sorted by relative path
+     */
+    fun findTestFiles(testsDir: Path, pattern: String?): List<Path> {
+        if (!testsDir.exists()) return emptyList()
+
+        val glob = pattern?.takeIf { it.contains('*') || it.contains('?') }
+            ?.let { FileSystems.getDefault().getPathMatcher("glob:$it") }
+
+        return Files.walk(testsDir).use { stream ->
+            stream.filter { it.isRegularFile() && it.extension == "js" }
+                .filter { file ->
+                    val relative = testsDir.relativize(file)
+                    when {
+                        pattern == null -> true
+                        glob != null -> glob.matches(relative) || glob.matches(relative.fileName)
+                        else -> relativeName(testsDir, file).contains(pattern)
+                    }
+                }
+                .sorted(compareBy { relativeName(testsDir, it) })
+                .toList()
+        }
+    }
+
+    /**
+     * Run test files one after another.
+     *
+     * @param testsDir Tests directory (file names in results are relative to it)
+     * @param files Files to run
+     * @return Future completing with one result per file
+     * @throws IllegalStateException if a run is already in progress
+     */
+    fun runFiles(testsDir: Path, files: List<Path>): CompletableFuture<List<FileResult>> {
+        check(!running) { "A test run is already in progress" }
+        running = true
+
+        val results = mutableListOf<FileResult>()
+        val done = files.fold(CompletableFuture.completedFuture(Unit)) { previous, file ->
+            previous.thenCompose { runFile(relativeName(testsDir, file), file).thenApply { results.add(it); Unit } }
+        }
+
+        return done.handle { _, error ->
+            running = false
+            if (error != null) throw error
+            results.toList()
+        }
+    }
+
+    /**
+     * Load and run a single test file.
+     *
+     * @param name Name used in results (relative path)
+     * @param path File to execute
+     */
+    fun runFile(name: String, path: Path): CompletableFuture<FileResult> {
+        val start = System.currentTimeMillis()
+        val root = Suite("", null, false)
+        val scriptName = name.removeSuffix(".js")
+
+        currentSuite = root
+        val loadResult = try {
+            val script = ScriptInfo(
+                name = scriptName,
+                path = path,
+                category = ScriptCategory.SERVER,
+                lastModified = Files.getLastModifiedTime(path).toMillis(),
+                status = ScriptStatus.LOADED
+            )
+            GraalEngine.executeScript(script)
+        } finally {
+            currentSuite = null
+        }
+
+        if (loadResult is ScriptResult.Error) {
+            cleanUp(scriptName)
+            return CompletableFuture.completedFuture(
+                FileResult(name, emptyList(), System.currentTimeMillis() - start, loadResult.message)
+            )
+        }
+
+        val results = mutableListOf<TestResult>()
+        runningFile = scriptName
+        return runSuite(root, results, emptyList(), emptyList()).thenApply {
+            runningFile = null
+            cleanUp(scriptName)
+            ConfigManager.debug("[Test] $name: ${results.size} result(s)")
+            FileResult(name, results.toList(), System.currentTimeMillis() - start)
+        }
+    }
+
+    /**
+     * Remove what a test file registered, so it doesn't stay active on the server.
+     */
+    private fun cleanUp(scriptName: String) {
+        ServerEventManager.removeHandlersOwnedBy(scriptName)
+        GraalEngine.getCommandRegistry().removeCommandsOwnedBy(scriptName)
+        AsyncScheduler.cancelTimersOwnedBy(scriptName)
+        BossBarManager.removeOwnedBy(scriptName)
+        StoreAPI.removeWatchersOwnedBy(scriptName)
+        PersistentStore.removeWatchersOwnedBy(scriptName)
+        RegionManager.clearBypassOwnedBy(scriptName)
+    }
+
+    /**
+     * Forget collection state (the context the tests belong to is gone).
+     * Called from GraalEngine.reset().
+     */
+    fun reset() {
+        currentSuite = null
+        running = false
+        runningFile = null
+        ConfigManager.debug("[Test] Reset complete")
+    }
+
+    private fun runSuite(
+        suite: Suite,
+        results: MutableList<TestResult>,
+        beforeEach: List<Value>,
+        afterEach: List<Value>
+    ): CompletableFuture<Unit> {
+        if (suite.isSkipped) {
+            skipAll(suite, results)
+            return CompletableFuture.completedFuture(Unit)
+        }
+
+        val innerBeforeEach = beforeEach + suite.hooks.getValue(HookKind.BEFORE_EACH)
+        val innerAfterEach = suite.hooks.getValue(HookKind.AFTER_EACH) + afterEach
+
+        return runAll(suite.hooks.getValue(HookKind.BEFORE_ALL), DEFAULT_TIMEOUT_TICKS)
+            .thenCompose {
+                sequence(suite.children.map { child ->
+                    {
+                        when (child) {
+                            is Suite -> runSuite(child, results, innerBeforeEach, innerAfterEach)
+                            is TestCase -> runTest(suite, child, results, innerBeforeEach, innerAfterEach)
+                            else -> CompletableFuture.completedFuture(Unit)
+                        }
+                    }
+                })
+            }
+            .exceptionally { error ->
+                // A beforeAll hook failed: nothing in this suite can run
+                failAll(suite, results, "beforeAll hook failed: ${failureMessage(error)}")
+            }
+            .thenCompose { runAll(suite.hooks.getValue(HookKind.AFTER_ALL), DEFAULT_TIMEOUT_TICKS) }
+            .exceptionally { error ->
+                results.add(TestResult(suite.fullName, "afterAll hook", Status.FAILED, 0, failureMessage(error)))
+                Unit
+            }
+    }
+
+    private fun runTest(
+        suite: Suite,
+        test: TestCase,
+        results: MutableList<TestResult>,
+        beforeEach: List<Value>,
+        afterEach: List<Value>
+    ): CompletableFuture<Unit> {
+        if (test.skip) {
+            results.add(TestResult(suite.fullName, test.name, Status.SKIPPED, 0))
+            return CompletableFuture.completedFuture(Unit)
+        }
+
+        val start = System.currentTimeMillis()
+        var failure: String? = null
+
+        return runAll(beforeEach, DEFAULT_TIMEOUT_TICKS)
+            .handle { _, error -> error?.let { "beforeEach hook failed: ${failureMessage(it)}" } }
+            .thenCompose { hookFailure ->
+                if (hookFailure != null) {
+                    failure = hookFailure
+                    CompletableFuture.completedFuture(Unit)
+                } else {
+                    call(test.fn, test.timeoutTicks).handle { _, error ->
+                        if (error != null) failure = failureMessage(error)
+                    }
+                }
+            }
+            // afterEach always runs, even if the test failed
+            .thenCompose { runAll(afterEach, DEFAULT_TIMEOUT_TICKS) }
+            .handle { _, error ->
+                if (error != null && failure == null) failure = "afterEach hook failed: ${failureMessage(error)}"
+                val status = if (failure == null) Status.PASSED else Status.FAILED
+                results.add(TestResult(suite.fullName, test.name, status, System.currentTimeMillis() - start, failure))
+                Unit
+            }
+    }
+
+    private fun runAll(fns: List<Value>, timeoutTicks: Int): CompletableFuture<Unit> =
+        sequence(fns.map { fn -> { call(fn, timeoutTicks) } })
+
+    private fun sequence(steps: List<() -> CompletableFuture<Unit>>): CompletableFuture<Unit> =
+        steps.fold(CompletableFuture.completedFuture(Unit)) { previous, step -> previous.thenCompose { step() } }
+
+    /**
+     * Call a test or hook function, awaiting a returned promise (with timeout).
+     */
+    private fun call(fn: Value, timeoutTicks: Int): CompletableFuture<Unit> {
+        val future = CompletableFuture<Unit>()
+
+        try {
+            val result = GraalEngine.runAsOwner(runningFile) { fn.execute() }
+            if (!result.hasMember("then")) {
+                future.complete(Unit)
+                return future
+            }
+
+            // Race the promise against a tick timeout; whichever settles first wins
+            val timeout = AbortSignal()
+            AsyncScheduler.scheduleWait(timeoutTicks, timeout).thenRun {
+                future.completeExceptionally(TestFailure("Timed out after $timeoutTicks ticks"))
+            }
+            future.whenComplete { _, _ -> timeout.abort(null) }
+
+            result.invokeMember("then",
+                ProxyExecutable { _ ->
+                    future.complete(Unit)
+                    null
+                },
+                ProxyExecutable { args ->
+                    future.completeExceptionally(TestFailure(describeError(args.firstOrNull())))
+                    null
+                }
+            )
+        } catch (e: PolyglotException) {
+            future.completeExceptionally(TestFailure(describeError(e)))
+        } catch (e: Exception) {
+            future.completeExceptionally(TestFailure(e.message ?: e.toString()))
+        }
+
+        return future
+    }
+
+    private fun skipAll(suite: Suite, results: MutableList<TestResult>) {
+        suite.children.forEach { child ->
+            when (child) {
+                is Suite -> skipAll(child, results)
+                is TestCase -> results.add(TestResult(suite.fullName, child.name, Status.SKIPPED, 0))
+            }
+        }
+    }
+
+    private fun failAll(suite: Suite, results: MutableList<TestResult>, message: String) {
+        suite.children.forEach { child ->
+            when (child) {
+                is Suite -> failAll(child, results, message)
+                is TestCase -> results.add(
+                    TestResult(suite.fullName, child.name, if (child.skip) Status.SKIPPED else Status.FAILED, 0, message.takeUnless { child.skip })
+                )
+            }
+        }
+    }
+
+    /**
+     * Failure of a test or hook (message is shown to the caller and written to the report).
+     */
+    private class TestFailure(message: String) : RuntimeException(message)
+
+    private fun failureMessage(error: Throwable): String {
+        var current: Throwable? = error
+        while (current != null) {
+            if (current is TestFailure) return current.message ?: "Test failed"
+            current = current.cause
+        }
+        return error.message ?: error.toString()
+    }
+
+    private fun describeError(e: PolyglotException): String {
+        if (e.isHostException) {
+            return e.asHostException().message ?: e.asHostException().toString()
+        }
+        val location = e.sourceLocation?.let { " (${it.source.name}:${it.startLine})" } ?: ""
+        return (e.message ?: "Error") + location
+    }
+
+    private fun describeError(reason: Value?): String {
+        return when {
+            reason == null -> "Promise rejected"
+            reason.isHostObject && reason.asHostObject<Any>() is Throwable ->
+                reason.asHostObject<Throwable>().message ?: "Error"
+            reason.hasMember("message") && reason.hasMember("name") ->
+                "${reason.getMember("name")}: ${reason.getMember("message")}"
+            else -> "Rejected with ${GraalEngine.formatValue(reason)}"
+        }
+    }
+
+    private fun hookName(kind: HookKind): String = when (kind) {
+        HookKind.BEFORE_ALL -> "beforeAll"
+        HookKind.AFTER_ALL -> "afterAll"
+        HookKind.BEFORE_EACH -> "beforeEach"
+        HookKind.AFTER_EACH -> "afterEach"
+    }
+
+    private fun relativeName(testsDir: Path, file: Path): String =
+        testsDir.relativize(file).joinToString("/")
+}
@@ -1,6 +1,10 @@
 package com.rhett.rhettjs.threading
 
+import com.rhett.rhettjs.api.StoreAPI
 import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.engine.HotReloadManager
+import com.rhett.rhettjs.events.ServerEventManager
+import com.rhett.rhettjs.zones.ZoneManager
 
 /**
  * Singleton manager for tick processing with GraalVM AsyncScheduler.
@@ -8,7 +12,11 @@ import com.rhett.rhettjs.async.AsyncScheduler
  * This object:
  * 1. Exposes tick() method for game loop integration
  * 2. Ticks the AsyncScheduler to process wait timers
- * 3. Allows platform-specific code to call tick() each game tick
+ * 3. Ticks the HotReloadManager to apply debounced file changes
+ * 4. Ticks the StoreAPI to expire keys set with a TTL
+ * 5. Runs Server.onTick() handlers via ServerEventManager
+ * 6. Checks player positions for zone enter/leave events via ZoneManager
+ * 7. Allows platform-specific code to call tick() each game tick
  */
 object TickScheduler {
 
@@ -22,6 +30,10 @@ object TickScheduler {
      */
     fun tick() {
         AsyncScheduler.tick()
+        HotReloadManager.tick()
+        StoreAPI.tick()
+        ServerEventManager.tick()
+        ZoneManager.tick()
     }
 
     /**
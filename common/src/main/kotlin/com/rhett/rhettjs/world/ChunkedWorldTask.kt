@@ -0,0 +1,120 @@
+package com.rhett.rhettjs.world
+
+import com.rhett.rhettjs.async.AbortException
+import com.rhett.rhettjs.async.AbortSignal
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.world.models.PositionedBlock
+import com.rhett.rhettjs.world.models.Region
+import java.util.concurrent.CompletableFuture
+
+/**
+ * Runs large world edits chunk column by chunk column, spread over several ticks.
+ *
+ * Each tick processes batches until roughly [BLOCKS_PER_TICK] blocks have been touched,
+ * then continues on the next tick via AsyncScheduler. An AbortSignal is checked between
+ * batches: aborting rejects the future right away and no further chunks are touched
+ * (blocks already written stay written).
+ */
+object ChunkedWorldTask {
+
+    // Block budget per tick (a 16x16 column of a full-height world is ~98k blocks, so
+    // big columns still run one at a time)
+    private const val BLOCKS_PER_TICK = 32768
+
+    /**
+     * One unit of work, usually a single chunk column.
+     *
+     * @property weight Approximate number of blocks touched (for the per-tick budget)
+     * @property work Does the work on the server thread, returns the number of blocks changed
+     */
+    class Batch(val weight: Int, val work: () -> Int)
+
+    /**
+     * Run batches on the server thread. The first tick's share runs immediately.
+     * Must be called from the server thread.
+     *
+     * @param batches Work to run in order
+     * @param signal Optional abort signal
+     * @param description Used in debug logs
+     * @return Future completing with the summed batch results
+     */
+    fun run(batches: List<Batch>, signal: AbortSignal?, description: String): CompletableFuture<Int> {
+        val future = CompletableFuture<Int>()
+
+        if (signal != null && signal.isAborted) {
+            future.completeExceptionally(AbortException(signal.reason))
+            return future
+        }
+
+        val unregister = signal?.onAbort { reason ->
+            if (future.completeExceptionally(AbortException(reason))) {
+                ConfigManager.debug("[ChunkedWorldTask] $description aborted")
+            }
+        } ?: {}
+
+        val iterator = batches.iterator()
+        var total = 0
+
+        fun step() {
+            try {
+                var budget = 0
+                while (iterator.hasNext() && budget < BLOCKS_PER_TICK) {
+                    if (future.isDone) return
+                    val batch = iterator.next()
+                    total += batch.work()
+                    budget += batch.weight
+                }
+
+                if (iterator.hasNext()) {
+                    AsyncScheduler.scheduleCallback { if (!future.isDone) step() }
+                } else {
+                    unregister()
+                    future.complete(total)
+                    ConfigManager.debug("[ChunkedWorldTask] $description complete ($total blocks, ${batches.size} batches)")
+                }
+            } catch (e: Exception) {
+                unregister()
+                future.completeExceptionally(e)
+            }
+        }
+
+        step()
+        return future
+    }
+
+    /**
+     * Split a region into chunk columns (16x16 in X/Z, full region height).
+     *
+     * @param region The region to split
+     * @return Sub-regions in X-then-Z chunk order
+     */
+    fun chunkColumns(region: Region): List<Region> {
+        val columns = mutableListOf<Region>()
+        for (chunkX in (region.minX shr 4)..(region.maxX shr 4)) {
+            for (chunkZ in (region.minZ shr 4)..(region.maxZ shr 4)) {
+                columns.add(
+                    Region(
+                        minX = maxOf(region.minX, chunkX shl 4),
+                        minY = region.minY,
+                        minZ = maxOf(region.minZ, chunkZ shl 4),
+                        maxX = minOf(region.maxX, (chunkX shl 4) + 15),
+                        maxY = region.maxY,
+                        maxZ = minOf(region.maxZ, (chunkZ shl 4) + 15)
+                    )
+                )
+            }
+        }
+        return columns
+    }
+
+    /**
+     * Group positioned blocks by chunk column, preserving their order within a column.
+     *
+     * @param blocks Blocks to group
+     * @return Block lists, one per chunk column
+     */
+    fun groupByChunk(blocks: List<PositionedBlock>): List<List<PositionedBlock>> {
+        return blocks.groupBy { (it.x shr 4).toLong() shl 32 or ((it.z shr 4).toLong() and 0xFFFFFFFFL) }.values.toList()
+    }
+}
@@ -1,17 +1,17 @@
 package com.rhett.rhettjs.world
 
-import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.adapter.AbortSignalAdapter
+import com.rhett.rhettjs.adapter.InventoryAdapter
 import com.rhett.rhettjs.adapter.PlayerAdapter
 import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.world.adapter.WorldAccess
 import com.rhett.rhettjs.world.adapter.WorldAdapter
 import com.rhett.rhettjs.world.models.BlockData
+import com.rhett.rhettjs.world.models.ParticleSpawn
 import com.rhett.rhettjs.world.models.PositionedBlock
 import com.rhett.rhettjs.world.models.Region
-import net.minecraft.core.BlockPos
-import net.minecraft.resources.ResourceLocation
 import net.minecraft.server.MinecraftServer
 import net.minecraft.server.level.ServerLevel
-import net.minecraft.world.level.Level
 import org.graalvm.polyglot.Context
 import org.graalvm.polyglot.Value
 import org.graalvm.polyglot.proxy.ProxyObject
@@ -29,30 +29,44 @@ import java.util.concurrent.CompletableFuture
  *
  * Design principles:
  * - Async for I/O: All world operations return CompletableFuture
- * - Main thread safety: Use server.execute() for all world access
+ * - Main thread safety: Use WorldAccess.execute() for all world access
  * - Anti-corruption: Convert all MC types to JS via adapters
+ *
+ * World access goes through [WorldAccess]: a [WorldAdapter] on a running server,
+ * or an in-memory stand-in installed by tests via [setWorldAccess].
  */
 object WorldManager {
 
-    @Volatile
-    private var server: MinecraftServer? = null
-
     @Volatile
     private var graalContext: Context? = null
 
     @Volatile
     private var worldAdapter: WorldAdapter? = null
 
+    @Volatile
+    private var worldAccess: WorldAccess? = null
+
     /**
      * Set the Minecraft server reference.
      * Called during server startup.
      */
     fun setServer(minecraftServer: MinecraftServer) {
-        server = minecraftServer
-        worldAdapter = WorldAdapter(minecraftServer)
+        val adapter = WorldAdapter(minecraftServer)
+        worldAdapter = adapter
+        worldAccess = adapter
         ConfigManager.debug("[WorldManager] Minecraft server reference set")
     }
 
+    /**
+     * Replace world access, e.g. with an in-memory world for headless tests.
+     * Pass null to detach. Structure APIs still need a real server (see [getLevel]).
+     */
+    fun setWorldAccess(access: WorldAccess?) {
+        worldAccess = access
+        worldAdapter = access as? WorldAdapter
+        ConfigManager.debug("[WorldManager] World access set: ${access?.javaClass?.simpleName}")
+    }
+
     /**
      * Set the GraalVM context reference.
      * Called when GraalEngine initializes the context.
@@ -68,7 +82,7 @@ object WorldManager {
      */
     fun getBlock(position: Value): CompletableFuture<Value> {
         val future = CompletableFuture<Value>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
@@ -76,10 +90,6 @@ object WorldManager {
             future.completeExceptionally(IllegalStateException("GraalVM context not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
         try {
             // Extract position from JS
@@ -93,30 +103,14 @@ object WorldManager {
             }
 
             // Execute on main thread
-            srv.execute {
+            access.execute {
                 try {
-                    val level = adapter.getLevel(dimension)
-                    if (level == null) {
-                        future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dimension"))
-                        return@execute
-                    }
-
-                    val blockPos = BlockPos(x, y, z)
-                    val blockState = level.getBlockState(blockPos)
-
-                    // Convert to BlockData model
-                    val blockId = net.minecraft.core.registries.BuiltInRegistries.BLOCK.getKey(blockState.block)?.toString()
-                        ?: "minecraft:air"
-
-                    val properties = mutableMapOf<String, String>()
-                    blockState.values.forEach { (property, value) ->
-                        properties[property.name] = value.toString()
-                    }
+                    val block = access.getBlock(dimension, x, y, z)
 
                     // Create JS block object
                     val blockObj = ProxyObject.fromMap(mapOf(
-                        "id" to blockId,
-                        "properties" to properties
+                        "id" to block.name,
+                        "properties" to block.properties
                     ))
 
                     future.complete(context.asValue(blockObj))
@@ -144,7 +138,7 @@ object WorldManager {
      */
     fun getBlockEntity(position: Value): CompletableFuture<Value?> {
         val future = CompletableFuture<Value?>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
@@ -152,10 +146,6 @@ object WorldManager {
             future.completeExceptionally(IllegalStateException("GraalVM context not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
         try {
             // Extract position from JS
@@ -169,36 +159,52 @@ object WorldManager {
             }
 
             // Execute on main thread
-            srv.execute {
+            access.execute {
                 try {
-                    val level = adapter.getLevel(dimension)
-                    if (level == null) {
-                        future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dimension"))
-                        return@execute
-                    }
+                    // Null if there is no block entity at this position
+                    val dataMap = access.getBlockEntityData(dimension, x, y, z)
+                    future.complete(dataMap?.let { context.asValue(it) })
+                } catch (e: Exception) {
+                    future.completeExceptionally(e)
+                }
+            }
+        } catch (e: Exception) {
+            future.completeExceptionally(e)
+        }
 
-                    val pos = BlockPos(x, y, z)
-                    val blockEntity = level.getBlockEntity(pos)
+        return future
+    }
 
-                    if (blockEntity == null) {
-                        // No block entity at this position
-                        future.complete(null)
-                        return@execute
-                    }
+    /**
+     * Get the inventory of a container block (async).
+     * Returns Promise<Inventory | null>; null if the block has no inventory.
+     * The inventory reads and writes the block directly (see InventoryAdapter).
+     */
+    fun getContainer(position: Value): CompletableFuture<Value?> {
+        val future = CompletableFuture<Value?>()
+        val access = worldAccess ?: run {
+            future.completeExceptionally(IllegalStateException("Server not available"))
+            return future
+        }
+        val context = graalContext ?: run {
+            future.completeExceptionally(IllegalStateException("GraalVM context not available"))
+            return future
+        }
 
-                    // Convert block entity to JS-friendly map
-                    val registryAccess = level.registryAccess()
-                    val nbtTag = blockEntity.saveWithoutMetadata(registryAccess)
-                    val dataMap = adapter.convertNbtToMap(nbtTag) as? Map<*, *>
-
-                    if (dataMap != null) {
-                        // Convert to ProxyObject for JavaScript
-                        @Suppress("UNCHECKED_CAST")
-                        val jsData = context.asValue(dataMap as Map<String, Any>)
-                        future.complete(jsData)
-                    } else {
-                        future.complete(null)
-                    }
+        try {
+            val x = position.getMember("x").asInt()
+            val y = position.getMember("y").asInt()
+            val z = position.getMember("z").asInt()
+            val dimension = if (position.hasMember("dimension")) {
+                position.getMember("dimension").asString()
+            } else {
+                "minecraft:overworld"
+            }
+
+            access.execute {
+                try {
+                    val slots = access.getContainer(dimension, x, y, z)
+                    future.complete(slots?.let { context.asValue(InventoryAdapter.toJS(it)) })
                 } catch (e: Exception) {
                     future.completeExceptionally(e)
                 }
@@ -216,14 +222,10 @@ object WorldManager {
      */
     fun setBlock(position: Value, blockId: String, properties: Value?): CompletableFuture<Void> {
         val future = CompletableFuture<Void>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
         try {
             // Extract position from JS
@@ -245,13 +247,8 @@ object WorldManager {
             }
 
             // Execute on main thread
-            srv.execute {
+            access.execute {
                 try {
-                    val level = adapter.getLevel(dimension)
-                    if (level == null) {
-                        future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dimension"))
-                        return@execute
-                    }
 
                     // Create PositionedBlock
                     val block = PositionedBlock(
@@ -263,7 +260,7 @@ object WorldManager {
                     )
 
                     // Place block using adapter
-                    adapter.setBlocksInRegion(level, listOf(block), updateNeighbors = true)
+                    access.setBlocks(dimension, listOf(block), updateNeighbors = true)
 
                     future.complete(null)
                 } catch (e: Exception) {
@@ -280,17 +277,17 @@ object WorldManager {
     /**
      * Fill region with blocks (async).
      * Returns Promise<number> (count of blocks placed).
+     *
+     * Large regions are filled chunk column by column over several ticks;
+     * options.signal (AbortSignal) or /rjs kill of the calling task stops the remaining
+     * columns and rejects the promise.
      */
     fun fill(pos1: Value, pos2: Value, blockId: String, options: Value? = null): CompletableFuture<Int> {
         val future = CompletableFuture<Int>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
         try {
             // Extract positions
@@ -307,14 +304,11 @@ object WorldManager {
                 "minecraft:overworld"
             }
 
+            val signal = AbortSignalAdapter.forOperation(options)
+
             // Execute on main thread
-            srv.execute {
+            access.execute {
                 try {
-                    val level = adapter.getLevel(dimension)
-                    if (level == null) {
-                        future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dimension"))
-                        return@execute
-                    }
 
                     // Create region
                     val region = Region.fromCorners(x1, y1, z1, x2, y2, z2)
@@ -351,31 +345,115 @@ object WorldManager {
                         }
                     }
 
-                    // Create blocks list (excluding zones)
-                    val blocks = mutableListOf<PositionedBlock>()
-                    for (x in region.minX..region.maxX) {
-                        for (y in region.minY..region.maxY) {
-                            for (z in region.minZ..region.maxZ) {
-                                // Skip if in exclusion zone
-                                if (!isExcluded(x, y, z)) {
-                                    blocks.add(
-                                        PositionedBlock(
-                                            x = x,
-                                            y = y,
-                                            z = z,
-                                            block = BlockData(name = blockId, properties = emptyMap()),
-                                            blockEntityData = null
-                                        )
-                                    )
+                    val blockData = BlockData(name = blockId, properties = emptyMap())
+
+                    // One batch per chunk column (blocks are built lazily to keep memory flat)
+                    val batches = ChunkedWorldTask.chunkColumns(region).map { column ->
+                        ChunkedWorldTask.Batch(column.sizeX * column.sizeY * column.sizeZ) {
+                            val blocks = mutableListOf<PositionedBlock>()
+                            for (x in column.minX..column.maxX) {
+                                for (y in column.minY..column.maxY) {
+                                    for (z in column.minZ..column.maxZ) {
+                                        // Skip if in exclusion zone
+                                        if (!isExcluded(x, y, z)) {
+                                            blocks.add(PositionedBlock(x = x, y = y, z = z, block = blockData, blockEntityData = null))
+                                        }
+                                    }
                                 }
                             }
+
+                            // Place blocks using adapter
+                            access.setBlocks(dimension, blocks, updateNeighbors = false)
+                            blocks.size
                         }
                     }
 
-                    // Place blocks using adapter
-                    adapter.setBlocksInRegion(level, blocks, updateNeighbors = false)
+                    ChunkedWorldTask.run(batches, signal, "fill $blockId").whenComplete { count, throwable ->
+                        if (throwable != null) future.completeExceptionally(throwable) else future.complete(count)
+                    }
+                } catch (e: Exception) {
+                    future.completeExceptionally(e)
+                }
+            }
+        } catch (e: Exception) {
+            future.completeExceptionally(e)
+        }
+
+        return future
+    }
+
+    /**
+     * Replace blocks matching a filter in a region (async).
+     * Returns Promise<number> (count of blocks replaced).
+     *
+     * Runs chunk column by column like fill(); options.signal (AbortSignal) or /rjs kill
+     * stops the remaining columns and rejects the promise.
+     *
+     * @param filter Block id (or array of block ids) to replace, properties are ignored;
+     *   "minecraft:air" replaces the empty space in the region
+     * @param replacement Block id to place instead
+     */
+    fun replace(pos1: Value, pos2: Value, filter: Value, replacement: String, options: Value? = null): CompletableFuture<Int> {
+        val future = CompletableFuture<Int>()
+        val access = worldAccess ?: run {
+            future.completeExceptionally(IllegalStateException("Server not available"))
+            return future
+        }
+
+        try {
+            val region = Region.fromCorners(
+                pos1.getMember("x").asInt(), pos1.getMember("y").asInt(), pos1.getMember("z").asInt(),
+                pos2.getMember("x").asInt(), pos2.getMember("y").asInt(), pos2.getMember("z").asInt()
+            )
+
+            val dimension = if (pos1.hasMember("dimension")) {
+                pos1.getMember("dimension").asString()
+            } else {
+                "minecraft:overworld"
+            }
+
+            // Normalize ids so "stone" matches "minecraft:stone"
+            fun normalizeId(id: String) = if (id.contains(':')) id else "minecraft:$id"
+            val filterIds = if (filter.hasArrayElements()) {
+                (0 until filter.arraySize).map { normalizeId(filter.getArrayElement(it).asString()) }.toSet()
+            } else {
+                setOf(normalizeId(filter.asString()))
+            }
+            val replacementData = BlockData(name = normalizeId(replacement), properties = emptyMap())
+            val replaceAir = "minecraft:air" in filterIds
+
+            val signal = AbortSignalAdapter.forOperation(options)
+
+            access.execute {
+                try {
+
+                    val batches = ChunkedWorldTask.chunkColumns(region).map { column ->
+                        ChunkedWorldTask.Batch(column.sizeX * column.sizeY * column.sizeZ) {
+                            val existing = access.getBlocksInRegion(dimension, column)
+                            val positions = existing.filter { it.block.name in filterIds }.map { Triple(it.x, it.y, it.z) }.toMutableList()
+                            if (replaceAir) {
+                                // The scan skips air, so air is every position it didn't return
+                                val filled = existing.mapTo(HashSet()) { Triple(it.x, it.y, it.z) }
+                                for (x in column.minX..column.maxX) {
+                                    for (y in column.minY..column.maxY) {
+                                        for (z in column.minZ..column.maxZ) {
+                                            if (Triple(x, y, z) !in filled) positions.add(Triple(x, y, z))
+                                        }
+                                    }
+                                }
+                            }
+                            val matches = positions.map { (x, y, z) ->
+                                PositionedBlock(x = x, y = y, z = z, block = replacementData, blockEntityData = null)
+                            }
+
+                            access.setBlocks(dimension, matches, updateNeighbors = false)
+                            matches.size
+                        }
+                    }
 
-                    future.complete(blocks.size)
+                    ChunkedWorldTask.run(batches, signal, "replace ${filterIds.joinToString(",")}").whenComplete { count, throwable ->
+                        if (throwable != null) future.completeExceptionally(throwable) else future.complete(count)
+                    }
                 } catch (e: Exception) {
                     future.completeExceptionally(e)
                 }
@@ -393,7 +471,7 @@ object WorldManager {
      */
     fun getPlayers(): CompletableFuture<List<Value>> {
         val future = CompletableFuture<List<Value>>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
@@ -402,12 +480,9 @@ object WorldManager {
             return future
         }
 
-        srv.execute {
+        access.execute {
             try {
-                val players = srv.playerList.players.map { player ->
-                    PlayerAdapter.toJS(player, context)
-                }
-                future.complete(players)
+                future.complete(access.getPlayers(context))
             } catch (e: Exception) {
                 future.completeExceptionally(e)
             }
@@ -418,11 +493,12 @@ object WorldManager {
 
     /**
      * Get player by name or UUID (async).
-     * Returns Promise<Player | null>.
+     * Offline players the server knows are returned with `isOnline: false` (identity and data only).
+     * Returns Promise<Player | OfflinePlayer | null>.
      */
     fun getPlayer(nameOrUuid: String): CompletableFuture<Value?> {
         val future = CompletableFuture<Value?>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
@@ -431,23 +507,9 @@ object WorldManager {
             return future
         }
 
-        srv.execute {
+        access.execute {
             try {
-                // Try to find by name first
-                var player = srv.playerList.getPlayerByName(nameOrUuid)
-
-                // If not found by name, try UUID
-                if (player == null) {
-                    try {
-                        val uuid = java.util.UUID.fromString(nameOrUuid)
-                        player = srv.playerList.getPlayer(uuid)
-                    } catch (e: IllegalArgumentException) {
-                        // Not a valid UUID
-                    }
-                }
-
-                val result = player?.let { PlayerAdapter.toJS(it, context) }
-                future.complete(result)
+                future.complete(access.getPlayer(nameOrUuid, context))
             } catch (e: Exception) {
                 future.completeExceptionally(e)
             }
@@ -462,25 +524,15 @@ object WorldManager {
      */
     fun getTime(dimension: String?): CompletableFuture<Long> {
         val future = CompletableFuture<Long>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
-        srv.execute {
+        access.execute {
             try {
                 val dim = dimension ?: "minecraft:overworld"
-                val level = adapter.getLevel(dim)
-                if (level == null) {
-                    future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dim"))
-                    return@execute
-                }
-
-                future.complete(level.dayTime)
+                future.complete(access.getTime(dim))
             } catch (e: Exception) {
                 future.completeExceptionally(e)
             }
@@ -495,25 +547,15 @@ object WorldManager {
      */
     fun setTime(time: Long, dimension: String?): CompletableFuture<Void> {
         val future = CompletableFuture<Void>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
-        srv.execute {
+        access.execute {
             try {
                 val dim = dimension ?: "minecraft:overworld"
-                val level = adapter.getLevel(dim)
-                if (level == null) {
-                    future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dim"))
-                    return@execute
-                }
-
-                level.dayTime = time
+                access.setTime(dim, time)
                 future.complete(null)
             } catch (e: Exception) {
                 future.completeExceptionally(e)
@@ -529,31 +571,15 @@ object WorldManager {
      */
     fun getWeather(dimension: String?): CompletableFuture<String> {
         val future = CompletableFuture<String>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
-        srv.execute {
+        access.execute {
             try {
                 val dim = dimension ?: "minecraft:overworld"
-                val level = adapter.getLevel(dim)
-                if (level == null) {
-                    future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dim"))
-                    return@execute
-                }
-
-                val weather = when {
-                    level.isThundering -> "thunder"
-                    level.isRaining -> "rain"
-                    else -> "clear"
-                }
-
-                future.complete(weather)
+                future.complete(access.getWeather(dim))
             } catch (e: Exception) {
                 future.completeExceptionally(e)
             }
@@ -568,40 +594,21 @@ object WorldManager {
      */
     fun setWeather(weather: String, dimension: String?): CompletableFuture<Void> {
         val future = CompletableFuture<Void>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
-        srv.execute {
+        access.execute {
             try {
                 val dim = dimension ?: "minecraft:overworld"
-                val level = adapter.getLevel(dim)
-                if (level == null) {
-                    future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dim"))
+                val normalized = weather.lowercase()
+                if (normalized !in setOf("clear", "rain", "thunder")) {
+                    future.completeExceptionally(IllegalArgumentException("Invalid weather: $weather (must be clear, rain, or thunder)"))
                     return@execute
                 }
 
-                when (weather.lowercase()) {
-                    "clear" -> {
-                        level.setWeatherParameters(6000, 0, false, false)
-                    }
-                    "rain" -> {
-                        level.setWeatherParameters(0, 6000, true, false)
-                    }
-                    "thunder" -> {
-                        level.setWeatherParameters(0, 6000, true, true)
-                    }
-                    else -> {
-                        future.completeExceptionally(IllegalArgumentException("Invalid weather: $weather (must be clear, rain, or thunder)"))
-                        return@execute
-                    }
-                }
-
+                access.setWeather(dim, normalized)
                 future.complete(null)
             } catch (e: Exception) {
                 future.completeExceptionally(e)
@@ -612,26 +619,177 @@ object WorldManager {
     }
 
     /**
-     * Get entities in radius (async).
-     * Returns Promise<Entity[]>.
-     * TODO: Implement entity wrapping with EntityAdapter.
+     * Get entities within a radius of a position (async), nearest first.
+     * Returns Promise<Entity[]>; entities are live objects (see EntityAdapter).
      */
     fun getEntities(position: Value, radius: Double): CompletableFuture<List<Value>> {
         val future = CompletableFuture<List<Value>>()
-        // TODO: Implement entity queries
-        future.completeExceptionally(UnsupportedOperationException("World.getEntities() not yet implemented"))
+        val access = worldAccess ?: run {
+            future.completeExceptionally(IllegalStateException("Server not available"))
+            return future
+        }
+        val context = graalContext ?: run {
+            future.completeExceptionally(IllegalStateException("GraalVM context not available"))
+            return future
+        }
+
+        try {
+            if (radius < 0) throw IllegalArgumentException("getEntities() radius must not be negative")
+            val x = position.getMember("x").asDouble()
+            val y = position.getMember("y").asDouble()
+            val z = position.getMember("z").asDouble()
+            val dimension = if (position.hasMember("dimension")) {
+                position.getMember("dimension").asString()
+            } else {
+                "minecraft:overworld"
+            }
+
+            access.execute {
+                try {
+                    future.complete(access.getEntities(dimension, x, y, z, radius, context))
+                } catch (e: Exception) {
+                    future.completeExceptionally(e)
+                }
+            }
+        } catch (e: Exception) {
+            future.completeExceptionally(e)
+        }
+
+        return future
+    }
+
+    /**
+     * Get a loaded entity by UUID in any dimension (async).
+     * Returns Promise<Entity | null>.
+     */
+    fun getEntity(uuid: String): CompletableFuture<Value?> {
+        val future = CompletableFuture<Value?>()
+        val access = worldAccess ?: run {
+            future.completeExceptionally(IllegalStateException("Server not available"))
+            return future
+        }
+        val context = graalContext ?: run {
+            future.completeExceptionally(IllegalStateException("GraalVM context not available"))
+            return future
+        }
+
+        access.execute {
+            try {
+                future.complete(access.getEntity(uuid, context))
+            } catch (e: Exception) {
+                future.completeExceptionally(e)
+            }
+        }
+
         return future
     }
 
     /**
-     * Spawn entity at position (async).
+     * Spawn entity at position (async), like /summon.
      * Returns Promise<Entity>.
-     * TODO: Implement entity spawning.
      */
     fun spawnEntity(position: Value, entityId: String, nbt: Value?): CompletableFuture<Value> {
         val future = CompletableFuture<Value>()
-        // TODO: Implement entity spawning
-        future.completeExceptionally(UnsupportedOperationException("World.spawnEntity() not yet implemented"))
+        val access = worldAccess ?: run {
+            future.completeExceptionally(IllegalStateException("Server not available"))
+            return future
+        }
+        val context = graalContext ?: run {
+            future.completeExceptionally(IllegalStateException("GraalVM context not available"))
+            return future
+        }
+
+        try {
+            val x = position.getMember("x").asDouble()
+            val y = position.getMember("y").asDouble()
+            val z = position.getMember("z").asDouble()
+            val dimension = if (position.hasMember("dimension")) {
+                position.getMember("dimension").asString()
+            } else {
+                "minecraft:overworld"
+            }
+
+            access.execute {
+                try {
+                    future.complete(access.spawnEntity(dimension, x, y, z, entityId, nbt, context))
+                } catch (e: Exception) {
+                    future.completeExceptionally(e)
+                }
+            }
+        } catch (e: Exception) {
+            future.completeExceptionally(e)
+        }
+
+        return future
+    }
+
+    /**
+     * Show particles at a position (async), like /particle.
+     * Returns Promise<number> with the number of players they were sent to.
+     *
+     * @param options {count?, delta?: number | {x, y, z}, speed?, force?, players?: player | player[]}
+     */
+    fun spawnParticles(type: String, position: Value, options: Value?): CompletableFuture<Int> {
+        val future = CompletableFuture<Int>()
+        val access = worldAccess ?: run {
+            future.completeExceptionally(IllegalStateException("Server not available"))
+            return future
+        }
+
+        try {
+            val option = { key: String -> options?.takeIf { it.hasMembers() }?.getMember(key)?.takeUnless { it.isNull } }
+            val count = option("count")?.asInt() ?: 1
+            if (count < 0) throw IllegalArgumentException("particles() count must be 0 or more")
+            val speed = option("speed")?.asDouble() ?: 0.0
+            if (speed < 0) throw IllegalArgumentException("particles() speed must be 0 or more")
+
+            // delta: one spread for all axes, or per axis
+            val delta = option("delta")
+            val (dx, dy, dz) = when {
+                delta == null -> Triple(0.0, 0.0, 0.0)
+                delta.isNumber -> Triple(delta.asDouble(), delta.asDouble(), delta.asDouble())
+                delta.hasMembers() -> Triple(
+                    delta.getMember("x")?.takeUnless { it.isNull }?.asDouble() ?: 0.0,
+                    delta.getMember("y")?.takeUnless { it.isNull }?.asDouble() ?: 0.0,
+                    delta.getMember("z")?.takeUnless { it.isNull }?.asDouble() ?: 0.0
+                )
+                else -> throw IllegalArgumentException("particles() delta must be a number or { x, y, z }")
+            }
+
+            val players = option("players")?.let { value ->
+                val list = if (value.hasArrayElements()) {
+                    (0 until value.arraySize).map { value.getArrayElement(it) }
+                } else {
+                    listOf(value)
+                }
+                list.map { PlayerAdapter.nameOrUuid(it, "particles") }
+            }
+
+            val particles = ParticleSpawn(
+                type,
+                position.getMember("x").asDouble(),
+                position.getMember("y").asDouble(),
+                position.getMember("z").asDouble(),
+                count, dx, dy, dz, speed,
+                option("force")?.asBoolean() ?: false
+            )
+            val dimension = if (position.hasMember("dimension")) {
+                position.getMember("dimension").asString()
+            } else {
+                "minecraft:overworld"
+            }
+
+            access.execute {
+                try {
+                    future.complete(access.spawnParticles(dimension, particles, players))
+                } catch (e: Exception) {
+                    future.completeExceptionally(e)
+                }
+            }
+        } catch (e: Exception) {
+            future.completeExceptionally(e)
+        }
+
         return future
     }
 
@@ -649,11 +807,8 @@ object WorldManager {
      * Returns list of dimension resource locations (e.g., "minecraft:overworld", "rhettjs:structure-test").
      */
     fun getDimensions(): List<String> {
-        val srv = server ?: return listOf("minecraft:overworld", "minecraft:the_nether", "minecraft:the_end")
-
-        return srv.levelKeys().map { dimensionKey ->
-            dimensionKey.location().toString()
-        }.sorted()
+        val access = worldAccess ?: return listOf("minecraft:overworld", "minecraft:the_nether", "minecraft:the_end")
+        return access.getDimensions()
     }
 
     /**
@@ -662,32 +817,21 @@ object WorldManager {
      */
     fun getDimensionBounds(dimension: String?): CompletableFuture<Value> {
         val future = CompletableFuture<Value>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
-        srv.execute {
+        access.execute {
             try {
                 val dim = dimension ?: "minecraft:overworld"
-                val level = adapter.getLevel(dim)
-                if (level == null) {
-                    future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dim"))
-                    return@execute
-                }
-
                 val context = graalContext ?: run {
                     future.completeExceptionally(IllegalStateException("GraalVM context not available"))
                     return@execute
                 }
 
                 // Get dimension height bounds
-                val minY = level.minBuildHeight
-                val maxY = level.maxBuildHeight
+                val (minY, maxY) = access.getBuildHeight(dim)
 
                 // Create result object
                 val result = context.eval("js", """
@@ -715,14 +859,10 @@ object WorldManager {
      */
     fun getFilledBounds(pos1: Value, pos2: Value, dimension: String?): CompletableFuture<Value?> {
         val future = CompletableFuture<Value?>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
         try {
             // Extract positions (only x/z matter, y is ignored)
@@ -737,14 +877,8 @@ object WorldManager {
                 "minecraft:overworld"
             }
 
-            srv.execute {
+            access.execute {
                 try {
-                    val level = adapter.getLevel(dim)
-                    if (level == null) {
-                        future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dim"))
-                        return@execute
-                    }
-
                     val context = graalContext ?: run {
                         future.completeExceptionally(IllegalStateException("GraalVM context not available"))
                         return@execute
@@ -756,32 +890,11 @@ object WorldManager {
                     val minZ = minOf(z1, z2)
                     val maxZ = maxOf(z1, z2)
 
-                    var foundMinY: Int? = null
-                    var foundMaxY: Int? = null
-
                     // Scan columns to find min/max Y with blocks
-                    for (x in minX..maxX) {
-                        for (z in minZ..maxZ) {
-                            val pos = net.minecraft.core.BlockPos(x, 0, z)
-
-                            // Scan from bottom to top to find first non-air block
-                            for (y in level.minBuildHeight until level.maxBuildHeight) {
-                                val blockPos = net.minecraft.core.BlockPos(x, y, z)
-                                val blockState = level.getBlockState(blockPos)
-                                if (!blockState.isAir) {
-                                    if (foundMinY == null || y < foundMinY) {
-                                        foundMinY = y
-                                    }
-                                    if (foundMaxY == null || y > foundMaxY) {
-                                        foundMaxY = y
-                                    }
-                                }
-                            }
-                        }
-                    }
+                    val filled = access.getFilledYRange(dim, minX, minZ, maxX, maxZ)
 
                     // Return null if no blocks found
-                    if (foundMinY == null || foundMaxY == null) {
+                    if (filled == null) {
                         future.complete(null)
                         return@execute
                     }
@@ -789,8 +902,8 @@ object WorldManager {
                     // Create result object
                     val result = context.eval("js", """
                         ({
-                            minY: ${foundMinY},
-                            maxY: ${foundMaxY}
+                            minY: ${filled.first},
+                            maxY: ${filled.last}
                         })
                     """.trimIndent())
 
@@ -812,14 +925,10 @@ object WorldManager {
      */
     fun removeEntities(pos1: Value, pos2: Value, options: Value?): CompletableFuture<Int> {
         val future = CompletableFuture<Int>()
-        val srv = server ?: run {
+        val access = worldAccess ?: run {
             future.completeExceptionally(IllegalStateException("Server not available"))
             return future
         }
-        val adapter = worldAdapter ?: run {
-            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
-            return future
-        }
 
         try {
             // Extract positions
@@ -866,89 +975,10 @@ object WorldManager {
                 null
             }
 
-            srv.execute {
+            access.execute {
                 try {
-                    val level = adapter.getLevel(dim)
-                    if (level == null) {
-                        ConfigManager.debug("[WorldManager] ERROR: Level is null for dimension $dim")
-                        future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dim"))
-                        return@execute
-                    }
-
-                    ConfigManager.debug("[WorldManager] Got level for dimension: ${level.dimension().location()}")
-
-                    // Create bounding box
-                    val minX = minOf(x1, x2).toDouble()
-                    val minY = minOf(y1, y2).toDouble()
-                    val minZ = minOf(z1, z2).toDouble()
-                    val maxX = maxOf(x1, x2).toDouble()
-                    val maxY = maxOf(y1, y2).toDouble()
-                    val maxZ = maxOf(z1, z2).toDouble()
-
-                    val aabb = net.minecraft.world.phys.AABB(minX, minY, minZ, maxX, maxY, maxZ)
-
-                    // Calculate chunk bounds
-                    val minChunkX = (minX.toInt() shr 4)
-                    val maxChunkX = (maxX.toInt() shr 4)
-                    val minChunkZ = (minZ.toInt() shr 4)
-                    val maxChunkZ = (maxZ.toInt() shr 4)
-
-                    val chunkCount = (maxChunkX - minChunkX + 1) * (maxChunkZ - minChunkZ + 1)
-                    ConfigManager.debug("[WorldManager] Force-loading $chunkCount chunks ($minChunkX,$minChunkZ to $maxChunkX,$maxChunkZ) for entity removal")
-
-                    // Force-load all chunks
-                    for (chunkX in minChunkX..maxChunkX) {
-                        for (chunkZ in minChunkZ..maxChunkZ) {
-                            // Force chunk to be fully loaded with entities
-                            level.getChunk(chunkX, chunkZ, net.minecraft.world.level.chunk.status.ChunkStatus.FULL, true)
-                        }
-                    }
-
-                    // Get all entities from all loaded entities in the level (not using AABB filter)
-                    val allLevelEntities = level.allEntities
-                    ConfigManager.debug("[WorldManager] Total entities in level: ${allLevelEntities.count()}")
-
-                    // Filter to only entities in our bounding box
-                    val entitiesInRegion = allLevelEntities.filter { entity ->
-                        val pos = entity.position()
-                        pos.x >= minX && pos.x <= maxX &&
-                        pos.y >= minY && pos.y <= maxY &&
-                        pos.z >= minZ && pos.z <= maxZ
-                    }
-
-                    ConfigManager.debug("[WorldManager] Found ${entitiesInRegion.size} entities in region")
-                    ConfigManager.debug("[WorldManager] excludePlayers=$excludePlayers, typeFilter=$typeFilter")
-
-                    val entities = entitiesInRegion
-
-                    var removedCount = 0
-                    entities.forEach { entity ->
-                        val entityType = net.minecraft.core.registries.BuiltInRegistries.ENTITY_TYPE.getKey(entity.type).toString()
-                        val isPlayer = entity is net.minecraft.world.entity.player.Player
-
-                        // Check exclusions
-                        val shouldRemove = when {
-                            excludePlayers && isPlayer -> {
-                                ConfigManager.debug("[WorldManager] Skipping player: ${entity.name.string}")
-                                false
-                            }
-                            typeFilter != null -> {
-                                val inFilter = entityType in typeFilter
-                                ConfigManager.debug("[WorldManager] Entity $entityType, in filter: $inFilter")
-                                inFilter
-                            }
-                            else -> {
-                                ConfigManager.debug("[WorldManager] Removing entity: $entityType at ${entity.position()}")
-                                true
-                            }
-                        }
-
-                        if (shouldRemove) {
-                            ConfigManager.debug("[WorldManager] Calling discard() on $entityType")
-                            entity.discard()  // Remove without drops
-                            removedCount++
-                        }
-                    }
+                    val region = Region.fromCorners(x1, y1, z1, x2, y2, z2)
+                    val removedCount = access.removeEntities(dim, region, excludePlayers, typeFilter)
 
                     ConfigManager.debug("[WorldManager] Removed $removedCount entities total")
                     future.complete(removedCount)
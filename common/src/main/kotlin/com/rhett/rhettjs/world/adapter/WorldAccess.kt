@@ -0,0 +1,137 @@
+package com.rhett.rhettjs.world.adapter
+
+import com.rhett.rhettjs.inventory.ItemSlots
+import com.rhett.rhettjs.world.models.BlockData
+import com.rhett.rhettjs.world.models.ParticleSpawn
+import com.rhett.rhettjs.world.models.PositionedBlock
+import com.rhett.rhettjs.world.models.Region
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.Value
+
+/**
+ * World operations needed by WorldManager, expressed with pure models only.
+ *
+ * [WorldAdapter] implements this against a running Minecraft server. Tests can install
+ * an in-memory implementation via WorldManager.setWorldAccess() to run scripts without one.
+ *
+ * Methods taking a dimension throw IllegalArgumentException("Unknown dimension: ...")
+ * for dimensions that don't exist. All methods except [execute] and [getDimensions]
+ * are called from inside [execute].
+ */
+interface WorldAccess {
+
+    /**
+     * Run a task on the thread that owns the world (the server thread).
+     */
+    fun execute(task: () -> Unit)
+
+    /**
+     * All dimension ids (e.g. "minecraft:overworld"), sorted.
+     */
+    fun getDimensions(): List<String>
+
+    /**
+     * Block at a position ("minecraft:air" if empty).
+     */
+    fun getBlock(dimension: String, x: Int, y: Int, z: Int): BlockData
+
+    /**
+     * Block entity data at a position, or null if there is no block entity.
+     */
+    fun getBlockEntityData(dimension: String, x: Int, y: Int, z: Int): Map<String, Any?>?
+
+    /**
+     * Item slots of the container block (chest, barrel, hopper, ...) at a position,
+     * or null if the block has no inventory.
+     */
+    fun getContainer(dimension: String, x: Int, y: Int, z: Int): ItemSlots?
+
+    /**
+     * All non-air blocks in a region.
+     */
+    fun getBlocksInRegion(dimension: String, region: Region): List<PositionedBlock>
+
+    /**
+     * Place blocks (and their block entity data, if any).
+     *
+     * @param updateNeighbors Trigger neighbor block updates
+     */
+    fun setBlocks(dimension: String, blocks: List<PositionedBlock>, updateNeighbors: Boolean)
+
+    /**
+     * Build height of a dimension as (minY, maxY); maxY is exclusive.
+     */
+    fun getBuildHeight(dimension: String): Pair<Int, Int>
+
+    /**
+     * Lowest and highest Y with a non-air block in the given columns, or null if all are empty.
+     */
+    fun getFilledYRange(dimension: String, minX: Int, minZ: Int, maxX: Int, maxZ: Int): IntRange?
+
+    /**
+     * Day time in ticks.
+     */
+    fun getTime(dimension: String): Long
+
+    fun setTime(dimension: String, time: Long)
+
+    /**
+     * Current weather: "clear", "rain" or "thunder".
+     */
+    fun getWeather(dimension: String): String
+
+    /**
+     * @param weather "clear", "rain" or "thunder" (already validated)
+     */
+    fun setWeather(dimension: String, weather: String)
+
+    /**
+     * Discard entities in a region without drops.
+     *
+     * @param excludePlayers Keep players
+     * @param types Only remove these entity types (null = all)
+     * @return Number of entities removed
+     */
+    fun removeEntities(dimension: String, region: Region, excludePlayers: Boolean, types: Set<String>?): Int
+
+    /**
+     * Online players as JS player objects.
+     */
+    fun getPlayers(context: Context): List<Value>
+
+    /**
+     * Player by name or UUID as a JS player object, or null.
+     * Online players first; players the server knows but who are offline get an offline
+     * object (PlayerAdapter.toOfflineJS) with `isOnline: false`, `data` and `inventory`.
+     */
+    fun getPlayer(nameOrUuid: String, context: Context): Value?
+
+    /**
+     * Entities within a radius of a position as JS entity objects (EntityAdapter.toJS),
+     * nearest first. Only entities in loaded chunks are found.
+     */
+    fun getEntities(dimension: String, x: Double, y: Double, z: Double, radius: Double, context: Context): List<Value>
+
+    /**
+     * Loaded entity by UUID in any dimension as a JS entity object, or null.
+     */
+    fun getEntity(uuid: String, context: Context): Value?
+
+    /**
+     * Spawn an entity like /summon and return it as a JS entity object.
+     *
+     * @param nbt Extra NBT merged into the new entity, or null
+     * @throws IllegalArgumentException for unknown or unsummonable entity types
+     */
+    fun spawnEntity(dimension: String, x: Double, y: Double, z: Double, entityId: String, nbt: Value?, context: Context): Value
+
+    /**
+     * Show particles like /particle.
+     *
+     * @param players Names or UUIDs of the players to show them to (offline ones are skipped),
+     *                or null for every player in range
+     * @return Number of players the particles were sent to
+     * @throws IllegalArgumentException for unknown particle types or invalid particle options
+     */
+    fun spawnParticles(dimension: String, particles: ParticleSpawn, players: List<String>?): Int
+}
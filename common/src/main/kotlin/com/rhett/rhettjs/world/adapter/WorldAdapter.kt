@@ -1,10 +1,24 @@
 package com.rhett.rhettjs.world.adapter
 
+import com.mojang.brigadier.StringReader
+import com.mojang.brigadier.exceptions.CommandSyntaxException
+import com.rhett.rhettjs.adapter.EntityAdapter
+import com.rhett.rhettjs.adapter.PlayerAdapter
+import com.rhett.rhettjs.inventory.BlockContainerSlots
+import com.rhett.rhettjs.inventory.ItemSlots
 import com.rhett.rhettjs.world.models.*
+import net.minecraft.commands.arguments.ParticleArgument
 import net.minecraft.core.BlockPos
 import net.minecraft.server.MinecraftServer
 import net.minecraft.server.level.ServerLevel
+import net.minecraft.world.entity.Entity
 import net.minecraft.world.level.block.Blocks
+import net.minecraft.world.level.storage.LevelResource
+import net.minecraft.world.phys.AABB
+import net.minecraft.world.phys.Vec3
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.Value
+import java.nio.file.Files
 
 /**
  * Adapter for accessing Minecraft world data.
@@ -16,7 +30,7 @@ import net.minecraft.world.level.block.Blocks
  * Handles chunk loading automatically - chunks are loaded temporarily
  * at structure level (blocks accessible, no simulation/ticking).
  */
-class WorldAdapter(private val server: MinecraftServer) {
+class WorldAdapter(private val server: MinecraftServer) : WorldAccess {
 
     // Chunk loader instances per level (created on-demand)
     private val chunkLoaders = mutableMapOf<ServerLevel, ChunkLoader>()
@@ -46,6 +60,234 @@ class WorldAdapter(private val server: MinecraftServer) {
         return server.getLevel(dimensionKey)
     }
 
+    private fun requireLevel(dimension: String): ServerLevel =
+        getLevel(dimension) ?: throw IllegalArgumentException("Unknown dimension: $dimension")
+
+    // ===== WorldAccess =====
+
+    override fun execute(task: () -> Unit) {
+        server.execute(task)
+    }
+
+    override fun getDimensions(): List<String> {
+        return server.levelKeys().map { it.location().toString() }.sorted()
+    }
+
+    override fun getBlock(dimension: String, x: Int, y: Int, z: Int): BlockData {
+        return convertBlockState(requireLevel(dimension).getBlockState(BlockPos(x, y, z)))
+    }
+
+    override fun getBlockEntityData(dimension: String, x: Int, y: Int, z: Int): Map<String, Any?>? {
+        val level = requireLevel(dimension)
+        val blockEntity = level.getBlockEntity(BlockPos(x, y, z)) ?: return null
+        val nbtTag = blockEntity.saveWithoutMetadata(level.registryAccess())
+        @Suppress("UNCHECKED_CAST")
+        return convertNbtToMap(nbtTag) as? Map<String, Any?>
+    }
+
+    override fun getContainer(dimension: String, x: Int, y: Int, z: Int): ItemSlots? {
+        val level = requireLevel(dimension)
+        val pos = BlockPos(x, y, z)
+        if (BlockContainerSlots.containerAt(level, pos) == null) return null
+        return BlockContainerSlots(level, pos)
+    }
+
+    override fun getBlocksInRegion(dimension: String, region: Region): List<PositionedBlock> {
+        return getBlocksInRegion(requireLevel(dimension), region)
+    }
+
+    override fun setBlocks(dimension: String, blocks: List<PositionedBlock>, updateNeighbors: Boolean) {
+        setBlocksInRegion(requireLevel(dimension), blocks, updateNeighbors)
+    }
+
+    override fun getBuildHeight(dimension: String): Pair<Int, Int> {
+        val level = requireLevel(dimension)
+        return level.minBuildHeight to level.maxBuildHeight
+    }
+
+    override fun getFilledYRange(dimension: String, minX: Int, minZ: Int, maxX: Int, maxZ: Int): IntRange? {
+        val level = requireLevel(dimension)
+        var foundMinY: Int? = null
+        var foundMaxY: Int? = null
+
+        for (x in minX..maxX) {
+            for (z in minZ..maxZ) {
+                for (y in level.minBuildHeight until level.maxBuildHeight) {
+                    if (!level.getBlockState(BlockPos(x, y, z)).isAir) {
+                        if (foundMinY == null || y < foundMinY) foundMinY = y
+                        if (foundMaxY == null || y > foundMaxY) foundMaxY = y
+                    }
+                }
+            }
+        }
+
+        return if (foundMinY != null && foundMaxY != null) foundMinY..foundMaxY else null
+    }
+
+    override fun getTime(dimension: String): Long = requireLevel(dimension).dayTime
+
+    override fun setTime(dimension: String, time: Long) {
+        requireLevel(dimension).dayTime = time
+    }
+
+    override fun getWeather(dimension: String): String {
+        val level = requireLevel(dimension)
+        return when {
+            level.isThundering -> "thunder"
+            level.isRaining -> "rain"
+            else -> "clear"
+        }
+    }
+
+    override fun setWeather(dimension: String, weather: String) {
+        val level = requireLevel(dimension)
+        when (weather) {
+            "clear" -> level.setWeatherParameters(6000, 0, false, false)
+            "rain" -> level.setWeatherParameters(0, 6000, true, false)
+            "thunder" -> level.setWeatherParameters(0, 6000, true, true)
+            else -> throw IllegalArgumentException("Invalid weather: $weather (must be clear, rain, or thunder)")
+        }
+    }
+
+    override fun removeEntities(dimension: String, region: Region, excludePlayers: Boolean, types: Set<String>?): Int {
+        val level = requireLevel(dimension)
+        com.rhett.rhettjs.config.ConfigManager.debug("[WorldAdapter] Got level for dimension: ${level.dimension().location()}")
+
+        val minX = region.minX.toDouble()
+        val minY = region.minY.toDouble()
+        val minZ = region.minZ.toDouble()
+        val maxX = region.maxX.toDouble()
+        val maxY = region.maxY.toDouble()
+        val maxZ = region.maxZ.toDouble()
+
+        // Calculate chunk bounds
+        val minChunkX = region.minX shr 4
+        val maxChunkX = region.maxX shr 4
+        val minChunkZ = region.minZ shr 4
+        val maxChunkZ = region.maxZ shr 4
+
+        val chunkCount = (maxChunkX - minChunkX + 1) * (maxChunkZ - minChunkZ + 1)
+        com.rhett.rhettjs.config.ConfigManager.debug("[WorldAdapter] Force-loading $chunkCount chunks ($minChunkX,$minChunkZ to $maxChunkX,$maxChunkZ) for entity removal")
+
+        // Force-load all chunks so their entities are present
+        for (chunkX in minChunkX..maxChunkX) {
+            for (chunkZ in minChunkZ..maxChunkZ) {
+                level.getChunk(chunkX, chunkZ, net.minecraft.world.level.chunk.status.ChunkStatus.FULL, true)
+            }
+        }
+
+        // Filter all loaded entities to our bounding box (not using an AABB query)
+        val entitiesInRegion = level.allEntities.filter { entity ->
+            val pos = entity.position()
+            pos.x >= minX && pos.x <= maxX &&
+            pos.y >= minY && pos.y <= maxY &&
+            pos.z >= minZ && pos.z <= maxZ
+        }
+
+        com.rhett.rhettjs.config.ConfigManager.debug("[WorldAdapter] Found ${entitiesInRegion.size} entities in region (excludePlayers=$excludePlayers, types=$types)")
+
+        var removedCount = 0
+        entitiesInRegion.forEach { entity ->
+            val entityType = net.minecraft.core.registries.BuiltInRegistries.ENTITY_TYPE.getKey(entity.type).toString()
+            val isPlayer = entity is net.minecraft.world.entity.player.Player
+
+            val shouldRemove = when {
+                excludePlayers && isPlayer -> false
+                types != null -> entityType in types
+                else -> true
+            }
+
+            if (shouldRemove) {
+                entity.discard()  // Remove without drops
+                removedCount++
+            }
+        }
+
+        com.rhett.rhettjs.config.ConfigManager.debug("[WorldAdapter] Removed $removedCount entities total")
+        return removedCount
+    }
+
+    override fun getPlayers(context: Context): List<Value> {
+        return server.playerList.players.map { PlayerAdapter.toJS(it, context) }
+    }
+
+    override fun getPlayer(nameOrUuid: String, context: Context): Value? {
+        val uuid = try {
+            java.util.UUID.fromString(nameOrUuid)
+        } catch (e: IllegalArgumentException) {
+            null // Not a valid UUID
+        }
+
+        // Try to find by name first, then by UUID
+        val player = server.playerList.getPlayerByName(nameOrUuid)
+            ?: uuid?.let { server.playerList.getPlayer(it) }
+        if (player != null) {
+            return PlayerAdapter.toJS(player, context)
+        }
+
+        // Offline: any player the server has seen (profile cache, player data) or has script data for
+        val profile = if (uuid != null) {
+            server.profileCache?.get(uuid)?.orElse(null)
+        } else {
+            server.profileCache?.get(nameOrUuid)?.orElse(null)
+        }
+        val offlineUuid = profile?.id ?: uuid ?: return null
+        val known = profile != null ||
+            com.rhett.rhettjs.api.PersistentStore.hasPlayerData(offlineUuid) ||
+            Files.exists(server.getWorldPath(LevelResource.PLAYER_DATA_DIR).resolve("$offlineUuid.dat"))
+
+        return if (known) PlayerAdapter.toOfflineJS(offlineUuid, profile?.name, context, server) else null
+    }
+
+    override fun getEntities(dimension: String, x: Double, y: Double, z: Double, radius: Double, context: Context): List<Value> {
+        val level = requireLevel(dimension)
+        val center = Vec3(x, y, z)
+        val radiusSqr = radius * radius
+        val box = AABB(x - radius, y - radius, z - radius, x + radius, y + radius, z + radius)
+
+        return level.getEntities(null as Entity?, box) { it.position().distanceToSqr(center) <= radiusSqr }
+            .sortedBy { it.position().distanceToSqr(center) }
+            .map { context.asValue(EntityAdapter.toJS(it)) }
+    }
+
+    override fun getEntity(uuid: String, context: Context): Value? {
+        val parsed = try {
+            java.util.UUID.fromString(uuid)
+        } catch (e: IllegalArgumentException) {
+            throw IllegalArgumentException("Invalid UUID: $uuid")
+        }
+        return EntityAdapter.find(server, parsed)?.let { context.asValue(EntityAdapter.toJS(it)) }
+    }
+
+    override fun spawnEntity(dimension: String, x: Double, y: Double, z: Double, entityId: String, nbt: Value?, context: Context): Value {
+        val entity = EntityAdapter.spawn(requireLevel(dimension), entityId, x, y, z, nbt)
+        return context.asValue(EntityAdapter.toJS(entity))
+    }
+
+    override fun spawnParticles(dimension: String, particles: ParticleSpawn, players: List<String>?): Int {
+        val level = requireLevel(dimension)
+        // Same parser as /particle, so options like dust colors use the command syntax
+        val options = try {
+            ParticleArgument.readParticle(StringReader(particles.type), level.registryAccess())
+        } catch (e: CommandSyntaxException) {
+            throw IllegalArgumentException("Invalid particle '${particles.type}': ${e.message}")
+        }
+
+        val targets = players?.mapNotNull { nameOrUuid ->
+            server.playerList.getPlayerByName(nameOrUuid)
+                ?: runCatching { java.util.UUID.fromString(nameOrUuid) }.getOrNull()?.let { server.playerList.getPlayer(it) }
+        } ?: level.players()
+
+        // Players in other dimensions or out of range are skipped
+        return targets.distinct().count { player ->
+            level.sendParticles(
+                player, options, particles.force,
+                particles.x, particles.y, particles.z, particles.count,
+                particles.deltaX, particles.deltaY, particles.deltaZ, particles.speed
+            )
+        }
+    }
+
     /**
      * Scan a region and return all non-air blocks.
      * Returns pure models, no Minecraft types.
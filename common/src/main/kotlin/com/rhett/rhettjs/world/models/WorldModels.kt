@@ -73,6 +73,24 @@ data class PositionedEntity(
     val entityData: Map<String, Any>  // NBT data including entity ID
 )
 
+/**
+ * Particles to show at a position, like /particle.
+ * [type] is the particle as /particle takes it, including options for particles
+ * that need them (e.g. "minecraft:dust{color:[1.0,0.0,0.0],scale:1.0}").
+ */
+data class ParticleSpawn(
+    val type: String,
+    val x: Double,
+    val y: Double,
+    val z: Double,
+    val count: Int = 1,
+    val deltaX: Double = 0.0,  // Random spread per axis (or motion/color when count is 0)
+    val deltaY: Double = 0.0,
+    val deltaZ: Double = 0.0,
+    val speed: Double = 0.0,
+    val force: Boolean = false  // Show up to 512 blocks away and regardless of particle settings
+)
+
 /**
  * Grid coordinate for large structure pieces.
  * Y coordinate reserved for future vertical splitting (currently always 0).
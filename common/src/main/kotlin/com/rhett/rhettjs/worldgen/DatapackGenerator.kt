@@ -189,7 +189,7 @@ object DatapackGenerator {
      */
     private fun generateFlatSettings(config: DimensionRegistry.DimensionConfig): JsonObject {
         return JsonObject().apply {
-            addProperty("biome", "minecraft:${config.biome}")
+            addProperty("biome", biomeId(config))
 
             // Layers
             val layers = if (config.generatorSettings?.layers != null) {
@@ -226,7 +226,7 @@ object DatapackGenerator {
      */
     private fun generateVoidSettings(config: DimensionRegistry.DimensionConfig): JsonObject {
         return JsonObject().apply {
-            addProperty("biome", "minecraft:${config.biome}")
+            addProperty("biome", biomeId(config))
             add("layers", gson.toJsonTree(emptyList<Any>()))
             addProperty("features", false)
             addProperty("lakes", false)
@@ -243,11 +243,18 @@ object DatapackGenerator {
             addProperty("type", "minecraft:overworld")
             addProperty("biome_source", JsonObject().apply {
                 addProperty("type", "minecraft:fixed")
-                addProperty("biome", "minecraft:${config.biome}")
+                addProperty("biome", biomeId(config))
             }.toString())
         }
     }
 
+    /**
+     * Resolve the biome id, defaulting bare names to the minecraft namespace.
+     */
+    private fun biomeId(config: DimensionRegistry.DimensionConfig): String {
+        return if (':' in config.biome) config.biome else "minecraft:${config.biome}"
+    }
+
     /**
      * Clean up dimension files that are no longer registered.
      *
@@ -1,6 +1,7 @@
 package com.rhett.rhettjs.worldgen
 
 import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.config.ConfigManager
 import net.minecraft.core.Registry
 import net.minecraft.core.registries.Registries
 import net.minecraft.resources.ResourceKey
@@ -13,8 +14,8 @@ import net.minecraft.world.level.dimension.LevelStem
  * Registry for custom dimensions created via JavaScript.
  *
  * Dimensions registered here are:
- * - Ephemeral: Only exist when script registers them
- * - Runtime: No datapack JSON files created
+ * - Ephemeral: Only exist when a startup script registers them
+ * - Generated: Written to the rjs/ datapack once startup scripts finish
  * - Persistent data: World save data (region files) persists even when unregistered
  *
  * When a script is commented out or removed, the dimension becomes inaccessible
@@ -24,6 +25,18 @@ object DimensionRegistry {
 
     private val registeredDimensions = mutableMapOf<ResourceKey<Level>, DimensionConfig>()
 
+    // Registrations are only accepted while startup scripts run (datapack is generated afterwards)
+    @Volatile
+    private var acceptingRegistrations = true
+
+    private val RESOURCE_PATH_PATTERN = Regex("^[a-z0-9_./-]+$")
+    private val NAMESPACE_PATTERN = Regex("^[a-z0-9_.-]+$")
+
+    // Vanilla dimension_type limits
+    private const val MIN_Y_LIMIT = -2032
+    private const val MAX_Y_LIMIT = 2031
+    private const val MAX_HEIGHT = 4064
+
     /**
      * Configuration for a custom dimension.
      */
@@ -82,46 +95,95 @@ object DimensionRegistry {
      * Register a dimension from JavaScript configuration.
      *
      * @param config Map of configuration from JavaScript
+     * @return The dimension id (namespace:name)
+     * @throws IllegalArgumentException if the config is invalid or the dimension is already registered
+     * @throws IllegalStateException if called after startup scripts have finished
      */
-    fun registerDimension(config: Map<String, Any>) {
+    fun registerDimension(config: Map<String, Any>): String {
         try {
+            check(acceptingRegistrations) {
+                "Dimensions can only be registered from startup scripts (restart the server to apply changes)"
+            }
+
             val dimConfig = parseDimensionConfig(config)
+            val id = "${dimConfig.namespace}:${dimConfig.name}"
             val resourceKey = ResourceKey.create(
                 Registries.DIMENSION,
                 ResourceLocation.fromNamespaceAndPath(dimConfig.namespace, dimConfig.name)
             )
 
+            if (registeredDimensions.containsKey(resourceKey)) {
+                throw IllegalArgumentException("Dimension '$id' is already registered")
+            }
+
             registeredDimensions[resourceKey] = dimConfig
-            RhettJSCommon.LOGGER.info("[RhettJS] Registered dimension: ${dimConfig.namespace}:${dimConfig.name}")
+            RhettJSCommon.LOGGER.info("[RhettJS] Registered dimension: $id")
+            return id
 
         } catch (e: Exception) {
-            RhettJSCommon.LOGGER.error("[RhettJS] Failed to register dimension", e)
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to register dimension: ${e.message}")
             throw e
         }
     }
 
+    /**
+     * Get a registered dimension config by id.
+     *
+     * @param id Dimension id (namespace:name, or name in the rhettjs namespace)
+     * @return The config, or null if not registered
+     */
+    fun getDimension(id: String): DimensionConfig? {
+        val fullId = if (':' in id) id else "rhettjs:$id"
+        return registeredDimensions.values.firstOrNull { "${it.namespace}:${it.name}" == fullId }
+    }
+
+    /**
+     * Whether registrations are still accepted (startup scripts are running).
+     */
+    fun isAcceptingRegistrations(): Boolean = acceptingRegistrations
+
+    /**
+     * Stop accepting registrations.
+     * Called once startup scripts have finished and the datapack has been generated.
+     */
+    fun closeRegistrations() {
+        acceptingRegistrations = false
+        ConfigManager.debug("[DimensionRegistry] Registrations closed (${registeredDimensions.size} dimension(s))")
+    }
+
     /**
      * Parse JavaScript config map into DimensionConfig.
      */
     private fun parseDimensionConfig(config: Map<String, Any>): DimensionConfig {
         val name = config["name"]?.toString()
             ?: throw IllegalArgumentException("Dimension config missing 'name'")
+        if (!RESOURCE_PATH_PATTERN.matches(name)) {
+            throw IllegalArgumentException("Invalid dimension name '$name' (allowed: a-z, 0-9, _, -, ., /)")
+        }
 
         val namespace = config["namespace"]?.toString() ?: "rhettjs"
+        if (!NAMESPACE_PATTERN.matches(namespace)) {
+            throw IllegalArgumentException("Invalid dimension namespace '$namespace' (allowed: a-z, 0-9, _, -, .)")
+        }
 
-        val type = when (config["type"]?.toString()?.lowercase()) {
-            "nether" -> DimensionType.NETHER
+        val type = when (val value = config["type"]?.toString()?.lowercase()) {
+            null, "overworld" -> DimensionType.OVERWORLD
+            "nether", "the_nether" -> DimensionType.NETHER
             "end", "the_end" -> DimensionType.END
-            else -> DimensionType.OVERWORLD
+            else -> throw IllegalArgumentException("Unknown dimension type '$value' (expected overworld, nether or end)")
         }
 
         val biome = config["biome"]?.toString() ?: "plains"
+        if (ResourceLocation.tryParse(biome) == null) {
+            throw IllegalArgumentException("Invalid biome id '$biome'")
+        }
 
-        val generator = when (config["generator"]?.toString()?.lowercase()) {
+        val generator = when (val value = config["generator"]?.toString()?.lowercase()) {
+            null, "flat" -> GeneratorType.FLAT
             "void" -> GeneratorType.VOID
             "noise" -> GeneratorType.NOISE
             "debug" -> GeneratorType.DEBUG
-            else -> GeneratorType.FLAT
+            else -> throw IllegalArgumentException("Unknown generator '$value' (expected flat, void, noise or debug)")
         }
 
         val sky = config["sky"]?.let { it as? Boolean } ?: true
@@ -134,10 +196,20 @@ object DimensionRegistry {
         val spawning = config["spawning"]?.let { it as? Boolean } ?: false
         val minY = (config["minY"] as? Number)?.toInt() ?: -64
         val maxY = (config["maxY"] as? Number)?.toInt() ?: 320
+        validateHeight(minY, maxY)
+
+        if (coordinateScale <= 0.0) {
+            throw IllegalArgumentException("scale must be greater than 0 (got $coordinateScale)")
+        }
 
         // Parse generator settings
         val generatorSettings = config["generatorSettings"]?.let { parseGeneratorSettings(it) }
 
+        val layerHeight = generatorSettings?.layers?.sumOf { it.height } ?: 0
+        if (layerHeight > maxY - minY) {
+            throw IllegalArgumentException("Flat layers are $layerHeight blocks tall but the dimension is only ${maxY - minY} blocks high")
+        }
+
         return DimensionConfig(
             name = name,
             namespace = namespace,
@@ -158,6 +230,26 @@ object DimensionRegistry {
         )
     }
 
+    /**
+     * Validate the vertical range against vanilla dimension_type rules.
+     * min_y and height must be multiples of 16 and stay within the world limits.
+     */
+    private fun validateHeight(minY: Int, maxY: Int) {
+        val height = maxY - minY
+        if (height <= 0) {
+            throw IllegalArgumentException("maxY ($maxY) must be greater than minY ($minY)")
+        }
+        if (minY % 16 != 0) {
+            throw IllegalArgumentException("minY must be a multiple of 16 (got $minY)")
+        }
+        if (height % 16 != 0) {
+            throw IllegalArgumentException("maxY - minY must be a multiple of 16 (got $height)")
+        }
+        if (minY < MIN_Y_LIMIT || maxY > MAX_Y_LIMIT + 1 || height > MAX_HEIGHT) {
+            throw IllegalArgumentException("Height range $minY..$maxY is outside the allowed range $MIN_Y_LIMIT..${MAX_Y_LIMIT + 1}")
+        }
+    }
+
     /**
      * Parse generator settings from JavaScript.
      */
@@ -178,12 +270,19 @@ object DimensionRegistry {
                     throw IllegalArgumentException("Each layer must be an object")
                 }
                 val layerMap = layerObj as Map<String, Any>
-                Layer(
+                val layer = Layer(
                     block = layerMap["block"]?.toString()
                         ?: throw IllegalArgumentException("Layer missing 'block'"),
                     height = (layerMap["height"] as? Number)?.toInt()
                         ?: throw IllegalArgumentException("Layer missing 'height'")
                 )
+                if (ResourceLocation.tryParse(layer.block) == null) {
+                    throw IllegalArgumentException("Invalid layer block id '${layer.block}'")
+                }
+                if (layer.height <= 0) {
+                    throw IllegalArgumentException("Layer '${layer.block}' height must be positive (got ${layer.height})")
+                }
+                layer
             }
         }
 
@@ -208,10 +307,11 @@ object DimensionRegistry {
 
     /**
      * Clear all registered dimensions.
-     * Called on reload to allow re-registration.
+     * Called on reload to allow re-registration (reopens registrations).
      */
     fun clear() {
         registeredDimensions.clear()
+        acceptingRegistrations = true
         RhettJSCommon.LOGGER.info("[RhettJS] Cleared dimension registry")
     }
 
@@ -0,0 +1,59 @@
+package com.rhett.rhettjs.zones
+
+import kotlin.math.floor
+
+/**
+ * A named box of blocks in one dimension.
+ * Bounds are block coordinates and inclusive on both ends, like World.fill().
+ * Pure data class - no Minecraft types.
+ */
+data class Zone(
+    val name: String,
+    val dimension: String,
+    val minX: Int,
+    val minY: Int,
+    val minZ: Int,
+    val maxX: Int,
+    val maxY: Int,
+    val maxZ: Int
+) {
+    init {
+        require(minX <= maxX && minY <= maxY && minZ <= maxZ) { "Zone '$name' min must not exceed max" }
+    }
+
+    /**
+     * Number of blocks in the zone, used to order overlapping zones (smallest first).
+     */
+    val volume: Long
+        get() = (maxX - minX + 1).toLong() * (maxY - minY + 1) * (maxZ - minZ + 1)
+
+    /**
+     * Check whether a position is inside the zone.
+     * Fractional coordinates (entity positions) count for the block they are in.
+     */
+    fun contains(dimension: String, x: Double, y: Double, z: Double): Boolean {
+        if (dimension != this.dimension) return false
+        val blockX = floor(x).toInt()
+        val blockY = floor(y).toInt()
+        val blockZ = floor(z).toInt()
+        return blockX in minX..maxX && blockY in minY..maxY && blockZ in minZ..maxZ
+    }
+
+    companion object {
+        /**
+         * Create a zone from two corners in any order.
+         */
+        fun fromCorners(name: String, dimension: String, x1: Int, y1: Int, z1: Int, x2: Int, y2: Int, z2: Int): Zone {
+            return Zone(
+                name = name,
+                dimension = dimension,
+                minX = minOf(x1, x2),
+                minY = minOf(y1, y2),
+                minZ = minOf(z1, z2),
+                maxX = maxOf(x1, x2),
+                maxY = maxOf(y1, y2),
+                maxZ = maxOf(z1, z2)
+            )
+        }
+    }
+}
@@ -0,0 +1,286 @@
+package com.rhett.rhettjs.zones
+
+import com.google.gson.GsonBuilder
+import com.google.gson.JsonObject
+import com.google.gson.JsonParser
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.ServerEventManager
+import com.rhett.rhettjs.events.ZoneEventData
+import net.minecraft.server.MinecraftServer
+import java.nio.file.AtomicMoveNotSupportedException
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.StandardCopyOption
+import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
+import kotlin.io.path.exists
+
+/**
+ * Named zones and the players inside them.
+ *
+ * Zones are saved with the world in `<world>/rhettjs/zones.json`, written whenever a zone
+ * is defined or removed. Zones defined before the world loads (server scripts run at mod
+ * init) replace saved zones with the same name, so a script's current bounds win.
+ *
+ * Every tick, each online player's position is compared against the zones they were in;
+ * changes fire zoneLeave then zoneEnter. Overlapping zones are all tracked; the smallest
+ * zone containing a position is its "innermost" zone, reported as previous/next.
+ * Player tracking survives script reloads, so reloading doesn't re-fire zoneEnter.
+ *
+ * JavaScript usage:
+ * ```javascript
+ * Zones.define('spawn', { min: { x: -50, y: 0, z: -50 }, max: { x: 50, y: 320, z: 50 } });
+ * Server.on('zoneEnter', (event) => event.player.sendMessage(`Entered ${event.zone.name}`));
+ * ```
+ */
+object ZoneManager {
+
+    private const val ZONES_FILE = "rhettjs/zones.json"
+    private const val DEFAULT_DIMENSION = "minecraft:overworld"
+    private val NAME_PATTERN = Regex("^[A-Za-z0-9_.:-]+$")
+
+    private val gson = GsonBuilder().setPrettyPrinting().disableHtmlEscaping().create()
+
+    private val zones = ConcurrentHashMap<String, Zone>()
+
+    // Player UUID -> zones the player was in at the last check (innermost first)
+    private val playerZones = ConcurrentHashMap<UUID, List<Zone>>()
+
+    @Volatile
+    private var zonesFile: Path? = null
+
+    @Volatile
+    private var server: MinecraftServer? = null
+
+    /**
+     * Zones a player moved out of and into, plus their innermost zone before and after.
+     */
+    data class ZoneTransition(
+        val left: List<Zone>,
+        val entered: List<Zone>,
+        val previous: Zone?,
+        val next: Zone?
+    )
+
+    fun setServer(minecraftServer: MinecraftServer) {
+        server = minecraftServer
+    }
+
+    /**
+     * Define or replace a zone.
+     *
+     * @throws IllegalArgumentException for invalid names
+     */
+    fun define(zone: Zone): Zone {
+        if (!NAME_PATTERN.matches(zone.name)) {
+            throw IllegalArgumentException(
+                "Invalid zone name '${zone.name}': use letters, digits, '_', '-', '.' and ':'"
+            )
+        }
+        zones[zone.name] = zone
+        save()
+        ConfigManager.debug("[ZoneManager] Defined zone '${zone.name}' in ${zone.dimension}")
+        return zone
+    }
+
+    /**
+     * Remove a zone. Players inside get zoneLeave on the next tick.
+     *
+     * @return true if the zone existed
+     */
+    fun remove(name: String): Boolean {
+        val removed = zones.remove(name) != null
+        if (removed) {
+            save()
+            ConfigManager.debug("[ZoneManager] Removed zone '$name'")
+        }
+        return removed
+    }
+
+    fun get(name: String): Zone? = zones[name]
+
+    /**
+     * All zones, optionally only those in one dimension, sorted by name.
+     */
+    fun list(dimension: String? = null): List<Zone> {
+        return zones.values
+            .filter { dimension == null || it.dimension == dimension }
+            .sortedBy { it.name }
+    }
+
+    /**
+     * Zones containing a position, innermost (smallest) first.
+     */
+    fun at(dimension: String?, x: Double, y: Double, z: Double): List<Zone> {
+        val dim = dimension ?: DEFAULT_DIMENSION
+        return zones.values
+            .filter { it.contains(dim, x, y, z) }
+            .sortedWith(compareBy<Zone> { it.volume }.thenBy { it.name })
+    }
+
+    /**
+     * Zones a player was in at the last check (innermost first).
+     */
+    fun zonesOf(uuid: UUID): List<Zone> = playerZones[uuid] ?: emptyList()
+
+    /**
+     * Record a player's position and work out which zones they left and entered.
+     * Zones are compared by name, so redefining a zone's bounds around a player doesn't
+     * count as leaving it.
+     *
+     * @return The transition, or null if the player's zones didn't change
+     */
+    fun updatePlayer(uuid: UUID, dimension: String, x: Double, y: Double, z: Double): ZoneTransition? {
+        val before = playerZones[uuid] ?: emptyList()
+        val after = at(dimension, x, y, z)
+
+        val afterNames = after.mapTo(HashSet()) { it.name }
+        val beforeNames = before.mapTo(HashSet()) { it.name }
+        val left = before.filter { it.name !in afterNames }
+        val entered = after.filter { it.name !in beforeNames }
+
+        if (after.isEmpty()) playerZones.remove(uuid) else playerZones[uuid] = after
+        if (left.isEmpty() && entered.isEmpty()) return null
+
+        return ZoneTransition(left, entered, before.firstOrNull(), after.firstOrNull())
+    }
+
+    /**
+     * Forget a player's zones (logout). No zoneLeave is fired.
+     */
+    fun forgetPlayer(uuid: UUID) {
+        playerZones.remove(uuid)
+    }
+
+    /**
+     * Check online players and fire zone events.
+     * Called every server tick from TickScheduler.
+     */
+    fun tick() {
+        val srv = server ?: return
+        if (zones.isEmpty() && playerZones.isEmpty()) return
+
+        val players = srv.playerList.players
+        if (playerZones.size > players.size) {
+            val online = players.mapTo(HashSet()) { it.uuid }
+            playerZones.keys.removeIf { it !in online }
+        }
+
+        for (player in players) {
+            val transition = updatePlayer(
+                player.uuid,
+                player.level().dimension().location().toString(),
+                player.x,
+                player.y,
+                player.z
+            ) ?: continue
+
+            try {
+                // Leave before enter, so handlers see the player exit one zone before entering the next
+                transition.left.forEach { zone ->
+                    ServerEventManager.triggerZoneLeave(ZoneEventData(zone, transition.previous, transition.next), player)
+                }
+                transition.entered.asReversed().forEach { zone ->
+                    ServerEventManager.triggerZoneEnter(ZoneEventData(zone, transition.previous, transition.next), player)
+                }
+            } catch (e: Exception) {
+                RhettJSCommon.LOGGER.error("[RhettJS] Failed to fire zone events for ${player.name.string}", e)
+            }
+        }
+    }
+
+    /**
+     * Load zones saved in a world. Zones already defined keep their current bounds.
+     *
+     * @param worldDir The world save directory
+     */
+    @Synchronized
+    fun load(worldDir: Path) {
+        val file = worldDir.resolve(ZONES_FILE)
+        zonesFile = file
+        if (!file.exists()) {
+            ConfigManager.debug("[ZoneManager] No saved zones at $file")
+            if (zones.isNotEmpty()) save()
+            return
+        }
+
+        var loaded = 0
+        try {
+            val json = JsonParser.parseString(Files.readString(file)).asJsonObject
+            json.entrySet().forEach { (name, value) ->
+                if (name in zones) return@forEach
+                val zone = value.asJsonObject
+                val min = zone.getAsJsonObject("min")
+                val max = zone.getAsJsonObject("max")
+                zones[name] = Zone.fromCorners(
+                    name,
+                    zone.get("dimension")?.asString ?: DEFAULT_DIMENSION,
+                    min.get("x").asInt, min.get("y").asInt, min.get("z").asInt,
+                    max.get("x").asInt, max.get("y").asInt, max.get("z").asInt
+                )
+                loaded++
+            }
+        } catch (e: Exception) {
+            // Keep the broken file for manual recovery instead of overwriting it
+            val corrupt = file.resolveSibling("${file.fileName}.corrupt")
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to load zones, moved to ${corrupt.fileName}", e)
+            try {
+                Files.move(file, corrupt, StandardCopyOption.REPLACE_EXISTING)
+            } catch (moveError: Exception) {
+                RhettJSCommon.LOGGER.error("[RhettJS] Failed to move corrupt zones file $file", moveError)
+            }
+        }
+        // Write back zones defined before load
+        if (zones.size > loaded) save()
+        RhettJSCommon.LOGGER.info("[RhettJS] Loaded $loaded zone(s)")
+    }
+
+    /**
+     * Write all zones. Does nothing until a world has been loaded.
+     */
+    @Synchronized
+    fun save() {
+        val file = zonesFile ?: return
+
+        try {
+            val json = JsonObject()
+            zones.values.sortedBy { it.name }.forEach { zone ->
+                json.add(zone.name, JsonObject().apply {
+                    addProperty("dimension", zone.dimension)
+                    add("min", corner(zone.minX, zone.minY, zone.minZ))
+                    add("max", corner(zone.maxX, zone.maxY, zone.maxZ))
+                })
+            }
+
+            Files.createDirectories(file.parent)
+            val temp = file.resolveSibling("${file.fileName}.tmp")
+            Files.writeString(temp, gson.toJson(json))
+            try {
+                Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING, StandardCopyOption.ATOMIC_MOVE)
+            } catch (e: AtomicMoveNotSupportedException) {
+                Files.move(temp, file, StandardCopyOption.REPLACE_EXISTING)
+            }
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to save zones", e)
+        }
+    }
+
+    private fun corner(x: Int, y: Int, z: Int) = JsonObject().apply {
+        addProperty("x", x)
+        addProperty("y", y)
+        addProperty("z", z)
+    }
+
+    /**
+     * Forget the current world (server stopping). Zones are saved as they change.
+     */
+    @Synchronized
+    fun unload() {
+        zonesFile = null
+        server = null
+        zones.clear()
+        playerZones.clear()
+        ConfigManager.debug("[ZoneManager] Unloaded")
+    }
+}
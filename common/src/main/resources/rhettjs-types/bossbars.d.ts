@@ -0,0 +1,106 @@
+// RhettJS BossBars API Type Definitions
+// Version: 0.3.0
+// Last updated: 2026-01-06
+
+import { Player } from './types';
+import { TextInput } from './items';
+
+export type BossBarColor = "pink" | "blue" | "red" | "green" | "yellow" | "purple" | "white";
+
+/** Solid bar, or split into 6, 10, 12 or 20 segments */
+export type BossBarStyle = "progress" | "notched_6" | "notched_10" | "notched_12" | "notched_20";
+
+/** A player object, or an online player's name or UUID */
+export type BossBarPlayer = Player | string;
+
+export interface BossBarOptions {
+    title?: TextInput;
+    /** Default: "white" */
+    color?: BossBarColor;
+    /** Default: "progress" */
+    style?: BossBarStyle;
+    /** Filled fraction from 0 to 1 (default: 1) */
+    progress?: number;
+    /** Players to show the bar to */
+    players?: BossBarPlayer | BossBarPlayer[];
+    /** Default: true */
+    visible?: boolean;
+    /** Remove the bar after this many ticks */
+    removeAfter?: number;
+}
+
+/** Boss bar snapshot (title as plain string) */
+export interface BossBarInfo {
+    id: string;
+    title: string;
+    progress: number;
+    color: BossBarColor;
+    style: BossBarStyle;
+    visible: boolean;
+    /** Names of players seeing the bar */
+    players: string[];
+}
+
+/**
+ * Handle to a boss bar. Methods throw once the bar is removed, except get() and remove().
+ */
+export interface BossBar {
+    readonly id: string;
+    /** Current state, or null once removed */
+    get(): BossBarInfo | null;
+    setTitle(title: TextInput): void;
+    /** Values outside 0..1 are clamped */
+    setProgress(progress: number): void;
+    setColor(color: BossBarColor): void;
+    setStyle(style: BossBarStyle): void;
+    setVisible(visible: boolean): void;
+    /**
+     * @returns false if the player isn't online
+     */
+    addPlayer(player: BossBarPlayer): boolean;
+    /**
+     * @returns false if the player wasn't seeing the bar
+     */
+    removePlayer(player: BossBarPlayer): boolean;
+    removeAllPlayers(): void;
+    /** Remove the bar after this many ticks (replaces an earlier removeAfter) */
+    removeAfter(ticks: number): void;
+    /**
+     * Hide the bar from everyone and delete it
+     * @returns false if it was already removed
+     */
+    remove(): boolean;
+}
+
+/**
+ * Boss bars for progress displays and announcements. Bars belong to the script that created
+ * them: they're removed when it reloads, and players are taken off them on logout.
+ * They aren't saved with the world (unlike /bossbar).
+ *
+ * @example
+ * import BossBars from 'rhettjs/bossbars';
+ *
+ * const bar = BossBars.create({ title: 'Building...', color: 'green', style: 'notched_10', progress: 0 });
+ * bar.addPlayer(player);
+ * bar.setProgress(0.5);
+ * bar.setTitle({ text: 'Done!', color: 'gold' });
+ * bar.removeAfter(60);
+ */
+declare namespace BossBars {
+    /**
+     * Create a boss bar
+     */
+    function create(options?: BossBarOptions): BossBar;
+
+    /**
+     * Get a bar by id, or null if it was removed
+     */
+    function get(id: string): BossBar | null;
+
+    /**
+     * All script boss bars
+     */
+    function list(): BossBarInfo[];
+}
+
+export default BossBars;
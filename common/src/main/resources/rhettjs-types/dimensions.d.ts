@@ -0,0 +1,119 @@
+// RhettJS Dimensions API Type Definitions
+// Version: 0.3.0
+// Last updated: 2026-01-06
+
+/** Flat generator layer (bottom to top) */
+export interface DimensionLayer {
+    /** Block id (e.g., "minecraft:stone") */
+    block: string;
+    /** Layer thickness in blocks (must be positive) */
+    height: number;
+}
+
+/** Generator-specific settings */
+export interface DimensionGeneratorSettings {
+    /** Layers for the flat generator */
+    layers?: DimensionLayer[];
+    /** Generate features (default: false) */
+    features?: boolean;
+    /** Generate lakes (default: false) */
+    lakes?: boolean;
+    /** Raw structure_overrides passed through to the flat generator */
+    structureOverrides?: Record<string, any>;
+}
+
+/** Dimension configuration accepted by Dimensions.register() */
+export interface DimensionConfig {
+    /** Dimension name (a-z, 0-9, _, -, ., /) */
+    name: string;
+    /** Namespace (default: "rhettjs") */
+    namespace?: string;
+    /** Visual style (default: "overworld") */
+    type?: 'overworld' | 'nether' | 'end';
+    /** Biome id; bare names use the minecraft namespace (default: "plains") */
+    biome?: string;
+    /** Chunk generator (default: "flat") */
+    generator?: 'flat' | 'void' | 'noise' | 'debug';
+    /** Has skylight (default: true) */
+    sky?: boolean;
+    /** Ambient light 0.0-1.0 (default: 1.0) */
+    ambientLight?: number;
+    /** Fixed time of day (6000 = noon, 18000 = midnight), omit for normal cycle */
+    fixedTime?: number;
+    /** Weather enabled (default: false) */
+    weather?: boolean;
+    /** Respawn anchors work (default: true) */
+    respawnAnchor?: boolean;
+    /** Beds work (default: true) */
+    bed?: boolean;
+    /** Coordinate scale relative to the overworld (default: 1.0) */
+    scale?: number;
+    /** Natural mob spawning (default: false) */
+    spawning?: boolean;
+    /** Bottom of the world, multiple of 16 (default: -64) */
+    minY?: number;
+    /** Top of the world; maxY - minY must be a multiple of 16 (default: 320) */
+    maxY?: number;
+    /** Generator-specific settings */
+    generatorSettings?: DimensionGeneratorSettings;
+}
+
+/** Registered dimension as returned by Dimensions.get() */
+export interface RegisteredDimension extends Required<Omit<DimensionConfig, 'fixedTime' | 'generatorSettings'>> {
+    /** Full dimension id (namespace:name) */
+    id: string;
+    fixedTime: number | null;
+    generatorSettings?: DimensionGeneratorSettings;
+}
+
+/**
+ * Custom dimension registration (startup scripts only)
+ * Registered dimensions are written to the rjs/ datapack once startup scripts finish.
+ * Changes require a server restart.
+ * @example
+ * // rjs/startup/dimensions.js
+ * import Dimensions from 'rhettjs/dimensions';
+ *
+ * Dimensions.register({
+ *     name: 'builder-flat',
+ *     generator: 'flat',
+ *     fixedTime: 6000,
+ *     generatorSettings: {
+ *         layers: [
+ *             { block: 'minecraft:bedrock', height: 1 },
+ *             { block: 'minecraft:stone', height: 62 },
+ *             { block: 'minecraft:grass_block', height: 1 }
+ *         ]
+ *     }
+ * });
+ */
+declare namespace Dimensions {
+    /**
+     * Register a custom dimension
+     * @param config - Dimension configuration
+     * @returns Dimension id (namespace:name)
+     * @throws Error if the config is invalid, the id is taken, or called outside startup scripts
+     */
+    function register(config: DimensionConfig): string;
+
+    /**
+     * List registered dimension ids
+     * @returns Array of dimension ids (namespace:name)
+     */
+    function list(): string[];
+
+    /**
+     * Get a registered dimension config
+     * @param id - Dimension id (bare names use the rhettjs namespace)
+     * @returns Dimension config or null if not registered
+     */
+    function get(id: string): RegisteredDimension | null;
+
+    /**
+     * Check if a dimension is registered
+     * @param id - Dimension id (bare names use the rhettjs namespace)
+     */
+    function has(id: string): boolean;
+}
+
+export default Dimensions;
@@ -0,0 +1,66 @@
+// RhettJS Items API Type Definitions
+// Version: 0.3.0
+// Last updated: 2026-01-06
+
+import { Item } from './types';
+
+/** Plain text, or a text component object such as { text: 'Sting', color: 'aqua', italic: false } */
+export type TextInput = string | Record<string, any>;
+
+/**
+ * Immutable item builder: every method returns a new builder, so one can be kept as a
+ * template. Builders are accepted anywhere an item is (giveItem, inventory and container
+ * slots); build() returns the plain item object.
+ */
+export interface ItemBuilder {
+    /** Stack size (at least 1) */
+    count(count: number): ItemBuilder;
+    /** Custom name (minecraft:custom_name); shown in italics unless the component sets italic: false */
+    name(text: TextInput): ItemBuilder;
+    /** Lore lines (minecraft:lore), replacing any set before; an empty array clears them */
+    lore(lines: TextInput[]): ItemBuilder;
+    /**
+     * Add an enchantment, replacing its level if already present.
+     * Enchanted books store it (minecraft:stored_enchantments) like the game does.
+     * @param enchantmentId - e.g. "sharpness" or "minecraft:sharpness"
+     * @param level - 1-255 (default 1)
+     */
+    enchant(enchantmentId: string, level?: number): ItemBuilder;
+    /**
+     * Set a data component in its `/give` JSON form, e.g. component('max_stack_size', 16).
+     * null or undefined resets the component to the item's default.
+     */
+    component(componentId: string, value?: any): ItemBuilder;
+    /** Remove one of the item's default components, e.g. removeComponent('food') */
+    removeComponent(componentId: string): ItemBuilder;
+    /** The item as a plain object */
+    build(): Item;
+}
+
+/**
+ * Build item stacks with names, lore, enchantments and components instead of `/give` strings.
+ * Ids without a namespace default to "minecraft:". Items are checked when they are used:
+ * unknown items, enchantments or invalid component values throw at that point.
+ *
+ * @example
+ * import Items from 'rhettjs/items';
+ *
+ * const sting = Items.create('diamond_sword')
+ *     .name({ text: 'Sting', color: 'aqua', italic: false })
+ *     .lore(['Glows blue when orcs are near'])
+ *     .enchant('sharpness', 5)
+ *     .component('unbreakable', {});
+ *
+ * player.giveItem(sting);
+ * player.inventory.set('offhand', Items.create('shield'));
+ */
+declare namespace Items {
+    /**
+     * Start building an item
+     * @param itemId - e.g. "minecraft:diamond_sword" or "diamond_sword"
+     * @param count - Stack size (default 1)
+     */
+    function create(itemId: string, count?: number): ItemBuilder;
+}
+
+export default Items;
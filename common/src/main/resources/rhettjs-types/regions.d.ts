@@ -0,0 +1,150 @@
+// RhettJS Regions API Type Definitions
+// Version: 0.3.0
+// Last updated: 2026-01-06
+
+import { Player, Position } from './types';
+import { ZoneCorner } from './zones';
+
+/**
+ * Actions a region controls:
+ * - break, place: blocks (members and owners are exempt)
+ * - interact: right-clicking blocks and entities (members and owners are exempt)
+ * - pvp: players damaging players (denied if either player stands in the region)
+ * - mobSpawn: natural mob spawning
+ */
+export type RegionFlag = "break" | "place" | "interact" | "pvp" | "mobSpawn";
+
+/** Flag values; true allows, false denies */
+export type RegionFlags = Record<RegionFlag, boolean>;
+
+/** Player object or UUID string */
+export type RegionPlayer = Player | string;
+
+/** Settings accepted by Regions.define() */
+export interface RegionDefinition {
+    min: ZoneCorner;
+    max: ZoneCorner;
+    /** Default: "minecraft:overworld" */
+    dimension?: string;
+    /** Where regions overlap the highest priority (then smallest) region decides (default 0) */
+    priority?: number;
+    /** Defaults: break, place and interact denied; pvp and mobSpawn allowed */
+    flags?: Partial<RegionFlags>;
+    owners?: RegionPlayer[];
+    members?: RegionPlayer[];
+}
+
+/** A protected region */
+export interface Region {
+    name: string;
+    dimension: string;
+    min: ZoneCorner;
+    max: ZoneCorner;
+    priority: number;
+    /** Effective flags (defaults filled in) */
+    flags: RegionFlags;
+    /** Owner UUIDs */
+    owners: string[];
+    /** Member UUIDs */
+    members: string[];
+}
+
+/**
+ * Bypass check, called only when an action would be denied.
+ * Return true to let the player through.
+ */
+export type RegionBypass = (player: Player, flag: RegionFlag, region: Region) => boolean;
+
+/**
+ * Protected regions.
+ *
+ * Protection is enforced by the server itself before script events fire, so regions
+ * don't call into scripts for every block or entity event. Denied players see
+ * "This area is protected" in their action bar. Regions are saved with the world.
+ *
+ * On Fabric, placing a block against a block in a region that denies interact requires
+ * sneaking (NeoForge denies only the block's use).
+ *
+ * @example
+ * import Regions from 'rhettjs/regions';
+ *
+ * Regions.define('spawn', {
+ *     min: { x: -50, y: -64, z: -50 },
+ *     max: { x: 50, y: 320, z: 50 },
+ *     flags: { pvp: false, mobSpawn: false }
+ * });
+ * Regions.define('plot-1', {
+ *     min: { x: 10, y: -64, z: 10 }, max: { x: 20, y: 320, z: 20 },
+ *     priority: 10,
+ *     owners: ['069a79f4-44e9-4726-a5be-fca90e38aaf5']
+ * });
+ *
+ * // Staff may build anywhere
+ * Regions.setBypass((player) => player.isOp);
+ */
+declare namespace Regions {
+    /**
+     * Define or replace a region
+     * @param name - Letters, digits, '_', '-', '.' and ':'
+     * @returns The saved region
+     */
+    function define(name: string, region: RegionDefinition): Region;
+
+    /**
+     * Remove a region
+     * @returns true if the region existed
+     */
+    function remove(name: string): boolean;
+
+    /**
+     * Get a region by name
+     * @returns The region or null if not defined
+     */
+    function get(name: string): Region | null;
+
+    /**
+     * List regions sorted by name
+     * @param dimension - Only regions in this dimension
+     */
+    function list(dimension?: string): Region[];
+
+    /**
+     * Regions containing a position, the deciding region first
+     * @param position - Dimension defaults to "minecraft:overworld"
+     */
+    function at(position: Position): Region[];
+
+    /**
+     * Set a flag
+     * @param value - true allows, false denies, null restores the default
+     * @returns The updated region, or null if it doesn't exist
+     */
+    function setFlag(name: string, flag: RegionFlag, value: boolean | null): Region | null;
+
+    /** @returns The updated region, or null if it doesn't exist */
+    function addMember(name: string, player: RegionPlayer): Region | null;
+
+    /** @returns The updated region, or null if it doesn't exist */
+    function removeMember(name: string, player: RegionPlayer): Region | null;
+
+    /** @returns The updated region, or null if it doesn't exist */
+    function addOwner(name: string, player: RegionPlayer): Region | null;
+
+    /** @returns The updated region, or null if it doesn't exist */
+    function removeOwner(name: string, player: RegionPlayer): Region | null;
+
+    /**
+     * Check a flag at a position without the bypass check
+     * @param player - Acting player; members and owners are exempt from break, place and interact
+     */
+    function isAllowed(flag: RegionFlag, position: Position, player?: RegionPlayer): boolean;
+
+    /**
+     * Set the bypass check (null removes it). There is one check per server: setting it from
+     * another script replaces it with a warning. Cleared on reload and when the script that
+     * set it is hot-reloaded.
+     */
+    function setBypass(check: RegionBypass | null): void;
+}
+
+export default Regions;
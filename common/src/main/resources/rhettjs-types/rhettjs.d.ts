@@ -16,6 +16,14 @@ export { default as World } from './world';
 export { StructureNbt, LargeStructureNbt } from './structure';
 export { WorldgenStructure } from './worldgen-structure';
 export { default as Script } from './script';
+export { default as Test } from './test';
+export { default as Dimensions } from './dimensions';
+export { default as Zones } from './zones';
+export { default as Regions } from './regions';
+export { default as Items } from './items';
+export { default as Scoreboard } from './scoreboard';
+export { default as Teams } from './teams';
+export { default as BossBars } from './bossbars';
 
 // Re-export common types
 export * from './types';
@@ -40,12 +48,74 @@ declare global {
     /**
      * Wait for N ticks before resolving (20 ticks = 1 second)
      * @param ticks - Number of ticks to wait
+     * @param options - Optional { signal } to cancel the wait (rejects with the abort reason)
      * @returns Promise that resolves after delay
      * @example
      * await wait(20); // Wait 1 second
      * console.log('Done!');
+     *
+     * // Cancellable wait (AbortController/AbortSignal are standard globals)
+     * const controller = new AbortController();
+     * setTimeout(() => controller.abort(), 500);
+     * await wait(100, { signal: controller.signal }); // rejects with AbortError after 10 ticks
      */
-    function wait(ticks: number): Promise<void>;
+    function wait(ticks: number, options?: import('./types').AbortOptions): Promise<void>;
+
+    /**
+     * Run a callback once after a delay in milliseconds (rounded up to whole ticks, 50ms each)
+     * Timers are cleared automatically on /rjs reload.
+     * @param callback - Function to run
+     * @param ms - Delay in milliseconds (default: 0 = next tick)
+     * @param args - Extra arguments passed to the callback
+     * @returns Timer handle for clearTimeout()
+     */
+    function setTimeout(callback: (...args: any[]) => void, ms?: number, ...args: any[]): number;
+
+    /**
+     * Run a callback repeatedly every N milliseconds (rounded up to whole ticks, 50ms each)
+     * Timers are cleared automatically on /rjs reload.
+     * @param callback - Function to run
+     * @param ms - Interval in milliseconds (minimum 1 tick)
+     * @param args - Extra arguments passed to the callback
+     * @returns Timer handle for clearInterval()
+     * @example
+     * const id = setInterval(() => console.log('every second'), 1000);
+     * // later
+     * clearInterval(id);
+     */
+    function setInterval(callback: (...args: any[]) => void, ms?: number, ...args: any[]): number;
+
+    /**
+     * Run a callback once after N game ticks (20 ticks = 1 second)
+     * @param callback - Function to run
+     * @param ticks - Delay in ticks (default: 0 = next tick)
+     * @param args - Extra arguments passed to the callback
+     * @returns Timer handle for clearTimeout()
+     */
+    function setTickTimeout(callback: (...args: any[]) => void, ticks?: number, ...args: any[]): number;
+
+    /**
+     * Run a callback every N game ticks (20 ticks = 1 second)
+     * @param callback - Function to run
+     * @param ticks - Interval in ticks (minimum 1)
+     * @param args - Extra arguments passed to the callback
+     * @returns Timer handle for clearInterval()
+     */
+    function setTickInterval(callback: (...args: any[]) => void, ticks?: number, ...args: any[]): number;
+
+    /**
+     * Cancel a timer. Accepts handles from any set*Timeout/set*Interval function.
+     * Unknown or already-finished handles are ignored.
+     * @param handle - Timer handle
+     */
+    function clearTimeout(handle: number | undefined | null): void;
+
+    /**
+     * Cancel a timer. Accepts handles from any set*Timeout/set*Interval function.
+     * Unknown or already-finished handles are ignored.
+     * @param handle - Timer handle
+     */
+    function clearInterval(handle: number | undefined | null): void;
 }
 
 // ============================================================================
@@ -67,6 +137,14 @@ declare module 'rhettjs' {
     export { StructureNbt, LargeStructureNbt } from './structure';
     export { WorldgenStructure } from './worldgen-structure';
     export { default as Script } from './script';
+    export { default as Test } from './test';
+    export { default as Dimensions } from './dimensions';
+    export { default as Zones } from './zones';
+    export { default as Regions } from './regions';
+    export { default as Items } from './items';
+    export { default as Scoreboard } from './scoreboard';
+    export { default as Teams } from './teams';
+    export { default as BossBars } from './bossbars';
     export * from './types';
 }
 
@@ -108,6 +186,39 @@ declare module 'rhettjs/worldgen-structure' {
     export { WorldgenStructure } from './worldgen-structure';
 }
 
+declare module 'rhettjs/dimensions' {
+    export { default } from './dimensions';
+}
+
+declare module 'rhettjs/test' {
+    export * from './test';
+    export { default } from './test';
+}
+
+declare module 'rhettjs/zones' {
+    export { default } from './zones';
+}
+
+declare module 'rhettjs/regions' {
+    export { default } from './regions';
+}
+
+declare module 'rhettjs/items' {
+    export { default } from './items';
+}
+
+declare module 'rhettjs/scoreboard' {
+    export { default } from './scoreboard';
+}
+
+declare module 'rhettjs/teams' {
+    export { default } from './teams';
+}
+
+declare module 'rhettjs/bossbars' {
+    export { default } from './bossbars';
+}
+
 // Legacy bare module support (for backward compatibility)
 declare module 'Runtime' {
     const Runtime: typeof globalThis.Runtime;
@@ -152,4 +263,12 @@ declare module 'Script' {
 
 declare module 'WorldgenStructure' {
     export { WorldgenStructure } from './worldgen-structure';
-}
\ No newline at end of file
+}
+
+declare module 'Dimensions' {
+    export { default } from './dimensions';
+}
+
+declare module 'Test' {
+    export { default } from './test';
+}
@@ -0,0 +1,96 @@
+// RhettJS Scoreboard API Type Definitions
+// Version: 0.3.0
+// Last updated: 2026-01-06
+
+import { Player, OfflinePlayer, Entity } from './types';
+import { TextInput } from './items';
+
+/**
+ * Who a score belongs to: a player (by name), an entity (by UUID, like vanilla) or any
+ * other name, e.g. a fake player like "#round".
+ */
+export type ScoreHolder = string | Player | OfflinePlayer | Entity;
+
+/** Where an objective is shown: "list", "sidebar", "below_name" or "sidebar.team.<color>" */
+export type DisplaySlot = "list" | "sidebar" | "below_name" | `sidebar.team.${string}`;
+
+export interface ObjectiveInfo {
+    name: string;
+    displayName: string;
+    criterion: string; // e.g. "dummy"
+    /** Slots currently showing the objective */
+    displaySlots: DisplaySlot[];
+}
+
+export interface ScoreEntry {
+    holder: string;
+    value: number;
+}
+
+/**
+ * Handle to an objective by name. The objective doesn't need to exist yet: call create()
+ * first. Score methods throw while it doesn't exist.
+ */
+export interface ObjectiveHandle {
+    readonly name: string;
+    /**
+     * Create the objective unless it exists (safe to call on every script load).
+     * @returns true if it was created
+     */
+    create(options?: {
+        displayName?: TextInput;
+        /** Criterion as /scoreboard uses it, e.g. "deathCount" or "minecraft.mined:minecraft.stone". Default: "dummy" */
+        criterion?: string;
+    }): boolean;
+    exists(): boolean;
+    /** @returns false if it didn't exist */
+    remove(): boolean;
+    /** Current objective info, or null if it doesn't exist */
+    get(): ObjectiveInfo | null;
+    setDisplayName(displayName: TextInput): void;
+    /** Show the objective in a slot, or with null, remove it from every slot */
+    setDisplaySlot(slot: DisplaySlot | null): void;
+    /** @returns The score, or null if the holder has none */
+    getScore(holder: ScoreHolder): number | null;
+    setScore(holder: ScoreHolder, value: number): void;
+    /**
+     * Add to a score; a missing score counts as 0.
+     * @param amount - Default: 1 (negative to subtract)
+     * @returns The new score
+     */
+    addScore(holder: ScoreHolder, amount?: number): number;
+    /** @returns false if the holder had no score */
+    resetScore(holder: ScoreHolder): boolean;
+    /** All scores, highest first */
+    scores(): ScoreEntry[];
+}
+
+/**
+ * Scoreboard objectives and scores on the server's scoreboard, the same one /scoreboard
+ * uses. Changes are shown to players and saved with the world by the game.
+ *
+ * @example
+ * import Scoreboard from 'rhettjs/scoreboard';
+ *
+ * const deaths = Scoreboard.objective('deaths');
+ * deaths.create({ displayName: { text: 'Deaths', color: 'gold' } });
+ * deaths.setDisplaySlot('sidebar');
+ *
+ * Server.on('playerDeath', (event) => {
+ *     deaths.addScore(event.player);
+ * });
+ */
+declare namespace Scoreboard {
+    /**
+     * Get a handle to an objective (whether or not it exists)
+     * @param name - Objective name (no spaces)
+     */
+    function objective(name: string): ObjectiveHandle;
+
+    /**
+     * All objectives, sorted by name
+     */
+    function objectives(): ObjectiveInfo[];
+}
+
+export default Scoreboard;
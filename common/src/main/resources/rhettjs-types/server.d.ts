@@ -3,13 +3,35 @@
 // Last updated: 2026-01-06
 
 import { Player, Position, Block } from './types';
+import { Zone } from './zones';
 
 /** Available server event types */
 export type ServerEventType =
     | "playerJoin"
     | "playerLeave"
     | "blockLeftClick"
-    | "blockRightClick";
+    | "blockRightClick"
+    | "blockBreak"
+    | "blockPlace"
+    | "playerChat"
+    | "playerDeath"
+    | "playerRespawn"
+    | "playerChangeDimension"
+    | "entityDeath"
+    | "entityDamage"
+    | "itemUse"
+    | "entityInteract"
+    | "serverStarted"
+    | "serverStopping"
+    | "worldSaved"
+    | "beforeReload"
+    | "afterReload"
+    | "zoneEnter"
+    | "zoneLeave"
+    | CustomEventType;
+
+/** Custom script event name, namespaced to avoid clashing with built-in events (e.g., "shop:purchase") */
+export type CustomEventType = `${string}:${string}`;
 
 /** Player join event */
 export interface PlayerJoinEvent {
@@ -21,21 +43,202 @@ export interface PlayerLeaveEvent {
     player: Player;
 }
 
+/** Item stack in event data */
+export interface EventItem {
+    id: string;
+    count: number;
+    displayName: string | null;
+    nbt: Record<string, any> | null;
+}
+
+/** Block face in event data */
+export type EventBlockFace = "up" | "down" | "north" | "south" | "east" | "west";
+
+/** Hand used for an interaction */
+export type EventHand = "main_hand" | "off_hand";
+
+/** Non-player entity in event data (players are full Player objects) */
+export interface EventEntity {
+    uuid: string;
+    /** Entity type ID (e.g., "minecraft:zombie") */
+    type: string;
+    name: string;
+    isPlayer: false;
+    position: Position;
+}
+
+/** Cause of damage or death */
+export interface DamageSource {
+    /** Damage type ID (e.g., "minecraft:player_attack", "minecraft:fall") */
+    type: string;
+    /** Entity responsible for the damage, if any */
+    attacker: Player | EventEntity | null;
+}
+
+/**
+ * Members shared by event objects (every event except playerJoin and playerLeave,
+ * whose handlers receive the player).
+ */
+export interface ServerEvent {
+    /** True once a handler cancelled the event (always false for events that can't be cancelled) */
+    readonly isCancelled: boolean;
+    /** Skip all remaining handlers for this event */
+    stopPropagation(): void;
+}
+
+/** Event that handlers can cancel */
+export interface CancellableEvent extends ServerEvent {
+    /** Cancel this event to prevent the default action */
+    cancel(): void;
+}
+
 /** Block click event (cancelable) */
-export interface BlockClickEvent {
+export interface BlockClickEvent extends CancellableEvent {
     /** Full player object with all methods (sendMessage, teleport, etc.) */
     player: Player;
     position: Position;
     block: Block;
-    face: "up" | "down" | "north" | "south" | "east" | "west" | null;
-    item: {
-        id: string;
-        count: number;
-        displayName: string | null;
-        nbt: Record<string, any> | null;
-    } | null;
-    /** Cancel this event to prevent the default action */
-    cancel(): void;
+    face: EventBlockFace | null;
+    item: EventItem | null;
+}
+
+/** Block break event, fired before the block is removed (cancelable) */
+export interface BlockBreakEvent extends CancellableEvent {
+    player: Player;
+    position: Position;
+    block: Block;
+    /** Expected drops for the player's tool (empty in creative) */
+    drops: EventItem[];
+    /** Experience the block drops for the player's tool (always 0 on Fabric) */
+    experience: number;
+}
+
+/** Block place event (cancelable) */
+export interface BlockPlaceEvent extends CancellableEvent {
+    player: Player;
+    position: Position;
+    /** The block being placed */
+    block: Block;
+    /** Clicked block (null on NeoForge) */
+    placedAgainst: Position | null;
+    /** Clicked face (null on NeoForge) */
+    face: EventBlockFace | null;
+    item: EventItem | null;
+}
+
+/** Chat message event, fired before broadcast (cancelable) */
+export interface PlayerChatEvent extends CancellableEvent {
+    player: Player;
+    message: string;
+}
+
+/** Player death event (cancelable - the player stays alive with at least 1 health) */
+export interface PlayerDeathEvent extends CancellableEvent {
+    player: Player;
+    source: DamageSource;
+}
+
+/** Player respawn event */
+export interface PlayerRespawnEvent extends ServerEvent {
+    player: Player;
+    /** True when returning from the End after the credits */
+    fromEnd: boolean;
+}
+
+/** Dimension change event, fired after the player moved */
+export interface PlayerChangeDimensionEvent extends ServerEvent {
+    player: Player;
+    /** Dimension ID left */
+    from: string;
+    /** Dimension ID entered */
+    to: string;
+}
+
+/** Non-player entity death event (cancelable - the entity stays alive with at least 1 health) */
+export interface EntityDeathEvent extends CancellableEvent {
+    entity: EventEntity;
+    source: DamageSource;
+}
+
+/** Damage event for any living entity, players included (cancelable) */
+export interface EntityDamageEvent extends CancellableEvent {
+    entity: Player | EventEntity;
+    source: DamageSource;
+    amount: number;
+}
+
+/** Right-click with an item in the air (cancelable) */
+export interface ItemUseEvent extends CancellableEvent {
+    player: Player;
+    item: EventItem | null;
+    hand: EventHand;
+}
+
+/** Right-click on an entity (cancelable) */
+export interface EntityInteractEvent extends CancellableEvent {
+    player: Player;
+    entity: Player | EventEntity;
+    item: EventItem | null;
+    hand: EventHand;
+}
+
+/**
+ * Lifecycle events (serverStarted, serverStopping, worldSaved, beforeReload, afterReload).
+ *
+ * serverStopping, beforeReload and afterReload handlers may return a promise; shutdown and
+ * reload wait for it (up to 5 seconds) while timers keep running. serverStarted and worldSaved
+ * handlers are not awaited. worldSaved runs before Store.persistent() data is written.
+ * beforeReload/afterReload fire for /rjs reload, /reload, and hot reloads that rebuild the
+ * context (a changed module); a hot reload of single server scripts doesn't fire them.
+ */
+export interface LifecycleEvent extends ServerEvent {}
+
+/**
+ * zoneEnter / zoneLeave event (see Zones). When a move crosses several zones, all
+ * zoneLeave events fire before the zoneEnter events.
+ */
+export interface ZoneEvent extends ServerEvent {
+    player: Player;
+    /** The zone entered or left */
+    zone: Zone;
+    /** Innermost zone the player was in before the move */
+    previous: Zone | null;
+    /** Innermost zone the player is in after the move */
+    next: Zone | null;
+}
+
+/** Tick handler argument */
+export interface TickEvent {
+    /** Ticks since the server started */
+    tick: number;
+}
+
+/** Options for Server.onTick() */
+export interface TickOptions {
+    /** Offset in ticks (0 until every - 1) to spread handlers with the same interval across ticks */
+    phase?: number;
+}
+
+/** Second argument passed to custom event handlers: handler(payload, event) */
+export interface CustomEvent extends ServerEvent {
+    /** The emitted event name */
+    name: CustomEventType;
+}
+
+/** Named handler priorities (highest = 100, high = 50, normal = 0, low = -50, lowest = -100) */
+export type EventPriority = "highest" | "high" | "normal" | "low" | "lowest";
+
+/**
+ * Options for Server.on() and Server.once().
+ *
+ * Handlers run by priority (higher first), then by the registering script's name,
+ * then in registration order, so the order across scripts survives hot reloads.
+ */
+export interface EventOptions {
+    /** Name or number, default "normal" (0) */
+    priority?: EventPriority | number;
+    /** Skip this handler when an earlier handler cancelled the event (default false) */
+    ignoreCancelled?: boolean;
 }
 
 /** Server event handler */
@@ -58,6 +261,22 @@ export type ServerEventHandler = (event: any) => void | Promise<void>;
  * Server.on(Server.eventTypes.BLOCK_LEFT_CLICK, (event) => {
  *   console.log(`${event.player.name} left-clicked at ${event.position.x}, ${event.position.y}, ${event.position.z}`);
  * });
+ *
+ * // Cancelable events
+ * Server.on(Server.eventTypes.BLOCK_BREAK, (event) => {
+ *   if (event.block.id === 'minecraft:spawner') event.cancel();
+ * });
+ *
+ * // Protection runs first; logging only sees events that went through
+ * Server.on('blockBreak', (event) => {
+ *   if (isProtected(event.position)) event.cancel();
+ * }, { priority: 'highest' });
+ * Server.on('blockBreak', (event) => logBreak(event), { priority: 'lowest', ignoreCancelled: true });
+ *
+ * // Cleanup before reload (awaited)
+ * Server.on(Server.eventTypes.BEFORE_RELOAD, async () => {
+ *   await saveSessions();
+ * });
  */
 declare namespace Server {
     /** Event type constants for type-safe event registration */
@@ -66,6 +285,23 @@ declare namespace Server {
         PLAYER_LEAVE: "playerLeave";
         BLOCK_LEFT_CLICK: "blockLeftClick";
         BLOCK_RIGHT_CLICK: "blockRightClick";
+        BLOCK_BREAK: "blockBreak";
+        BLOCK_PLACE: "blockPlace";
+        PLAYER_CHAT: "playerChat";
+        PLAYER_DEATH: "playerDeath";
+        PLAYER_RESPAWN: "playerRespawn";
+        PLAYER_CHANGE_DIMENSION: "playerChangeDimension";
+        ENTITY_DEATH: "entityDeath";
+        ENTITY_DAMAGE: "entityDamage";
+        ITEM_USE: "itemUse";
+        ENTITY_INTERACT: "entityInteract";
+        SERVER_STARTED: "serverStarted";
+        SERVER_STOPPING: "serverStopping";
+        WORLD_SAVED: "worldSaved";
+        BEFORE_RELOAD: "beforeReload";
+        AFTER_RELOAD: "afterReload";
+        ZONE_ENTER: "zoneEnter";
+        ZONE_LEAVE: "zoneLeave";
     };
 
     /** Current TPS (ticks per second) */
@@ -84,23 +320,25 @@ declare namespace Server {
      * Register event handler
      * @param event - Event name (use Server.eventTypes for constants)
      * @param handler - Event handler
+     * @param options - Priority and ignoreCancelled
      * @example
      * Server.on(Server.eventTypes.PLAYER_JOIN, (event) => {
      *   console.log(`${event.player.name} joined`);
      * });
      */
-    function on(event: ServerEventType, handler: ServerEventHandler): void;
+    function on(event: ServerEventType, handler: ServerEventHandler, options?: EventOptions): void;
 
     /**
      * Register one-time event handler
      * @param event - Event name (use Server.eventTypes for constants)
      * @param handler - Event handler
+     * @param options - Priority and ignoreCancelled
      * @example
      * Server.once(Server.eventTypes.PLAYER_LEAVE, (event) => {
      *   console.log(`${event.player.name} left (handled once)`);
      * });
      */
-    function once(event: ServerEventType, handler: ServerEventHandler): void;
+    function once(event: ServerEventType, handler: ServerEventHandler, options?: EventOptions): void;
 
     /**
      * Remove event handler
@@ -109,6 +347,51 @@ declare namespace Server {
      */
     function off(event: ServerEventType, handler: ServerEventHandler): void;
 
+    /**
+     * Emit a custom event to other scripts' Server.on(name, ...) handlers.
+     * Handlers are called as `handler(payload, event)` in priority order; errors are logged.
+     * Registrations are removed on reload like built-in event handlers.
+     * @param event - Namespaced event name (e.g., "shop:purchase")
+     * @param payload - Value passed to every handler
+     * @returns Handler return values (promises are not awaited)
+     * @example
+     * Server.on('shop:purchase', (purchase) => grantReward(purchase.player, purchase.item));
+     * Server.emit('shop:purchase', { player: 'Steve', item: 'minecraft:diamond' });
+     */
+    function emit(event: CustomEventType, payload?: any): any[];
+
+    /**
+     * Emit a custom event and wait for async handlers.
+     * Handlers that throw or reject are logged and left out of the results.
+     * @param event - Namespaced event name
+     * @param payload - Value passed to every handler
+     * @returns Promise of the handlers' resolved return values
+     * @example
+     * const votes = await Server.emitAsync('vote:collect', { question: 'Reset the map?' });
+     */
+    function emitAsync(event: CustomEventType, payload?: any): Promise<any[]>;
+
+    /**
+     * Run a handler every tick.
+     * @returns Function that removes the handler
+     */
+    function onTick(handler: (event: TickEvent) => void): () => void;
+
+    /**
+     * Run a handler every N ticks.
+     * Each call is timed; calls slower than 5ms are logged and `/rjs ticks` lists every
+     * handler's average and max cost (synchronous part only for async handlers).
+     * Handlers are removed on reload.
+     * @param every - Interval in ticks (20 = once a second)
+     * @param handler - Called with `{ tick }`
+     * @param options - `phase` offsets the handler so work spreads across ticks
+     * @returns Function that removes the handler
+     * @example
+     * // Check zones once a second, offset from other once-a-second work
+     * Server.onTick(20, ({ tick }) => checkZones(), { phase: 7 });
+     */
+    function onTick(every: number, handler: (event: TickEvent) => void, options?: TickOptions): () => void;
+
     /**
      * Broadcast message to all players
      * @param message - Message text
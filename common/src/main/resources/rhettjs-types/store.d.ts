@@ -2,10 +2,27 @@
 // Version: 0.3.0
 // Last updated: 2026-01-06
 
+/** Change delivered to store watchers */
+export interface StoreChange {
+    namespace: string;
+    key: string;
+    /** New value (null when removed) */
+    value: any | null;
+    /** Previous value (null when newly created) */
+    oldValue: any | null;
+    reason: 'set' | 'delete' | 'clear' | 'expire';
+}
+
+/** Options for NamespacedStore.set() */
+export interface StoreSetOptions {
+    /** Remove the key after this many server ticks (not supported by persistent stores) */
+    ttlTicks?: number;
+}
+
 /** Namespaced store for organizing related data */
 export interface NamespacedStore {
-    /** Store a value */
-    set(key: string, value: any): void;
+    /** Store a value (null or undefined deletes the key); replaces any previous TTL */
+    set(key: string, value: any, options?: StoreSetOptions): void;
     /** Retrieve a value */
     get(key: string): any | null;
     /** Check if key exists */
@@ -20,13 +37,38 @@ export interface NamespacedStore {
     size(): number;
     /** Get all entries as object */
     entries(): Record<string, any>;
+    /**
+     * Atomically replace a value with updater(current); no other write can happen in between.
+     * Returning null or undefined deletes the key. An existing TTL is kept.
+     * @returns The new value
+     */
+    update(key: string, updater: (current: any | null) => any): any | null;
+    /**
+     * Atomically add to a numeric value (missing keys count as 0)
+     * @param by - Amount to add (default: 1)
+     * @returns The new value
+     */
+    increment(key: string, by?: number): number;
+    /** Ticks left before a key expires, or null if it has no TTL */
+    ttl(key: string): number | null;
+    /**
+     * Call handler after a key (or any key with '*') in this namespace changes, from any script.
+     * Watchers are removed on script reload.
+     * @returns Function that removes the watcher
+     */
+    watch(key: string, handler: (change: StoreChange) => void): () => void;
 }
 
 /**
- * Ephemeral key-value store (persists until server restart)
+ * Key-value store.
+ * `namespace()` stores are ephemeral (kept until server restart);
+ * `persistent()` stores are saved with the world.
  * @example
  * const positions = Store.namespace('positions');
  * positions.set('pos1', { x: 100, y: 64, z: 200 });
+ *
+ * const homes = Store.persistent('homes');
+ * homes.set(player.uuid, { x: 0, y: 64, z: 0, dimension: 'minecraft:overworld' });
  */
 declare namespace Store {
     /**
@@ -36,6 +78,16 @@ declare namespace Store {
      */
     function namespace(namespace: string): NamespacedStore;
 
+    /**
+     * Create or get a namespace saved in the world folder (`<world>/rhettjs/store/<namespace>.json`).
+     * Saved on autosave and shutdown, loaded on server start.
+     * Values must be JSON-serializable; reads return a copy (like JSON.parse(JSON.stringify(value))).
+     * Not included in namespaces(), size() or clearAll().
+     * @param namespace - Lowercase letters, digits, '_', '-' and '.'
+     * @returns Namespaced store instance
+     */
+    function persistent(namespace: string): NamespacedStore;
+
     /** Get all namespace names */
     function namespaces(): string[];
 
@@ -2,7 +2,7 @@
 // Version: 0.3.0
 // Last updated: 2026-01-06
 
-import { Position } from './types';
+import { Position, AbortOptions } from './types';
 
 /** Options for structure capture */
 export interface CaptureOptions {
@@ -11,8 +11,8 @@ export interface CaptureOptions {
     dimension?: string;
 }
 
-/** Options for structure placement */
-export interface PlaceOptions {
+/** Options for structure placement (signal stops remaining chunks/pieces and rejects) */
+export interface PlaceOptions extends AbortOptions {
     rotation?: 0 | 90 | 180 | 270;
     centered?: boolean;
     dimension?: string;
@@ -84,6 +84,12 @@ export interface CaptureLargeOptions extends CaptureOptions {
     pieceSize?: { x: number; y: number; z: number }; // Default: 48x48x48
 }
 
+/** Options for large structure placement */
+export interface PlaceLargeOptions extends PlaceOptions {
+    /** Called as each piece is placed (e.g. to update a boss bar) */
+    onProgress?: (placed: number, total: number) => void;
+}
+
 /**
  * StructureNbt API - Handles single .nbt template files
  * Static, deterministic structure placement (exact block-by-block copies)
@@ -268,8 +274,15 @@ declare namespace LargeStructureNbt {
      *   'test:castle',
      *   { rotation: 90, centered: true }
      * );
+     *
+     * // Show progress to the player
+     * const bar = BossBars.create({ title: 'Placing castle', color: 'green', progress: 0, players: [player] });
+     * await LargeStructureNbt.place({ x: 500, y: 60, z: 500 }, 'test:castle', {
+     *   onProgress: (placed, total) => bar.setProgress(placed / total)
+     * });
+     * bar.removeAfter(40);
      */
-    function place(position: Position, name: string, options?: PlaceOptions): Promise<void>;
+    function place(position: Position, name: string, options?: PlaceLargeOptions): Promise<void>;
 
     /**
      * Get large structure size
@@ -0,0 +1,105 @@
+// RhettJS Teams API Type Definitions
+// Version: 0.3.0
+// Last updated: 2026-01-06
+
+import { TextInput } from './items';
+import { ScoreHolder } from './scoreboard';
+
+/** Chat color names as used by /team modify color */
+export type TeamColor =
+    | "black" | "dark_blue" | "dark_green" | "dark_aqua" | "dark_red" | "dark_purple" | "gold" | "gray"
+    | "dark_gray" | "blue" | "green" | "aqua" | "red" | "light_purple" | "yellow" | "white" | "reset";
+
+export type NameTagVisibility = "always" | "never" | "hideForOtherTeams" | "hideForOwnTeam";
+
+export type CollisionRule = "always" | "never" | "pushOtherTeams" | "pushOwnTeam";
+
+/** Team settings; omitted settings are left unchanged */
+export interface TeamOptions {
+    displayName?: TextInput;
+    color?: TeamColor;
+    /** Shown before member names */
+    prefix?: TextInput;
+    /** Shown after member names */
+    suffix?: TextInput;
+    friendlyFire?: boolean;
+    seeFriendlyInvisibles?: boolean;
+    nameTagVisibility?: NameTagVisibility;
+    collision?: CollisionRule;
+}
+
+/** Team snapshot (text as plain strings) */
+export interface TeamInfo {
+    name: string;
+    displayName: string;
+    color: TeamColor;
+    prefix: string;
+    suffix: string;
+    friendlyFire: boolean;
+    seeFriendlyInvisibles: boolean;
+    nameTagVisibility: NameTagVisibility;
+    collision: CollisionRule;
+    /** Member scoreboard names (player names, entity UUIDs) */
+    members: string[];
+}
+
+/**
+ * Teams on the server's scoreboard, the same ones /team uses. Players are members by name
+ * and entities by UUID. Teams are saved with the world by the game.
+ *
+ * @example
+ * import Teams from 'rhettjs/teams';
+ *
+ * Teams.create('red', { color: 'red', prefix: '[Red] ', friendlyFire: false });
+ * Teams.join('red', player);
+ * if (Teams.of(player) === 'red') player.sendMessage('Go red!');
+ */
+declare namespace Teams {
+    /**
+     * Create a team, or update it if it exists (safe to call on every script load)
+     * @param name - Team name (no spaces)
+     */
+    function create(name: string, options?: TeamOptions): TeamInfo;
+
+    /**
+     * Change a team's settings
+     * @returns The updated team, or null if it doesn't exist
+     */
+    function update(name: string, options: TeamOptions): TeamInfo | null;
+
+    /**
+     * Remove a team (members become teamless)
+     * @returns false if it didn't exist
+     */
+    function remove(name: string): boolean;
+
+    /**
+     * Get a team, or null if it doesn't exist
+     */
+    function get(name: string): TeamInfo | null;
+
+    /**
+     * All teams, sorted by name
+     */
+    function list(): TeamInfo[];
+
+    /**
+     * Add members (individually or as arrays), moving them out of their current team.
+     * Throws if the team doesn't exist.
+     * @returns Number of members added
+     */
+    function join(name: string, ...members: Array<ScoreHolder | ScoreHolder[]>): number;
+
+    /**
+     * Remove a member from their team
+     * @returns false if they weren't in a team
+     */
+    function leave(member: ScoreHolder): boolean;
+
+    /**
+     * Name of a member's team, or null
+     */
+    function of(member: ScoreHolder): string | null;
+}
+
+export default Teams;
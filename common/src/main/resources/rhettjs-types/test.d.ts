@@ -0,0 +1,110 @@
+// RhettJS Test API Type Definitions
+// Version: 0.3.0
+// Last updated: 2026-01-06
+
+/** Test or hook body; may return a promise, which is awaited */
+export type TestFn = () => void | Promise<void>;
+
+/** Matchers returned by expect() (Jest naming) */
+export interface Matchers {
+    /** Negate the next matcher */
+    readonly not: Matchers;
+    /** Same value (primitives) or same object (identity) */
+    toBe(expected: any): void;
+    /** Recursive equality of arrays and plain objects */
+    toEqual(expected: any): void;
+    toBeTruthy(): void;
+    toBeFalsy(): void;
+    toBeNull(): void;
+    toBeUndefined(): void;
+    toBeDefined(): void;
+    toBeGreaterThan(expected: number): void;
+    toBeGreaterThanOrEqual(expected: number): void;
+    toBeLessThan(expected: number): void;
+    toBeLessThanOrEqual(expected: number): void;
+    /** Compare numbers to `digits` decimal places (default 2) */
+    toBeCloseTo(expected: number, digits?: number): void;
+    /** Substring of a string, or element (toBe comparison) of an array */
+    toContain(expected: any): void;
+    toHaveLength(expected: number): void;
+    /** Dotted property path, optionally compared with toEqual */
+    toHaveProperty(path: string, value?: any): void;
+    toMatch(expected: string | RegExp): void;
+    /** The function throws (optionally with a message containing/matching `expected`) */
+    toThrow(expected?: string | RegExp): void;
+}
+
+/**
+ * Test runner for files in rjs/tests/, run with /rjs test [pattern].
+ * Results are reported in chat and written to rjs/test-results/rhettjs-tests.xml (JUnit XML).
+ * Test files run on the live server: event handlers, commands, timers and boss bars they
+ * register are removed when the file finishes, but world edits stay.
+ * @example
+ * import { describe, it, expect } from 'rhettjs/test';
+ *
+ * describe('Store', () => {
+ *     it('keeps values', () => {
+ *         const ns = Store.namespace('test');
+ *         ns.set('a', 1);
+ *         expect(ns.get('a')).toBe(1);
+ *     });
+ *
+ *     it('waits for ticks', async () => {
+ *         await wait(5);
+ *     }, 1000);
+ * });
+ */
+declare namespace Test {
+    /**
+     * Group tests. The body runs immediately to collect tests and hooks.
+     * Use `describe.skip` to skip the whole group.
+     */
+    function describe(name: string, body: () => void): void;
+
+    /**
+     * Define a test. Use `it.skip` to skip it.
+     * @param timeoutMs - Timeout for async tests (default 5000ms, counted in server ticks)
+     */
+    function it(name: string, fn: TestFn, timeoutMs?: number): void;
+
+    /** Alias of it() */
+    function test(name: string, fn: TestFn, timeoutMs?: number): void;
+
+    /** Start an assertion */
+    function expect(actual: any): Matchers;
+
+    /** Run once before all tests of the enclosing describe() */
+    function beforeAll(fn: TestFn): void;
+
+    /** Run once after all tests of the enclosing describe() */
+    function afterAll(fn: TestFn): void;
+
+    /** Run before each test of the enclosing describe() (and nested ones) */
+    function beforeEach(fn: TestFn): void;
+
+    /** Run after each test of the enclosing describe(), even if it failed */
+    function afterEach(fn: TestFn): void;
+
+    namespace describe {
+        const skip: typeof Test.describe;
+    }
+
+    namespace it {
+        const skip: typeof Test.it;
+    }
+
+    namespace test {
+        const skip: typeof Test.it;
+    }
+}
+
+export declare const describe: typeof Test.describe;
+export declare const it: typeof Test.it;
+export declare const test: typeof Test.test;
+export declare const expect: typeof Test.expect;
+export declare const beforeAll: typeof Test.beforeAll;
+export declare const afterAll: typeof Test.afterAll;
+export declare const beforeEach: typeof Test.beforeEach;
+export declare const afterEach: typeof Test.afterEach;
+
+export default Test;
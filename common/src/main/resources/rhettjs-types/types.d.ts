@@ -2,6 +2,9 @@
 // Version: 0.3.0
 // Last updated: 2026-01-06
 
+import { NamespacedStore } from './store';
+import { ItemBuilder, TextInput } from './items';
+
 /** Position with optional dimension */
 export interface Position {
     x: number;
@@ -16,20 +19,230 @@ export interface Block {
     properties?: Record<string, string>; // e.g., { facing: "north", half: "bottom" }
 }
 
-/** Player object (wrapped) */
+/** Item stack */
+export interface Item {
+    id: string; // e.g., "minecraft:diamond_sword"
+    count: number;
+    /**
+     * Data components that differ from the item's defaults, in the `/give` JSON form,
+     * e.g. { "minecraft:damage": 12 }. A "!" prefix removes a default component.
+     */
+    components: Record<string, any>;
+}
+
+/** Item accepted when writing slots: an item object, an Items.create() builder or just an id (count 1) */
+export type ItemInput = string | ItemBuilder | { id: string; count?: number; components?: Record<string, any> };
+
+/** Named player inventory slots (same as slots 39, 38, 37, 36 and 40) */
+export type SlotName = "head" | "chest" | "legs" | "feet" | "offhand";
+
+/**
+ * Item slots. Every call reads the current contents.
+ * Item ids without a namespace default to "minecraft:".
+ */
+export interface Inventory {
+    readonly size: number;
+    /** Item in a slot, or null if empty */
+    get(slot: number | SlotName): Item | null;
+    /** Replace a slot's item (null empties it) */
+    set(slot: number | SlotName, item: ItemInput | null): void;
+    /** First slot holding the item, or -1 */
+    find(itemId: string): number;
+    /** Total count of the item across all slots */
+    count(itemId: string): number;
+    /** Remove up to `count` of the item (default: all), returns how many were removed */
+    remove(itemId: string, count?: number): number;
+    /** Empty every slot, returns how many items were removed */
+    clear(): number;
+    /** Non-empty slots */
+    list(): Array<Item & { slot: number }>;
+}
+
+/** Player inventory: slots 0-8 hotbar, 9-35 main, 36-39 armor (feet to head), 40 offhand */
+export interface PlayerInventory extends Inventory {
+    /** 27 ender chest slots */
+    enderChest: Inventory;
+}
+
+/** Options for addEffect() */
+export interface EffectOptions {
+    /** Duration in ticks, -1 for infinite. Default: 600 (30 seconds) */
+    duration?: number;
+    /** Effect level minus one (0-255). Default: 0 */
+    amplifier?: number;
+    /** Beacon-style effect with faint particles. Default: false */
+    ambient?: boolean;
+    /** Show particles. Default: true */
+    particles?: boolean;
+}
+
+/**
+ * Entity object (wrapped). Properties are read live, and the object follows the entity by
+ * UUID across dimension changes and chunk reloads, so it can be kept across ticks.
+ * Once the entity is gone `isValid` is false and actions throw.
+ */
+export interface Entity {
+    /** Session id, changes when the entity reloads. Use `uuid` to identify entities */
+    readonly id: number;
+    readonly uuid: string;
+    readonly type: string; // e.g., "minecraft:zombie"
+    readonly position: Position & { dimension: string };
+    readonly rotation: { yaw: number; pitch: number };
+    /** False once the entity was killed, discarded or unloaded */
+    readonly isValid: boolean;
+    readonly isAlive: boolean;
+    readonly customName: string | null;
+    readonly glowing: boolean;
+    /** Scoreboard tags (as used by /tag) */
+    readonly tags: string[];
+    readonly passengers: Entity[];
+    readonly vehicle: Entity | null;
+
+    /** Full entity NBT as plain objects (same shapes as the NBT API) */
+    getNbt(): Record<string, any>;
+    /**
+     * Merge NBT into the entity like /data merge. Numbers keep the type of the value they
+     * replace and nested objects are merged. The UUID can't be changed; players can't be modified.
+     */
+    setNbt(nbt: Record<string, any>): void;
+    /** Teleport, optionally to another dimension. Rotation defaults to the current one */
+    teleport(position: Position, rotation?: { yaw?: number; pitch?: number }): void;
+    /** Kill with drops and death effects */
+    kill(): void;
+    /** Remove without drops */
+    discard(): void;
+    /** Make another entity (object or UUID) ride this one */
+    addPassenger(entity: Entity | string): void;
+    ejectPassengers(): void;
+    /** @returns false if the entity already had the tag */
+    addTag(tag: string): boolean;
+    /** @returns false if the entity didn't have the tag */
+    removeTag(tag: string): boolean;
+    /** Set or clear (null) the name; `visible` shows it without looking at the entity */
+    setCustomName(name: string | null, visible?: boolean): void;
+    setGlowing(glowing?: boolean): void;
+    /**
+     * Apply a potion effect to a living entity (throws for other entities).
+     * @returns false if the entity is immune or already has a stronger effect
+     */
+    addEffect(effectId: string, options?: EffectOptions): boolean;
+}
+
+/** Active status effect */
+export interface ActiveEffect {
+    id: string; // e.g., "minecraft:speed"
+    /** Remaining ticks, -1 if infinite */
+    duration: number;
+    amplifier: number;
+    ambient: boolean;
+    particles: boolean;
+}
+
+/** Player status effects. Effect ids without a namespace default to "minecraft:" */
+export interface PlayerEffects {
+    /** @returns false if the player is immune or already has a stronger effect */
+    add(effectId: string, options?: EffectOptions): boolean;
+    /** @returns false if the player didn't have the effect */
+    remove(effectId: string): boolean;
+    /** Remove all effects, returns false if there were none */
+    clear(): boolean;
+    has(effectId: string): boolean;
+    get(effectId: string): ActiveEffect | null;
+    list(): ActiveEffect[];
+}
+
+/** How a modifier combines with the base value */
+export type AttributeOperation = "add_value" | "add_multiplied_base" | "add_multiplied_total";
+
+export interface AttributeModifierInfo {
+    id: string; // e.g., "mypack:speed_boost"
+    amount: number;
+    operation: AttributeOperation;
+}
+
+export interface AttributeInfo {
+    id: string; // e.g., "minecraft:generic.max_health"
+    base: number;
+    /** Base value with all modifiers applied */
+    value: number;
+    modifiers: AttributeModifierInfo[];
+}
+
+/**
+ * Player attributes. Vanilla ids may be shortened: "max_health" finds "minecraft:generic.max_health".
+ * Unknown attributes, and attributes players don't have, throw.
+ */
+export interface PlayerAttributes {
+    get(attributeId: string): AttributeInfo;
+    getValue(attributeId: string): number;
+    getBase(attributeId: string): number;
+    setBase(attributeId: string, value: number): void;
+    /**
+     * Add a permanent modifier (saved with the player), replacing one with the same id.
+     * @param operation - Default: "add_value"
+     */
+    addModifier(attributeId: string, modifierId: string, amount: number, operation?: AttributeOperation): void;
+    /** @returns false if the modifier wasn't there */
+    removeModifier(attributeId: string, modifierId: string): boolean;
+}
+
+/** Title timing in ticks (defaults like /title: 10, 70, 20) */
+export interface TitleTimes {
+    fadeIn?: number;
+    stay?: number;
+    fadeOut?: number;
+}
+
+export interface SoundOptions {
+    /** Default: 1. Above 1 the sound carries further */
+    volume?: number;
+    /** 0-2, default: 1 */
+    pitch?: number;
+    /** Where the sound plays from (default: the player) */
+    position?: Position;
+}
+
+/**
+ * Player object (wrapped). Properties are read live and the object keeps working after
+ * the player respawns. Built-in properties are read-only; other keys assigned by scripts
+ * are kept on the object.
+ */
 export interface Player {
-    name: string;
-    uuid: string;
-    isPlayer: boolean; // Always true
-    position: Position;
-    health: number;
-    maxHealth: number;
-    foodLevel: number;
-    saturation: number;
-    gameMode: "survival" | "creative" | "adventure" | "spectator";
-    isOp: boolean;
+    readonly name: string;
+    readonly uuid: string;
+    readonly isPlayer: boolean; // Always true
+    readonly position: Position;
+    readonly health: number;
+    readonly maxHealth: number;
+    readonly foodLevel: number;
+    readonly saturation: number;
+    readonly gameMode: "survival" | "creative" | "adventure" | "spectator";
+    readonly isOp: boolean;
+    /** False once the player has left the server */
+    readonly isOnline: boolean;
+    readonly xpLevel: number;
+    /** Points into the current level */
+    readonly xpPoints: number;
+    readonly totalXp: number;
+    /** Script data saved with the world, keyed by UUID (survives name changes) */
+    data: NamespacedStore;
+    inventory: PlayerInventory;
+    effects: PlayerEffects;
+    attributes: PlayerAttributes;
 
     setHealth(amount: number): void;
+    /** 0-20 */
+    setFoodLevel(level: number): void;
+    /** Clamped to the current food level, like vanilla */
+    setSaturation(amount: number): void;
+    /** @returns false if the player already was in that mode */
+    setGameMode(mode: "survival" | "creative" | "adventure" | "spectator"): boolean;
+    setXpLevel(level: number): void;
+    /** Points into the current level, like /xp set points */
+    setXpPoints(points: number): void;
+    /** Add (or remove, if negative) experience points, leveling up as needed */
+    addXp(points: number): void;
+    addXpLevels(levels: number): void;
     teleport(position: Position): void;
     sendMessage(message: string): void;
     sendSuccess(message: string): void; // Green text
@@ -37,7 +250,41 @@ export interface Player {
     sendWarning(message: string): void; // Yellow text
     sendInfo(message: string): void; // Gray text
     sendRaw(json: string): void; // Raw JSON text component
-    giveItem(itemId: string, count?: number): void;
+    /**
+     * Show a title on screen (pass '' as the title to show only the subtitle)
+     * @example
+     * player.title('Round 2', { text: 'Fight!', color: 'red' }, { fadeIn: 5, stay: 40, fadeOut: 10 });
+     */
+    title(title: TextInput, subtitle?: TextInput | null, times?: TitleTimes): void;
+    /** Show text above the hotbar */
+    actionBar(text: TextInput): void;
+    /**
+     * Play a sound only this player hears. Any id works, including resource pack sounds.
+     * @example
+     * player.playSound('minecraft:entity.experience_orb.pickup', { pitch: 1.5 });
+     */
+    playSound(soundId: string, options?: SoundOptions): void;
+    /** Give an item id or item; `count` overrides the item's count. Items that don't fit are lost */
+    giveItem(item: ItemInput, count?: number): void;
+}
+
+/**
+ * Player who is not online (from World.getPlayer(uuid) or a known name).
+ * Only identity, stored data and the saved inventory are available.
+ */
+export interface OfflinePlayer {
+    /** Last known name, or null if the server never saw this player */
+    name: string | null;
+    uuid: string;
+    isPlayer: boolean; // Always true
+    isOnline: false;
+    /** Same store as the online player's `data` */
+    data: NamespacedStore;
+    /**
+     * Inventory from the saved player data, or null if the player never joined this world.
+     * Changes are written to the player's save file.
+     */
+    inventory: PlayerInventory | null;
 }
 
 /** Command caller (player or console) */
@@ -52,4 +299,21 @@ export interface Caller {
     sendWarning(message: string): void; // Yellow text
     sendInfo(message: string): void; // Gray text
     sendRaw(json: string): void; // Raw JSON text component
-}
\ No newline at end of file
+}
+
+/**
+ * Abort signal accepted by cancellable operations (from `new AbortController().signal`,
+ * `AbortSignal.abort()` or `AbortSignal.timeout(ms)`). The global AbortController/AbortSignal
+ * follow the standard web API shape, so the default DOM typings describe them.
+ */
+export interface AbortSignalLike {
+    readonly aborted: boolean;
+    readonly reason: any;
+    throwIfAborted(): void;
+}
+
+/** Options for operations that can be cancelled */
+export interface AbortOptions {
+    /** Aborting rejects the promise with the signal's reason and stops remaining work */
+    signal?: AbortSignalLike;
+}
@@ -2,7 +2,7 @@
 // Version: 0.3.0
 // Last updated: 2026-01-06
 
-import { Position, Block, Player } from './types';
+import { Position, Block, Player, OfflinePlayer, AbortOptions, Inventory, Entity } from './types';
 
 /**
  * Bounding box for exclusion zones
@@ -13,13 +13,29 @@ export interface BoundingBox {
 }
 
 /**
- * Options for World.fill()
+ * Options for World.fill() (signal stops remaining chunks and rejects)
  */
-export interface FillOptions {
+export interface FillOptions extends AbortOptions {
     /** Array of bounding boxes to exclude from filling */
     exclude?: BoundingBox[];
 }
 
+/**
+ * Options for World.particles()
+ */
+export interface ParticleOptions {
+    /** Number of particles (default: 1). With 0, delta is the motion (or color) of one particle */
+    count?: number;
+    /** Random spread around the position, for all axes or per axis (default: 0) */
+    delta?: number | { x?: number; y?: number; z?: number };
+    /** Particle speed (default: 0) */
+    speed?: number;
+    /** Show up to 512 blocks away instead of 32, even with reduced particle settings */
+    force?: boolean;
+    /** Only show to these players (objects, names or UUIDs); default: everyone in range */
+    players?: Player | string | Array<Player | string>;
+}
+
 /**
  * Dimension height bounds
  */
@@ -84,6 +100,18 @@ declare namespace World {
      */
     function getBlockEntity(position: Position): Promise<Record<string, any> | null>;
 
+    /**
+     * Get the inventory of a container block (chest, barrel, hopper, shulker box, ...).
+     * Double chests show all 54 slots. The inventory reads and writes the block directly
+     * and throws once the block is gone.
+     * @param position - Block position
+     * @returns The inventory, or null if the block has none
+     * @example
+     * const chest = await World.getContainer({ x: 100, y: 64, z: 200 });
+     * if (chest) chest.set(0, Items.create('diamond_sword').enchant('sharpness', 5));
+     */
+    function getContainer(position: Position): Promise<Inventory | null>;
+
     /**
      * Set block at position
      * @param position - Block position
@@ -94,10 +122,11 @@ declare namespace World {
 
     /**
      * Fill region with blocks
+     * Large regions are filled chunk by chunk over several ticks.
      * @param pos1 - First corner
      * @param pos2 - Second corner
      * @param blockId - Block identifier
-     * @param options - Optional fill options (exclusion zones)
+     * @param options - Optional fill options (exclusion zones, abort signal)
      * @returns Number of blocks placed
      * @example
      * // Fill with exclusion zones
@@ -115,30 +144,69 @@ declare namespace World {
     function fill(pos1: Position, pos2: Position, blockId: string, options?: FillOptions): Promise<number>;
 
     /**
-     * Replace blocks in region matching filter
+     * Replace blocks in region matching filter (block properties are ignored when matching)
+     * Large regions are processed chunk by chunk over several ticks.
      * @param pos1 - First corner
      * @param pos2 - Second corner
-     * @param filter - Block ID or predicate to match
+     * @param filter - Block ID or array of block IDs to match ('minecraft:air' fills the empty space)
      * @param replacement - Block ID to replace with
+     * @param options - Optional { signal } to cancel remaining chunks
      * @returns Number of blocks replaced
+     * @example
+     * const controller = new AbortController();
+     * const count = await World.replace(
+     *   { x: 0, y: 0, z: 0 }, { x: 100, y: 100, z: 100 },
+     *   ['minecraft:dirt', 'minecraft:grass_block'], 'minecraft:stone',
+     *   { signal: controller.signal }
+     * );
      */
-    function replace(pos1: Position, pos2: Position, filter: string, replacement: string): Promise<number>;
+    function replace(pos1: Position, pos2: Position, filter: string | string[], replacement: string, options?: AbortOptions): Promise<number>;
 
     /**
-     * Get entities within radius of position
+     * Get entities within radius of position, nearest first.
+     * Only entities in loaded chunks are found; players are included as entities.
      * @param position - Center position
-     * @param radius - Search radius
+     * @param radius - Search radius in blocks
      * @returns Array of entity objects
+     * @example
+     * const nearby = await World.getEntities(player.position, 16);
+     * nearby.filter(e => e.type === 'minecraft:zombie').forEach(e => e.setGlowing(true));
+     */
+    function getEntities(position: Position, radius: number): Promise<Entity[]>;
+
+    /**
+     * Get a loaded entity by UUID, in any dimension.
+     * Store `entity.uuid` to find an entity again later (e.g. after a restart).
+     * @param uuid - Entity UUID
+     * @returns The entity, or null if it doesn't exist or isn't loaded
      */
-    function getEntities(position: Position, radius: number): Promise<any[]>;
+    function getEntity(uuid: string): Promise<Entity | null>;
 
     /**
-     * Spawn entity at position
+     * Spawn entity at position, like /summon. Mobs spawned without NBT get their usual
+     * random equipment and variants.
      * @param position - Spawn position
      * @param entityId - Entity type ID (e.g., "minecraft:zombie")
+     * @param nbt - NBT for the new entity. For "minecraft:item", `Item` is required and also
+     *              accepts an item id, an item object or an Items.create() builder
      * @returns Spawned entity object
+     * @example
+     * const zombie = await World.spawnEntity(pos, 'zombie', { CustomName: '"Bob"', PersistenceRequired: true });
+     * await World.spawnEntity(pos, 'item', { Item: Items.create('diamond').count(3) });
+     */
+    function spawnEntity(position: Position, entityId: string, nbt?: Record<string, any>): Promise<Entity>;
+
+    /**
+     * Show particles at a position, like /particle
+     * @param type - Particle type, with options in /particle syntax for particles that need them
+     * @param position - Where to show them (dimension defaults to the overworld)
+     * @param options - Count, spread, speed and who sees them
+     * @returns Number of players the particles were sent to
+     * @example
+     * await World.particles('minecraft:happy_villager', player.position, { count: 20, delta: 0.5 });
+     * await World.particles('minecraft:dust{color:[1.0,0.0,0.0],scale:1.0}', pos, { count: 5, players: [player] });
      */
-    function spawnEntity(position: Position, entityId: string): Promise<any>;
+    function particles(type: string, position: Position, options?: ParticleOptions): Promise<number>;
 
     /**
      * Get all online players
@@ -147,11 +215,12 @@ declare namespace World {
     function getPlayers(): Promise<Player[]>;
 
     /**
-     * Get player by name or UUID
+     * Get player by name or UUID.
+     * Players who are offline but known to the server resolve to an OfflinePlayer (`isOnline: false`).
      * @param nameOrUuid - Player name or UUID
-     * @returns Player object or null
+     * @returns Player object, offline player or null
      */
-    function getPlayer(nameOrUuid: string): Promise<Player | null>;
+    function getPlayer(nameOrUuid: string): Promise<Player | OfflinePlayer | null>;
 
     /**
      * Get world time
@@ -0,0 +1,83 @@
+// RhettJS Zones API Type Definitions
+// Version: 0.3.0
+// Last updated: 2026-01-06
+
+import { Position } from './types';
+
+/** Block corner of a zone */
+export interface ZoneCorner {
+    x: number;
+    y: number;
+    z: number;
+}
+
+/** Bounds accepted by Zones.define() (corners may be given in any order) */
+export interface ZoneDefinition {
+    min: ZoneCorner;
+    max: ZoneCorner;
+    /** Default: "minecraft:overworld" */
+    dimension?: string;
+}
+
+/** A named box of blocks; min and max are inclusive */
+export interface Zone {
+    name: string;
+    dimension: string;
+    min: ZoneCorner;
+    max: ZoneCorner;
+}
+
+/**
+ * Named zones with enter/leave events.
+ *
+ * Zones are saved with the world and stay defined until removed. Each tick, players are
+ * checked against all zones: Server.on('zoneLeave') then Server.on('zoneEnter') fire when a
+ * player's zones change, with the player's innermost (smallest) zone before and after the
+ * move as `previous` and `next`.
+ *
+ * @example
+ * import Zones from 'rhettjs/zones';
+ * import Server from 'rhettjs/server';
+ *
+ * Zones.define('spawn', { min: { x: -50, y: -64, z: -50 }, max: { x: 50, y: 320, z: 50 } });
+ * Zones.define('shop', { min: { x: 10, y: 60, z: 10 }, max: { x: 20, y: 70, z: 20 } });
+ *
+ * Server.on('zoneEnter', ({ player, zone }) => {
+ *     if (zone.name === 'shop') player.sendMessage('Welcome to the shop!');
+ * });
+ */
+declare namespace Zones {
+    /**
+     * Define or replace a zone
+     * @param name - Letters, digits, '_', '-', '.' and ':'
+     * @param zone - Block corners and dimension
+     * @returns The saved zone (min/max normalized)
+     */
+    function define(name: string, zone: ZoneDefinition): Zone;
+
+    /**
+     * Remove a zone; players inside get zoneLeave on the next tick
+     * @returns true if the zone existed
+     */
+    function remove(name: string): boolean;
+
+    /**
+     * Get a zone by name
+     * @returns The zone or null if not defined
+     */
+    function get(name: string): Zone | null;
+
+    /**
+     * List zones sorted by name
+     * @param dimension - Only zones in this dimension
+     */
+    function list(dimension?: string): Zone[];
+
+    /**
+     * Zones containing a position, innermost (smallest) first
+     * @param position - Dimension defaults to "minecraft:overworld"
+     */
+    function at(position: Position): Zone[];
+}
+
+export default Zones;
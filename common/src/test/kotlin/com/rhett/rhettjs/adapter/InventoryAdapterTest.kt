@@ -0,0 +1,143 @@
+package com.rhett.rhettjs.adapter
+
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.inventory.ItemData
+import com.rhett.rhettjs.inventory.ItemSlots
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Path
+
+/**
+ * Tests for the inventory JS API over in-memory slots.
+ */
+class InventoryAdapterTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    /**
+     * Slots kept in a list, counting writes.
+     */
+    private class ListSlots(override val size: Int) : ItemSlots {
+        val items = MutableList<ItemData?>(size) { null }
+        var writes = 0
+
+        override fun <T> access(write: Boolean, action: (MutableList<ItemData?>) -> T): T {
+            val copy = items.toMutableList()
+            val result = action(copy)
+            if (write) {
+                copy.forEachIndexed { i, item -> items[i] = item }
+                writes++
+            }
+            return result
+        }
+    }
+
+    private lateinit var slots: ListSlots
+    private lateinit var ender: ListSlots
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+
+        slots = ListSlots(41)
+        ender = ListSlots(27)
+        val inventory = InventoryAdapter.toJS(
+            slots,
+            InventoryAdapter.PLAYER_SLOT_NAMES,
+            mapOf("enderChest" to InventoryAdapter.toJS(ender))
+        )
+        GraalEngine.getOrCreateContext().getBindings("js").putMember("inventory", inventory)
+    }
+
+    @Test
+    fun `test set and get items by number and slot name`() {
+        eval("""
+            inventory.set(0, 'stone');
+            inventory.set('head', { id: 'minecraft:diamond_helmet', components: { 'minecraft:damage': 5 } });
+            inventory.set(2, { id: 'bread', count: 16 });
+            inventory.enderChest.set(26, 'ender_pearl');
+        """)
+
+        assertEquals(ItemData("minecraft:stone", 1), slots.items[0])
+        assertEquals(ItemData("minecraft:bread", 16), slots.items[2])
+        assertEquals(mapOf("minecraft:damage" to 5), slots.items[39]?.components)
+        assertEquals("minecraft:ender_pearl", ender.items[26]?.id)
+
+        assertEquals("minecraft:diamond_helmet", eval("inventory.get(39).id").asString())
+        assertEquals(5, eval("inventory.get('head').components['minecraft:damage']").asInt())
+        assertEquals(16, eval("inventory.get(2).count").asInt())
+        assertTrue(eval("inventory.get('offhand')").isNull)
+        assertEquals(41, eval("inventory.size").asInt())
+        assertEquals(27, eval("inventory.enderChest.size").asInt())
+
+        eval("inventory.set(0, null)")
+        assertNull(slots.items[0])
+    }
+
+    @Test
+    fun `test find count and list`() {
+        slots.items[3] = ItemData("minecraft:arrow", 20)
+        slots.items[7] = ItemData("minecraft:arrow", 64)
+        slots.items[40] = ItemData("minecraft:shield", 1)
+
+        assertEquals(3, eval("inventory.find('arrow')").asInt())
+        assertEquals(-1, eval("inventory.find('minecraft:bow')").asInt())
+        assertEquals(84, eval("inventory.count('minecraft:arrow')").asInt())
+        assertEquals("3,7,40", eval("inventory.list().map(i => i.slot).join(',')").asString())
+        assertEquals("minecraft:shield", eval("inventory.list()[2].id").asString())
+        assertEquals(0, slots.writes, "Reads don't write")
+    }
+
+    @Test
+    fun `test remove takes from the first slots and clear empties everything`() {
+        slots.items[0] = ItemData("minecraft:arrow", 10)
+        slots.items[1] = ItemData("minecraft:arrow", 10)
+        slots.items[2] = ItemData("minecraft:stone", 5)
+
+        assertEquals(15, eval("inventory.remove('arrow', 15)").asInt())
+        assertNull(slots.items[0])
+        assertEquals(5, slots.items[1]?.count)
+
+        assertEquals(5, eval("inventory.remove('arrow')").asInt())
+        assertEquals(0, eval("inventory.remove('arrow')").asInt())
+
+        assertEquals(5, eval("inventory.clear()").asInt())
+        assertTrue(slots.items.all { it == null })
+    }
+
+    @Test
+    fun `test invalid arguments are rejected`() {
+        eval("""
+            globalThis.errors = [];
+            try { inventory.get(41); } catch (e) { errors.push('range'); }
+            try { inventory.get('hat'); } catch (e) { errors.push('name'); }
+            try { inventory.enderChest.get('head'); } catch (e) { errors.push('ender-name'); }
+            try { inventory.set(0, { count: 2 }); } catch (e) { errors.push('id'); }
+            try { inventory.set(0, { id: 'stone', count: 0 }); } catch (e) { errors.push('count'); }
+            try { inventory.set(0, { id: 'stone', count: 100 }); } catch (e) { errors.push('max-count'); }
+            try { inventory.set(0, { id: 'stone', components: [] }); } catch (e) { errors.push('components'); }
+            try { inventory.count(); } catch (e) { errors.push('count-id'); }
+        """)
+
+        assertEquals("range,name,ender-name,id,count,max-count,components,count-id", eval("errors.join(',')").asString())
+        assertTrue(slots.items.all { it == null })
+    }
+
+    @Test
+    fun `test item counts are limited to the largest stack size`() {
+        assertEquals(ItemData.MAX_COUNT, ItemData("minecraft:stone", ItemData.MAX_COUNT).count)
+        assertThrows(IllegalArgumentException::class.java) { ItemData("minecraft:stone", 0) }
+        assertThrows(IllegalArgumentException::class.java) { ItemData("minecraft:stone", 100) }
+        assertThrows(IllegalArgumentException::class.java) { ItemData("minecraft:stone", 1).copy(count = 1000) }
+    }
+
+    private fun eval(code: String) = GraalEngine.getOrCreateContext().eval("js", code)
+}
@@ -0,0 +1,229 @@
+package com.rhett.rhettjs.api
+
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import com.google.gson.JsonParser
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Tests for Store.persistent(): JSON conversion, save/load round trips and file handling.
+ */
+class PersistentStoreTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var worldDir: Path
+    private lateinit var storeDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+        worldDir = tempDir.resolve("world")
+        storeDir = worldDir.resolve("rhettjs/store")
+        PersistentStore.load(worldDir)
+    }
+
+    @AfterEach
+    fun cleanup() {
+        PersistentStore.unload()
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test values survive flush and reload`() {
+        execute("""
+            const homes = Store.persistent('homes');
+            homes.set('steve', { x: 1, y: 64, z: -3, dimension: 'minecraft:overworld', tags: ['base'] });
+            homes.set('count', 3);
+        """)
+
+        assertEquals(1, PersistentStore.flush())
+        PersistentStore.unload()
+        GraalEngine.reset()
+        PersistentStore.load(worldDir)
+
+        execute("""
+            const homes = Store.persistent('homes');
+            globalThis.home = homes.get('steve');
+            globalThis.count = homes.get('count');
+            globalThis.keys = homes.keys().slice().sort().join(',');
+        """)
+        assertEquals(-3, jsValue("home.z").asInt())
+        assertEquals("base", jsValue("home.tags[0]").asString())
+        assertEquals(3, jsValue("count").asInt())
+        assertEquals("count,steve", jsValue("keys").asString())
+    }
+
+    @Test
+    fun `test file is plain JSON and written atomically`() {
+        execute("""
+            Store.persistent('warps').set('spawn', { x: 0, y: 70, z: 0 });
+        """)
+
+        PersistentStore.flush()
+
+        val file = storeDir.resolve("warps.json")
+        val json = JsonParser.parseString(Files.readString(file)).asJsonObject
+        assertEquals(70, json.getAsJsonObject("spawn").get("y").asInt)
+        assertFalse(Files.exists(storeDir.resolve("warps.json.tmp")), "Temp file should be moved into place")
+    }
+
+    @Test
+    fun `test only changed namespaces are written`() {
+        execute("""
+            Store.persistent('a').set('k', 1);
+            Store.persistent('b').set('k', 2);
+        """)
+        assertEquals(2, PersistentStore.flush())
+        assertEquals(0, PersistentStore.flush(), "Nothing changed since last flush")
+
+        execute("Store.persistent('b').set('k', 3);")
+        assertEquals(1, PersistentStore.flush())
+    }
+
+    @Test
+    fun `test reads return copies`() {
+        execute("""
+            const ns = Store.persistent('copies');
+            const value = { list: [1, 2] };
+            ns.set('v', value);
+            value.list.push(3);
+            ns.get('v').list.push(4);
+            globalThis.length = ns.get('v').list.length;
+        """)
+
+        assertEquals(2, jsValue("length").asInt())
+    }
+
+    @Test
+    fun `test non-JSON values are rejected`() {
+        execute("""
+            const ns = Store.persistent('bad');
+            globalThis.errors = [];
+            try { ns.set('fn', () => 1); } catch (e) { errors.push('fn'); }
+            const cyclic = {}; cyclic.self = cyclic;
+            try { ns.set('cyclic', cyclic); } catch (e) { errors.push('cyclic'); }
+            globalThis.size = ns.size();
+        """)
+
+        assertEquals("fn,cyclic", jsValue("errors.join(',')").asString())
+        assertEquals(0, jsValue("size").asInt())
+    }
+
+    @Test
+    fun `test setting undefined deletes the key`() {
+        execute("""
+            const ns = Store.persistent('undef');
+            ns.set('a', 1);
+            ns.set('b', 2);
+            ns.set('a', undefined);
+            ns.set('b', null);
+            globalThis.size = ns.size();
+        """)
+
+        assertEquals(0, jsValue("size").asInt())
+        assertFalse(PersistentStore.namespace("undef").has("a"))
+    }
+
+    @Test
+    fun `test invalid namespace names are rejected`() {
+        assertThrows(IllegalArgumentException::class.java) { PersistentStore.namespace("../escape") }
+        assertThrows(IllegalArgumentException::class.java) { PersistentStore.namespace("my:ns") }
+        assertThrows(IllegalArgumentException::class.java) { PersistentStore.namespace("") }
+    }
+
+    @Test
+    fun `test clearing a namespace removes its file`() {
+        execute("Store.persistent('temp').set('k', true);")
+        PersistentStore.flush()
+        assertTrue(Files.exists(storeDir.resolve("temp.json")))
+
+        execute("Store.persistent('temp').clear();")
+        PersistentStore.flush()
+        assertFalse(Files.exists(storeDir.resolve("temp.json")))
+    }
+
+    @Test
+    fun `test writes before load are kept and disk values win`() {
+        Files.createDirectories(storeDir)
+        Files.writeString(storeDir.resolve("early.json"), """{ "saved": "disk" }""")
+        PersistentStore.unload()
+
+        // Server scripts run at mod init, before the world is known
+        execute("""
+            const early = Store.persistent('early');
+            early.set('saved', 'memory');
+            early.set('fresh', 'memory');
+        """)
+        assertEquals(0, PersistentStore.flush(), "No world loaded yet")
+
+        PersistentStore.load(worldDir)
+
+        val store = PersistentStore.namespace("early")
+        assertEquals("\"disk\"", store.get("saved"))
+        assertEquals("\"memory\"", store.get("fresh"))
+        assertEquals(1, PersistentStore.flush())
+    }
+
+    @Test
+    fun `test corrupt file is moved aside`() {
+        PersistentStore.unload()
+        Files.createDirectories(storeDir)
+        Files.writeString(storeDir.resolve("broken.json"), "{ not json")
+
+        PersistentStore.load(worldDir)
+
+        assertFalse(Files.exists(storeDir.resolve("broken.json")))
+        assertTrue(Files.exists(storeDir.resolve("broken.json.corrupt")))
+        assertEquals(0, PersistentStore.namespace("broken").size())
+    }
+
+    @Test
+    fun `test persistent namespaces are separate from ephemeral ones`() {
+        execute("""
+            Store.namespace('shared').set('k', 'ephemeral');
+            Store.persistent('shared').set('k', 'persistent');
+            globalThis.ephemeral = Store.namespace('shared').get('k');
+            Store.clearAll();
+            globalThis.persistent = Store.persistent('shared').get('k');
+        """)
+
+        assertEquals("ephemeral", jsValue("ephemeral").asString())
+        assertEquals("persistent", jsValue("persistent").asString())
+    }
+
+    private fun execute(code: String) {
+        val script = ScriptInfo(
+            name = "test-persistent-store.js",
+            path = createTempScript("import Store from 'rhettjs/store';\n$code"),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
@@ -0,0 +1,125 @@
+package com.rhett.rhettjs.api
+
+import com.rhett.rhettjs.harness.ScriptHarness
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+import java.util.UUID
+
+/**
+ * Tests for `player.data`: per-UUID persistent data on online and offline player objects.
+ */
+class PlayerDataTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var harness: ScriptHarness
+
+    @BeforeEach
+    fun setup() {
+        harness = ScriptHarness(tempDir)
+        harness.writeScript("server/homes.js", """
+            import Commands from 'rhettjs/commands';
+
+            Commands.register('sethome')
+                .argument('name', 'string')
+                .executes(({ caller, args }) => {
+                    const homes = caller.data.get('homes') || {};
+                    const { x, y, z, dimension } = caller.position;
+                    homes[args.name] = { x, y, z, dimension };
+                    caller.data.set('homes', homes);
+                    caller.sendSuccess('Home set: ' + args.name);
+                });
+        """)
+        harness.loadScripts()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        harness.close()
+    }
+
+    @Test
+    fun `test data is saved per player UUID`() {
+        val steve = harness.world.addPlayer("Steve", x = 5.0, y = 70.0, z = -2.0)
+        harness.world.addPlayer("Alex")
+
+        harness.command("/sethome base", steve)
+        PersistentStore.flush()
+
+        val file = harness.worldDir.resolve("rhettjs/store/players/${steve.uuid}.json")
+        assertTrue(Files.exists(file), "Player data should be written to players/<uuid>.json")
+        assertTrue(Files.readString(file).contains("\"base\""))
+        assertFalse(PersistentStore.namespaces().any { it.startsWith("players/") }, "Player data is not a script namespace")
+        assertEquals(0, PersistentStore.playerData(UUID.fromString(harness.world.findPlayer("Alex")!!.uuid)).size())
+    }
+
+    @Test
+    fun `test data survives restart`() {
+        val steve = harness.world.addPlayer("Steve", x = 5.0, y = 70.0, z = -2.0)
+        harness.command("/sethome base", steve)
+        harness.close()
+
+        harness = ScriptHarness(tempDir)
+        harness.writeScript("scripts/read.js", """
+            import World from 'rhettjs/world';
+
+            globalThis.result = {};
+            World.getPlayer('${steve.uuid}').then(p => { result.x = p.data.get('homes').base.x; });
+        """)
+        harness.world.addPlayer("Steve")
+        harness.run("scripts/read.js")
+
+        assertEquals(5, harness.eval("result.x").asInt())
+    }
+
+    @Test
+    fun `test offline players expose data`() {
+        val steve = harness.world.addPlayer("Steve")
+        harness.command("/sethome base", steve)
+        harness.world.removePlayer(steve)
+
+        harness.writeScript("scripts/offline.js", """
+            import World from 'rhettjs/world';
+
+            globalThis.result = {};
+            (async () => {
+                const byUuid = await World.getPlayer('${steve.uuid}');
+                result.online = byUuid.isOnline;
+                result.name = byUuid.name;
+                result.hasHome = byUuid.data.has('homes');
+                byUuid.data.set('visits', 1);
+
+                const byName = await World.getPlayer('Steve');
+                result.byName = byName.uuid;
+            })();
+        """)
+        harness.run("scripts/offline.js")
+
+        assertFalse(harness.eval("result.online").asBoolean())
+        assertEquals("Steve", harness.eval("result.name").asString())
+        assertTrue(harness.eval("result.hasHome").asBoolean())
+        assertEquals(steve.uuid, harness.eval("result.byName").asString())
+        assertEquals("1", PersistentStore.playerData(UUID.fromString(steve.uuid)).get("visits"))
+    }
+
+    @Test
+    fun `test unknown players resolve to null`() {
+        harness.writeScript("scripts/unknown.js", """
+            import World from 'rhettjs/world';
+
+            globalThis.result = {};
+            World.getPlayer('${UUID.randomUUID()}').then(p => { result.uuid = p; });
+            World.getPlayer('Nobody').then(p => { result.name = p; });
+        """)
+        harness.run("scripts/unknown.js")
+
+        assertTrue(harness.eval("result.uuid === null").asBoolean())
+        assertTrue(harness.eval("result.name === null").asBoolean())
+    }
+}
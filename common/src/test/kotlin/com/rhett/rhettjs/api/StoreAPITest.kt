@@ -0,0 +1,283 @@
+package com.rhett.rhettjs.api
+
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.HotReloadManager
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptRegistry
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Tests for store watchers, TTL expiry and the atomic update/increment helpers.
+ * Expiry is driven by calling StoreAPI.tick() manually.
+ */
+class StoreAPITest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+        StoreAPI.clearAll()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        StoreAPI.clearAll()
+        StoreAPI.clearWatchers()
+        PersistentStore.unload()
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test watch receives changes for a key`() {
+        execute("""
+            const ns = Store.namespace('watch-key');
+            globalThis.seen = [];
+            ns.watch('a', (c) => seen.push(c.key + ':' + c.reason + ':' + c.value + ':' + c.oldValue));
+            ns.set('a', 1);
+            ns.set('b', 2);
+            ns.set('a', 3);
+            ns.delete('a');
+        """)
+
+        assertEquals("a:set:1:null,a:set:3:1,a:delete:null:3", jsString("seen.join(',')"))
+    }
+
+    @Test
+    fun `test wildcard watch sees changes from other scripts`() {
+        execute("""
+            globalThis.keys = [];
+            Store.namespace('shared').watch('*', (c) => keys.push(c.key));
+        """)
+        execute("""
+            const ns = Store.namespace('shared');
+            ns.set('x', 1);
+            ns.set('y', 2);
+            ns.clear();
+            Store.namespace('other').set('z', 3);
+        """, name = "writer.js")
+
+        assertEquals("x,y,x,y", jsString("keys.slice(0, 2).concat(keys.slice(2).sort()).join(',')"))
+    }
+
+    @Test
+    fun `test unwatch stops notifications`() {
+        execute("""
+            const ns = Store.namespace('unwatch');
+            globalThis.count = 0;
+            const stop = ns.watch('k', () => count++);
+            ns.set('k', 1);
+            stop();
+            ns.set('k', 2);
+        """)
+
+        assertEquals(1, jsNumber("count"))
+    }
+
+    @Test
+    fun `test failing watcher does not break the write`() {
+        execute("""
+            const ns = Store.namespace('failing');
+            globalThis.after = false;
+            ns.watch('k', () => { throw new Error('watcher failed'); });
+            ns.watch('k', () => { after = true; });
+            ns.set('k', 1);
+            globalThis.value = ns.get('k');
+        """)
+
+        assertEquals(1, jsNumber("value"))
+        assertTrue(jsValue("after").asBoolean())
+    }
+
+    @Test
+    fun `test ttl keys expire on tick and notify watchers`() {
+        execute("""
+            const ns = Store.namespace('cooldowns');
+            globalThis.expired = [];
+            ns.watch('*', (c) => { if (c.reason === 'expire') expired.push(c.key + '=' + c.oldValue); });
+            ns.set('steve', 'on', { ttlTicks: 3 });
+            ns.set('alex', 'on');
+        """)
+        val cooldowns = StoreAPI.namespace("cooldowns")
+        assertEquals(3L, cooldowns.ttl("steve"))
+        assertNull(cooldowns.ttl("alex"))
+
+        repeat(2) { StoreAPI.tick() }
+        assertTrue(cooldowns.has("steve"))
+        assertEquals(1L, cooldowns.ttl("steve"))
+
+        StoreAPI.tick()
+        assertFalse(cooldowns.has("steve"))
+        assertTrue(cooldowns.has("alex"))
+        assertEquals("steve=on", jsString("expired.join(',')"))
+    }
+
+    @Test
+    fun `test set without ttl clears an existing ttl`() {
+        execute("""
+            const ns = Store.namespace('ttl-reset');
+            ns.set('k', 1, { ttlTicks: 1 });
+            ns.set('k', 2);
+        """)
+
+        StoreAPI.tick()
+        assertTrue(StoreAPI.namespace("ttl-reset").has("k"))
+    }
+
+    @Test
+    fun `test invalid ttl is rejected`() {
+        assertThrows(IllegalArgumentException::class.java) {
+            StoreAPI.namespace("bad-ttl").set("k", 1, ttlTicks = 0)
+        }
+        assertThrows(IllegalArgumentException::class.java) {
+            PersistentStore.namespace("bad-ttl").set("k", "1", ttlTicks = 10)
+        }
+    }
+
+    @Test
+    fun `test update replaces value and deletes on undefined`() {
+        execute("""
+            const ns = Store.namespace('update');
+            globalThis.first = ns.update('list', (cur) => (cur || []).concat('a'));
+            globalThis.second = ns.update('list', (cur) => cur.concat('b'));
+            ns.update('list', () => undefined);
+            globalThis.exists = ns.has('list');
+        """)
+
+        assertEquals("a", jsString("first.join(',')"))
+        assertEquals("a,b", jsString("second.join(',')"))
+        assertFalse(jsValue("exists").asBoolean())
+    }
+
+    @Test
+    fun `test update keeps ttl`() {
+        execute("""
+            const ns = Store.namespace('update-ttl');
+            ns.set('k', 1, { ttlTicks: 5 });
+            ns.update('k', (v) => v + 1);
+        """)
+
+        assertEquals(5L, StoreAPI.namespace("update-ttl").ttl("k"))
+    }
+
+    @Test
+    fun `test increment counts from zero and rejects non-numbers`() {
+        execute("""
+            const ns = Store.namespace('counters');
+            ns.increment('kills');
+            ns.increment('kills');
+            globalThis.total = ns.increment('kills', 5);
+            ns.set('name', 'steve');
+            try { ns.increment('name'); globalThis.error = null; } catch (e) { globalThis.error = 'rejected'; }
+        """)
+
+        assertEquals(7, jsNumber("total"))
+        assertEquals("rejected", jsString("error"))
+    }
+
+    @Test
+    fun `test increment on persistent store keeps JSON numbers`() {
+        execute("""
+            const ns = Store.persistent('counters');
+            ns.increment('visits');
+            globalThis.visits = ns.increment('visits', 2);
+            globalThis.type = typeof ns.get('visits');
+        """)
+
+        assertEquals(3, jsNumber("visits"))
+        assertEquals("number", jsString("type"))
+        assertEquals("3", PersistentStore.namespace("counters").get("visits"))
+    }
+
+    @Test
+    fun `test watchers are cleared on reset`() {
+        execute("""
+            Store.namespace('reset').watch('k', () => { throw new Error('stale watcher'); });
+        """)
+
+        GraalEngine.reset()
+
+        // Would log an error from a closed context if the watcher survived
+        StoreAPI.namespace("reset").set("k", 1)
+        assertEquals(1, StoreAPI.namespace("reset").get("k"))
+    }
+
+    @Test
+    fun `test setting undefined deletes the key`() {
+        execute("""
+            const ns = Store.namespace('undef');
+            ns.set('a', 1);
+            ns.set('b', 2);
+            ns.set('a', undefined);
+            ns.set('b', null);
+            globalThis.size = ns.size();
+        """)
+
+        assertEquals(0, jsNumber("size"))
+        assertFalse(StoreAPI.namespace("undef").has("a"))
+    }
+
+    @Test
+    fun `test hot reloading a script replaces its watchers`() {
+        val baseDir = tempDir.resolve("rjs")
+        val file = baseDir.resolve("server/watcher.js")
+        Files.createDirectories(file.parent)
+        fun writeVersion(version: String) = Files.writeString(file, """
+            import Store from 'rhettjs/store';
+            globalThis.fired = [];
+            Store.namespace('reloaded').watch('k', () => fired.push('$version'));
+        """.trimIndent())
+
+        writeVersion("v1")
+        GraalEngine.setScriptsDirectory(baseDir)
+        ScriptRegistry.scan(baseDir)
+        val result = GraalEngine.executeScript(ScriptRegistry.getScripts(ScriptCategory.SERVER).single())
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+
+        writeVersion("v2")
+        val reload = HotReloadManager.reloadChanged(baseDir, setOf(file.toAbsolutePath().normalize()))
+        assertEquals(listOf("server/watcher"), reload.reloaded)
+
+        StoreAPI.namespace("reloaded").set("k", 1)
+        assertEquals("v2", jsString("fired.join(',')"), "Only the reloaded script's watcher should fire")
+    }
+
+    private fun execute(code: String, name: String = "test-store.js") {
+        val script = ScriptInfo(
+            name = name,
+            path = createTempScript("import Store from 'rhettjs/store';\n$code"),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun jsNumber(expression: String): Int = jsValue(expression).asInt()
+
+    private fun jsString(expression: String): String = jsValue(expression).asString()
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
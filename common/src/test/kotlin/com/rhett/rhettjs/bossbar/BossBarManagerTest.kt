@@ -0,0 +1,148 @@
+package com.rhett.rhettjs.bossbar
+
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import net.minecraft.network.chat.Component
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Tests for boss bar state, cleanup and the BossBars JS API (without players).
+ */
+class BossBarManagerTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        BossBarManager.removeAll()
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test bars are created and updated through the API`() {
+        execute("""
+            const bar = BossBars.create({ title: 'Placing', color: 'green', style: 'notched_10', progress: 0 });
+            bar.setProgress(0.25);
+            globalThis.quarter = bar.get();
+            bar.setProgress(1.5);
+            bar.setTitle('Done');
+            bar.setColor('yellow');
+            bar.setVisible(false);
+            globalThis.result = {
+                bar: bar.get(),
+                same: BossBars.get(bar.id).get().title,
+                listed: BossBars.list().length,
+                offline: bar.addPlayer('Steve')
+            };
+            globalThis.removed = [bar.remove(), bar.remove()];
+            globalThis.afterRemove = { get: bar.get(), lookup: BossBars.get(bar.id), unknown: BossBars.get('nope') };
+        """)
+
+        assertEquals(0.25, jsValue("quarter.progress").asDouble(), 0.0001)
+        assertEquals("Placing", jsValue("quarter.title").asString())
+        assertEquals("notched_10", jsValue("quarter.style").asString())
+        assertEquals(1.0, jsValue("result.bar.progress").asDouble(), 0.0001, "Progress is clamped")
+        assertEquals("Done", jsValue("result.bar.title").asString())
+        assertEquals("yellow", jsValue("result.bar.color").asString())
+        assertFalse(jsValue("result.bar.visible").asBoolean())
+        assertEquals(0L, jsValue("result.bar.players.length").asLong())
+        assertEquals("Done", jsValue("result.same").asString())
+        assertEquals(1, jsValue("result.listed").asInt())
+        assertFalse(jsValue("result.offline").asBoolean(), "No server, so no online players")
+        assertEquals("true,false", jsValue("removed.join(',')").asString())
+        assertTrue(jsValue("afterRemove.get").isNull)
+        assertTrue(jsValue("afterRemove.lookup").isNull)
+        assertTrue(jsValue("afterRemove.unknown").isNull)
+        assertTrue(BossBarManager.bars().isEmpty())
+    }
+
+    @Test
+    fun `test invalid options and removed bars throw`() {
+        execute("""
+            globalThis.errors = [];
+            try { BossBars.create({ color: 'orange' }); } catch (e) { errors.push('color'); }
+            try { BossBars.create({ style: 'notched_7' }); } catch (e) { errors.push('style'); }
+            try { BossBars.create('title'); } catch (e) { errors.push('options'); }
+            const bar = BossBars.create();
+            try { bar.setProgress('half'); } catch (e) { errors.push('progress'); }
+            bar.remove();
+            try { bar.setTitle('late'); } catch (e) { errors.push('removed'); }
+            globalThis.defaults = BossBars.create().get();
+        """)
+
+        assertEquals("color,style,options,progress,removed", jsValue("errors.join(',')").asString())
+        assertEquals("white", jsValue("defaults.color").asString())
+        assertEquals("progress", jsValue("defaults.style").asString())
+        assertEquals(1.0, jsValue("defaults.progress").asDouble(), 0.0001)
+        assertEquals(1, BossBarManager.bars().size, "Failed creations leave nothing behind")
+    }
+
+    @Test
+    fun `test bars are removed after the requested ticks`() {
+        execute("""
+            globalThis.soon = BossBars.create({ removeAfter: 2 });
+            globalThis.later = BossBars.create();
+            later.removeAfter(1);
+            later.removeAfter(5);
+        """)
+
+        repeat(2) { AsyncScheduler.tick() }
+        assertTrue(jsValue("soon.get()").isNull)
+        assertFalse(jsValue("later.get()").isNull, "The second removeAfter replaces the first")
+
+        repeat(3) { AsyncScheduler.tick() }
+        assertTrue(jsValue("later.get()").isNull)
+    }
+
+    @Test
+    fun `test reload removes script bars`() {
+        BossBarManager.create(Component.literal("a"), "red", "progress", 1f, "a.js")
+        val kept = BossBarManager.create(Component.literal("b"), "blue", "progress", 1f, "b.js")
+
+        assertEquals(1, BossBarManager.removeOwnedBy("a.js"))
+        assertEquals(listOf(kept), BossBarManager.bars().map { it.id })
+
+        GraalEngine.reset()
+        assertTrue(BossBarManager.bars().isEmpty())
+    }
+
+    private fun execute(code: String) {
+        val script = ScriptInfo(
+            name = "test-bossbars.js",
+            path = createTempScript("import BossBars from 'rhettjs/bossbars';\n$code"),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-bossbar-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
@@ -105,6 +105,21 @@ class ConfigManagerTest {
         assertFalse(ConfigManager.isDebugEnabled(), "Should return false when debug disabled")
     }
 
+    @Test
+    fun `test hot_reload is opt-in`() {
+        assertFalse(ConfigManager.isHotReloadEnabled(), "Hot reload should be disabled by default")
+
+        // Configs written before hot_reload existed keep the default
+        val configFile = tempDir.resolve("rhettjs.json5")
+        configFile.writeText("""{"enabled": true, "debug_logging": true, "debug_run_ingame_testing": false}""")
+        ConfigManager.load()
+        assertFalse(ConfigManager.isHotReloadEnabled(), "Missing hot_reload should default to false")
+
+        configFile.writeText("""{"enabled": true, "debug_logging": true, "debug_run_ingame_testing": false, "hot_reload": true}""")
+        ConfigManager.load()
+        assertTrue(ConfigManager.isHotReloadEnabled(), "Should load hot_reload=true")
+    }
+
     @Test
     fun `test debug method does not throw`() {
         assertDoesNotThrow {
@@ -133,6 +133,7 @@ class FilesystemInitializerTest {
         assertTrue(directories.contains("data"), "Should include data directory")
         assertTrue(directories.contains("assets"), "Should include assets directory")
         assertTrue(directories.contains("client"), "Should include client directory")
+        assertTrue(directories.contains("tests"), "Should include tests directory")
     }
 
     @Test
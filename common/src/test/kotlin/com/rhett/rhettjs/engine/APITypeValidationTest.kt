@@ -57,6 +57,14 @@ class APITypeValidationTest {
             "NBT" -> "nbt.d.ts"
             "Runtime" -> "runtime.d.ts"
             "Script" -> "script.d.ts"
+            "Test" -> "test.d.ts"
+            "Dimensions" -> "dimensions.d.ts"
+            "Zones" -> "zones.d.ts"
+            "Regions" -> "regions.d.ts"
+            "Items" -> "items.d.ts"
+            "Scoreboard" -> "scoreboard.d.ts"
+            "Teams" -> "teams.d.ts"
+            "BossBars" -> "bossbars.d.ts"
             else -> throw IllegalArgumentException("Unknown API: $apiName")
         }
 
@@ -123,7 +131,7 @@ class APITypeValidationTest {
         val builtinName = when (apiName) {
             "Runtime" -> "Runtime"
             "Console" -> "console"  // Special case: lowercase
-            "StructureNbt", "LargeStructureNbt", "WorldgenStructure", "World", "Commands", "Server", "Store", "NBT", "Script" -> "__builtin_$apiName"
+            "StructureNbt", "LargeStructureNbt", "WorldgenStructure", "World", "Commands", "Server", "Store", "NBT", "Script", "Dimensions", "Test", "Zones", "Regions", "Items", "Scoreboard", "Teams", "BossBars" -> "__builtin_$apiName"
             else -> throw IllegalArgumentException("Unknown API: $apiName")
         }
 
@@ -355,6 +363,182 @@ class APITypeValidationTest {
         )
     }
 
+    @Test
+    fun `Dimensions API matches type definitions`() {
+        val expected = parseTypeDefinitions("Dimensions")
+        val actual = getRuntimeMethods("Dimensions")
+
+        assertEquals(
+            expected,
+            actual,
+            """
+            Dimensions API methods don't match dimensions.d.ts!
+
+            Expected (from .d.ts): $expected
+            Actual (from runtime): $actual
+
+            Missing from runtime: ${expected - actual.toSet()}
+            Missing from .d.ts: ${actual - expected.toSet()}
+
+            Action: Update common/src/main/resources/rhettjs-types/dimensions.d.ts
+            """.trimIndent()
+        )
+    }
+
+    @Test
+    fun `Zones API matches type definitions`() {
+        val expected = parseTypeDefinitions("Zones")
+        val actual = getRuntimeMethods("Zones")
+
+        assertEquals(
+            expected,
+            actual,
+            """
+            Zones API methods don't match zones.d.ts!
+
+            Expected (from .d.ts): $expected
+            Actual (from runtime): $actual
+
+            Missing from runtime: ${expected - actual.toSet()}
+            Missing from .d.ts: ${actual - expected.toSet()}
+
+            Action: Update common/src/main/resources/rhettjs-types/zones.d.ts
+            """.trimIndent()
+        )
+    }
+
+    @Test
+    fun `Regions API matches type definitions`() {
+        val expected = parseTypeDefinitions("Regions")
+        val actual = getRuntimeMethods("Regions")
+
+        assertEquals(
+            expected,
+            actual,
+            """
+            Regions API methods don't match regions.d.ts!
+
+            Expected (from .d.ts): $expected
+            Actual (from runtime): $actual
+
+            Missing from runtime: ${expected - actual.toSet()}
+            Missing from .d.ts: ${actual - expected.toSet()}
+
+            Action: Update common/src/main/resources/rhettjs-types/regions.d.ts
+            """.trimIndent()
+        )
+    }
+
+    @Test
+    fun `Items API matches type definitions`() {
+        val expected = parseTypeDefinitions("Items")
+        val actual = getRuntimeMethods("Items")
+
+        assertEquals(
+            expected,
+            actual,
+            """
+            Items API methods don't match items.d.ts!
+
+            Expected (from .d.ts): $expected
+            Actual (from runtime): $actual
+
+            Missing from runtime: ${expected - actual.toSet()}
+            Missing from .d.ts: ${actual - expected.toSet()}
+
+            Action: Update common/src/main/resources/rhettjs-types/items.d.ts
+            """.trimIndent()
+        )
+    }
+
+    @Test
+    fun `Scoreboard API matches type definitions`() {
+        val expected = parseTypeDefinitions("Scoreboard")
+        val actual = getRuntimeMethods("Scoreboard")
+
+        assertEquals(
+            expected,
+            actual,
+            """
+            Scoreboard API methods don't match scoreboard.d.ts!
+
+            Expected (from .d.ts): $expected
+            Actual (from runtime): $actual
+
+            Missing from runtime: ${expected - actual.toSet()}
+            Missing from .d.ts: ${actual - expected.toSet()}
+
+            Action: Update common/src/main/resources/rhettjs-types/scoreboard.d.ts
+            """.trimIndent()
+        )
+    }
+
+    @Test
+    fun `Teams API matches type definitions`() {
+        val expected = parseTypeDefinitions("Teams")
+        val actual = getRuntimeMethods("Teams")
+
+        assertEquals(
+            expected,
+            actual,
+            """
+            Teams API methods don't match teams.d.ts!
+
+            Expected (from .d.ts): $expected
+            Actual (from runtime): $actual
+
+            Missing from runtime: ${expected - actual.toSet()}
+            Missing from .d.ts: ${actual - expected.toSet()}
+
+            Action: Update common/src/main/resources/rhettjs-types/teams.d.ts
+            """.trimIndent()
+        )
+    }
+
+    @Test
+    fun `BossBars API matches type definitions`() {
+        val expected = parseTypeDefinitions("BossBars")
+        val actual = getRuntimeMethods("BossBars")
+
+        assertEquals(
+            expected,
+            actual,
+            """
+            BossBars API methods don't match bossbars.d.ts!
+
+            Expected (from .d.ts): $expected
+            Actual (from runtime): $actual
+
+            Missing from runtime: ${expected - actual.toSet()}
+            Missing from .d.ts: ${actual - expected.toSet()}
+
+            Action: Update common/src/main/resources/rhettjs-types/bossbars.d.ts
+            """.trimIndent()
+        )
+    }
+
+    @Test
+    fun `Test API matches type definitions`() {
+        val expected = parseTypeDefinitions("Test")
+        val actual = getRuntimeMethods("Test")
+
+        assertEquals(
+            expected,
+            actual,
+            """
+            Test API methods don't match test.d.ts!
+
+            Expected (from .d.ts): $expected
+            Actual (from runtime): $actual
+
+            Missing from runtime: ${expected - actual.toSet()}
+            Missing from .d.ts: ${actual - expected.toSet()}
+
+            Action: Update common/src/main/resources/rhettjs-types/test.d.ts
+            """.trimIndent()
+        )
+    }
+
     @Test
     fun `type definitions files exist and are readable`() {
         // Check barrel file
@@ -365,7 +549,9 @@ class APITypeValidationTest {
 
         // Check individual API files
         val apiFiles = listOf("world.d.ts", "commands.d.ts", "server.d.ts", "structure.d.ts",
-                              "worldgen-structure.d.ts", "store.d.ts", "nbt.d.ts", "runtime.d.ts", "script.d.ts", "types.d.ts")
+                              "worldgen-structure.d.ts", "store.d.ts", "nbt.d.ts", "runtime.d.ts", "script.d.ts", "types.d.ts",
+                              "dimensions.d.ts", "test.d.ts", "zones.d.ts", "regions.d.ts", "items.d.ts",
+                              "scoreboard.d.ts", "teams.d.ts", "bossbars.d.ts")
 
         for (file in apiFiles) {
             val content = javaClass.getResourceAsStream("/rhettjs-types/$file")
@@ -0,0 +1,147 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Unit tests for AbortController/AbortSignal bindings and cancellable wait().
+ * Timers are driven by calling AsyncScheduler.tick() manually.
+ */
+class AbortSignalBindingsTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test AbortController aborts signal and notifies listeners`() {
+        execute("""
+            const controller = new AbortController();
+            const signal = controller.signal;
+            const events = [];
+
+            if (signal.aborted !== false) throw new Error('New signal should not be aborted');
+            signal.addEventListener('abort', (e) => events.push('listener:' + e.type));
+            signal.onabort = () => events.push('onabort');
+
+            controller.abort();
+            controller.abort(); // second abort is ignored
+
+            if (!signal.aborted) throw new Error('Signal should be aborted');
+            if (signal.reason.name !== 'AbortError') throw new Error('Default reason should be AbortError, got ' + signal.reason.name);
+            if (events.join(',') !== 'onabort,listener:abort') throw new Error('Unexpected events: ' + events.join(','));
+
+            try {
+                signal.throwIfAborted();
+                throw new Error('throwIfAborted() should throw');
+            } catch (e) {
+                if (e !== signal.reason) throw new Error('throwIfAborted() should throw the reason itself');
+            }
+        """)
+    }
+
+    @Test
+    fun `test custom abort reason and AbortSignal abort`() {
+        execute("""
+            const controller = new AbortController();
+            controller.abort('stopped by user');
+            if (controller.signal.reason !== 'stopped by user') throw new Error('Custom reason should be kept');
+
+            const signal = AbortSignal.abort();
+            if (!signal.aborted || signal.reason.name !== 'AbortError') throw new Error('AbortSignal.abort() should be pre-aborted');
+        """)
+    }
+
+    @Test
+    fun `test aborting wait rejects with reason and removes timer`() {
+        execute("""
+            globalThis.result = 'pending';
+            const controller = new AbortController();
+            wait(100, { signal: controller.signal }).then(
+                () => { result = 'resolved'; },
+                (e) => { result = 'rejected:' + e.name; }
+            );
+            globalThis.abortWait = () => controller.abort();
+        """)
+        assertEquals(1, AsyncScheduler.getActiveTimerCount())
+
+        jsValue("abortWait()")
+        assertEquals(0, AsyncScheduler.getActiveTimerCount(), "Aborted wait should be removed from the scheduler")
+
+        AsyncScheduler.tick()
+        assertEquals("rejected:AbortError", jsValue("result").asString())
+    }
+
+    @Test
+    fun `test wait with already aborted signal rejects immediately`() {
+        execute("""
+            globalThis.result = 'pending';
+            wait(5, { signal: AbortSignal.abort('early') }).catch((reason) => { result = reason; });
+        """)
+        assertEquals(0, AsyncScheduler.getActiveTimerCount())
+
+        AsyncScheduler.tick()
+        assertEquals("early", jsValue("result").asString())
+    }
+
+    @Test
+    fun `test AbortSignal timeout aborts after delay`() {
+        execute("""
+            globalThis.signal = AbortSignal.timeout(100);
+        """)
+
+        AsyncScheduler.tick()
+        assertFalse(jsValue("signal.aborted").asBoolean(), "100ms = 2 ticks")
+        AsyncScheduler.tick()
+        assertTrue(jsValue("signal.aborted").asBoolean())
+        assertEquals("TimeoutError", jsValue("signal.reason.name").asString())
+    }
+
+    @Test
+    fun `test invalid signal option throws`() {
+        execute("""
+            let threw = false;
+            try { wait(5, { signal: { aborted: false } }); } catch (e) { threw = true; }
+            if (!threw) throw new Error('Plain objects should not be accepted as signals');
+        """)
+    }
+
+    private fun execute(code: String) {
+        val script = ScriptInfo(
+            name = "test-abort.js",
+            path = createTempScript(code),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
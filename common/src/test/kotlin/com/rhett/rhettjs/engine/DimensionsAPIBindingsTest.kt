@@ -0,0 +1,156 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.worldgen.DatapackGenerator
+import com.rhett.rhettjs.worldgen.DimensionRegistry
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Unit tests for Dimensions API bindings exposed to JavaScript via GraalVM.
+ * Tests registration, validation errors reported to scripts, and datapack generation.
+ */
+class DimensionsAPIBindingsTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        DimensionRegistry.clear()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        DimensionRegistry.clear()
+    }
+
+    @Test
+    fun `test Dimensions register() adds dimension and returns id`() {
+        val script = ScriptInfo(
+            name = "test-dimensions-register.js",
+            path = createTempScript("""
+                import Dimensions from 'rhettjs/dimensions';
+
+                const id = Dimensions.register({
+                    name: 'builder-flat',
+                    fixedTime: 6000,
+                    generatorSettings: {
+                        layers: [
+                            { block: 'minecraft:bedrock', height: 1 },
+                            { block: 'minecraft:stone', height: 3 }
+                        ]
+                    }
+                });
+
+                if (id !== 'rhettjs:builder-flat') {
+                    throw new Error('Expected rhettjs:builder-flat, got ' + id);
+                }
+                if (!Dimensions.has('builder-flat')) {
+                    throw new Error('has() should find bare names in the rhettjs namespace');
+                }
+                const list = Dimensions.list();
+                if (!Array.isArray(list) || list.length !== 1 || list[0] !== 'rhettjs:builder-flat') {
+                    throw new Error('list() should be an array containing the registered dimension');
+                }
+                const config = Dimensions.get('rhettjs:builder-flat');
+                if (config.fixedTime !== 6000 || config.generatorSettings.layers.length !== 2) {
+                    throw new Error('get() should return the registered config');
+                }
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Dimensions.register() should succeed: $result")
+        assertEquals(1, DimensionRegistry.getRegisteredDimensions().size)
+    }
+
+    @Test
+    fun `test Dimensions register() reports validation errors to script`() {
+        val script = ScriptInfo(
+            name = "test-dimensions-invalid.js",
+            path = createTempScript("""
+                import Dimensions from 'rhettjs/dimensions';
+
+                const expectError = (config, fragment) => {
+                    try {
+                        Dimensions.register(config);
+                    } catch (e) {
+                        if (!String(e.message).includes(fragment)) {
+                            throw new Error('Unexpected error message: ' + e.message);
+                        }
+                        return;
+                    }
+                    throw new Error('Expected error containing: ' + fragment);
+                };
+
+                expectError({}, "missing 'name'");
+                expectError({ name: 'Bad Name' }, 'Invalid dimension name');
+                expectError({ name: 'a', generator: 'amplified' }, 'Unknown generator');
+                expectError({ name: 'b', minY: -60 }, 'multiple of 16');
+                expectError({ name: 'c', minY: 0, maxY: 16, generatorSettings: { layers: [{ block: 'minecraft:stone', height: 32 }] } }, 'Flat layers');
+
+                Dimensions.register({ name: 'dupe' });
+                expectError({ name: 'dupe' }, 'already registered');
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Validation errors should be catchable in scripts: $result")
+        assertEquals(1, DimensionRegistry.getRegisteredDimensions().size)
+    }
+
+    @Test
+    fun `test Dimensions register() fails after registrations are closed`() {
+        DimensionRegistry.closeRegistrations()
+
+        val script = ScriptInfo(
+            name = "test-dimensions-closed.js",
+            path = createTempScript("""
+                import Dimensions from 'rhettjs/dimensions';
+                Dimensions.register({ name: 'late' });
+            """),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Error, "Registration outside startup scripts should fail")
+        assertTrue((result as ScriptResult.Error).message.contains("startup scripts"))
+    }
+
+    @Test
+    fun `test registered dimensions generate datapack files`() {
+        DimensionRegistry.registerDimension(mapOf("name" to "void-test", "generator" to "void", "biome" to "minecraft:the_void"))
+
+        DatapackGenerator.generatePackMeta(tempDir)
+        DatapackGenerator.generateDimensions(tempDir, DimensionRegistry.getRegisteredDimensions())
+
+        assertTrue(Files.exists(tempDir.resolve("pack.mcmeta")))
+        val dimension = tempDir.resolve("data/rhettjs/dimension/void-test.json")
+        assertTrue(Files.exists(dimension))
+        assertTrue(Files.readString(dimension).contains("\"minecraft:the_void\""), "Namespaced biome ids should not be re-prefixed")
+        assertTrue(Files.exists(tempDir.resolve("data/rhettjs/dimension_type/void-test.json")))
+    }
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
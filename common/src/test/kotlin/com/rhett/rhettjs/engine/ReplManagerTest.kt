@@ -0,0 +1,165 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Path
+
+/**
+ * Unit tests for ReplManager (/rjs eval backend).
+ * Tests per-caller bindings, declaration rewriting, promise awaiting and history.
+ */
+class ReplManagerTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test bindings persist between evaluations`() {
+        assertEquals("20", eval("alice", "let x = 20").output)
+        eval("alice", "const double = (n) => n * 2")
+        eval("alice", "function add(a, b) { return a + b; }")
+
+        assertEquals("42", eval("alice", "add(double(x), 2)").output)
+        assertFalse(GraalEngine.getOrCreateContext().eval("js", "'x' in globalThis").asBoolean(), "REPL variables should not leak to globalThis")
+    }
+
+    @Test
+    fun `test callers have separate scopes`() {
+        eval("alice", "let secret = 'a'")
+        eval("bob", "let secret = 'b'")
+
+        assertEquals("a", eval("alice", "secret").output)
+        assertEquals("b", eval("bob", "secret").output)
+    }
+
+    @Test
+    fun `test last result is available as underscore`() {
+        eval("alice", "[1, 2, 3]")
+        assertEquals("3", eval("alice", "_.length").output)
+    }
+
+    @Test
+    fun `test globals are visible`() {
+        assertEquals("object", eval("alice", "typeof Store").output)
+    }
+
+    @Test
+    fun `test unknown names throw ReferenceError`() {
+        eval("alice", "let counter = 1")
+
+        val entry = eval("alice", "countr + 1")
+        assertTrue(entry.isError)
+        assertTrue(entry.output.contains("ReferenceError"), "Unexpected output: ${entry.output}")
+        assertEquals("undefined", eval("alice", "typeof countr").output)
+    }
+
+    @Test
+    fun `test destructured and comma-separated declarations stay on the scope`() {
+        eval("alice", "const [a, [b], ...rest] = [1, [2], 3, 4]; let c = a + b, d = rest.length")
+
+        assertEquals("1,2,3,2", eval("alice", "[a, b, c, d].join(',')").output)
+        assertFalse(GraalEngine.getOrCreateContext().eval("js", "'d' in globalThis || 'rest' in globalThis").asBoolean())
+    }
+
+    @Test
+    fun `test errors are reported and recorded`() {
+        val entry = eval("alice", "throw new Error('boom')")
+        assertTrue(entry.isError)
+        assertTrue(entry.output.contains("boom"), "Unexpected output: ${entry.output}")
+
+        val history = ReplManager.getHistory("alice")
+        assertEquals(1, history.size)
+        assertEquals("throw new Error('boom')", history[0].code)
+    }
+
+    @Test
+    fun `test returned promises are awaited`() {
+        val future = ReplManager.evaluate("alice", "wait(1).then(() => ({ done: true }))")
+        assertFalse(future.isDone)
+
+        AsyncScheduler.tick()
+        AsyncScheduler.tick()
+        assertTrue(future.isDone)
+        assertEquals("{done: true}", future.get().output)
+    }
+
+    @Test
+    fun `test rejected promises are errors`() {
+        val future = ReplManager.evaluate("alice", "Promise.reject(new TypeError('nope'))")
+        AsyncScheduler.tick()
+
+        val entry = future.get()
+        assertTrue(entry.isError)
+        assertEquals("TypeError: nope", entry.output)
+    }
+
+    @Test
+    fun `test promises that never settle time out`() {
+        val future = ReplManager.evaluate("alice", "new Promise(() => {})")
+        repeat(599) { AsyncScheduler.tick() }
+        assertFalse(future.isDone)
+
+        AsyncScheduler.tick()
+        val entry = future.get()
+        assertTrue(entry.isError)
+        assertTrue(entry.output.contains("Timed out"), "Unexpected output: ${entry.output}")
+    }
+
+    @Test
+    fun `test history is capped and survives reset`() {
+        repeat(55) { eval("alice", "$it") }
+        GraalEngine.reset()
+
+        val history = ReplManager.getHistory("alice")
+        assertEquals(50, history.size)
+        assertEquals("54", history.last().output)
+        assertEquals(listOf("52", "53", "54"), ReplManager.getHistory("alice", 3).map { it.code })
+    }
+
+    @Test
+    fun `test rewriteDeclarations only rewrites top-level declarations`() {
+        assertEquals("x = 1; y = 2", ReplManager.rewriteDeclarations("let x = 1; const y = 2"))
+        assertEquals("[a, b] = arr", ReplManager.rewriteDeclarations("const [a, b] = arr"))
+        assertEquals("f = async function f() { let inner = 1; }", ReplManager.rewriteDeclarations("async function f() { let inner = 1; }"))
+        assertEquals("A = class A {}\nb = 2", ReplManager.rewriteDeclarations("class A {}\nvar b = 2"))
+        assertEquals("'let x = 1'; letter = 3", ReplManager.rewriteDeclarations("'let x = 1'; letter = 3"))
+        assertEquals("functional = true", ReplManager.rewriteDeclarations("functional = true"))
+        assertEquals("const { a } = obj", ReplManager.rewriteDeclarations("const { a } = obj"))
+        assertEquals("for (let i = 0; i < 2; i++) {}", ReplManager.rewriteDeclarations("for (let i = 0; i < 2; i++) {}"))
+
+        val declared = mutableSetOf<String>()
+        ReplManager.rewriteDeclarations("let x = f(y, z), [p, q = r] = arr; function g() { let inner; }\nclass K {}", declared)
+        assertEquals(setOf("x", "p", "q", "g", "K"), declared)
+    }
+
+    @Test
+    fun `test formatValue prints functions and limits depth`() {
+        val context = GraalEngine.getOrCreateContext()
+        assertEquals("[Function greet]", GraalEngine.formatValue(context.eval("js", "(function greet() {})")))
+        assertEquals("{a: {b: {c: {d: {e: {f: …}}}}}}", GraalEngine.formatValue(context.eval("js", "({a:{b:{c:{d:{e:{f:{g:1}}}}}}})")))
+    }
+
+    private fun eval(caller: String, code: String): ReplManager.HistoryEntry {
+        val future = ReplManager.evaluate(caller, code)
+        assertTrue(future.isDone, "Synchronous evaluation should complete immediately: $code")
+        return future.get()
+    }
+}
@@ -0,0 +1,93 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.config.ConfigManager
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for ScriptDependencyGraph.
+ * Tests import parsing and finding the scripts affected by a change (hot reload).
+ */
+class ScriptDependencyGraphTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        val configDir = tempDir.resolve("config")
+        Files.createDirectories(configDir)
+        ConfigManager.init(configDir)
+
+        Files.createDirectories(tempDir.resolve("server"))
+        Files.createDirectories(tempDir.resolve("scripts"))
+        Files.createDirectories(tempDir.resolve("modules/lib"))
+    }
+
+    @Test
+    fun `test parseImports finds relative imports`() {
+        val file = tempDir.resolve("server/main.js")
+        val imports = ScriptDependencyGraph.parseImports(file, """
+            import World from 'World';
+            import { greet } from '../modules/greet.js';
+            import * as util from "../modules/lib/util";
+            import '../modules/side-effect.js';
+            export { helper } from './helper.js';
+            const lazy = await import('../modules/lazy.js');
+        """.trimIndent())
+
+        val expected = setOf(
+            "modules/greet.js",
+            "modules/lib/util.js",
+            "modules/side-effect.js",
+            "server/helper.js",
+            "modules/lazy.js"
+        ).map { tempDir.resolve(it).toAbsolutePath().normalize() }.toSet()
+
+        assertEquals(expected, imports, "Should find relative imports and ignore built-in modules")
+    }
+
+    @Test
+    fun `test withDependents includes transitive importers`() {
+        tempDir.resolve("modules/lib/util.js").writeText("export const x = 1;")
+        tempDir.resolve("modules/greet.js").writeText("import { x } from './lib/util.js'; export const greet = () => x;")
+        tempDir.resolve("server/main.js").writeText("import { greet } from '../modules/greet.js';")
+        tempDir.resolve("server/other.js").writeText("console.log('unrelated');")
+        tempDir.resolve("scripts/tool.js").writeText("import { x } from '../modules/lib/util.js';")
+
+        val graph = ScriptDependencyGraph.build(tempDir)
+        val affected = graph.withDependents(listOf(tempDir.resolve("modules/lib/util.js")))
+            .map { tempDir.toAbsolutePath().normalize().relativize(it).toString().replace('\\', '/') }
+            .toSet()
+
+        assertEquals(setOf("modules/lib/util.js", "modules/greet.js", "server/main.js", "scripts/tool.js"), affected)
+    }
+
+    @Test
+    fun `test withDependents handles import cycles`() {
+        tempDir.resolve("modules/a.js").writeText("import './b.js';")
+        tempDir.resolve("modules/b.js").writeText("import './a.js';")
+
+        val graph = ScriptDependencyGraph.build(tempDir)
+        val affected = graph.withDependents(listOf(tempDir.resolve("modules/a.js")))
+
+        assertEquals(2, affected.size, "Cyclic imports should not loop forever")
+    }
+
+    @Test
+    fun `test unrelated change only affects itself`() {
+        tempDir.resolve("server/main.js").writeText("import '../modules/greet.js';")
+        tempDir.resolve("modules/greet.js").writeText("export const greet = 1;")
+
+        val graph = ScriptDependencyGraph.build(tempDir)
+        val changed = tempDir.resolve("server/main.js")
+
+        assertEquals(setOf(changed.toAbsolutePath().normalize()), graph.withDependents(listOf(changed)))
+        assertEquals(setOf(tempDir.resolve("modules/greet.js").toAbsolutePath().normalize()), graph.importsOf(changed))
+    }
+}
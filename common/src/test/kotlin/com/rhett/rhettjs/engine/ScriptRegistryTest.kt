@@ -251,4 +251,30 @@ class ScriptRegistryTest {
         ScriptRegistry.scan(tempDir)
         assertEquals(2, ScriptRegistry.getAllScripts().size)
     }
+
+    @Test
+    fun `test refresh updates a single script`() {
+        val scriptFile = tempDir.resolve("server/events.js")
+        scriptFile.writeText("console.log('ok');")
+        ScriptRegistry.scan(tempDir)
+        assertEquals(ScriptStatus.LOADED, ScriptRegistry.getScript("events", ScriptCategory.SERVER)?.status)
+
+        // Broken edit is picked up without a full rescan
+        scriptFile.writeText("function broken( {")
+        val refreshed = ScriptRegistry.refresh(tempDir, scriptFile)
+        assertEquals(ScriptStatus.ERROR, refreshed?.status)
+        assertEquals(ScriptStatus.ERROR, ScriptRegistry.getScript("events", ScriptCategory.SERVER)?.status)
+
+        // Deleted files are removed from the registry
+        Files.delete(scriptFile)
+        assertNull(ScriptRegistry.refresh(tempDir, scriptFile))
+        assertNull(ScriptRegistry.getScript("events", ScriptCategory.SERVER))
+    }
+
+    @Test
+    fun `test categoryOf resolves script directories`() {
+        assertEquals(ScriptCategory.SERVER, ScriptRegistry.categoryOf(tempDir, tempDir.resolve("server/a/b.js")))
+        assertEquals(ScriptCategory.UTILITY, ScriptRegistry.categoryOf(tempDir, tempDir.resolve("scripts/c.js")))
+        assertNull(ScriptRegistry.categoryOf(tempDir, tempDir.resolve("config/d.js")))
+    }
 }
@@ -0,0 +1,169 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.harness.FakeWorld
+import com.rhett.rhettjs.world.WorldManager
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Unit tests for TaskRegistry (/rjs tasks and /rjs kill).
+ * Timers are driven by calling AsyncScheduler.tick() manually.
+ */
+class TaskRegistryTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        WorldManager.setWorldAccess(null)
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test finished scripts are not listed`() {
+        execute("ticker.js", "globalThis.x = 1;")
+        assertTrue(TaskRegistry.list().isEmpty())
+    }
+
+    @Test
+    fun `test script with pending timers is listed`() {
+        execute("ticker.js", "setInterval(() => {}, 1000);")
+
+        val tasks = TaskRegistry.list()
+        assertEquals(1, tasks.size)
+        assertEquals("ticker.js", tasks[0].scriptName)
+        assertEquals("server", tasks[0].caller)
+        assertFalse(tasks[0].isRunning)
+        assertEquals(1, tasks[0].pendingTimers)
+    }
+
+    @Test
+    fun `test timers created after await belong to the task`() {
+        execute("later.js", """
+            (async () => {
+                await wait(1);
+                setTimeout(() => {}, 1000);
+            })();
+        """)
+        val id = TaskRegistry.list().single().id
+
+        AsyncScheduler.tick()
+        AsyncScheduler.tick()
+
+        val task = TaskRegistry.get(id)
+        assertNotNull(task, "Task should still be listed while its timeout is pending")
+        assertEquals(1, task!!.pendingTimers)
+    }
+
+    @Test
+    fun `test kill rejects waits and stops the loop`() {
+        execute("loop.js", """
+            globalThis.iterations = 0;
+            (async () => {
+                while (true) {
+                    await wait(1);
+                    iterations++;
+                }
+            })().catch((e) => { globalThis.stoppedWith = e.name; });
+        """)
+        AsyncScheduler.tick()
+        AsyncScheduler.tick()
+        val id = TaskRegistry.list().single().id
+        val iterations = jsValue("iterations").asInt()
+
+        assertTrue(GraalEngine.killTask(id))
+        repeat(3) { AsyncScheduler.tick() }
+
+        assertEquals("AbortError", jsValue("stoppedWith").asString())
+        assertEquals(iterations, jsValue("iterations").asInt(), "Loop should not continue after kill")
+        assertEquals(0, AsyncScheduler.getActiveTimerCount())
+        assertNull(TaskRegistry.get(id))
+        assertFalse(GraalEngine.killTask(id), "Killing twice should report no task")
+    }
+
+    @Test
+    fun `test killed task cannot schedule new timers`() {
+        execute("stubborn.js", """
+            globalThis.rescheduled = 'no';
+            wait(5).catch(() => {
+                try {
+                    setTimeout(() => {}, 50);
+                    rescheduled = 'yes';
+                } catch (e) {
+                    rescheduled = 'refused';
+                }
+            });
+        """)
+        val id = TaskRegistry.list().single().id
+
+        GraalEngine.killTask(id)
+        AsyncScheduler.tick()
+
+        assertEquals("refused", jsValue("rescheduled").asString())
+        assertEquals(0, AsyncScheduler.getScheduledTimerCount())
+    }
+
+    @Test
+    fun `test kill stops a chunked fill at the next chunk`() {
+        val world = FakeWorld()
+        WorldManager.setWorldAccess(world)
+        // Three chunk columns of 16x128x16, each a full tick of work
+        execute("fill.js", """
+            import World from 'rhettjs/world';
+            World.fill({ x: 0, y: 0, z: 0 }, { x: 47, y: 127, z: 15 }, 'stone')
+                .then(() => { globalThis.outcome = 'done'; }, (e) => { globalThis.outcome = e.name; });
+        """)
+        val id = TaskRegistry.list().single().id
+        val columnBlocks = 16 * 128 * 16
+        assertEquals(columnBlocks, world.countBlocks("stone"), "First column should be filled right away")
+
+        assertTrue(GraalEngine.killTask(id))
+        repeat(5) { AsyncScheduler.tick() }
+
+        assertEquals(columnBlocks, world.countBlocks("stone"), "No column should be filled after kill")
+        assertEquals("AbortError", jsValue("outcome").asString())
+    }
+
+    @Test
+    fun `test reset forgets tasks`() {
+        execute("ticker.js", "setInterval(() => {}, 1000);")
+        GraalEngine.reset()
+        assertTrue(TaskRegistry.list().isEmpty())
+    }
+
+    private fun execute(name: String, code: String) {
+        val script = ScriptInfo(
+            name = name,
+            path = createTempScript(code),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
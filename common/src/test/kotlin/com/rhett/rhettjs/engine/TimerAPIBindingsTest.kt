@@ -0,0 +1,190 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Unit tests for the timer globals (setTimeout, setInterval, tick variants, clear*).
+ * Timers are driven by calling AsyncScheduler.tick() manually.
+ */
+class TimerAPIBindingsTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test setTickTimeout runs once after delay with extra args`() {
+        execute("""
+            globalThis.calls = [];
+            setTickTimeout((a, b) => calls.push(a + b), 3, 'x', 'y');
+        """)
+
+        tick(2)
+        assertEquals(0, jsNumber("calls.length"), "Should not run before the delay")
+
+        tick(1)
+        assertEquals(1, jsNumber("calls.length"), "Should run after 3 ticks")
+        assertEquals("xy", jsString("calls[0]"))
+
+        tick(10)
+        assertEquals(1, jsNumber("calls.length"), "Timeouts run only once")
+        assertEquals(0, AsyncScheduler.getScheduledTimerCount())
+    }
+
+    @Test
+    fun `test setTimeout rounds milliseconds up to ticks`() {
+        execute("""
+            globalThis.fired = false;
+            setTimeout(() => { fired = true; }, 60);
+        """)
+
+        tick(1)
+        assertFalse(jsBoolean("fired"), "60ms should round up to 2 ticks")
+        tick(1)
+        assertTrue(jsBoolean("fired"))
+    }
+
+    @Test
+    fun `test setTickInterval repeats until cleared from callback`() {
+        execute("""
+            globalThis.hits = 0;
+            const id = setTickInterval(() => {
+                hits++;
+                if (hits === 3) clearInterval(id);
+            }, 2);
+            if (typeof id !== 'number') throw new Error('Expected numeric handle');
+        """)
+
+        tick(20)
+        assertEquals(3, jsNumber("hits"), "Interval should stop after clearInterval")
+        assertEquals(0, AsyncScheduler.getScheduledTimerCount())
+    }
+
+    @Test
+    fun `test clearTimeout cancels pending timer and ignores bad handles`() {
+        execute("""
+            globalThis.fired = false;
+            const id = setInterval(() => { fired = true; }, 50);
+            clearTimeout(id);
+            clearTimeout(id);
+            clearTimeout(undefined);
+            clearInterval(12345);
+        """)
+
+        tick(5)
+        assertFalse(jsBoolean("fired"), "Cleared timer should not run")
+    }
+
+    @Test
+    fun `test timer errors are reported and intervals keep running`() {
+        execute("""
+            globalThis.hits = 0;
+            setTickInterval(() => { hits++; throw new Error('boom'); }, 1);
+        """)
+
+        tick(3)
+        assertEquals(3, jsNumber("hits"), "A throwing callback should not stop the interval")
+    }
+
+    @Test
+    fun `test invalid arguments throw`() {
+        val script = ScriptInfo(
+            name = "test-timer-invalid.js",
+            path = createTempScript("""
+                let threw = 0;
+                try { setTimeout('not a function', 10); } catch (e) { threw++; }
+                try { setTickInterval(() => {}, 'soon'); } catch (e) { threw++; }
+                if (threw !== 2) throw new Error('Expected both calls to throw');
+            """),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Invalid timer arguments should throw catchable errors: $result")
+    }
+
+    @Test
+    fun `test reset clears timers`() {
+        execute("setTickInterval(() => {}, 1); setTimeout(() => {}, 1000);")
+        assertEquals(2, AsyncScheduler.getScheduledTimerCount())
+
+        GraalEngine.reset()
+        assertEquals(0, AsyncScheduler.getScheduledTimerCount(), "Context reset (/rjs reload) should clear timers")
+    }
+
+    @Test
+    fun `test timers can be cancelled by owning script`() {
+        execute("setTickInterval(() => {}, 1);", name = "owner-a.js")
+        execute("setTickInterval(() => {}, 1);", name = "owner-b.js")
+
+        assertEquals(1, AsyncScheduler.cancelTimersOwnedBy("owner-a.js"))
+        assertEquals(1, AsyncScheduler.getScheduledTimerCount())
+    }
+
+    @Test
+    fun `test timers created from callbacks belong to the script`() {
+        execute("""
+            setTickTimeout(() => setTickInterval(() => {}, 1), 1);
+            (async () => {
+                await wait(1);
+                setTickInterval(() => {}, 1);
+            })();
+        """, name = "owner-a.js")
+
+        tick(3)
+        assertEquals(2, AsyncScheduler.getScheduledTimerCount())
+        assertEquals(2, AsyncScheduler.cancelTimersOwnedBy("owner-a.js"), "Timers from a callback and after await are owned too")
+    }
+
+    private fun execute(code: String, name: String = "test-timers.js") {
+        val script = ScriptInfo(
+            name = name,
+            path = createTempScript(code),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun tick(count: Int) {
+        repeat(count) { AsyncScheduler.tick() }
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun jsNumber(expression: String): Int = jsValue(expression).asInt()
+
+    private fun jsString(expression: String): String = jsValue(expression).asString()
+
+    private fun jsBoolean(expression: String): Boolean = jsValue(expression).asBoolean()
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
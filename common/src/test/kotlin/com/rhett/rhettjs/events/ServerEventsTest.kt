@@ -0,0 +1,423 @@
+package com.rhett.rhettjs.events
+
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptRegistry
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import com.rhett.rhettjs.engine.ScriptSystemInitializer
+import com.rhett.rhettjs.threading.TickScheduler
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Tests for triggering server events from platform code into JavaScript handlers.
+ * Uses entity, lifecycle and tick events, which don't need a ServerPlayer.
+ */
+class ServerEventsTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private val zombie = EntityData(
+        uuid = "00000000-0000-0000-0000-000000000001",
+        type = "minecraft:zombie",
+        name = "Zombie",
+        position = EntityPosition(1.5, 64.0, -2.5, "minecraft:overworld")
+    )
+
+    private val fall = DamageSourceData(type = "minecraft:fall", attacker = null)
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        StoreAPI.clearAll()
+        ScriptRegistry.clear()
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test new event types are exposed`() {
+        execute("""
+            globalThis.types = Server.eventTypes;
+        """)
+
+        assertEquals("playerChat", jsString("types.PLAYER_CHAT"))
+        assertEquals("playerChangeDimension", jsString("types.PLAYER_CHANGE_DIMENSION"))
+        assertEquals("entityInteract", jsString("types.ENTITY_INTERACT"))
+        assertEquals("beforeReload", jsString("types.BEFORE_RELOAD"))
+        assertEquals(21, jsValue("Object.keys(types).length").asInt())
+    }
+
+    @Test
+    fun `test entity damage handler sees event data and can cancel`() {
+        execute("""
+            globalThis.seen = null;
+            Server.on(Server.eventTypes.ENTITY_DAMAGE, (event) => {
+                seen = [event.entity.type, event.entity.isPlayer, event.entity.position.z, event.source.type, event.source.attacker, event.amount];
+                if (event.amount > 5) event.cancel();
+            });
+        """)
+
+        val small = EntityEventData.Damage(zombie, fall, 2f)
+        ServerEventManager.triggerEntityDamage(small)
+        assertFalse(small.cancelled)
+        assertEquals("minecraft:zombie,false,-2.5,minecraft:fall,,2", jsString("seen.join(',')"))
+
+        val big = EntityEventData.Damage(zombie, fall, 8f)
+        ServerEventManager.triggerEntityDamage(big)
+        assertTrue(big.cancelled)
+    }
+
+    @Test
+    fun `test attacker entity is passed with the damage source`() {
+        execute("""
+            Server.on('entityDeath', (event) => {
+                globalThis.attacker = event.source.attacker.type + ':' + event.source.attacker.name;
+                event.cancel();
+            });
+        """)
+
+        val skeleton = zombie.copy(uuid = "00000000-0000-0000-0000-000000000002", type = "minecraft:skeleton", name = "Skeleton")
+        val death = EntityEventData.Death(zombie, DamageSourceData("minecraft:arrow", skeleton))
+        ServerEventManager.triggerEntityDeath(death)
+
+        assertEquals("minecraft:skeleton:Skeleton", jsString("attacker"))
+        assertTrue(death.cancelled)
+    }
+
+    @Test
+    fun `test handler errors do not stop other handlers or cancellation`() {
+        execute("""
+            Server.on('entityDamage', () => { throw new Error('handler failed'); });
+            Server.on('entityDamage', (event) => event.cancel());
+        """)
+
+        val damage = EntityEventData.Damage(zombie, fall, 1f)
+        ServerEventManager.triggerEntityDamage(damage)
+
+        assertTrue(damage.cancelled)
+    }
+
+    @Test
+    fun `test hasHandlers tracks registration`() {
+        assertFalse(ServerEventManager.hasHandlers(ServerEventManager.EventTypes.ITEM_USE))
+
+        execute("""
+            globalThis.handler = () => {};
+            Server.on('itemUse', handler);
+        """)
+        assertTrue(ServerEventManager.hasHandlers(ServerEventManager.EventTypes.ITEM_USE))
+
+        execute("Server.off('itemUse', handler);")
+        assertFalse(ServerEventManager.hasHandlers(ServerEventManager.EventTypes.ITEM_USE))
+    }
+
+    @Test
+    fun `test handlers run by priority then script name`() {
+        execute("""
+            globalThis.order = [];
+            Server.on('entityDamage', () => order.push('b-normal'));
+            Server.on('entityDamage', () => order.push('b-lowest'), { priority: 'lowest' });
+        """, name = "b.js")
+        execute("""
+            Server.on('entityDamage', () => order.push('a-normal'));
+            Server.on('entityDamage', () => order.push('a-high'), { priority: 'high' });
+            Server.on('entityDamage', () => order.push('a-75'), { priority: 75 });
+        """, name = "a.js")
+
+        ServerEventManager.triggerEntityDamage(EntityEventData.Damage(zombie, fall, 1f))
+
+        assertEquals("a-75,a-high,a-normal,b-normal,b-lowest", jsString("order.join(',')"))
+    }
+
+    @Test
+    fun `test ignoreCancelled handlers skip cancelled events and see isCancelled`() {
+        execute("""
+            globalThis.seen = [];
+            Server.on('entityDamage', (event) => {
+                seen.push('first:' + event.isCancelled);
+                event.cancel();
+                seen.push('after:' + event.isCancelled);
+            }, { priority: 'high' });
+            Server.on('entityDamage', () => seen.push('skipped'), { ignoreCancelled: true });
+            Server.on('entityDamage', (event) => seen.push('monitor:' + event.isCancelled), { priority: 'lowest' });
+        """)
+
+        val damage = EntityEventData.Damage(zombie, fall, 1f)
+        ServerEventManager.triggerEntityDamage(damage)
+
+        assertTrue(damage.cancelled)
+        assertEquals("first:false,after:true,monitor:true", jsString("seen.join(',')"))
+    }
+
+    @Test
+    fun `test stopPropagation skips remaining handlers but keeps unrun once handlers`() {
+        execute("""
+            globalThis.calls = [];
+            globalThis.stopper = (event) => { calls.push('stopper'); event.stopPropagation(); };
+            Server.on('entityDamage', stopper, { priority: 'highest' });
+            Server.once('entityDamage', () => calls.push('once'));
+        """)
+
+        ServerEventManager.triggerEntityDamage(EntityEventData.Damage(zombie, fall, 1f))
+        assertEquals("stopper", jsString("calls.join(',')"))
+
+        execute("Server.off('entityDamage', stopper);")
+        assertTrue(ServerEventManager.hasHandlers(ServerEventManager.EventTypes.ENTITY_DAMAGE), "Skipped once handler should stay registered")
+
+        ServerEventManager.triggerEntityDamage(EntityEventData.Damage(zombie, fall, 1f))
+        assertEquals("stopper,once", jsString("calls.join(',')"))
+        assertFalse(ServerEventManager.hasHandlers(ServerEventManager.EventTypes.ENTITY_DAMAGE))
+    }
+
+    @Test
+    fun `test unknown priority name is rejected`() {
+        execute("""
+            globalThis.error = null;
+            try { Server.on('entityDamage', () => {}, { priority: 'urgent' }); } catch (e) { error = String(e); }
+        """)
+
+        assertTrue(jsString("error").contains("Unknown priority"))
+        assertFalse(ServerEventManager.hasHandlers(ServerEventManager.EventTypes.ENTITY_DAMAGE))
+    }
+
+    @Test
+    fun `test ignoreCancelled must be a boolean`() {
+        execute("""
+            globalThis.errors = [];
+            Server.on('entityDamage', () => {}, { ignoreCancelled: undefined });
+            Server.once('entityDamage', () => {}, { ignoreCancelled: null });
+            try { Server.on('entityDamage', () => {}, { ignoreCancelled: 1 }); } catch (e) { errors.push(String(e)); }
+            try { Server.once('entityDamage', () => {}, { ignoreCancelled: 'yes' }); } catch (e) { errors.push(String(e)); }
+        """)
+
+        assertEquals(2, jsValue("errors.length").asInt())
+        assertTrue(jsString("errors.join('|')").split("|").all { it.contains("ignoreCancelled must be a boolean") })
+        assertTrue(ServerEventManager.hasHandlers(ServerEventManager.EventTypes.ENTITY_DAMAGE))
+    }
+
+    @Test
+    fun `test emit passes payload to custom event handlers across scripts`() {
+        execute("""
+            globalThis.received = [];
+            Server.on('shop:purchase', (purchase, event) => {
+                received.push(event.name + ' ' + purchase.item);
+                return purchase.price * 2;
+            });
+        """, name = "rewards.js")
+        execute("""
+            globalThis.results = Server.emit('shop:purchase', { item: 'minecraft:diamond', price: 5 });
+        """, name = "shop.js")
+
+        assertEquals("shop:purchase minecraft:diamond", jsString("received.join(',')"))
+        assertEquals(10, jsValue("results[0]").asInt())
+        assertEquals(0, jsValue("Server.emit('shop:refund').length").asInt())
+    }
+
+    @Test
+    fun `test emitAsync collects async results and skips failures`() {
+        execute("""
+            Server.on('vote:collect', async () => { await wait(1); return 'yes'; });
+            Server.on('vote:collect', () => 'no');
+            Server.on('vote:collect', async () => { throw new Error('voter crashed'); });
+            globalThis.votes = null;
+            Server.emitAsync('vote:collect').then((results) => { votes = results.join(','); });
+        """)
+
+        repeat(3) { TickScheduler.tick() }
+
+        assertEquals("yes,no", jsString("votes"))
+    }
+
+    @Test
+    fun `test custom events must be namespaced`() {
+        execute("""
+            globalThis.error = null;
+            try { Server.emit('playerJoin', {}); } catch (e) { error = String(e); }
+        """)
+
+        assertTrue(jsString("error").contains("must be namespaced"))
+    }
+
+    @Test
+    fun `test custom event handlers are removed on reset`() {
+        execute("Server.on('shop:purchase', () => {});")
+
+        GraalEngine.reset()
+        execute("globalThis.results = Server.emit('shop:purchase', {});")
+
+        assertFalse(ServerEventManager.hasHandlers("shop:purchase"))
+        assertEquals(0, jsValue("results.length").asInt())
+    }
+
+    @Test
+    fun `test shutdown waits for async serverStopping handlers`() {
+        execute("""
+            globalThis.saved = false;
+            Server.on(Server.eventTypes.SERVER_STOPPING, async () => {
+                await wait(2);
+                saved = true;
+            });
+        """)
+
+        ScriptSystemInitializer.shutdown()
+
+        assertTrue(jsValue("saved").asBoolean(), "Shutdown should wait for the handler's promise")
+    }
+
+    @Test
+    fun `test stuck lifecycle handler times out`() {
+        execute("""
+            Server.on('beforeReload', () => new Promise(() => {}));
+            Server.on('beforeReload', () => { globalThis.syncRan = true; });
+        """)
+
+        val start = System.currentTimeMillis()
+        val finished = ServerEventManager.triggerLifecycleAndAwait(ServerEventManager.EventTypes.BEFORE_RELOAD, timeoutMs = 200)
+
+        assertFalse(finished)
+        assertTrue(System.currentTimeMillis() - start < 2000, "Should give up after the timeout")
+        assertTrue(jsValue("syncRan").asBoolean())
+    }
+
+    @Test
+    fun `test reload runs beforeReload on old scripts and afterReload on new ones`() {
+        val serverDir = tempDir.resolve("rjs/server")
+        Files.createDirectories(serverDir)
+        Files.writeString(serverDir.resolve("lifecycle.js"), """
+            import Server from 'Server';
+            import Store from 'rhettjs/store';
+
+            const counts = Store.namespace('lifecycle');
+            Server.on('beforeReload', async () => {
+                await wait(1);
+                counts.increment('before');
+            });
+            Server.on('afterReload', () => counts.increment('after'));
+        """.trimIndent())
+
+        ScriptSystemInitializer.reload(tempDir)
+        val counts = StoreAPI.namespace("lifecycle")
+        assertNull(counts.get("before"), "No scripts were loaded before the first reload")
+        assertEquals(1.0, counts.get("after"))
+
+        ScriptSystemInitializer.reload(tempDir)
+        assertEquals(1.0, counts.get("before"))
+        assertEquals(2.0, counts.get("after"))
+    }
+
+    @Test
+    fun `test onTick runs every N ticks with phase offsets`() {
+        execute("""
+            globalThis.ticks = { every: [], phased: [], all: 0 };
+            Server.onTick(3, ({ tick }) => ticks.every.push(tick));
+            Server.onTick(3, ({ tick }) => ticks.phased.push(tick), { phase: 1 });
+            Server.onTick(() => ticks.all++);
+        """)
+
+        repeat(9) { TickScheduler.tick() }
+
+        assertEquals(3, jsValue("ticks.every.length").asInt())
+        assertEquals(3, jsValue("ticks.phased.length").asInt())
+        assertTrue(jsValue("ticks.every.every(t => t % 3 === 0)").asBoolean())
+        assertTrue(jsValue("ticks.phased.every(t => t % 3 === 1)").asBoolean())
+        assertEquals(9, jsValue("ticks.all").asInt())
+    }
+
+    @Test
+    fun `test onTick reports timing and errors and can be removed`() {
+        execute("""
+            globalThis.stop = Server.onTick(1, () => { throw new Error('tick failed'); });
+        """)
+
+        repeat(2) { TickScheduler.tick() }
+
+        val report = ServerEventManager.getTickHandlerReports().single()
+        assertEquals("test-server-events.js", report.owner)
+        assertEquals(2, report.calls)
+        assertEquals(2, report.errors)
+        assertTrue(report.maxMillis >= report.averageMillis)
+
+        execute("stop();")
+        assertTrue(ServerEventManager.getTickHandlerReports().isEmpty())
+    }
+
+    @Test
+    fun `test onTick validates interval and phase`() {
+        execute("""
+            globalThis.errors = [];
+            try { Server.onTick(0, () => {}); } catch (e) { errors.push('every'); }
+            try { Server.onTick(5, () => {}, { phase: 5 }); } catch (e) { errors.push('phase'); }
+            try { Server.onTick(5); } catch (e) { errors.push('handler'); }
+        """)
+
+        assertEquals("every,phase,handler", jsString("errors.join(',')"))
+        assertTrue(ServerEventManager.getTickHandlerReports().isEmpty())
+    }
+
+    @Test
+    fun `test registrations from handlers belong to the handler's script`() {
+        execute("""
+            Server.on('test:start', () => {
+                Server.onTick(1, () => {});
+                setTickInterval(() => {}, 1);
+            });
+            Server.onTick(1, () => Server.on('test:later', () => {}));
+        """, name = "owner-a.js")
+        execute("Server.emit('test:start');", name = "owner-b.js")
+        TickScheduler.tick()
+
+        assertEquals(listOf("owner-a.js", "owner-a.js"), ServerEventManager.getTickHandlerReports().map { it.owner })
+        assertEquals(4, ServerEventManager.removeHandlersOwnedBy("owner-a.js"))
+        assertEquals(1, AsyncScheduler.cancelTimersOwnedBy("owner-a.js"))
+        assertFalse(ServerEventManager.hasHandlers("test:later"))
+    }
+
+    @Test
+    fun `test tick handlers are cleared on reset`() {
+        execute("Server.onTick(1, () => {});")
+
+        GraalEngine.reset()
+
+        assertTrue(ServerEventManager.getTickHandlerReports().isEmpty())
+    }
+
+    private fun execute(code: String, name: String = "test-server-events.js") {
+        val script = ScriptInfo(
+            name = name,
+            path = createTempScript("import Server from 'Server';\n$code"),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun jsString(expression: String): String = jsValue(expression).asString()
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
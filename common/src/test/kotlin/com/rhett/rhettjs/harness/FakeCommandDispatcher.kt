@@ -0,0 +1,192 @@
+package com.rhett.rhettjs.harness
+
+import com.rhett.rhettjs.engine.GraalEngine
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.PolyglotException
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+import kotlin.math.floor
+
+/**
+ * Runs commands registered with the Commands API without Brigadier.
+ *
+ * Parses a command line against the stored command data (arguments, optional defaults,
+ * subcommands) and calls the JS executor with the same event object CustomCommandRegistry
+ * builds: `{ caller, args, command, subcommand? }`. Callers are [FakePlayer]s or the console.
+ *
+ * Syntax errors (unknown command, missing or malformed arguments) throw
+ * IllegalArgumentException, since they are mistakes in the test itself.
+ */
+class FakeCommandDispatcher(private val world: FakeWorld) {
+
+    /** Messages sent to the console caller, oldest first. */
+    val consoleMessages = mutableListOf<String>()
+
+    /** Handler errors and permission denials, oldest first. */
+    val errors = mutableListOf<String>()
+
+    /**
+     * Execute a command line such as `/build fill 0 64 0 stone`.
+     *
+     * @param commandLine Command with or without the leading slash
+     * @param player Calling player, or null for the console
+     * @return 1 if the handler ran (async handlers may still be pending), 0 on failure
+     */
+    fun execute(commandLine: String, player: FakePlayer? = null): Int {
+        val tokens = commandLine.trim().removePrefix("/").split(Regex("\\s+")).filter { it.isNotEmpty() }
+        require(tokens.isNotEmpty()) { "Empty command" }
+
+        val name = tokens[0]
+        val registry = GraalEngine.getCommandRegistry()
+        val data = registry.getCommand(name) ?: throw IllegalArgumentException("Unknown command: /$name")
+        val context = GraalEngine.getOrCreateContext()
+        val caller = player?.toJS(context) ?: consoleCaller(context)
+
+        if (!hasPermission(data["permission"], player, caller)) {
+            errors.add("/$name: permission denied")
+            return 0
+        }
+
+        @Suppress("UNCHECKED_CAST")
+        val subcommands = (data["subcommands"] as? Map<String, Map<String, Any?>>) ?: emptyMap()
+        val subcommand: String?
+        val target: Map<String, Any?>
+        val rest: List<String>
+
+        if (subcommands.isNotEmpty()) {
+            subcommand = tokens.getOrNull(1)
+                ?: throw IllegalArgumentException("/$name requires a subcommand: ${subcommands.keys.joinToString(", ")}")
+            target = subcommands[subcommand]
+                ?: throw IllegalArgumentException("Unknown subcommand: /$name $subcommand")
+            rest = tokens.drop(2)
+        } else {
+            subcommand = null
+            target = data
+            rest = tokens.drop(1)
+        }
+
+        val executor = target["executor"] as? Value
+            ?: throw IllegalArgumentException("/$name${subcommand?.let { " $it" } ?: ""} has no executor")
+
+        @Suppress("UNCHECKED_CAST")
+        val definitions = (target["arguments"] as? List<Map<String, Any?>>) ?: emptyList()
+        val args = parseArguments(commandLine, definitions, rest, player, context)
+
+        val event = mutableMapOf<String, Any>(
+            "caller" to caller,
+            "args" to ProxyObject.fromMap(args),
+            "command" to name
+        )
+        subcommand?.let { event["subcommand"] = it }
+
+        return try {
+            executor.execute(ProxyObject.fromMap(event))
+            1
+        } catch (e: PolyglotException) {
+            errors.add("/$name: ${e.message}")
+            0
+        }
+    }
+
+    private fun parseArguments(
+        commandLine: String,
+        definitions: List<Map<String, Any?>>,
+        tokens: List<String>,
+        player: FakePlayer?,
+        context: Context
+    ): MutableMap<String, Any?> {
+        val args = mutableMapOf<String, Any?>()
+        var index = 0
+
+        for (definition in definitions) {
+            val name = definition["name"] as String
+            val type = definition["type"] as String
+
+            if (index >= tokens.size) {
+                if (definition["optional"] != true) {
+                    throw IllegalArgumentException("Missing argument '$name' in: $commandLine")
+                }
+                // Optional without default stays undefined in JS
+                if (definition["hasDefault"] == true) args[name] = definition["default"]
+                continue
+            }
+
+            fun next(): String = tokens.getOrNull(index++)
+                ?: throw IllegalArgumentException("Incomplete argument '$name' in: $commandLine")
+
+            args[name] = when (type) {
+                "string" -> tokens.drop(index).joinToString(" ").also { index = tokens.size } // greedy
+                "int" -> next().let { it.toIntOrNull() ?: throw IllegalArgumentException("Invalid int for '$name': $it") }
+                "float" -> next().let { it.toDoubleOrNull() ?: throw IllegalArgumentException("Invalid float for '$name': $it") }
+                "player" -> next().let { world.findPlayer(it)?.toJS(context) ?: throw IllegalArgumentException("No player was found: $it") }
+                "entity" -> next().let { target ->
+                    val found = world.findPlayer(target) ?: throw IllegalArgumentException("No entity was found: $target")
+                    ProxyObject.fromMap(mapOf("name" to found.name, "type" to "minecraft:player", "uuid" to found.uuid))
+                }
+                // Block states ("oak_log[axis=y]") are reduced to the block id, like the real registry
+                "item", "block" -> FakeWorld.normalizeId(next().substringBefore('['))
+                "xyz-position" -> ProxyObject.fromMap(mapOf(
+                    "x" to coordinate(next(), player?.x),
+                    "y" to coordinate(next(), player?.y),
+                    "z" to coordinate(next(), player?.z)
+                ))
+                "xz-position" -> ProxyObject.fromMap(mapOf(
+                    "x" to coordinate(next(), player?.x),
+                    "z" to coordinate(next(), player?.z)
+                ))
+                else -> throw IllegalArgumentException("Unsupported argument type: $type")
+            }
+        }
+
+        if (index < tokens.size) {
+            throw IllegalArgumentException("Unexpected arguments '${tokens.drop(index).joinToString(" ")}' in: $commandLine")
+        }
+        return args
+    }
+
+    /**
+     * Parse a block coordinate; "~" and "~N" are relative to the caller (console: origin).
+     */
+    private fun coordinate(token: String, origin: Double?): Int {
+        if (token.startsWith("~")) {
+            val offset = token.drop(1).ifEmpty { "0" }.toDoubleOrNull()
+                ?: throw IllegalArgumentException("Invalid coordinate: $token")
+            return floor((origin ?: 0.0) + offset).toInt()
+        }
+        return token.toIntOrNull() ?: throw IllegalArgumentException("Invalid coordinate: $token")
+    }
+
+    /**
+     * Same rules as CustomCommandRegistry: string permissions need an op player (console
+     * always passes), function permissions are called with the caller.
+     */
+    private fun hasPermission(permission: Any?, player: FakePlayer?, caller: Value): Boolean = when {
+        permission == null -> true
+        permission is Value && permission.canExecute() -> try {
+            permission.execute(caller).asBoolean()
+        } catch (e: PolyglotException) {
+            false
+        }
+        else -> player?.isOp ?: true
+    }
+
+    private fun consoleCaller(context: Context): Value {
+        fun send(prefix: String) = ProxyExecutable { args ->
+            if (args.isNotEmpty()) consoleMessages.add(prefix + args[0].asString())
+            null
+        }
+
+        return context.asValue(ProxyObject.fromMap(mapOf(
+            "name" to "Server",
+            "isPlayer" to false,
+            "dimension" to FakeWorld.OVERWORLD,
+            "sendMessage" to send(""),
+            "sendSuccess" to send("§a"),
+            "sendError" to send("§c"),
+            "sendWarning" to send("§e"),
+            "sendInfo" to send("§7"),
+            "sendRaw" to send("")
+        )))
+    }
+}
@@ -0,0 +1,213 @@
+package com.rhett.rhettjs.harness
+
+import com.rhett.rhettjs.adapter.InventoryAdapter
+import com.rhett.rhettjs.engine.GraalEngine
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+import java.util.UUID
+
+/**
+ * Player in a [FakeWorld].
+ *
+ * [toJS] builds the same object shape as PlayerAdapter; messages sent to the player are
+ * recorded (with their § color prefix), as are titles, action bar text and sounds,
+ * and items given are added to [inventory].
+ * Effects are recorded in [effects] without ticking down; attributes aren't simulated.
+ */
+class FakePlayer internal constructor(
+    private val world: FakeWorld,
+    val name: String,
+    var x: Double,
+    var y: Double,
+    var z: Double,
+    var dimension: String,
+    var isOp: Boolean
+) {
+    val uuid: String = UUID.nameUUIDFromBytes("OfflinePlayer:$name".toByteArray()).toString()
+
+    var health = 20.0
+    var gameMode = "survival"
+    var foodLevel = 20
+    var saturation = 5.0
+    var xpLevel = 0
+
+    /** Effect id to amplifier. */
+    val effects = mutableMapOf<String, Int>()
+
+    /** Messages received, oldest first. */
+    val messages = mutableListOf<String>()
+
+    /** Titles shown as (title, subtitle) plain text, oldest first. */
+    val titles = mutableListOf<Pair<String, String?>>()
+
+    /** Action bar text, oldest first. */
+    val actionBars = mutableListOf<String>()
+
+    /** Sound ids played, oldest first. */
+    val sounds = mutableListOf<String>()
+
+    /** Item id to count. */
+    val inventory = mutableMapOf<String, Int>()
+
+    /**
+     * Build the JS player object (properties are live, like PlayerAdapter's).
+     */
+    fun toJS(context: Context): Value {
+        fun send(prefix: String) = ProxyExecutable { args ->
+            if (args.isNotEmpty()) messages.add(prefix + args[0].asString())
+            null
+        }
+
+        val methods = mapOf(
+            "sendMessage" to send(""),
+            "sendSuccess" to send("§a"),
+            "sendError" to send("§c"),
+            "sendWarning" to send("§e"),
+            "sendInfo" to send("§7"),
+            "sendRaw" to send(""),
+
+            "title" to ProxyExecutable { args ->
+                val title = args.getOrNull(0)?.takeUnless { it.isNull }
+                    ?: throw IllegalArgumentException("title() requires title text ('' to show only a subtitle)")
+                titles.add(plainText(title) to args.getOrNull(1)?.takeUnless { it.isNull }?.let { plainText(it) })
+                null
+            },
+
+            "actionBar" to ProxyExecutable { args ->
+                val text = args.getOrNull(0)?.takeUnless { it.isNull }
+                    ?: throw IllegalArgumentException("actionBar() requires text or a text component")
+                actionBars.add(plainText(text))
+                null
+            },
+
+            "playSound" to ProxyExecutable { args ->
+                val id = args.getOrNull(0)?.takeIf { it.isString }?.asString()
+                    ?: throw IllegalArgumentException("playSound() requires a sound id")
+                sounds.add(FakeWorld.normalizeId(id))
+                null
+            },
+
+            "teleport" to ProxyExecutable { args ->
+                if (args.isEmpty()) return@ProxyExecutable null
+                val pos = args[0]
+                if (!pos.hasMembers()) {
+                    throw IllegalArgumentException("teleport() requires a position object { x, y, z, dimension }")
+                }
+                x = pos.getMember("x").asDouble()
+                y = pos.getMember("y").asDouble()
+                z = pos.getMember("z").asDouble()
+                if (pos.hasMember("dimension") && world.hasDimension(pos.getMember("dimension").asString())) {
+                    dimension = pos.getMember("dimension").asString()
+                }
+                null
+            },
+
+            "setHealth" to ProxyExecutable { args ->
+                if (args.isNotEmpty()) health = args[0].asDouble()
+                null
+            },
+
+            "setFoodLevel" to ProxyExecutable { args ->
+                foodLevel = args[0].asInt().coerceIn(0, 20)
+                null
+            },
+
+            "setSaturation" to ProxyExecutable { args ->
+                saturation = args[0].asDouble().coerceIn(0.0, foodLevel.toDouble())
+                null
+            },
+
+            "setGameMode" to ProxyExecutable { args ->
+                val mode = args.getOrNull(0)?.takeIf { it.isString }?.asString()?.lowercase()
+                if (mode == null || mode !in GAME_MODES) {
+                    throw IllegalArgumentException("setGameMode() requires survival, creative, adventure or spectator")
+                }
+                val changed = mode != gameMode
+                gameMode = mode
+                changed
+            },
+
+            "setXpLevel" to ProxyExecutable { args ->
+                xpLevel = args[0].asInt()
+                null
+            },
+
+            "giveItem" to ProxyExecutable { args ->
+                if (args.isEmpty()) return@ProxyExecutable null
+                val item = InventoryAdapter.itemFromJS(args[0], "giveItem")
+                val count = if (args.size > 1) args[1].asInt() else item.count
+                inventory.merge(item.id, count, Int::plus)
+                null
+            }
+        )
+
+        val effectsProxy = ProxyObject.fromMap(mapOf(
+            "add" to ProxyExecutable { args ->
+                val amplifier = args.getOrNull(1)?.takeIf { it.hasMember("amplifier") }?.getMember("amplifier")?.asInt() ?: 0
+                effects[FakeWorld.normalizeId(args[0].asString())] = amplifier
+                true
+            },
+            "remove" to ProxyExecutable { args -> effects.remove(FakeWorld.normalizeId(args[0].asString())) != null },
+            "has" to ProxyExecutable { args -> FakeWorld.normalizeId(args[0].asString()) in effects },
+            "list" to ProxyExecutable { _ ->
+                ProxyArray.fromList(effects.map { (id, amplifier) ->
+                    ProxyObject.fromMap(mapOf("id" to id, "amplifier" to amplifier, "duration" to -1))
+                })
+            }
+        ))
+
+        return context.asValue(object : ProxyObject {
+            private val extras = mutableMapOf<String, Any?>()
+
+            override fun getMember(key: String): Any? = when (key) {
+                "name" -> name
+                "uuid" -> uuid
+                "isPlayer" -> true
+                "health" -> health
+                "maxHealth" -> 20.0
+                "foodLevel" -> foodLevel
+                "saturation" -> saturation
+                "gameMode" -> gameMode
+                "isOp" -> isOp
+                "isOnline" -> this@FakePlayer in world.players
+                "position" -> ProxyObject.fromMap(mapOf("x" to x, "y" to y, "z" to z, "dimension" to dimension))
+                "xpLevel" -> xpLevel
+                "xpPoints" -> 0
+                "totalXp" -> 0
+                "data" -> GraalEngine.createPlayerDataProxy(UUID.fromString(uuid))
+                "effects" -> effectsProxy
+                else -> methods[key] ?: extras[key]
+            }
+
+            override fun getMemberKeys(): Any = ProxyArray.fromList(PLAYER_KEYS + methods.keys + extras.keys)
+
+            override fun hasMember(key: String): Boolean = key in PLAYER_KEYS || key in methods || key in extras
+
+            override fun putMember(key: String, value: Value?) {
+                if (key in PLAYER_KEYS || key in methods) {
+                    throw UnsupportedOperationException("Player property '$key' is read-only; use the set methods instead")
+                }
+                extras[key] = value
+            }
+
+            override fun removeMember(key: String): Boolean = extras.remove(key) != null
+        })
+    }
+
+    override fun toString(): String = "FakePlayer($name)"
+
+    // Text as a string or a text component's top-level text
+    private fun plainText(value: Value): String =
+        if (value.isString) value.asString() else value.getMember("text")?.takeUnless { it.isNull }?.asString() ?: ""
+
+    private companion object {
+        val GAME_MODES = setOf("survival", "creative", "adventure", "spectator")
+        val PLAYER_KEYS = listOf(
+            "name", "uuid", "isPlayer", "health", "maxHealth", "foodLevel", "saturation", "gameMode", "isOp",
+            "isOnline", "position", "xpLevel", "xpPoints", "totalXp", "data", "effects"
+        )
+    }
+}
@@ -0,0 +1,392 @@
+package com.rhett.rhettjs.harness
+
+import com.rhett.rhettjs.adapter.InventoryAdapter
+import com.rhett.rhettjs.adapter.PlayerAdapter
+import com.rhett.rhettjs.api.PersistentStore
+import com.rhett.rhettjs.inventory.ItemData
+import com.rhett.rhettjs.inventory.ItemSlots
+import com.rhett.rhettjs.world.adapter.WorldAccess
+import com.rhett.rhettjs.world.models.BlockData
+import com.rhett.rhettjs.world.models.ParticleSpawn
+import com.rhett.rhettjs.world.models.PositionedBlock
+import com.rhett.rhettjs.world.models.Region
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+import java.util.UUID
+
+/**
+ * In-memory stand-in for a Minecraft world (see WorldAccess).
+ *
+ * Blocks live in a sparse map per dimension (missing = air), players and entities are plain
+ * lists. Tasks passed to [execute] run immediately on the calling thread, so the only
+ * deferred work is promise resolution, which the harness drives with AsyncScheduler.tick().
+ */
+class FakeWorld : WorldAccess {
+
+    /**
+     * Non-player entity. [toJS] mirrors the EntityAdapter object for what scripts usually
+     * touch: identity, position, tags, name, glowing, teleport and removal.
+     */
+    class FakeEntity(
+        val type: String,
+        var x: Double,
+        var y: Double,
+        var z: Double,
+        var dimension: String = OVERWORLD,
+        val uuid: String = UUID.randomUUID().toString()
+    ) {
+        val tags = mutableSetOf<String>()
+        var customName: String? = null
+        var glowing = false
+        var nbt: Map<String, Any?> = emptyMap()
+
+        fun toJS(world: FakeWorld, context: Context): Value {
+            fun live(fn: String) = check(this in world.entities) { "$fn(): entity $uuid no longer exists" }
+
+            return context.asValue(object : ProxyObject {
+                override fun getMember(key: String): Any? = when (key) {
+                    "uuid" -> uuid
+                    "type" -> type
+                    "position" -> ProxyObject.fromMap(mapOf("x" to x, "y" to y, "z" to z, "dimension" to dimension))
+                    "rotation" -> ProxyObject.fromMap(mapOf("yaw" to 0.0, "pitch" to 0.0))
+                    "isValid", "isAlive" -> this@FakeEntity in world.entities
+                    "customName" -> customName
+                    "glowing" -> glowing
+                    "tags" -> ProxyArray.fromList(tags.sorted())
+                    "getNbt" -> ProxyExecutable { _ -> ProxyObject.fromMap(nbt) }
+                    "teleport" -> ProxyExecutable { args ->
+                        live("teleport")
+                        val pos = args[0]
+                        x = pos.getMember("x").asDouble()
+                        y = pos.getMember("y").asDouble()
+                        z = pos.getMember("z").asDouble()
+                        if (pos.hasMember("dimension")) dimension = world.requireDimensionId(pos.getMember("dimension").asString())
+                        null
+                    }
+                    "kill", "discard" -> ProxyExecutable { _ ->
+                        world.entities.remove(this@FakeEntity)
+                        null
+                    }
+                    "addTag" -> ProxyExecutable { args -> live("addTag"); tags.add(args[0].asString()) }
+                    "removeTag" -> ProxyExecutable { args -> live("removeTag"); tags.remove(args[0].asString()) }
+                    "setCustomName" -> ProxyExecutable { args ->
+                        live("setCustomName")
+                        customName = args.getOrNull(0)?.takeUnless { it.isNull }?.asString()
+                        null
+                    }
+                    "setGlowing" -> ProxyExecutable { args ->
+                        live("setGlowing")
+                        glowing = args.getOrNull(0)?.asBoolean() ?: true
+                        null
+                    }
+                    else -> null
+                }
+
+                override fun getMemberKeys(): Any = ProxyArray.fromList(MEMBER_KEYS)
+
+                override fun hasMember(key: String): Boolean = key in MEMBER_KEYS
+
+                override fun putMember(key: String, value: Value?) {
+                    throw UnsupportedOperationException("Entity properties are read-only; use the set/add methods instead")
+                }
+            })
+        }
+
+        private companion object {
+            val MEMBER_KEYS = listOf(
+                "uuid", "type", "position", "rotation", "isValid", "isAlive", "customName", "glowing", "tags",
+                "getNbt", "teleport", "kill", "discard", "addTag", "removeTag", "setCustomName", "setGlowing"
+            )
+        }
+    }
+
+    /**
+     * Container block inventory (see [addContainer]); [items] holds the slots, null when empty.
+     */
+    class FakeContainer(override val size: Int) : ItemSlots {
+        val items = MutableList<ItemData?>(size) { null }
+
+        override fun <T> access(write: Boolean, action: (MutableList<ItemData?>) -> T): T {
+            val slots = items.toMutableList()
+            val result = action(slots)
+            if (write) slots.forEachIndexed { i, item -> items[i] = item }
+            return result
+        }
+    }
+
+    private data class BlockPos(val x: Int, val y: Int, val z: Int)
+
+    private class Dimension(val minY: Int, val maxY: Int) {
+        val blocks = mutableMapOf<BlockPos, PositionedBlock>()
+        val containers = mutableMapOf<BlockPos, FakeContainer>()
+        var time = 1000L
+        var weather = "clear"
+    }
+
+    private val dimensions = mutableMapOf(
+        OVERWORLD to Dimension(-64, 320),
+        "minecraft:the_nether" to Dimension(0, 256),
+        "minecraft:the_end" to Dimension(0, 256)
+    )
+
+    /** Online players, in join order. */
+    val players = mutableListOf<FakePlayer>()
+
+    /** Players who left (see [removePlayer]); still found by World.getPlayer() as offline. */
+    val offlinePlayers = mutableListOf<FakePlayer>()
+
+    /** Non-player entities. */
+    val entities = mutableListOf<FakeEntity>()
+
+    /** Particles shown, as (dimension, particles), oldest first. */
+    val particles = mutableListOf<Pair<String, ParticleSpawn>>()
+
+    // ===== Test setup and inspection =====
+
+    /**
+     * Add a dimension (e.g. one registered by a startup script).
+     */
+    fun addDimension(id: String, minY: Int = 0, maxY: Int = 256) {
+        dimensions[id] = Dimension(minY, maxY)
+    }
+
+    /**
+     * Place a block directly (no script involved).
+     */
+    fun setBlock(
+        x: Int, y: Int, z: Int, id: String,
+        dimension: String = OVERWORLD,
+        properties: Map<String, String> = emptyMap(),
+        blockEntityData: Map<String, Any?>? = null
+    ) {
+        setBlocks(dimension, listOf(PositionedBlock(x, y, z, BlockData(normalizeId(id), properties), blockEntityData)), false)
+    }
+
+    /**
+     * Place a container block with empty slots, for World.getContainer().
+     */
+    fun addContainer(
+        x: Int, y: Int, z: Int,
+        id: String = "chest",
+        size: Int = 27,
+        dimension: String = OVERWORLD
+    ): FakeContainer {
+        setBlock(x, y, z, id, dimension)
+        return FakeContainer(size).also { requireDimension(dimension).containers[BlockPos(x, y, z)] = it }
+    }
+
+    /**
+     * Block id at a position ("minecraft:air" if empty).
+     */
+    fun blockAt(x: Int, y: Int, z: Int, dimension: String = OVERWORLD): String =
+        getBlock(dimension, x, y, z).name
+
+    /**
+     * Number of blocks with the given id in a dimension.
+     */
+    fun countBlocks(id: String, dimension: String = OVERWORLD): Int =
+        requireDimension(dimension).blocks.values.count { it.block.name == normalizeId(id) }
+
+    /**
+     * Add an online player.
+     */
+    fun addPlayer(
+        name: String,
+        x: Double = 0.0, y: Double = 64.0, z: Double = 0.0,
+        dimension: String = OVERWORLD,
+        isOp: Boolean = false
+    ): FakePlayer {
+        val player = FakePlayer(this, name, x, y, z, dimension, isOp)
+        players.add(player)
+        return player
+    }
+
+    /**
+     * Log a player out. They stay known to the server, like a real player who has played before.
+     */
+    fun removePlayer(player: FakePlayer) {
+        if (players.remove(player)) offlinePlayers.add(player)
+    }
+
+    /**
+     * Add a non-player entity.
+     */
+    fun addEntity(type: String, x: Double, y: Double, z: Double, dimension: String = OVERWORLD): FakeEntity {
+        val entity = FakeEntity(normalizeId(type), x, y, z, dimension)
+        entities.add(entity)
+        return entity
+    }
+
+    internal fun hasDimension(id: String): Boolean = id in dimensions
+
+    // ===== WorldAccess =====
+
+    override fun execute(task: () -> Unit) {
+        task()
+    }
+
+    override fun getDimensions(): List<String> = dimensions.keys.sorted()
+
+    override fun getBlock(dimension: String, x: Int, y: Int, z: Int): BlockData =
+        requireDimension(dimension).blocks[BlockPos(x, y, z)]?.block ?: AIR
+
+    override fun getBlockEntityData(dimension: String, x: Int, y: Int, z: Int): Map<String, Any?>? {
+        @Suppress("UNCHECKED_CAST")
+        return requireDimension(dimension).blocks[BlockPos(x, y, z)]?.blockEntityData as? Map<String, Any?>
+    }
+
+    override fun getContainer(dimension: String, x: Int, y: Int, z: Int): ItemSlots? {
+        return requireDimension(dimension).containers[BlockPos(x, y, z)]
+    }
+
+    override fun getBlocksInRegion(dimension: String, region: Region): List<PositionedBlock> =
+        requireDimension(dimension).blocks.values
+            .filter { it.x in region.minX..region.maxX && it.y in region.minY..region.maxY && it.z in region.minZ..region.maxZ }
+            .sortedWith(compareBy({ it.x }, { it.y }, { it.z }))
+
+    override fun setBlocks(dimension: String, blocks: List<PositionedBlock>, updateNeighbors: Boolean) {
+        val dim = requireDimension(dimension)
+        blocks.forEach { block ->
+            val pos = BlockPos(block.x, block.y, block.z)
+            // Replacing a block drops its inventory, as in the game
+            dim.containers.remove(pos)
+            if (block.block.name == AIR.name) {
+                dim.blocks.remove(pos)
+            } else {
+                dim.blocks[pos] = block.copy(block = block.block.copy(name = normalizeId(block.block.name)))
+            }
+        }
+    }
+
+    override fun getBuildHeight(dimension: String): Pair<Int, Int> {
+        val dim = requireDimension(dimension)
+        return dim.minY to dim.maxY
+    }
+
+    override fun getFilledYRange(dimension: String, minX: Int, minZ: Int, maxX: Int, maxZ: Int): IntRange? {
+        val ys = requireDimension(dimension).blocks.values
+            .filter { it.x in minX..maxX && it.z in minZ..maxZ }
+            .map { it.y }
+        return if (ys.isEmpty()) null else ys.min()..ys.max()
+    }
+
+    override fun getTime(dimension: String): Long = requireDimension(dimension).time
+
+    override fun setTime(dimension: String, time: Long) {
+        requireDimension(dimension).time = time
+    }
+
+    override fun getWeather(dimension: String): String = requireDimension(dimension).weather
+
+    override fun setWeather(dimension: String, weather: String) {
+        requireDimension(dimension).weather = weather
+    }
+
+    override fun removeEntities(dimension: String, region: Region, excludePlayers: Boolean, types: Set<String>?): Int {
+        requireDimension(dimension)
+        fun inRegion(x: Double, y: Double, z: Double) =
+            x >= region.minX && x <= region.maxX && y >= region.minY && y <= region.maxY && z >= region.minZ && z <= region.maxZ
+
+        val removedEntities = entities.filter { entity ->
+            entity.dimension == dimension && inRegion(entity.x, entity.y, entity.z) && (types == null || entity.type in types)
+        }
+        entities.removeAll(removedEntities)
+
+        var removedPlayers = 0
+        if (!excludePlayers && (types == null || "minecraft:player" in types)) {
+            val matching = players.filter { it.dimension == dimension && inRegion(it.x, it.y, it.z) }
+            players.removeAll(matching)
+            removedPlayers = matching.size
+        }
+
+        return removedEntities.size + removedPlayers
+    }
+
+    override fun getEntities(dimension: String, x: Double, y: Double, z: Double, radius: Double, context: Context): List<Value> {
+        requireDimension(dimension)
+        fun distanceSqr(ex: Double, ey: Double, ez: Double) = (ex - x) * (ex - x) + (ey - y) * (ey - y) + (ez - z) * (ez - z)
+
+        return entities
+            .filter { it.dimension == dimension && distanceSqr(it.x, it.y, it.z) <= radius * radius }
+            .sortedBy { distanceSqr(it.x, it.y, it.z) }
+            .map { it.toJS(this, context) }
+    }
+
+    override fun getEntity(uuid: String, context: Context): Value? {
+        try {
+            UUID.fromString(uuid)
+        } catch (e: IllegalArgumentException) {
+            throw IllegalArgumentException("Invalid UUID: $uuid")
+        }
+        return entities.firstOrNull { it.uuid == uuid }?.toJS(this, context)
+    }
+
+    override fun spawnEntity(dimension: String, x: Double, y: Double, z: Double, entityId: String, nbt: Value?, context: Context): Value {
+        requireDimension(dimension)
+        val type = normalizeId(entityId)
+        if (type == "minecraft:player") throw IllegalArgumentException("Entity type $entityId can't be spawned")
+
+        val entity = addEntity(type, x, y, z, dimension)
+        if (nbt != null && nbt.hasMembers()) {
+            entity.nbt = nbt.memberKeys.associateWith { key ->
+                val value = nbt.getMember(key)
+                // Item drops accept the same item forms as inventories
+                if (key == "Item") InventoryAdapter.itemToJS(InventoryAdapter.itemFromJS(value, "spawnEntity")) else value.`as`(Any::class.java)
+            }
+        }
+        return entity.toJS(this, context)
+    }
+
+    override fun spawnParticles(dimension: String, particles: ParticleSpawn, players: List<String>?): Int {
+        requireDimension(dimension)
+        if (particles.type.isBlank()) throw IllegalArgumentException("Invalid particle '${particles.type}'")
+        this.particles.add(dimension to particles)
+
+        // Same reach as the game: 32 blocks, or 512 when forced
+        val range = if (particles.force) 512.0 else 32.0
+        val targets = players?.mapNotNull { findPlayer(it) }?.distinct() ?: this.players
+        return targets.count { player ->
+            val dx = player.x - particles.x
+            val dy = player.y - particles.y
+            val dz = player.z - particles.z
+            player.dimension == dimension && dx * dx + dy * dy + dz * dz <= range * range
+        }
+    }
+
+    override fun getPlayers(context: Context): List<Value> = players.map { it.toJS(context) }
+
+    override fun getPlayer(nameOrUuid: String, context: Context): Value? {
+        findPlayer(nameOrUuid)?.let { return it.toJS(context) }
+
+        val offline = offlinePlayers.firstOrNull { it.name == nameOrUuid || it.uuid == nameOrUuid }
+        if (offline != null) {
+            return PlayerAdapter.toOfflineJS(UUID.fromString(offline.uuid), offline.name, context)
+        }
+
+        // Same rule as WorldAdapter: unknown UUIDs only resolve if scripts stored data for them
+        val uuid = try {
+            UUID.fromString(nameOrUuid)
+        } catch (e: IllegalArgumentException) {
+            return null
+        }
+        return if (PersistentStore.hasPlayerData(uuid)) PlayerAdapter.toOfflineJS(uuid, null, context) else null
+    }
+
+    internal fun findPlayer(nameOrUuid: String): FakePlayer? =
+        players.firstOrNull { it.name == nameOrUuid } ?: players.firstOrNull { it.uuid == nameOrUuid }
+
+    internal fun requireDimensionId(id: String): String = id.also { requireDimension(it) }
+
+    private fun requireDimension(id: String): Dimension =
+        dimensions[id] ?: throw IllegalArgumentException("Unknown dimension: $id")
+
+    companion object {
+        const val OVERWORLD = "minecraft:overworld"
+        private val AIR = BlockData("minecraft:air")
+
+        internal fun normalizeId(id: String): String = if (id.contains(':')) id else "minecraft:$id"
+    }
+}
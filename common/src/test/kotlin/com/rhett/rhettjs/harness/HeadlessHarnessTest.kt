@@ -0,0 +1,396 @@
+package com.rhett.rhettjs.harness
+
+import com.rhett.rhettjs.engine.ScriptResult
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Path
+
+/**
+ * End-to-end tests running script files against the in-memory world.
+ */
+class HeadlessHarnessTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var harness: ScriptHarness
+
+    @BeforeEach
+    fun setup() {
+        harness = ScriptHarness(tempDir)
+    }
+
+    @AfterEach
+    fun cleanup() {
+        harness.close()
+    }
+
+    @Test
+    fun `test command registered by server script edits the world`() {
+        harness.writeScript("server/build.js", """
+            import Commands from 'rhettjs/commands';
+            import World from 'rhettjs/world';
+
+            Commands.register('platform')
+                .argument('pos', 'xyz-position')
+                .argument('block', 'block')
+                .executes(async ({ caller, args }) => {
+                    const { x, y, z } = args.pos;
+                    const count = await World.fill({ x, y, z }, { x: x + 2, y, z: z + 2 }, args.block);
+                    caller.sendSuccess(`Placed ${'$'}{count} blocks`);
+                });
+        """)
+        harness.loadScripts()
+        val steve = harness.world.addPlayer("Steve", x = 10.0, y = 70.0, z = 10.0)
+
+        assertEquals(1, harness.command("/platform ~ ~-1 ~ stone", steve))
+
+        assertEquals(9, harness.world.countBlocks("stone"))
+        assertEquals("minecraft:stone", harness.world.blockAt(12, 69, 12))
+        assertEquals(listOf("§aPlaced 9 blocks"), steve.messages)
+    }
+
+    @Test
+    fun `test replace with an air filter fills the empty space`() {
+        harness.world.setBlock(0, 64, 0, "stone")
+        harness.world.setBlock(1, 64, 0, "dirt")
+        harness.writeScript("scripts/flood.js", """
+            import World from 'rhettjs/world';
+
+            globalThis.result = {};
+            (async () => {
+                result.count = await World.replace({ x: 0, y: 64, z: 0 }, { x: 1, y: 64, z: 1 }, ['air', 'stone'], 'minecraft:water');
+            })();
+        """)
+
+        val result = harness.run("scripts/flood.js")
+
+        assertTrue(result is ScriptResult.Success, "Script failed: $result")
+        assertEquals(3, harness.eval("result.count").asInt())
+        assertEquals(3, harness.world.countBlocks("water"))
+        assertEquals("minecraft:dirt", harness.world.blockAt(1, 64, 0))
+    }
+
+    @Test
+    fun `test scripts read blocks and players from the fake world`() {
+        harness.world.setBlock(0, 64, 0, "chest", properties = mapOf("facing" to "north"), blockEntityData = mapOf("Lock" to "key"))
+        harness.world.addPlayer("Alex")
+        harness.world.addPlayer("Steve")
+        harness.writeScript("scripts/inspect.js", """
+            import World from 'rhettjs/world';
+
+            globalThis.result = {};
+            (async () => {
+                const block = await World.getBlock({ x: 0, y: 64, z: 0 });
+                const entity = await World.getBlockEntity({ x: 0, y: 64, z: 0 });
+                const players = await World.getPlayers();
+                const steve = await World.getPlayer('Steve');
+                result.block = block.id + ':' + block.properties.facing;
+                result.lock = entity.Lock;
+                result.players = players.map(p => p.name).join(',');
+                result.steve = steve.uuid;
+            })();
+        """)
+
+        val result = harness.run("scripts/inspect.js")
+
+        assertTrue(result is ScriptResult.Success, "Script failed: $result")
+        assertEquals("minecraft:chest:north", harness.eval("result.block").asString())
+        assertEquals("key", harness.eval("result.lock").asString())
+        assertEquals("Alex,Steve", harness.eval("result.players").asString())
+        assertEquals(harness.world.findPlayer("Steve")!!.uuid, harness.eval("result.steve").asString())
+    }
+
+    @Test
+    fun `test subcommands and optional arguments`() {
+        harness.writeScript("server/weather.js", """
+            import Commands from 'rhettjs/commands';
+            import World from 'rhettjs/world';
+
+            const cmd = Commands.register('sky');
+            cmd.subcommand('weather')
+                .argument('type', 'string')
+                .executes(async ({ caller, args }) => {
+                    await World.setWeather(args.type);
+                    caller.sendInfo('Weather: ' + await World.getWeather());
+                });
+            cmd.subcommand('time')
+                .argument('ticks', 'int', 6000)
+                .executes(async ({ caller, args }) => {
+                    await World.setTime(args.ticks, 'minecraft:the_end');
+                    caller.sendInfo('Time: ' + await World.getTime('minecraft:the_end'));
+                });
+        """)
+        harness.loadScripts()
+
+        harness.command("/sky weather thunder")
+        harness.command("/sky time")
+        harness.command("/sky time 13000")
+
+        assertEquals(listOf("§7Weather: thunder", "§7Time: 6000", "§7Time: 13000"), harness.commands.consoleMessages)
+        assertEquals("thunder", harness.world.getWeather("minecraft:overworld"))
+        assertEquals(1000L, harness.world.getTime("minecraft:overworld"))
+    }
+
+    @Test
+    fun `test permission and handler errors are recorded`() {
+        harness.writeScript("server/admin.js", """
+            import Commands from 'rhettjs/commands';
+
+            Commands.register('wipe')
+                .permission('rhettjs.admin')
+                .executes(({ caller }) => caller.sendSuccess('wiped'));
+            Commands.register('broken')
+                .executes(() => { throw new Error('boom'); });
+        """)
+        harness.loadScripts()
+        val guest = harness.world.addPlayer("Guest")
+        val admin = harness.world.addPlayer("Admin", isOp = true)
+
+        assertEquals(0, harness.command("/wipe", guest))
+        assertEquals(1, harness.command("/wipe", admin))
+        assertEquals(0, harness.command("/broken", admin))
+
+        assertEquals(listOf("§awiped"), admin.messages)
+        assertTrue(guest.messages.isEmpty())
+        assertEquals(2, harness.commands.errors.size)
+        assertTrue(harness.commands.errors[1].contains("boom"))
+    }
+
+    @Test
+    fun `test removeEntities and unknown dimensions`() {
+        harness.world.addEntity("zombie", 1.0, 64.0, 1.0)
+        harness.world.addEntity("cow", 2.0, 64.0, 2.0)
+        harness.world.addEntity("zombie", 50.0, 64.0, 50.0)
+        harness.world.addPlayer("Steve", x = 1.0, z = 1.0)
+        harness.writeScript("scripts/clear.js", """
+            import World from 'rhettjs/world';
+
+            globalThis.result = {};
+            World.removeEntities({ x: 0, y: 60, z: 0 }, { x: 10, y: 70, z: 10 }, { types: ['minecraft:zombie'] })
+                .then(n => { result.removed = n; });
+            World.getBlock({ x: 0, y: 0, z: 0, dimension: 'mymod:nowhere' })
+                .catch(e => { result.error = String(e.message || e); });
+        """)
+
+        harness.run("scripts/clear.js")
+
+        assertEquals(1, harness.eval("result.removed").asInt())
+        assertTrue(harness.eval("result.error").asString().contains("Unknown dimension"))
+        assertEquals(listOf("minecraft:cow", "minecraft:zombie"), harness.world.entities.map { it.type })
+        assertEquals(1, harness.world.players.size)
+    }
+
+    @Test
+    fun `test built items go to players and containers`() {
+        val chest = harness.world.addContainer(0, 64, 0)
+        val steve = harness.world.addPlayer("Steve")
+        harness.writeScript("scripts/loot.js", """
+            import World from 'rhettjs/world';
+            import Items from 'rhettjs/items';
+
+            const sword = Items.create('diamond_sword').name('Sting').enchant('sharpness', 5);
+            globalThis.result = {};
+            (async () => {
+                const steve = await World.getPlayer('Steve');
+                steve.giveItem(sword);
+                steve.giveItem(Items.create('arrow', 16));
+                const chest = await World.getContainer({ x: 0, y: 64, z: 0 });
+                chest.set(0, sword.count(2));
+                chest.set(1, 'bread');
+                result.count = chest.count('diamond_sword');
+                result.none = await World.getContainer({ x: 5, y: 64, z: 5 });
+            })();
+        """)
+
+        val result = harness.run("scripts/loot.js")
+
+        assertTrue(result is ScriptResult.Success, "Script failed: $result")
+        assertEquals(mapOf("minecraft:diamond_sword" to 1, "minecraft:arrow" to 16), steve.inventory)
+        val stored = chest.items[0]!!
+        assertEquals(2, stored.count)
+        assertEquals("{\"text\":\"Sting\"}", stored.components["minecraft:custom_name"])
+        assertEquals("minecraft:bread", chest.items[1]?.id)
+        assertEquals(2, harness.eval("result.count").asInt())
+        assertTrue(harness.eval("result.none").isNull)
+    }
+
+    @Test
+    fun `test player status setters show in live getters`() {
+        val steve = harness.world.addPlayer("Steve")
+        harness.writeScript("scripts/status.js", """
+            import World from 'rhettjs/world';
+
+            globalThis.result = {};
+            (async () => {
+                const player = await World.getPlayer('Steve');
+                player.setFoodLevel(6);
+                player.setSaturation(10);
+                result.changed = player.setGameMode('creative');
+                result.again = player.setGameMode('creative');
+                player.setXpLevel(30);
+                player.effects.add('speed', { amplifier: 1 });
+                result.food = player.foodLevel;
+                result.saturation = player.saturation;
+                result.gameMode = player.gameMode;
+                result.xpLevel = player.xpLevel;
+                result.effects = player.effects.list().map(e => e.id + ':' + e.amplifier);
+                try { player.setGameMode('hardcore'); } catch (e) { result.error = 'mode'; }
+            })();
+        """)
+
+        val result = harness.run("scripts/status.js")
+
+        assertTrue(result is ScriptResult.Success, "Script failed: $result")
+        assertEquals(6, harness.eval("result.food").asInt())
+        assertEquals(6.0, harness.eval("result.saturation").asDouble(), "Saturation is capped at the food level")
+        assertTrue(harness.eval("result.changed").asBoolean())
+        assertFalse(harness.eval("result.again").asBoolean())
+        assertEquals("creative", harness.eval("result.gameMode").asString())
+        assertEquals(30, harness.eval("result.xpLevel").asInt())
+        assertEquals("minecraft:speed:1", harness.eval("result.effects.join(',')").asString())
+        assertEquals("mode", harness.eval("result.error").asString())
+        assertEquals("creative", steve.gameMode)
+    }
+
+    @Test
+    fun `test players keep script keys and report when they leave`() {
+        val steve = harness.world.addPlayer("Steve")
+        harness.writeScript("scripts/tags.js", """
+            import World from 'rhettjs/world';
+
+            globalThis.result = {};
+            (async () => {
+                const player = await World.getPlayer('Steve');
+                globalThis.player = player;
+                player.team = 'red';
+                result.team = player.team;
+                result.hasTeam = 'team' in player;
+                try { player.health = 1; } catch (e) { result.error = 'read-only'; }
+                result.online = player.isOnline;
+            })();
+        """)
+
+        val result = harness.run("scripts/tags.js")
+
+        assertTrue(result is ScriptResult.Success, "Script failed: $result")
+        assertEquals("red", harness.eval("result.team").asString())
+        assertTrue(harness.eval("result.hasTeam").asBoolean())
+        assertEquals("read-only", harness.eval("result.error").asString())
+        assertEquals(20.0, steve.health)
+        assertTrue(harness.eval("result.online").asBoolean())
+
+        harness.world.removePlayer(steve)
+        assertFalse(harness.eval("player.isOnline").asBoolean())
+    }
+
+    @Test
+    fun `test titles, sounds and particles reach the right players`() {
+        val steve = harness.world.addPlayer("Steve")
+        val alex = harness.world.addPlayer("Alex", x = 20.0)
+        harness.world.addPlayer("Notch", dimension = "minecraft:the_nether")
+        harness.writeScript("scripts/feedback.js", """
+            import World from 'rhettjs/world';
+
+            globalThis.result = {};
+            (async () => {
+                const player = await World.getPlayer('Steve');
+                player.title('Round 2', { text: 'Fight!', color: 'red' }, { fadeIn: 5, stay: 40, fadeOut: 10 });
+                player.actionBar('3 kills');
+                player.playSound('entity.experience_orb.pickup', { pitch: 1.5 });
+                const pos = { x: 0, y: 64, z: 0 };
+                result.everyone = await World.particles('minecraft:flame', pos, { count: 10, delta: 0.5 });
+                result.one = await World.particles('flame', pos, { players: [player, 'Notch'] });
+                try { await World.particles('', pos); } catch (e) { result.error = 'type'; }
+            })();
+        """)
+
+        val result = harness.run("scripts/feedback.js")
+
+        assertTrue(result is ScriptResult.Success, "Script failed: $result")
+        assertEquals(listOf("Round 2" to "Fight!"), steve.titles)
+        assertEquals(listOf("3 kills"), steve.actionBars)
+        assertEquals(listOf("minecraft:entity.experience_orb.pickup"), steve.sounds)
+        assertTrue(alex.titles.isEmpty())
+        assertEquals(2, harness.eval("result.everyone").asInt(), "Notch is in another dimension")
+        assertEquals(1, harness.eval("result.one").asInt())
+        assertEquals("type", harness.eval("result.error").asString())
+        assertEquals(10, harness.world.particles.first().second.count)
+    }
+
+    @Test
+    fun `test entities are spawned, found and kept by UUID`() {
+        harness.world.addEntity("cow", 3.0, 64.0, 0.0)
+        harness.world.addEntity("cow", 40.0, 64.0, 0.0)
+        harness.writeScript("scripts/mobs.js", """
+            import World from 'rhettjs/world';
+            import Items from 'rhettjs/items';
+
+            globalThis.result = {};
+            (async () => {
+                const guard = await World.spawnEntity({ x: 1, y: 64, z: 0 }, 'zombie', { PersistenceRequired: true });
+                guard.addTag('guard');
+                guard.setCustomName('Bob');
+                const drop = await World.spawnEntity({ x: 0, y: 64, z: 5 }, 'item', { Item: Items.create('diamond', 3) });
+                result.nearby = (await World.getEntities({ x: 0, y: 64, z: 0 }, 10)).map(e => e.type);
+                result.dropItem = drop.getNbt().Item.id;
+
+                const again = await World.getEntity(guard.uuid);
+                again.teleport({ x: 0, y: 64, z: 0, dimension: 'minecraft:the_nether' });
+                result.dimension = guard.position.dimension;
+                result.tags = guard.tags;
+                result.name = guard.customName;
+                guard.discard();
+                result.valid = guard.isValid;
+                result.gone = await World.getEntity(guard.uuid);
+                try { guard.addTag('x'); } catch (e) { result.error = 'gone'; }
+                await World.spawnEntity({ x: 0, y: 64, z: 0 }, 'player').catch(() => { result.player = 'rejected'; });
+            })();
+        """)
+
+        val result = harness.run("scripts/mobs.js")
+
+        assertTrue(result is ScriptResult.Success, "Script failed: $result")
+        assertEquals("minecraft:zombie,minecraft:cow,minecraft:item", harness.eval("result.nearby.join(',')").asString())
+        assertEquals("minecraft:diamond", harness.eval("result.dropItem").asString())
+        assertEquals("minecraft:the_nether", harness.eval("result.dimension").asString())
+        assertEquals("guard", harness.eval("result.tags.join(',')").asString())
+        assertEquals("Bob", harness.eval("result.name").asString())
+        assertFalse(harness.eval("result.valid").asBoolean())
+        assertTrue(harness.eval("result.gone").isNull)
+        assertEquals("gone", harness.eval("result.error").asString())
+        assertEquals("rejected", harness.eval("result.player").asString())
+        assertEquals(3, harness.world.entities.size)
+    }
+
+    @Test
+    fun `test timers advance with ticks`() {
+        harness.writeScript("scripts/timer.js", """
+            globalThis.fired = 0;
+            setTimeout(() => { fired++; }, 100);
+        """)
+
+        harness.run("scripts/timer.js")
+
+        assertEquals(1, harness.eval("fired").asInt())
+    }
+
+    @Test
+    fun `test malformed command line fails the test`() {
+        harness.writeScript("server/tp.js", """
+            import Commands from 'rhettjs/commands';
+
+            Commands.register('jump')
+                .argument('height', 'int')
+                .executes(() => {});
+        """)
+        harness.loadScripts()
+
+        assertThrows(IllegalArgumentException::class.java) { harness.command("/jump high") }
+        assertThrows(IllegalArgumentException::class.java) { harness.command("/jump") }
+        assertThrows(IllegalArgumentException::class.java) { harness.command("/missing") }
+    }
+}
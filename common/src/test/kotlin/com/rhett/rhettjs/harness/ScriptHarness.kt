@@ -0,0 +1,149 @@
+package com.rhett.rhettjs.harness
+
+import com.rhett.rhettjs.api.PersistentStore
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptRegistry
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import com.rhett.rhettjs.threading.TickScheduler
+import com.rhett.rhettjs.world.WorldManager
+import org.graalvm.polyglot.Value
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Runs RhettJS scripts end-to-end against a [FakeWorld], without Minecraft.
+ *
+ * The harness treats [rootDir] as the rjs/ directory: scripts go in startup/, server/,
+ * scripts/ and modules/ as usual. World API calls hit the fake world, commands registered
+ * by scripts are run through [commands], and [tick]/[settle] drive timers and promises.
+ *
+ * ```kotlin
+ * ScriptHarness(tempDir).use { harness ->
+ *     harness.writeScript("server/build.js", "...")
+ *     harness.loadScripts()
+ *     val steve = harness.world.addPlayer("Steve", isOp = true)
+ *     harness.command("/build 0 64 0", steve)
+ *     assertEquals("minecraft:stone", harness.world.blockAt(0, 64, 0))
+ * }
+ * ```
+ *
+ * Structure and dimension APIs still need a server and are not available here.
+ */
+class ScriptHarness(val rootDir: Path) : AutoCloseable {
+
+    val world = FakeWorld()
+    val commands = FakeCommandDispatcher(world)
+
+    /** World save folder; persistent stores and player data are written here. */
+    val worldDir: Path = rootDir.resolve("world")
+
+    init {
+        ConfigManager.init(rootDir)
+        GraalEngine.setScriptsDirectory(rootDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+        WorldManager.setWorldAccess(world)
+        PersistentStore.load(worldDir)
+    }
+
+    /**
+     * Write a script file relative to [rootDir] (e.g. "server/build.js").
+     */
+    fun writeScript(relativePath: String, code: String): Path {
+        val file = rootDir.resolve(relativePath)
+        Files.createDirectories(file.parent)
+        Files.writeString(file, code.trimIndent())
+        return file
+    }
+
+    /**
+     * Scan [rootDir] and execute startup scripts, then server scripts, like server start.
+     * Fails if any script doesn't load.
+     */
+    fun loadScripts() {
+        ScriptRegistry.scan(rootDir)
+        listOf(ScriptCategory.STARTUP, ScriptCategory.SERVER).forEach { category ->
+            ScriptRegistry.getScripts(category).forEach { script ->
+                val result = GraalEngine.executeScript(script)
+                if (result is ScriptResult.Error) {
+                    throw AssertionError("${category.dirName} script ${script.name} failed: ${result.message}", result.exception)
+                }
+            }
+        }
+        settle()
+    }
+
+    /**
+     * Execute a single script file (e.g. a utility script), then settle.
+     */
+    fun run(relativePath: String, category: ScriptCategory = ScriptCategory.UTILITY): ScriptResult {
+        val file = rootDir.resolve(relativePath)
+        val script = ScriptInfo(
+            name = relativePath.removeSuffix(".js"),
+            path = file,
+            category = category,
+            lastModified = Files.getLastModifiedTime(file).toMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        settle()
+        return result
+    }
+
+    /**
+     * Run a command registered by a script, then settle so async handlers finish.
+     *
+     * @param player Calling player, or null for the console
+     * @return 1 if the handler ran, 0 on failure (see FakeCommandDispatcher.errors)
+     */
+    fun command(commandLine: String, player: FakePlayer? = null): Int {
+        val result = commands.execute(commandLine, player)
+        settle()
+        return result
+    }
+
+    /**
+     * Advance the given number of server ticks.
+     */
+    fun tick(count: Int = 1) {
+        repeat(count) { TickScheduler.tick() }
+    }
+
+    /**
+     * Tick until no waits, timers or promise resolutions are pending.
+     * Repeating timers (setInterval) keep this busy until [maxTicks].
+     *
+     * @return true if everything settled within [maxTicks]
+     */
+    fun settle(maxTicks: Int = 200): Boolean {
+        var ticks = 0
+        while (hasPendingWork() && ticks < maxTicks) {
+            TickScheduler.tick()
+            ticks++
+        }
+        return !hasPendingWork()
+    }
+
+    /**
+     * Evaluate JS in the script context (e.g. to read globals set by scripts).
+     */
+    fun eval(expression: String): Value = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun hasPendingWork(): Boolean =
+        AsyncScheduler.getActiveTimerCount() > 0 ||
+            AsyncScheduler.getScheduledTimerCount() > 0 ||
+            AsyncScheduler.getPendingCallbackCount() > 0
+
+    override fun close() {
+        PersistentStore.unload()
+        WorldManager.setWorldAccess(null)
+        AsyncScheduler.clear()
+        ScriptRegistry.clear()
+        GraalEngine.reset()
+    }
+}
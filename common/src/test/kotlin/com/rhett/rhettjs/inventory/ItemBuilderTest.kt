@@ -0,0 +1,115 @@
+package com.rhett.rhettjs.inventory
+
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Tests for item component edits and the Items builder API.
+ */
+class ItemBuilderTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test component edits`() {
+        val bread = ItemData("minecraft:bread", 1)
+            .withoutComponent("food")
+            .withComponent("max_stack_size", 16)
+
+        assertEquals(mapOf("!minecraft:food" to emptyMap<String, Any?>(), "minecraft:max_stack_size" to 16), bread.components)
+        assertEquals(mapOf("minecraft:max_stack_size" to 16), bread.withComponent("minecraft:food", null).components)
+        assertEquals(setOf("!minecraft:food"), bread.withComponent("max_stack_size", null).components.keys)
+    }
+
+    @Test
+    fun `test enchantments merge and books store them`() {
+        val sword = ItemData("minecraft:diamond_sword", 1)
+            .withEnchantment("sharpness", 3)
+            .withEnchantment("minecraft:unbreaking", 2)
+            .withEnchantment("sharpness", 5)
+        val book = ItemData("minecraft:enchanted_book", 1).withEnchantment("mending", 1)
+
+        assertEquals(
+            mapOf("levels" to mapOf("minecraft:sharpness" to 5, "minecraft:unbreaking" to 2)),
+            sword.components[ItemData.ENCHANTMENTS]
+        )
+        assertEquals(
+            mapOf("levels" to mapOf("minecraft:mending" to 1)),
+            book.components[ItemData.STORED_ENCHANTMENTS]
+        )
+        assertThrows(IllegalArgumentException::class.java) { sword.withEnchantment("sharpness", 0) }
+    }
+
+    @Test
+    fun `test Items builder is immutable and builds plain items`() {
+        execute("""
+            const base = Items.create('diamond_sword');
+            const named = base
+                .name({ text: 'Sting', color: 'aqua' })
+                .lore(['Elven', 'Glows blue'])
+                .enchant('sharpness', 5)
+                .component('minecraft:unbreakable', {})
+                .removeComponent('attribute_modifiers')
+                .count(2);
+            globalThis.item = named.build();
+            globalThis.plain = base.build();
+            globalThis.errors = [];
+            try { Items.create(); } catch (e) { errors.push('id'); }
+            try { base.count(0); } catch (e) { errors.push('count'); }
+            try { base.enchant('sharpness', 300); } catch (e) { errors.push('level'); }
+            try { base.lore('not a list'); } catch (e) { errors.push('lore'); }
+        """)
+
+        assertEquals("minecraft:diamond_sword", jsValue("item.id").asString())
+        assertEquals(2, jsValue("item.count").asInt())
+        assertEquals("Sting", jsValue("JSON.parse(item.components['minecraft:custom_name']).text").asString())
+        assertEquals("aqua", jsValue("JSON.parse(item.components['minecraft:custom_name']).color").asString())
+        assertEquals("Glows blue", jsValue("JSON.parse(item.components['minecraft:lore'][1]).text").asString())
+        assertEquals(5, jsValue("item.components['minecraft:enchantments'].levels['minecraft:sharpness']").asInt())
+        assertTrue(jsValue("'minecraft:unbreakable' in item.components").asBoolean())
+        assertTrue(jsValue("'!minecraft:attribute_modifiers' in item.components").asBoolean())
+        assertEquals(0, jsValue("Object.keys(plain.components).length").asInt(), "Builders don't change each other")
+        assertEquals(1, jsValue("plain.count").asInt())
+        assertEquals("id,count,level,lore", jsValue("errors.join(',')").asString())
+    }
+
+    private fun execute(code: String) {
+        val script = ScriptInfo(
+            name = "test-items.js",
+            path = createTempScript("import Items from 'rhettjs/items';\n$code"),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-items-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
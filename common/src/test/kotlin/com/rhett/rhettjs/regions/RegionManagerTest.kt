@@ -0,0 +1,173 @@
+package com.rhett.rhettjs.regions
+
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import com.rhett.rhettjs.zones.Zone
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+import java.util.UUID
+
+/**
+ * Tests for region flag decisions, persistence and the Regions JS API.
+ */
+class RegionManagerTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var worldDir: Path
+
+    private val overworld = "minecraft:overworld"
+    private val owner = UUID.fromString("00000000-0000-0000-0000-000000000001")
+    private val visitor = UUID.fromString("00000000-0000-0000-0000-000000000002")
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+        worldDir = tempDir.resolve("world")
+        RegionManager.load(worldDir)
+    }
+
+    @AfterEach
+    fun cleanup() {
+        RegionManager.unload()
+        AsyncScheduler.clear()
+    }
+
+    private fun box(name: String, size: Int, dimension: String = overworld) =
+        Zone.fromCorners(name, dimension, -size, -size, -size, size, size, size)
+
+    @Test
+    fun `test default flags protect building but allow pvp and spawning`() {
+        RegionManager.define(Region(box("spawn", 10)))
+
+        assertNotNull(RegionManager.deniedBy(RegionFlag.BREAK, overworld, 0.0, 0.0, 0.0, visitor))
+        assertNotNull(RegionManager.deniedBy(RegionFlag.INTERACT, overworld, 0.0, 0.0, 0.0, visitor))
+        assertNull(RegionManager.deniedBy(RegionFlag.PVP, overworld, 0.0, 0.0, 0.0, null))
+        assertNull(RegionManager.deniedBy(RegionFlag.MOB_SPAWN, overworld, 0.0, 0.0, 0.0, null))
+        assertNull(RegionManager.deniedBy(RegionFlag.BREAK, overworld, 50.0, 0.0, 0.0, visitor), "Outside the region")
+    }
+
+    @Test
+    fun `test members are exempt from build flags but not pvp`() {
+        RegionManager.define(Region(box("base", 10), flags = mapOf(RegionFlag.PVP to false), owners = setOf(owner)))
+
+        assertNull(RegionManager.deniedBy(RegionFlag.PLACE, overworld, 1.0, 1.0, 1.0, owner))
+        assertNotNull(RegionManager.deniedBy(RegionFlag.PLACE, overworld, 1.0, 1.0, 1.0, visitor))
+        assertNotNull(RegionManager.deniedBy(RegionFlag.PVP, overworld, 1.0, 1.0, 1.0, owner))
+    }
+
+    @Test
+    fun `test highest priority region decides overlaps`() {
+        RegionManager.define(Region(box("spawn", 50)))
+        RegionManager.define(Region(box("plot", 5), priority = 10, flags = mapOf(RegionFlag.BREAK to true)))
+
+        assertEquals(listOf("plot", "spawn"), RegionManager.at(null, 0.0, 0.0, 0.0).map { it.name })
+        assertNull(RegionManager.deniedBy(RegionFlag.BREAK, overworld, 0.0, 0.0, 0.0, visitor))
+        assertEquals("spawn", RegionManager.deniedBy(RegionFlag.BREAK, overworld, 20.0, 0.0, 0.0, visitor)?.name)
+    }
+
+    @Test
+    fun `test regions survive reload`() {
+        RegionManager.define(Region(
+            box("arena", 8, "minecraft:the_nether"),
+            priority = 3,
+            flags = mapOf(RegionFlag.MOB_SPAWN to false),
+            owners = setOf(owner),
+            members = setOf(visitor)
+        ))
+
+        RegionManager.unload()
+        RegionManager.load(worldDir)
+
+        val arena = RegionManager.get("arena")!!
+        assertEquals("minecraft:the_nether", arena.area.dimension)
+        assertEquals(3, arena.priority)
+        assertFalse(arena.allows(RegionFlag.MOB_SPAWN))
+        assertEquals(setOf(owner), arena.owners)
+        assertEquals(setOf(visitor), arena.members)
+    }
+
+    @Test
+    fun `test Regions API manages flags and members`() {
+        execute("""
+            const region = Regions.define('shop', {
+                min: { x: 0, y: 0, z: 0 }, max: { x: 10, y: 10, z: 10 },
+                flags: { interact: true },
+                owners: ['$owner']
+            });
+            globalThis.result = {
+                interact: region.flags.interact,
+                place: region.flags.place,
+                owners: region.owners.join(','),
+                visitorPlace: Regions.isAllowed('place', { x: 5, y: 5, z: 5 }, '$visitor'),
+                ownerPlace: Regions.isAllowed('place', { x: 5, y: 5, z: 5 }, { uuid: '$owner' })
+            };
+            Regions.addMember('shop', '$visitor');
+            Regions.setFlag('shop', 'interact', null);
+            globalThis.updated = Regions.get('shop');
+            globalThis.missing = Regions.addMember('nope', '$visitor');
+            globalThis.errors = [];
+            try { Regions.setFlag('shop', 'fly', false); } catch (e) { errors.push('flag'); }
+            try { Regions.addMember('shop', 'not-a-uuid'); } catch (e) { errors.push('uuid'); }
+            try { Regions.setBypass(42); } catch (e) { errors.push('bypass'); }
+            Regions.setBypass((player) => player.isOp);
+        """)
+
+        assertTrue(jsValue("result.interact").asBoolean())
+        assertFalse(jsValue("result.place").asBoolean())
+        assertEquals(owner.toString(), jsValue("result.owners").asString())
+        assertFalse(jsValue("result.visitorPlace").asBoolean())
+        assertTrue(jsValue("result.ownerPlace").asBoolean())
+        assertEquals(visitor.toString(), jsValue("updated.members[0]").asString())
+        assertFalse(jsValue("updated.flags.interact").asBoolean(), "null restores the default")
+        assertTrue(jsValue("missing").isNull)
+        assertEquals("flag,uuid,bypass", jsValue("errors.join(',')").asString())
+        assertTrue(Files.exists(worldDir.resolve("rhettjs/regions.json")))
+    }
+
+    @Test
+    fun `test bypass belongs to the script that set it`() {
+        execute("Regions.setBypass((player) => player.isOp);")
+        assertTrue(RegionManager.hasBypass())
+
+        assertFalse(RegionManager.clearBypassOwnedBy("other.js"), "Another script's cleanup keeps the bypass")
+        assertTrue(RegionManager.hasBypass())
+
+        assertTrue(RegionManager.clearBypassOwnedBy("test-regions.js"))
+        assertFalse(RegionManager.hasBypass())
+    }
+
+    private fun execute(code: String) {
+        val script = ScriptInfo(
+            name = "test-regions.js",
+            path = createTempScript("import Regions from 'rhettjs/regions';\n$code"),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-region-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
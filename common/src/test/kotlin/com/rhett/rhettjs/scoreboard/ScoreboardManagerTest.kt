@@ -0,0 +1,168 @@
+package com.rhett.rhettjs.scoreboard
+
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import net.minecraft.ChatFormatting
+import net.minecraft.world.scores.DisplaySlot
+import net.minecraft.world.scores.Scoreboard
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Tests for the Scoreboard and Teams JS APIs against a standalone scoreboard.
+ */
+class ScoreboardManagerTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var board: Scoreboard
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+        board = Scoreboard()
+        ScoreboardManager.setScoreboard(board)
+    }
+
+    @AfterEach
+    fun cleanup() {
+        ScoreboardManager.unload()
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test objectives are created once and scores are kept per holder`() {
+        execute("""
+            const kills = Scoreboard.objective('kills');
+            globalThis.result = {
+                created: kills.create({ displayName: 'Kills' }),
+                again: kills.create(),
+                missing: kills.getScore('Steve')
+            };
+            kills.setScore('Steve', 3);
+            result.added = kills.addScore({ isPlayer: true, name: 'Steve' }, 2);
+            kills.addScore('#round');
+            kills.addScore({ uuid: '00000000-0000-0000-0000-000000000001' }, 7);
+            kills.setDisplaySlot('sidebar');
+            result.info = kills.get();
+            result.top = kills.scores().map(s => s.holder + '=' + s.value);
+            result.reset = kills.resetScore('#round');
+            result.resetAgain = kills.resetScore('#round');
+            result.names = Scoreboard.objectives().map(o => o.name);
+        """)
+
+        assertTrue(jsValue("result.created").asBoolean())
+        assertFalse(jsValue("result.again").asBoolean())
+        assertTrue(jsValue("result.missing").isNull)
+        assertEquals(5, jsValue("result.added").asInt())
+        assertEquals("Kills", jsValue("result.info.displayName").asString())
+        assertEquals("dummy", jsValue("result.info.criterion").asString())
+        assertEquals("sidebar", jsValue("result.info.displaySlots.join(',')").asString())
+        assertEquals(
+            "00000000-0000-0000-0000-000000000001=7,Steve=5,#round=1",
+            jsValue("result.top.join(',')").asString()
+        )
+        assertTrue(jsValue("result.reset").asBoolean())
+        assertFalse(jsValue("result.resetAgain").asBoolean())
+        assertEquals("kills", jsValue("result.names.join(',')").asString())
+        assertEquals("kills", board.getDisplayObjective(DisplaySlot.SIDEBAR)?.name)
+    }
+
+    @Test
+    fun `test objective errors`() {
+        execute("""
+            const ghost = Scoreboard.objective('ghost');
+            globalThis.errors = [];
+            try { ghost.setScore('Steve', 1); } catch (e) { errors.push('missing'); }
+            try { Scoreboard.objective('bad name').create(); } catch (e) { errors.push('name'); }
+            try { Scoreboard.objective('x').create({ criterion: 'nope' }); } catch (e) { errors.push('criterion'); }
+            Scoreboard.objective('y').create();
+            try { Scoreboard.objective('y').setDisplaySlot('top'); } catch (e) { errors.push('slot'); }
+            try { Scoreboard.objective('y').setScore('Steve', 1.5); } catch (e) { errors.push('number'); }
+            globalThis.removed = [Scoreboard.objective('y').remove(), Scoreboard.objective('y').remove()];
+        """)
+
+        assertEquals("missing,name,criterion,slot,number", jsValue("errors.join(',')").asString())
+        assertEquals("true,false", jsValue("removed.join(',')").asString())
+        assertNull(board.getObjective("x"), "Failed creation leaves nothing behind")
+    }
+
+    @Test
+    fun `test teams settings and membership`() {
+        execute("""
+            const red = Teams.create('red', { color: 'red', prefix: '[Red] ', friendlyFire: false, collision: 'pushOwnTeam' });
+            Teams.create('blue', { color: 'blue' });
+            globalThis.result = {
+                color: red.color,
+                prefix: red.prefix,
+                friendlyFire: red.friendlyFire,
+                collision: red.collision,
+                joined: Teams.join('red', 'Steve', ['Alex', { isPlayer: true, name: 'Notch' }])
+            };
+            result.moved = Teams.join('blue', 'Alex');
+            result.steveTeam = Teams.of('Steve');
+            result.alexTeam = Teams.of('Alex');
+            result.members = Teams.get('red').members;
+            result.left = Teams.leave('Steve');
+            result.leftAgain = Teams.leave('Steve');
+            result.updated = Teams.update('red', { nameTagVisibility: 'hideForOtherTeams' }).nameTagVisibility;
+            result.missing = Teams.update('green', {});
+            result.names = Teams.list().map(t => t.name);
+            globalThis.errors = [];
+            try { Teams.create('green', { color: 'rainbow' }); } catch (e) { errors.push('color'); }
+            try { Teams.join('green', 'Steve'); } catch (e) { errors.push('missing'); }
+        """)
+
+        assertEquals("red", jsValue("result.color").asString())
+        assertEquals("[Red] ", jsValue("result.prefix").asString())
+        assertFalse(jsValue("result.friendlyFire").asBoolean())
+        assertEquals("pushOwnTeam", jsValue("result.collision").asString())
+        assertEquals(3, jsValue("result.joined").asInt())
+        assertEquals(1, jsValue("result.moved").asInt())
+        assertEquals("red", jsValue("result.steveTeam").asString())
+        assertEquals("blue", jsValue("result.alexTeam").asString())
+        assertEquals("Notch,Steve", jsValue("result.members.join(',')").asString())
+        assertTrue(jsValue("result.left").asBoolean())
+        assertFalse(jsValue("result.leftAgain").asBoolean())
+        assertEquals("hideForOtherTeams", jsValue("result.updated").asString())
+        assertTrue(jsValue("result.missing").isNull)
+        assertEquals("blue,red", jsValue("result.names.join(',')").asString())
+        assertEquals("color,missing", jsValue("errors.join(',')").asString())
+        assertNull(board.getPlayerTeam("green"), "Invalid options don't leave a half-made team")
+        assertEquals(ChatFormatting.RED, board.getPlayerTeam("red")?.color)
+    }
+
+    private fun execute(code: String) {
+        val script = ScriptInfo(
+            name = "test-scoreboard.js",
+            path = createTempScript("import Scoreboard from 'rhettjs/scoreboard';\nimport Teams from 'rhettjs/teams';\n$code"),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-scoreboard-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
@@ -0,0 +1,274 @@
+package com.rhett.rhettjs.testing
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import com.rhett.rhettjs.events.ServerEventManager
+import java.nio.file.Files
+import java.nio.file.Path
+import java.util.concurrent.CompletableFuture
+
+/**
+ * Unit tests for TestRunner, the rhettjs/test module and the JUnit XML report (/rjs test).
+ * Async tests are driven by calling AsyncScheduler.tick() manually.
+ */
+class TestRunnerTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private val testsDir: Path
+        get() = tempDir.resolve("tests")
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+        Files.createDirectories(testsDir)
+    }
+
+    @AfterEach
+    fun cleanup() {
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test passing and failing tests are reported`() {
+        val result = run("math.test.js", """
+            import { describe, it, expect } from 'rhettjs/test';
+
+            describe('math', () => {
+                it('adds', () => { expect(1 + 1).toBe(2); });
+                it('is wrong', () => { expect(1 + 1).toBe(3); });
+            });
+        """)
+
+        assertNull(result.error)
+        assertEquals(1, result.passed)
+        assertEquals(1, result.failed)
+        val failure = result.results.single { it.status == TestRunner.Status.FAILED }
+        assertEquals("math", failure.suite)
+        assertEquals("is wrong", failure.name)
+        assertEquals("expected 2 to be 3", failure.message)
+    }
+
+    @Test
+    fun `test skip variants and nested suites`() {
+        val result = run("skip.test.js", """
+            import { describe, it, test, expect } from 'rhettjs/test';
+
+            describe('outer', () => {
+                it.skip('skipped test', () => { throw new Error('should not run'); });
+                describe('inner', () => {
+                    test('runs', () => { expect([1, 2]).toEqual([1, 2]); });
+                });
+                describe.skip('skipped suite', () => {
+                    it('also skipped', () => { throw new Error('should not run'); });
+                });
+            });
+        """)
+
+        assertEquals(1, result.passed)
+        assertEquals(2, result.skipped)
+        assertEquals("outer > inner", result.results.single { it.status == TestRunner.Status.PASSED }.suite)
+    }
+
+    @Test
+    fun `test hooks run in order and afterEach runs after failures`() {
+        val result = run("hooks.test.js", """
+            import { describe, it, beforeAll, afterAll, beforeEach, afterEach } from 'rhettjs/test';
+
+            globalThis.calls = [];
+            describe('hooks', () => {
+                beforeAll(() => calls.push('beforeAll'));
+                beforeEach(() => calls.push('beforeEach'));
+                afterEach(() => calls.push('afterEach'));
+                afterAll(() => calls.push('afterAll'));
+
+                it('first', () => calls.push('first'));
+                it('second', () => { calls.push('second'); throw new Error('boom'); });
+            });
+        """)
+
+        assertEquals(1, result.failed)
+        assertEquals(
+            "beforeAll,beforeEach,first,afterEach,beforeEach,second,afterEach,afterAll",
+            jsValue("calls.join(',')").asString()
+        )
+    }
+
+    @Test
+    fun `test failing beforeAll fails the suite`() {
+        val result = run("before-all.test.js", """
+            import { describe, it, beforeAll } from 'rhettjs/test';
+
+            describe('broken setup', () => {
+                beforeAll(() => { throw new Error('no database'); });
+                it('a', () => {});
+                it('b', () => {});
+            });
+        """)
+
+        assertEquals(2, result.failed)
+        assertTrue(result.results.all { it.message!!.contains("beforeAll hook failed") && it.message!!.contains("no database") })
+    }
+
+    @Test
+    fun `test async tests are awaited across ticks`() {
+        val result = run("async.test.js", """
+            import { it, expect } from 'rhettjs/test';
+
+            it('waits', async () => {
+                const before = Date.now();
+                await wait(3);
+                expect(Date.now()).toBeGreaterThanOrEqual(before);
+            });
+
+            it('rejects', async () => {
+                await wait(1);
+                throw new Error('async failure');
+            });
+        """)
+
+        assertEquals(1, result.passed)
+        assertEquals(1, result.failed)
+        assertTrue(result.results.single { it.name == "rejects" }.message!!.contains("async failure"))
+    }
+
+    @Test
+    fun `test async test times out`() {
+        val result = run("timeout.test.js", """
+            import { it } from 'rhettjs/test';
+
+            it('never settles', () => new Promise(() => {}), 100);
+        """)
+
+        assertEquals(1, result.failed)
+        assertEquals("Timed out after 2 ticks", result.results.single().message)
+    }
+
+    @Test
+    fun `test file that fails to load is reported as an error`() {
+        val result = run("broken.test.js", "throw new Error('top-level failure');")
+
+        assertNotNull(result.error)
+        assertFalse(result.isSuccess)
+        assertTrue(result.results.isEmpty())
+    }
+
+    @Test
+    fun `test registrations are removed when the file finishes`() {
+        val result = run("cleanup.test.js", """
+            import { it, expect } from 'rhettjs/test';
+            import Server from 'Server';
+            import Commands from 'rhettjs/commands';
+
+            Server.on('test:ping', () => {});
+            Commands.register('testcmd').executes(() => {});
+
+            it('registers more', async () => {
+                setTickInterval(() => {}, 1);
+                await wait(1);
+                Server.onTick(1, () => {});
+                expect(Server.emit('test:ping')).toHaveLength(1);
+            });
+        """)
+
+        assertEquals(1, result.passed, "Unexpected results: ${result.results}")
+        assertFalse(ServerEventManager.hasHandlers("test:ping"))
+        assertTrue(ServerEventManager.getTickHandlerReports().isEmpty())
+        assertFalse(GraalEngine.getCommandRegistry().getCommandNames().contains("testcmd"))
+        assertEquals(0, AsyncScheduler.getScheduledTimerCount())
+    }
+
+    @Test
+    fun `test describe outside a test run is rejected`() {
+        val script = testsDir.resolve("plain.js")
+        Files.writeString(script, """
+            import { describe } from 'rhettjs/test';
+            describe('x', () => {});
+        """.trimIndent())
+
+        val result = GraalEngine.executeScript(
+            ScriptInfo(
+                name = "plain",
+                path = script,
+                category = ScriptCategory.SERVER,
+                lastModified = System.currentTimeMillis(),
+                status = ScriptStatus.LOADED
+            )
+        )
+
+        assertTrue(result is ScriptResult.Error)
+        assertTrue((result as ScriptResult.Error).message.contains("can only be used in test files"))
+    }
+
+    @Test
+    fun `test findTestFiles matches globs and substrings`() {
+        Files.createDirectories(testsDir.resolve("world"))
+        listOf("store.test.js", "world/fill.test.js", "world/replace.test.js", "notes.txt").forEach {
+            Files.writeString(testsDir.resolve(it), "")
+        }
+
+        fun names(pattern: String?) = TestRunner.findTestFiles(testsDir, pattern)
+            .map { testsDir.relativize(it).joinToString("/") }
+
+        assertEquals(listOf("store.test.js", "world/fill.test.js", "world/replace.test.js"), names(null))
+        assertEquals(listOf("world/fill.test.js", "world/replace.test.js"), names("world/*.js"))
+        assertEquals(listOf("world/fill.test.js"), names("fill"))
+        assertEquals(emptyList<String>(), names("missing"))
+    }
+
+    @Test
+    fun `test JUnit XML report`() {
+        val results = listOf(
+            TestRunner.FileResult("a.test.js", listOf(
+                TestRunner.TestResult("suite", "passes", TestRunner.Status.PASSED, 12),
+                TestRunner.TestResult("suite", "fails <badly>", TestRunner.Status.FAILED, 3, "expected 1 to be 2"),
+                TestRunner.TestResult("", "skipped", TestRunner.Status.SKIPPED, 0)
+            ), 20),
+            TestRunner.FileResult("b.test.js", emptyList(), 1, "SyntaxError: oops")
+        )
+
+        val report = tempDir.resolve("test-results/rhettjs-tests.xml")
+        JUnitXmlReport.write(report, results)
+        val xml = Files.readString(report)
+
+        assertTrue(xml.contains("""<testsuites name="rhettjs" tests="3" failures="1" errors="1" skipped="1""""))
+        assertTrue(xml.contains("""<testcase classname="a.test.js &gt; suite" name="passes" time="0.012"/>"""))
+        assertTrue(xml.contains("""name="fails &lt;badly&gt;""""))
+        assertTrue(xml.contains("""<failure message="expected 1 to be 2">"""))
+        assertTrue(xml.contains("<skipped/>"))
+        assertTrue(xml.contains("""<error message="SyntaxError: oops">"""))
+        assertFalse(Files.exists(report.resolveSibling("rhettjs-tests.xml.tmp")))
+    }
+
+    private fun run(name: String, code: String): TestRunner.FileResult {
+        val file = testsDir.resolve(name)
+        Files.writeString(file, code.trimIndent())
+        return await(TestRunner.runFiles(testsDir, listOf(file))).single()
+    }
+
+    private fun <T> await(future: CompletableFuture<T>): T {
+        var ticks = 0
+        while (!future.isDone && ticks < 200) {
+            AsyncScheduler.tick()
+            ticks++
+        }
+        assertTrue(future.isDone, "Test run did not finish within 200 ticks")
+        return future.get()
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+}
@@ -0,0 +1,109 @@
+package com.rhett.rhettjs.world
+
+import com.rhett.rhettjs.async.AbortException
+import com.rhett.rhettjs.async.AbortSignal
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.world.models.BlockData
+import com.rhett.rhettjs.world.models.PositionedBlock
+import com.rhett.rhettjs.world.models.Region
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import java.util.concurrent.ExecutionException
+
+/**
+ * Unit tests for ChunkedWorldTask.
+ * Tests chunk splitting, per-tick batching, and abort handling (no Minecraft types needed).
+ */
+class ChunkedWorldTaskTest {
+
+    @BeforeEach
+    fun setup() {
+        AsyncScheduler.clear()
+    }
+
+    @AfterEach
+    fun cleanup() {
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `chunkColumns splits region on chunk borders`() {
+        val columns = ChunkedWorldTask.chunkColumns(Region.fromCorners(-2, 0, 5, 17, 10, 20))
+
+        // X spans chunks -1, 0, 1 and Z spans chunks 0, 1
+        assertEquals(6, columns.size)
+        assertEquals(Region(-2, 0, 5, -1, 10, 15), columns[0])
+        assertEquals(Region(16, 0, 16, 17, 10, 20), columns.last())
+        assertEquals(20 * 11 * 16, columns.sumOf { it.sizeX * it.sizeY * it.sizeZ }, "Columns should cover the region exactly")
+    }
+
+    @Test
+    fun `groupByChunk groups blocks by chunk column`() {
+        val stone = BlockData("minecraft:stone")
+        val blocks = listOf(
+            PositionedBlock(0, 0, 0, stone),
+            PositionedBlock(15, 100, 15, stone),
+            PositionedBlock(16, 0, 0, stone),
+            PositionedBlock(-1, 0, 0, stone)
+        )
+
+        val groups = ChunkedWorldTask.groupByChunk(blocks)
+        assertEquals(3, groups.size)
+        assertEquals(2, groups[0].size)
+    }
+
+    @Test
+    fun `run spreads batches over ticks and sums results`() {
+        val ran = mutableListOf<Int>()
+        // Each batch uses the whole tick budget, so one batch runs per tick
+        val batches = (1..3).map { i -> ChunkedWorldTask.Batch(40000) { ran.add(i); i } }
+
+        val future = ChunkedWorldTask.run(batches, null, "test")
+        assertEquals(listOf(1), ran, "First batch should run immediately")
+        assertFalse(future.isDone)
+
+        AsyncScheduler.tick()
+        AsyncScheduler.tick()
+        assertEquals(listOf(1, 2, 3), ran)
+        assertEquals(6, future.get())
+    }
+
+    @Test
+    fun `small work completes in one call`() {
+        val batches = (1..10).map { ChunkedWorldTask.Batch(16) { 16 } }
+        val future = ChunkedWorldTask.run(batches, null, "test")
+
+        assertTrue(future.isDone)
+        assertEquals(160, future.get())
+    }
+
+    @Test
+    fun `abort stops remaining batches and fails with reason`() {
+        val signal = AbortSignal()
+        val ran = mutableListOf<Int>()
+        val batches = (1..5).map { i -> ChunkedWorldTask.Batch(40000) { ran.add(i); 1 } }
+
+        val future = ChunkedWorldTask.run(batches, signal, "test")
+        AsyncScheduler.tick()
+        signal.abort("stop")
+        repeat(5) { AsyncScheduler.tick() }
+
+        assertEquals(listOf(1, 2), ran, "No batches should run after abort")
+        val error = assertThrows(ExecutionException::class.java) { future.get() }
+        assertEquals("stop", (error.cause as AbortException).reason)
+    }
+
+    @Test
+    fun `already aborted signal runs nothing`() {
+        val signal = AbortSignal()
+        signal.abort("early")
+        var ran = false
+
+        val future = ChunkedWorldTask.run(listOf(ChunkedWorldTask.Batch(1) { ran = true; 1 }), signal, "test")
+
+        assertFalse(ran)
+        assertTrue(future.isCompletedExceptionally)
+    }
+}
@@ -0,0 +1,180 @@
+package com.rhett.rhettjs.zones
+
+import com.google.gson.JsonParser
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.io.TempDir
+import java.nio.file.Files
+import java.nio.file.Path
+import java.util.UUID
+
+/**
+ * Tests for zones: containment, player transitions, persistence and the Zones JS API.
+ */
+class ZoneManagerTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var worldDir: Path
+
+    private val steve = UUID.fromString("00000000-0000-0000-0000-000000000001")
+    private val overworld = "minecraft:overworld"
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+        worldDir = tempDir.resolve("world")
+        ZoneManager.load(worldDir)
+    }
+
+    @AfterEach
+    fun cleanup() {
+        ZoneManager.unload()
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test bounds are inclusive block coordinates`() {
+        val zone = Zone.fromCorners("arena", overworld, 10, 70, 10, 0, 60, 0)
+
+        assertEquals(0, zone.minX)
+        assertEquals(70, zone.maxY)
+        assertTrue(zone.contains(overworld, 10.9, 70.5, 0.0))
+        assertFalse(zone.contains(overworld, 11.0, 65.0, 5.0))
+        assertFalse(zone.contains(overworld, -0.1, 65.0, 5.0))
+        assertFalse(zone.contains("minecraft:the_nether", 5.0, 65.0, 5.0))
+    }
+
+    @Test
+    fun `test at returns innermost zone first`() {
+        ZoneManager.define(Zone.fromCorners("spawn", overworld, -50, 0, -50, 50, 100, 50))
+        ZoneManager.define(Zone.fromCorners("shop", overworld, 10, 60, 10, 20, 70, 20))
+
+        assertEquals(listOf("shop", "spawn"), ZoneManager.at(null, 15.0, 65.0, 15.0).map { it.name })
+        assertEquals(listOf("spawn"), ZoneManager.at(overworld, 0.0, 65.0, 0.0).map { it.name })
+        assertTrue(ZoneManager.at("minecraft:the_end", 15.0, 65.0, 15.0).isEmpty())
+    }
+
+    @Test
+    fun `test player transitions report left and entered zones`() {
+        ZoneManager.define(Zone.fromCorners("spawn", overworld, -50, 0, -50, 50, 100, 50))
+        ZoneManager.define(Zone.fromCorners("shop", overworld, 10, 60, 10, 20, 70, 20))
+
+        val enterSpawn = ZoneManager.updatePlayer(steve, overworld, 0.0, 65.0, 0.0)!!
+        assertEquals(listOf("spawn"), enterSpawn.entered.map { it.name })
+        assertNull(enterSpawn.previous)
+        assertEquals("spawn", enterSpawn.next?.name)
+
+        assertNull(ZoneManager.updatePlayer(steve, overworld, 1.0, 65.0, 1.0), "Moving within a zone is not a transition")
+
+        val enterShop = ZoneManager.updatePlayer(steve, overworld, 15.0, 65.0, 15.0)!!
+        assertEquals(listOf("shop"), enterShop.entered.map { it.name })
+        assertTrue(enterShop.left.isEmpty())
+        assertEquals("spawn", enterShop.previous?.name)
+        assertEquals("shop", enterShop.next?.name)
+
+        val teleportAway = ZoneManager.updatePlayer(steve, "minecraft:the_nether", 15.0, 65.0, 15.0)!!
+        assertEquals(setOf("shop", "spawn"), teleportAway.left.map { it.name }.toSet())
+        assertNull(teleportAway.next)
+    }
+
+    @Test
+    fun `test removing a zone makes players inside leave it`() {
+        ZoneManager.define(Zone.fromCorners("arena", overworld, 0, 0, 0, 10, 10, 10))
+        ZoneManager.updatePlayer(steve, overworld, 5.0, 5.0, 5.0)
+
+        assertTrue(ZoneManager.remove("arena"))
+        val transition = ZoneManager.updatePlayer(steve, overworld, 5.0, 5.0, 5.0)!!
+
+        assertEquals(listOf("arena"), transition.left.map { it.name })
+        assertFalse(ZoneManager.remove("arena"))
+    }
+
+    @Test
+    fun `test zones survive reload and script definitions win over saved bounds`() {
+        ZoneManager.define(Zone.fromCorners("spawn", overworld, 0, 0, 0, 10, 10, 10))
+        ZoneManager.define(Zone.fromCorners("nether-hub", "minecraft:the_nether", 0, 0, 0, 5, 5, 5))
+
+        val saved = JsonParser.parseString(Files.readString(worldDir.resolve("rhettjs/zones.json"))).asJsonObject
+        assertEquals("minecraft:the_nether", saved.getAsJsonObject("nether-hub").get("dimension").asString)
+
+        ZoneManager.unload()
+        // A script defines spawn with new bounds before the world loads
+        ZoneManager.define(Zone.fromCorners("spawn", overworld, 0, 0, 0, 20, 20, 20))
+        ZoneManager.load(worldDir)
+
+        assertEquals(20, ZoneManager.get("spawn")?.maxX)
+        assertEquals(5, ZoneManager.get("nether-hub")?.maxY)
+    }
+
+    @Test
+    fun `test corrupt zones file is moved aside`() {
+        ZoneManager.unload()
+        val file = worldDir.resolve("rhettjs/zones.json")
+        Files.createDirectories(file.parent)
+        Files.writeString(file, "{ not json")
+
+        ZoneManager.load(worldDir)
+
+        assertTrue(ZoneManager.list().isEmpty())
+        assertTrue(Files.exists(file.resolveSibling("zones.json.corrupt")))
+    }
+
+    @Test
+    fun `test Zones API defines and queries zones`() {
+        execute("""
+            const zone = Zones.define('shop', { min: { x: 20, y: 70, z: 20 }, max: { x: 10, y: 60, z: 10 } });
+            Zones.define('vault', { min: { x: 0, y: 0, z: 0 }, max: { x: 3, y: 3, z: 3 }, dimension: 'minecraft:the_end' });
+            globalThis.result = {
+                min: zone.min.x,
+                here: Zones.at({ x: 15, y: 65, z: 15 }).map(z => z.name),
+                end: Zones.list('minecraft:the_end').map(z => z.name),
+                all: Zones.list().length,
+                missing: Zones.get('nope')
+            };
+            globalThis.errors = [];
+            try { Zones.define('bad name', zone); } catch (e) { errors.push('name'); }
+            try { Zones.define('shop2', { min: zone.min }); } catch (e) { errors.push('max'); }
+        """)
+
+        assertEquals(10, jsValue("result.min").asInt())
+        assertEquals("shop", jsValue("result.here.join(',')").asString())
+        assertEquals("vault", jsValue("result.end.join(',')").asString())
+        assertEquals(2, jsValue("result.all").asInt())
+        assertTrue(jsValue("result.missing").isNull)
+        assertEquals("name,max", jsValue("errors.join(',')").asString())
+    }
+
+    private fun execute(code: String) {
+        val script = ScriptInfo(
+            name = "test-zones.js",
+            path = createTempScript("import Zones from 'rhettjs/zones';\n$code"),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Script should succeed: $result")
+    }
+
+    private fun jsValue(expression: String) = GraalEngine.getOrCreateContext().eval("js", expression)
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-zone-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
@@ -64,6 +64,10 @@ class RhettJSFabric : ModInitializer {
         com.rhett.rhettjs.events.FabricBlockEventHandler.register()
         ConfigManager.debug("Registered block event handlers")
 
+        // Register player and entity event handlers (chat, death, damage, item use, ...)
+        com.rhett.rhettjs.events.FabricEntityEventHandler.register()
+        ConfigManager.debug("Registered entity event handlers")
+
         // Register player connection event handlers (Server API)
         ServerPlayConnectionEvents.JOIN.register { handler, _, _ ->
             com.rhett.rhettjs.events.ServerEventManager.triggerPlayerJoin(handler.player)
@@ -72,6 +76,8 @@ class RhettJSFabric : ModInitializer {
 
         ServerPlayConnectionEvents.DISCONNECT.register { handler, _ ->
             com.rhett.rhettjs.events.ServerEventManager.triggerPlayerLeave(handler.player)
+            com.rhett.rhettjs.zones.ZoneManager.forgetPlayer(handler.player.uuid)
+            com.rhett.rhettjs.bossbar.BossBarManager.onPlayerDisconnect(handler.player)
             ConfigManager.debug("Player disconnected: ${handler.player.name.string}")
         }
         ConfigManager.debug("Registered player connection event handlers")
@@ -102,11 +108,13 @@ class RhettJSFabric : ModInitializer {
 
         ServerLifecycleEvents.SERVER_STARTED.register { server ->
             ScriptSystemInitializer.reinitializeWithWorldPaths(server)
+            ScriptSystemInitializer.onServerStarted()
         }
 
         ServerLifecycleEvents.SERVER_STOPPING.register { _ ->
             RhettJSCommon.LOGGER.info("[RhettJS] Shutting down...")
             ConfigManager.debug("Server stopping, cleaning up")
+            ScriptSystemInitializer.shutdown()
         }
 
         ConfigManager.debug("RhettJS initialization complete")
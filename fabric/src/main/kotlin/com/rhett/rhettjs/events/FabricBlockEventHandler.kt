@@ -1,12 +1,19 @@
 package com.rhett.rhettjs.events
 
+import com.rhett.rhettjs.regions.RegionFlag
+import com.rhett.rhettjs.regions.RegionManager
 import net.fabricmc.fabric.api.event.player.AttackBlockCallback
+import net.fabricmc.fabric.api.event.player.PlayerBlockBreakEvents
 import net.fabricmc.fabric.api.event.player.UseBlockCallback
+import net.minecraft.server.level.ServerPlayer
 import net.minecraft.world.InteractionResult
+import net.minecraft.world.item.BlockItem
 
 /**
  * Fabric-specific event handler that bridges Fabric's block events to our internal event system.
  * Implements anti-corruption layer pattern by converting Fabric events to our domain models.
+ *
+ * Region protection (RegionManager) is checked before script events, so denied actions never reach scripts.
  */
 object FabricBlockEventHandler {
 
@@ -25,6 +32,13 @@ object FabricBlockEventHandler {
             val item = player.getItemInHand(hand)
             val face = hitResult.direction
 
+            // Region protection. Sneaking with a block skips the clicked block's use, so that
+            // click is left to the place check (Fabric can't deny the block use but allow the item).
+            val placingBySneaking = player.isSecondaryUseActive && item.item is BlockItem
+            if (!placingBySneaking && !RegionManager.canPlayer(RegionFlag.INTERACT, player as ServerPlayer, world, pos)) {
+                return@register InteractionResult.FAIL
+            }
+
             // Convert to our internal event model
             val eventData = BlockEventAdapter.createClickEvent(
                 pos = pos,
@@ -71,6 +85,34 @@ object FabricBlockEventHandler {
             if (cancelled) InteractionResult.FAIL else InteractionResult.PASS
         }
 
+        // Block break (before removal; returning false keeps the block)
+        PlayerBlockBreakEvents.BEFORE.register { world, player, pos, state, _ ->
+            if (world.isClientSide || player !is ServerPlayer) {
+                return@register true
+            }
+            if (!RegionManager.canPlayer(RegionFlag.BREAK, player, world, pos)) {
+                return@register false
+            }
+            if (!ServerEventManager.hasHandlers(ServerEventManager.EventTypes.BLOCK_BREAK)) {
+                return@register true
+            }
+
+            val eventData = BlockEventAdapter.createBrokenEvent(
+                pos = pos,
+                level = world,
+                player = player,
+                state = state,
+                // Fabric has no hook for block experience
+                experience = 0
+            )
+
+            ServerEventManager.triggerBlockBreak(eventData, player)
+
+            !eventData.cancelled
+        }
+
+        // Block place is hooked by BlockItemPlaceMixin (Fabric API has no place event)
+
         com.rhett.rhettjs.RhettJSCommon.LOGGER.info("[RhettJS] Registered Fabric block event handlers")
     }
 }
@@ -0,0 +1,130 @@
+package com.rhett.rhettjs.events
+
+import com.rhett.rhettjs.events.ServerEventManager.EventTypes
+import com.rhett.rhettjs.regions.RegionManager
+import net.fabricmc.fabric.api.entity.event.v1.ServerEntityWorldChangeEvents
+import net.fabricmc.fabric.api.entity.event.v1.ServerLivingEntityEvents
+import net.fabricmc.fabric.api.entity.event.v1.ServerPlayerEvents
+import net.fabricmc.fabric.api.event.player.UseEntityCallback
+import net.fabricmc.fabric.api.event.player.UseItemCallback
+import net.fabricmc.fabric.api.message.v1.ServerMessageEvents
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.InteractionResult
+import net.minecraft.world.InteractionResultHolder
+
+/**
+ * Fabric-specific event handler that bridges Fabric's player and entity events to our internal event system.
+ * Implements anti-corruption layer pattern by converting Fabric events to our domain models.
+ *
+ * Each listener returns early when no script handles the event, since damage and item use fire often.
+ * Region protection (PvP, entity interaction) is checked first, without calling scripts.
+ */
+object FabricEntityEventHandler {
+
+    /**
+     * Register all Fabric player and entity event listeners.
+     * Called during mod initialization.
+     */
+    fun register() {
+        // Chat (returning false suppresses the message)
+        ServerMessageEvents.ALLOW_CHAT_MESSAGE.register { message, sender, _ ->
+            if (!ServerEventManager.hasHandlers(EventTypes.PLAYER_CHAT)) {
+                return@register true
+            }
+
+            val eventData = EntityEventAdapter.createChatEvent(sender, message.signedContent())
+            ServerEventManager.triggerPlayerChat(eventData, sender)
+
+            !eventData.cancelled
+        }
+
+        // Death (before totems; returning false keeps the entity alive)
+        ServerLivingEntityEvents.ALLOW_DEATH.register { entity, source, _ ->
+            val attacker = source.entity as? ServerPlayer
+            val cancelled = if (entity is ServerPlayer) {
+                if (!ServerEventManager.hasHandlers(EventTypes.PLAYER_DEATH)) return@register true
+
+                val eventData = EntityEventAdapter.createPlayerDeathEvent(entity, source)
+                ServerEventManager.triggerPlayerDeath(eventData, entity, attacker)
+                eventData.cancelled
+            } else {
+                if (!ServerEventManager.hasHandlers(EventTypes.ENTITY_DEATH)) return@register true
+
+                val eventData = EntityEventAdapter.createEntityDeathEvent(entity, source)
+                ServerEventManager.triggerEntityDeath(eventData, attacker)
+                eventData.cancelled
+            }
+
+            if (cancelled && entity.health <= 0f) {
+                entity.health = 1f
+            }
+            !cancelled
+        }
+
+        // Damage (returning false prevents the damage)
+        ServerLivingEntityEvents.ALLOW_DAMAGE.register { entity, source, amount ->
+            val attacker = source.entity as? ServerPlayer
+            if (entity is ServerPlayer && attacker != null && attacker != entity && !RegionManager.canPvp(attacker, entity)) {
+                return@register false
+            }
+            if (!ServerEventManager.hasHandlers(EventTypes.ENTITY_DAMAGE)) {
+                return@register true
+            }
+
+            val eventData = EntityEventAdapter.createEntityDamageEvent(entity, source, amount)
+            ServerEventManager.triggerEntityDamage(eventData, entity as? ServerPlayer, attacker)
+
+            !eventData.cancelled
+        }
+
+        // Respawn (alive = returning from the End)
+        ServerPlayerEvents.AFTER_RESPAWN.register { _, newPlayer, alive ->
+            if (!ServerEventManager.hasHandlers(EventTypes.PLAYER_RESPAWN)) {
+                return@register
+            }
+
+            val eventData = EntityEventAdapter.createRespawnEvent(newPlayer, alive)
+            ServerEventManager.triggerPlayerRespawn(eventData, newPlayer)
+        }
+
+        // Dimension change (after the player has moved)
+        ServerEntityWorldChangeEvents.AFTER_PLAYER_CHANGE_WORLD.register { player, origin, destination ->
+            if (!ServerEventManager.hasHandlers(EventTypes.PLAYER_CHANGE_DIMENSION)) {
+                return@register
+            }
+
+            val eventData = EntityEventAdapter.createChangeDimensionEvent(player, origin.dimension(), destination.dimension())
+            ServerEventManager.triggerPlayerChangeDimension(eventData, player)
+        }
+
+        // Right-click with an item
+        UseItemCallback.EVENT.register { player, world, hand ->
+            val stack = player.getItemInHand(hand)
+            if (world.isClientSide || player !is ServerPlayer || !ServerEventManager.hasHandlers(EventTypes.ITEM_USE)) {
+                return@register InteractionResultHolder.pass(stack)
+            }
+
+            val eventData = EntityEventAdapter.createItemUseEvent(player, hand)
+            ServerEventManager.triggerItemUse(eventData, player)
+
+            if (eventData.cancelled) InteractionResultHolder.fail(stack) else InteractionResultHolder.pass(stack)
+        }
+
+        // Right-click on an entity. Fabric fires this for both the "interact at" packet (with a hit
+        // result) and the plain interact; EntityInteractEvents runs handlers once per click.
+        UseEntityCallback.EVENT.register { player, world, hand, entity, hitResult ->
+            if (world.isClientSide || player !is ServerPlayer) {
+                return@register InteractionResult.PASS
+            }
+            // Region protection applies to both packets (armor stands only use the "interact at" one)
+            if (!RegionManager.canInteractWith(player, entity)) {
+                return@register InteractionResult.FAIL
+            }
+
+            val cancelled = EntityInteractEvents.onInteract(player, entity, hand, interactAt = hitResult != null)
+            if (cancelled) InteractionResult.FAIL else InteractionResult.PASS
+        }
+
+        com.rhett.rhettjs.RhettJSCommon.LOGGER.info("[RhettJS] Registered Fabric entity event handlers")
+    }
+}
@@ -16,6 +16,7 @@ import net.neoforged.neoforge.common.NeoForge
 import net.neoforged.neoforge.event.AddReloadListenerEvent
 import net.neoforged.neoforge.event.RegisterCommandsEvent
 import net.neoforged.neoforge.event.entity.player.PlayerEvent
+import net.neoforged.neoforge.event.level.LevelEvent
 import net.neoforged.neoforge.event.server.ServerStartedEvent
 import net.neoforged.neoforge.event.server.ServerStartingEvent
 import net.neoforged.neoforge.event.server.ServerStoppingEvent
@@ -46,6 +47,10 @@ class RhettJS(modEventBus: IEventBus) {
             NeoForge.EVENT_BUS.register(com.rhett.rhettjs.events.NeoForgeBlockEventHandler)
             ConfigManager.debug("Registered block event handlers")
 
+            // Register player and entity event handlers (chat, death, damage, item use, ...)
+            NeoForge.EVENT_BUS.register(com.rhett.rhettjs.events.NeoForgeEntityEventHandler)
+            ConfigManager.debug("Registered entity event handlers")
+
             // Register player connection event handlers (Server API)
             NeoForge.EVENT_BUS.register(PlayerEventHandler)
             ConfigManager.debug("Registered player connection event handlers")
@@ -146,12 +151,23 @@ class RhettJS(modEventBus: IEventBus) {
         @SubscribeEvent
         fun onServerStarted(event: ServerStartedEvent) {
             ScriptSystemInitializer.reinitializeWithWorldPaths(event.server)
+            ScriptSystemInitializer.onServerStarted()
+        }
+
+        @SubscribeEvent
+        fun onLevelSave(event: LevelEvent.Save) {
+            // Fired once per dimension; only react to the overworld so each save is handled once
+            val level = event.level
+            if (level is net.minecraft.server.level.ServerLevel && level.dimension() == net.minecraft.world.level.Level.OVERWORLD) {
+                ScriptSystemInitializer.onWorldSaved()
+            }
         }
 
         @SubscribeEvent
         fun onServerStopping(event: ServerStoppingEvent) {
             RhettJSCommon.LOGGER.info("[RhettJS] Shutting down...")
             ConfigManager.debug("Server stopping, cleaning up")
+            ScriptSystemInitializer.shutdown()
         }
     }
 
@@ -173,6 +189,8 @@ class RhettJS(modEventBus: IEventBus) {
             if (event.entity is net.minecraft.server.level.ServerPlayer) {
                 val player = event.entity as net.minecraft.server.level.ServerPlayer
                 com.rhett.rhettjs.events.ServerEventManager.triggerPlayerLeave(player)
+                com.rhett.rhettjs.zones.ZoneManager.forgetPlayer(player.uuid)
+                com.rhett.rhettjs.bossbar.BossBarManager.onPlayerDisconnect(player)
                 ConfigManager.debug("Player disconnected: ${player.name.string}")
             }
         }
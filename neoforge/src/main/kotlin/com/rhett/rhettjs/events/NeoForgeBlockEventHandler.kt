@@ -1,11 +1,21 @@
 package com.rhett.rhettjs.events
 
+import com.rhett.rhettjs.regions.RegionFlag
+import com.rhett.rhettjs.regions.RegionManager
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.InteractionHand
+import net.minecraft.world.item.BlockItem
+import net.minecraft.world.level.Level
 import net.neoforged.bus.api.SubscribeEvent
+import net.neoforged.neoforge.common.util.TriState
 import net.neoforged.neoforge.event.entity.player.PlayerInteractEvent
+import net.neoforged.neoforge.event.level.BlockEvent
 
 /**
  * NeoForge-specific event handler that bridges NeoForge's block events to our internal event system.
  * Implements anti-corruption layer pattern by converting NeoForge events to our domain models.
+ *
+ * Region protection (RegionManager) is checked before script events, so denied actions never reach scripts.
  */
 object NeoForgeBlockEventHandler {
 
@@ -18,6 +28,12 @@ object NeoForgeBlockEventHandler {
         val item = player.getItemInHand(hand)
         val face = event.face
 
+        // Region protection: deny using the block but let the item through, so placing
+        // against it is left to the place check
+        if (player is ServerPlayer && !RegionManager.canPlayer(RegionFlag.INTERACT, player, level, pos)) {
+            event.useBlock = TriState.FALSE
+        }
+
         // Convert to our internal event model
         val eventData = BlockEventAdapter.createClickEvent(
             pos = pos,
@@ -64,4 +80,63 @@ object NeoForgeBlockEventHandler {
             event.isCanceled = true
         }
     }
+
+    @SubscribeEvent
+    fun onBlockBreak(event: BlockEvent.BreakEvent) {
+        val player = event.player as? ServerPlayer ?: return
+        val level = event.level as? Level ?: return
+        if (!RegionManager.canPlayer(RegionFlag.BREAK, player, level, event.pos)) {
+            event.isCanceled = true
+            return
+        }
+        if (!ServerEventManager.hasHandlers(ServerEventManager.EventTypes.BLOCK_BREAK)) return
+
+        val eventData = BlockEventAdapter.createBrokenEvent(
+            pos = event.pos,
+            level = level,
+            player = player,
+            state = event.state,
+            experience = event.state.getExpDrop(level, event.pos, level.getBlockEntity(event.pos), player, player.mainHandItem)
+        )
+
+        ServerEventManager.triggerBlockBreak(eventData, player)
+
+        if (eventData.cancelled) {
+            event.isCanceled = true
+        }
+    }
+
+    @SubscribeEvent
+    fun onBlockPlace(event: BlockEvent.EntityPlaceEvent) {
+        val player = event.entity as? ServerPlayer ?: return
+        val level = event.level as? Level ?: return
+        if (!RegionManager.canPlayer(RegionFlag.PLACE, player, level, event.pos)) {
+            event.isCanceled = true
+            return
+        }
+        if (!ServerEventManager.hasHandlers(ServerEventManager.EventTypes.BLOCK_PLACE)) return
+
+        // Fired after the block is set (cancelling restores the previous block), so the
+        // clicked block and face are not known here
+        val state = event.placedBlock
+        val item = InteractionHand.entries
+            .map { player.getItemInHand(it) }
+            .firstOrNull { (it.item as? BlockItem)?.block == state.block }
+
+        val eventData = BlockEventAdapter.createPlacedEvent(
+            pos = event.pos,
+            level = level,
+            player = player,
+            state = state,
+            placedAgainst = null,
+            face = null,
+            item = item
+        )
+
+        ServerEventManager.triggerBlockPlace(eventData, player)
+
+        if (eventData.cancelled) {
+            event.isCanceled = true
+        }
+    }
 }
@@ -0,0 +1,157 @@
+package com.rhett.rhettjs.events
+
+import com.rhett.rhettjs.events.ServerEventManager.EventTypes
+import com.rhett.rhettjs.regions.RegionManager
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.entity.MobSpawnType
+import net.neoforged.bus.api.SubscribeEvent
+import net.neoforged.neoforge.event.ServerChatEvent
+import net.neoforged.neoforge.event.entity.living.LivingDeathEvent
+import net.neoforged.neoforge.event.entity.living.LivingIncomingDamageEvent
+import net.neoforged.neoforge.event.entity.living.MobSpawnEvent
+import net.neoforged.neoforge.event.entity.player.PlayerEvent
+import net.neoforged.neoforge.event.entity.player.PlayerInteractEvent
+
+/**
+ * NeoForge-specific event handler that bridges NeoForge's player and entity events to our internal event system.
+ * Implements anti-corruption layer pattern by converting NeoForge events to our domain models.
+ *
+ * Each listener returns early when no script handles the event, since damage and item use fire often.
+ * Region protection (PvP, entity interaction, mob spawning) is checked first, without calling scripts.
+ */
+object NeoForgeEntityEventHandler {
+
+    @SubscribeEvent
+    fun onChat(event: ServerChatEvent) {
+        if (!ServerEventManager.hasHandlers(EventTypes.PLAYER_CHAT)) return
+
+        val eventData = EntityEventAdapter.createChatEvent(event.player, event.rawText)
+        ServerEventManager.triggerPlayerChat(eventData, event.player)
+
+        if (eventData.cancelled) {
+            event.isCanceled = true
+        }
+    }
+
+    @SubscribeEvent
+    fun onLivingDeath(event: LivingDeathEvent) {
+        val entity = event.entity
+        if (entity.level().isClientSide) return
+
+        val attacker = event.source.entity as? ServerPlayer
+        val cancelled = if (entity is ServerPlayer) {
+            if (!ServerEventManager.hasHandlers(EventTypes.PLAYER_DEATH)) return
+
+            val eventData = EntityEventAdapter.createPlayerDeathEvent(entity, event.source)
+            ServerEventManager.triggerPlayerDeath(eventData, entity, attacker)
+            eventData.cancelled
+        } else {
+            if (!ServerEventManager.hasHandlers(EventTypes.ENTITY_DEATH)) return
+
+            val eventData = EntityEventAdapter.createEntityDeathEvent(entity, event.source)
+            ServerEventManager.triggerEntityDeath(eventData, attacker)
+            eventData.cancelled
+        }
+
+        if (cancelled) {
+            // A cancelled death leaves the entity at 0 health unless we restore some
+            if (entity.health <= 0f) {
+                entity.health = 1f
+            }
+            event.isCanceled = true
+        }
+    }
+
+    @SubscribeEvent
+    fun onLivingDamage(event: LivingIncomingDamageEvent) {
+        val entity = event.entity
+        if (entity.level().isClientSide) return
+
+        val attacker = event.source.entity as? ServerPlayer
+        if (entity is ServerPlayer && attacker != null && attacker != entity && !RegionManager.canPvp(attacker, entity)) {
+            event.isCanceled = true
+            return
+        }
+        if (!ServerEventManager.hasHandlers(EventTypes.ENTITY_DAMAGE)) return
+
+        val eventData = EntityEventAdapter.createEntityDamageEvent(entity, event.source, event.amount)
+        ServerEventManager.triggerEntityDamage(eventData, entity as? ServerPlayer, attacker)
+
+        if (eventData.cancelled) {
+            event.isCanceled = true
+        }
+    }
+
+    @SubscribeEvent
+    fun onPlayerRespawn(event: PlayerEvent.PlayerRespawnEvent) {
+        val player = event.entity as? ServerPlayer ?: return
+        if (!ServerEventManager.hasHandlers(EventTypes.PLAYER_RESPAWN)) return
+
+        val eventData = EntityEventAdapter.createRespawnEvent(player, event.isEndConquered)
+        ServerEventManager.triggerPlayerRespawn(eventData, player)
+    }
+
+    @SubscribeEvent
+    fun onPlayerChangeDimension(event: PlayerEvent.PlayerChangedDimensionEvent) {
+        val player = event.entity as? ServerPlayer ?: return
+        if (!ServerEventManager.hasHandlers(EventTypes.PLAYER_CHANGE_DIMENSION)) return
+
+        val eventData = EntityEventAdapter.createChangeDimensionEvent(player, event.from, event.to)
+        ServerEventManager.triggerPlayerChangeDimension(eventData, player)
+    }
+
+    @SubscribeEvent
+    fun onItemUse(event: PlayerInteractEvent.RightClickItem) {
+        val player = event.entity as? ServerPlayer ?: return
+        if (!ServerEventManager.hasHandlers(EventTypes.ITEM_USE)) return
+
+        val eventData = EntityEventAdapter.createItemUseEvent(player, event.hand)
+        ServerEventManager.triggerItemUse(eventData, player)
+
+        if (eventData.cancelled) {
+            event.isCanceled = true
+        }
+    }
+
+    @SubscribeEvent
+    fun onEntityInteract(event: PlayerInteractEvent.EntityInteract) {
+        val player = event.entity as? ServerPlayer ?: return
+        if (!RegionManager.canInteractWith(player, event.target)) {
+            event.isCanceled = true
+            return
+        }
+
+        if (EntityInteractEvents.onInteract(player, event.target, event.hand, interactAt = false)) {
+            event.isCanceled = true
+        }
+    }
+
+    /**
+     * The "interact at" click, sent before the plain interact (and instead of it for armor stands).
+     * EntityInteractEvents runs handlers once per click.
+     */
+    @SubscribeEvent
+    fun onEntityInteractSpecific(event: PlayerInteractEvent.EntityInteractSpecific) {
+        val player = event.entity as? ServerPlayer ?: return
+        if (!RegionManager.canInteractWith(player, event.target)) {
+            event.isCanceled = true
+            return
+        }
+
+        if (EntityInteractEvents.onInteract(player, event.target, event.hand, interactAt = true)) {
+            event.isCanceled = true
+        }
+    }
+
+    /**
+     * Region mobSpawn flag for natural spawning; no script event.
+     */
+    @SubscribeEvent
+    fun onMobSpawnPositionCheck(event: MobSpawnEvent.PositionCheck) {
+        if (event.spawnType != MobSpawnType.NATURAL) return
+
+        if (!RegionManager.canSpawnMob(event.level.level, event.x, event.y, event.z)) {
+            event.result = MobSpawnEvent.PositionCheck.Result.FAIL
+        }
+    }
+}
@@ -3,8 +3,8 @@ import Commands from "rhettjs/commands";
 import Server from "rhettjs/server";
 import Store from "rhettjs/store";
 
-// Create namespace for position storage
-const positions = Store.namespace('structures:positions');
+// Positions are saved with the world so they survive restarts
+const positions = Store.persistent('structure-positions');
 
 const cmd = Commands.register('positions')
   .description('Positional helper for structure management tools')
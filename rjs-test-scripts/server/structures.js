@@ -149,7 +149,7 @@ async function doPlace ({caller, args, centered} = {}) {
 
 function getPosition (playerName, posNum) {
   return Store
-    .namespace('structures:positions')
+    .persistent('structure-positions')
     .get(`${playerName}:pos${posNum}`)
   ;
 }
\ No newline at end of file
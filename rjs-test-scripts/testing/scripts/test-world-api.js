@@ -163,8 +163,10 @@ try {
   console.log("  ✓ World.spawnEntity() working");
 
   // Clean up - remove the entity
-  entity.remove();
-  console.log("  ✓ Entity.remove() working");
+  const again = await World.getEntity(entity.uuid);
+  console.log("  ✓ World.getEntity() working:", again !== null);
+  entity.discard();
+  console.log("  ✓ Entity.discard() working, isValid:", entity.isValid);
 } catch (error) {
   console.error("  ✗ World.spawnEntity() failed:", error.message);
 }
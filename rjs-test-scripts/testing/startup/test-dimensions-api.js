@@ -0,0 +1,38 @@
+// Dimensions API Smoke Test
+// Registers a test dimension and verifies validation errors reach the script
+
+import Dimensions from 'rhettjs/dimensions';
+
+console.log("=".repeat(50));
+console.log("Dimensions API Smoke Test");
+console.log("=".repeat(50));
+
+try {
+    const id = Dimensions.register({
+        name: 'api-test-flat',
+        fixedTime: 6000,
+        generatorSettings: {
+            layers: [
+                { block: 'minecraft:bedrock', height: 1 },
+                { block: 'minecraft:stone', height: 62 },
+                { block: 'minecraft:grass_block', height: 1 }
+            ]
+        }
+    });
+    console.log("  ✓ Registered:", id);
+} catch (e) {
+    console.error("  ✗ Failed to register:", e.message);
+}
+
+try {
+    Dimensions.register({ name: 'api-test-bad', minY: -60 });
+    console.error("  ✗ Should have rejected minY -60");
+} catch (e) {
+    console.log("  ✓ Correctly rejected invalid config:", e.message);
+}
+
+console.log("  Registered dimensions:", Dimensions.list().join(', '));
+
+console.log("=".repeat(50));
+console.log("Dimensions API Test Complete! (restart required for changes)");
+console.log("=".repeat(50));
@@ -0,0 +1,37 @@
+// Store API tests (run with /rjs test store)
+
+import Store from 'rhettjs/store';
+import { describe, it, expect, beforeEach } from 'rhettjs/test';
+
+describe('Store', () => {
+    let ns;
+
+    beforeEach(() => {
+        ns = Store.namespace('rjs-test');
+        ns.clear();
+    });
+
+    it('stores and retrieves values', () => {
+        ns.set('pos', { x: 100, y: 64, z: 200 });
+        expect(ns.get('pos')).toEqual({ x: 100, y: 64, z: 200 });
+        expect(ns.has('pos')).toBe(true);
+    });
+
+    it('returns null for missing keys', () => {
+        expect(ns.get('missing')).toBeNull();
+        expect(ns.has('missing')).toBe(false);
+    });
+
+    it('lists keys and size', () => {
+        ns.set('a', 1);
+        ns.set('b', 2);
+        expect(ns.keys()).toContain('a');
+        expect(ns.size()).toBe(2);
+    });
+
+    it('keeps values across ticks', async () => {
+        ns.set('later', 'still here');
+        await wait(2);
+        expect(ns.get('later')).toBe('still here');
+    });
+});